@@ -0,0 +1,199 @@
+// Нормализация кодов ошибок ErrorFOXbase
+// Приводит коды в любом написании (0X80070005, 8007 0005, HTTP 404, Stop code: ..., net::ERR_...)
+// к каноническому виду и ищет похожие коды по расстоянию редактирования.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+// Имена bugcheck (синий экран) для числовых стоп-кодов
+const BUGCHECK_NAMES = {
+    '0x0000000A': 'IRQL_NOT_LESS_OR_EQUAL',
+    '0x0000001A': 'MEMORY_MANAGEMENT',
+    '0x0000001E': 'KMODE_EXCEPTION_NOT_HANDLED',
+    '0x00000050': 'PAGE_FAULT_IN_NONPAGED_AREA',
+    '0x0000007B': 'INACCESSIBLE_BOOT_DEVICE',
+    '0x0000007E': 'SYSTEM_THREAD_EXCEPTION_NOT_HANDLED',
+    '0x000000D1': 'DRIVER_IRQL_NOT_LESS_OR_EQUAL',
+    '0x000000EF': 'CRITICAL_PROCESS_DIED',
+    '0x00000133': 'DPC_WATCHDOG_VIOLATION',
+    '0x00000139': 'KERNEL_SECURITY_CHECK_FAILURE'
+};
+
+// Номера errno Linux для записи вида "errno 2" / "errno=13"
+const ERRNO_NAMES = {
+    1: 'EPERM',
+    2: 'ENOENT',
+    5: 'EIO',
+    12: 'ENOMEM',
+    13: 'EACCES',
+    17: 'EEXIST',
+    28: 'ENOSPC',
+    110: 'ETIMEDOUT',
+    111: 'ECONNREFUSED',
+    113: 'EHOSTUNREACH'
+};
+
+// Словесные префиксы, которые люди копируют вместе с кодом
+const CODE_PREFIXES = [
+    /^stop\s*code\s*[:=]?\s*/i,
+    /^bug\s*check(?:\s*code)?\s*[:=]?\s*/i,
+    /^(?:error|ошибка)\s*code\s*[:=#]?\s*/i,
+    /^код\s+ошибки\s*[:=#]?\s*/i,
+    /^(?:error|ошибка)\s*[:#]\s*/i,
+    /^(?:error|ошибка)\s+(?=0x|[a-z_]+$)/i,
+    /^(?:http\s*)?status(?:\s*code)?\s*[:=]?\s*/i,
+    /^net::/i
+];
+
+// Возвращает { canonical, kind } или null, если строка не похожа на код ошибки.
+// kind: 'hex' | 'bugcheck' | 'http' | 'errno' | 'chrome' | 'number' | 'symbolic'
+function canonicalizeCode(input) {
+    if (typeof input !== 'string') return null;
+
+    let value = input.trim().replace(/^["'«(\[]+|["'»)\].,;!?]+$/g, '').trim();
+    for (let changed = true; changed;) {
+        changed = false;
+        for (const prefix of CODE_PREFIXES) {
+            const stripped = value.replace(prefix, '');
+            if (stripped !== value && stripped !== '') {
+                value = stripped.trim();
+                changed = true;
+            }
+        }
+    }
+    if (value === '') return null;
+
+    // HRESULT как отрицательное десятичное число (.NET, PowerShell): -2147024891
+    if (/^-\d{9,10}$/.test(value)) {
+        return canonicalHex((Number(value) >>> 0).toString(16));
+    }
+
+    // Шестнадцатеричные коды, в том числе с пробелами внутри: 0x8007 0005, 80070005
+    const compactHex = value.replace(/\s+/g, '');
+    const hexMatch = compactHex.match(/^0x([0-9a-f]{1,8})$/i) || compactHex.match(/^([0-9a-f]{8})$/i);
+    if (hexMatch && (/^0x/i.test(compactHex) || /[0-9]/.test(hexMatch[1]))) {
+        return canonicalHex(hexMatch[1]);
+    }
+
+    // Коды HTTP: 404, HTTP 404, HTTP/1.1 404 Not Found
+    const httpMatch = value.match(/^(?:https?(?:\/\d(?:\.\d)?)?\s*)?([1-5]\d\d)(?:\s+[a-zа-я][a-zа-я '-]*)?$/i);
+    if (httpMatch) {
+        return { canonical: httpMatch[1], kind: 'http' };
+    }
+
+    const errnoMatch = value.match(/^errno\s*[:=]?\s*(\d+)$/i);
+    if (errnoMatch && ERRNO_NAMES[errnoMatch[1]]) {
+        return { canonical: ERRNO_NAMES[errnoMatch[1]], kind: 'errno' };
+    }
+
+    if (/^\d+$/.test(value)) {
+        return { canonical: value.replace(/^0+(?=\d)/, ''), kind: 'number' };
+    }
+
+    // Символьные имена: dns_probe_finished_nxdomain, critical process died, err-name-not-resolved
+    const symbolic = value.toUpperCase().replace(/[\s\-]+/g, '_');
+    if (/^[A-Z0-9_.]+$/.test(symbolic) && /[A-Z]/.test(symbolic)) {
+        if (/^ERR_/.test(symbolic)) return { canonical: symbolic, kind: 'chrome' };
+        if (/^E[A-Z]{2,11}$/.test(symbolic)) return { canonical: symbolic, kind: 'errno' };
+        if (/^ERRNO_\d+$/.test(symbolic) && ERRNO_NAMES[symbolic.slice(6)]) {
+            return { canonical: ERRNO_NAMES[symbolic.slice(6)], kind: 'errno' };
+        }
+        return { canonical: symbolic, kind: 'symbolic' };
+    }
+
+    return null;
+}
+
+function canonicalHex(digits) {
+    const canonical = `0x${digits.toUpperCase().padStart(8, '0')}`;
+    if (BUGCHECK_NAMES[canonical]) {
+        return { canonical: BUGCHECK_NAMES[canonical], kind: 'bugcheck' };
+    }
+    return { canonical, kind: 'hex' };
+}
+
+// Расстояние Дамерау–Левенштейна (с перестановкой соседних символов)
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Допустимое число опечаток зависит от длины кода
+function maxCodeDistance(canonical) {
+    if (canonical.length <= 4) return 1;
+    if (canonical.length <= 10) return 2;
+    return 3;
+}
+
+// Шаблоны кодов в тексте логов: Event Viewer, dmesg, apt, консоль браузера, журналы веб-серверов.
+// Группа 1 (если есть) — сам код; найденное затем проходит через canonicalizeCode.
+const LOG_CODE_PATTERNS = [
+    /\b0x[0-9a-f]{1,8}\b/gi,
+    /\b[8c][0-9a-f]{7}\b/gi,
+    /(?:^|[\s(=:])(-21\d{8})\b/g,
+    /\b(?:net::)?ERR_[A-Z0-9_]+\b/g,
+    /\b[A-Za-z][A-Za-z0-9]*(?:_[A-Za-z0-9]+)+\b/g,
+    /\bE[A-Z]{2,11}\b/g,
+    /\berrno\s*[:=]?\s*\d+\b/gi,
+    /\b(?:error|ошибка)\s+\d{1,4}\b/gi,
+    /\bHTTP\/\d(?:\.\d)?"?\s+([1-5]\d\d)\b/g,
+    /\b(?:status|code|статус)(?:\s+of)?\s*[:=]?\s*([1-5]\d\d)\b/gi,
+    /\b([1-5]\d\d)\s+(?:Bad Request|Unauthorized|Forbidden|Not Found|Request Timeout|Too Many Requests|Internal Server Error|Bad Gateway|Service Unavailable|Gateway Timeout)\b/gi
+];
+
+// Находит в тексте все строки, похожие на коды ошибок.
+// Возвращает [{ canonical, kind, raw, lineNumber, line }], по одному совпадению на код в строке.
+function extractCodeCandidates(text) {
+    if (typeof text !== 'string' || text === '') return [];
+
+    const candidates = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const seenInLine = new Set();
+
+        for (const pattern of LOG_CODE_PATTERNS) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                const raw = (match[1] || match[0]).trim();
+                const normalized = canonicalizeCode(raw);
+                if (!normalized || seenInLine.has(normalized.canonical)) continue;
+
+                seenInLine.add(normalized.canonical);
+                candidates.push({
+                    canonical: normalized.canonical,
+                    kind: normalized.kind,
+                    raw,
+                    lineNumber: index + 1,
+                    line: line.trim()
+                });
+            }
+        }
+    });
+    return candidates;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        canonicalizeCode,
+        editDistance,
+        maxCodeDistance,
+        extractCodeCandidates,
+        BUGCHECK_NAMES,
+        ERRNO_NAMES
+    };
+}
@@ -0,0 +1,242 @@
+// Фасетные фильтры и сортировка списков ошибок ErrorFOXbase
+// Значения фасетов вычисляются из нормализованных записей (ErrorDatabaseService.normalizeError),
+// выбор хранится в строке запроса: ?urgency=high,medium&system=linux&sort=urgency.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+// Платформы для фасета system: поле system — свободный текст («Windows 10/11», «Linux/Unix системы»),
+// запись попадает во все платформы, чьи шаблоны совпали
+const SYSTEM_PLATFORMS = [
+    { id: 'windows', pattern: /windows|все системы/i },
+    { id: 'linux', pattern: /linux|unix|ubuntu|debian|все системы/i },
+    { id: 'macos', pattern: /mac\s?os|все системы/i },
+    { id: 'mobile', pattern: /android|\bios\b/i },
+    { id: 'xbox', pattern: /xbox/i },
+    { id: 'browser', pattern: /браузер|chrome|edge|firefox|internet explorer/i },
+    { id: 'webserver', pattern: /веб-сервер|nginx|apache|cdn/i },
+    { id: 'database', pattern: /mysql|postgresql/i },
+    { id: 'application', pattern: /visual studio|excel/i }
+];
+
+// Значения userAction в данных на русском; в адресе и в ключах переводов — латиница
+const USER_ACTION_IDS = {
+    'требуется': 'required',
+    'ожидание': 'wait'
+};
+
+const URGENCY_ORDER = ['high', 'medium', 'low'];
+const FREQUENCY_ORDER = ['very_high', 'high', 'medium', 'low'];
+
+// Фасеты в порядке показа. values возвращает значения фасета для записи,
+// order — порядок значений в панели (неизвестные значения идут следом по алфавиту),
+// byCount — значения идут по убыванию счетчика.
+const ERROR_FACETS = [
+    {
+        // В списке подкатегории у всех записей одна категория, и фасет скрывается сам
+        id: 'category',
+        values: (error) => (error.category ? [error.category] : []),
+        order: [],
+        byCount: true
+    },
+    {
+        id: 'urgency',
+        values: (error) => (error.urgency ? [error.urgency] : []),
+        order: URGENCY_ORDER
+    },
+    {
+        id: 'system',
+        values: (error) => getSystemPlatforms(error.system),
+        order: SYSTEM_PLATFORMS.map(platform => platform.id)
+    },
+    {
+        // Запись подходит, если хотя бы одно из ее решений имеет выбранный риск
+        id: 'risk',
+        values: (error) => Array.from(new Set((error.solutions || []).map(solution => solution.risk).filter(Boolean))),
+        order: ['low', 'medium', 'high']
+    },
+    {
+        id: 'audience',
+        values: (error) => (Array.isArray(error.audience) ? error.audience : []),
+        order: ['beginner', 'intermediate', 'advanced']
+    },
+    {
+        id: 'userAction',
+        values: (error) => (error.userAction ? [USER_ACTION_IDS[error.userAction] || error.userAction] : []),
+        order: Object.values(USER_ACTION_IDS)
+    }
+];
+
+// Даты lastUpdate в формате ДД.ММ.ГГГГ; запись без даты считается самой старой
+function parseUpdateDate(value) {
+    const match = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(value || '');
+    return match ? Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : 0;
+}
+
+// Позиция значения в порядке; неизвестные значения — в конце
+function orderRank(order, value) {
+    const index = order.indexOf(value);
+    return index === -1 ? order.length : index;
+}
+
+// Сортировки списка. default — порядок, в котором список получен (справочник или релевантность поиска).
+const ERROR_SORTS = {
+    default: null,
+    urgency: (a, b) => orderRank(URGENCY_ORDER, a.urgency) - orderRank(URGENCY_ORDER, b.urgency),
+    frequency: (a, b) => orderRank(FREQUENCY_ORDER, a.frequency) - orderRank(FREQUENCY_ORDER, b.frequency),
+    lastUpdate: (a, b) => parseUpdateDate(b.lastUpdate) - parseUpdateDate(a.lastUpdate),
+    code: (a, b) => a.code.localeCompare(b.code, 'en', { numeric: true, sensitivity: 'base' })
+};
+
+function getSystemPlatforms(system) {
+    if (typeof system !== 'string') return [];
+    return SYSTEM_PLATFORMS.filter(platform => platform.pattern.test(system)).map(platform => platform.id);
+}
+
+function getFacet(facetId) {
+    return ERROR_FACETS.find(facet => facet.id === facetId) || null;
+}
+
+function getFacetValues(error, facetId) {
+    const facet = getFacet(facetId);
+    return facet ? facet.values(error) : [];
+}
+
+// Пустое состояние списка: { filters: { [фасет]: [значения] }, sort }
+function createListState() {
+    return { filters: {}, sort: 'default' };
+}
+
+function hasActiveFilters(state) {
+    return Object.values(state.filters).some(values => values.length > 0);
+}
+
+// Внутри фасета значения объединяются через «или», между фасетами — через «и».
+// exceptFacet не учитывается: так считаются счетчики для значений этого фасета.
+function matchesFilters(error, filters, exceptFacet = null) {
+    return Object.entries(filters).every(([facetId, selected]) => {
+        if (facetId === exceptFacet || selected.length === 0) return true;
+        const values = getFacetValues(error, facetId);
+        return selected.some(value => values.includes(value));
+    });
+}
+
+function filterErrors(errors, filters) {
+    return errors.filter(error => matchesFilters(error, filters));
+}
+
+// Стабильная сортировка: при равенстве сохраняется исходный порядок
+function sortErrors(errors, sort) {
+    const compare = ERROR_SORTS[sort];
+    if (!compare) return errors.slice();
+
+    return errors
+        .map((error, index) => ({ error, index }))
+        .sort((a, b) => compare(a.error, b.error) || a.index - b.index)
+        .map(item => item.error);
+}
+
+function applyListState(errors, state) {
+    return sortErrors(filterErrors(errors, state.filters), state.sort);
+}
+
+// Значения фасетов для панели: [{ id, values: [{ value, count, selected }] }].
+// Счетчик значения учитывает фильтры остальных фасетов — сколько записей останется, если его выбрать.
+// Фасет, у которого в списке меньше двух значений, скрывается, если в нем ничего не выбрано.
+function getFacetCounts(errors, filters) {
+    return ERROR_FACETS.map(facet => {
+        const selected = filters[facet.id] || [];
+        const counts = new Map();
+
+        errors.forEach(error => {
+            const values = facet.values(error);
+            const matchesOthers = matchesFilters(error, filters, facet.id);
+            values.forEach(value => {
+                if (!counts.has(value)) counts.set(value, 0);
+                if (matchesOthers) counts.set(value, counts.get(value) + 1);
+            });
+        });
+        selected.forEach(value => {
+            if (!counts.has(value)) counts.set(value, 0);
+        });
+
+        const values = Array.from(counts.keys())
+            .sort((a, b) =>
+                (facet.byCount ? counts.get(b) - counts.get(a) : 0) ||
+                orderRank(facet.order, a) - orderRank(facet.order, b) ||
+                a.localeCompare(b)
+            )
+            .map(value => ({ value, count: counts.get(value), selected: selected.includes(value) }));
+
+        return { id: facet.id, values };
+    }).filter(facet => facet.values.length > 1 || facet.values.some(item => item.selected));
+}
+
+// Состояние из строки запроса (строка или URLSearchParams). Неизвестные фасеты и сортировки отбрасываются.
+function parseListQuery(search) {
+    const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+    const state = createListState();
+
+    ERROR_FACETS.forEach(facet => {
+        const raw = params.get(facet.id);
+        if (!raw) return;
+        const values = Array.from(new Set(raw.split(',').map(value => value.trim()).filter(Boolean)));
+        if (values.length > 0) state.filters[facet.id] = values;
+    });
+
+    const sort = params.get('sort');
+    if (sort && Object.prototype.hasOwnProperty.call(ERROR_SORTS, sort)) {
+        state.sort = sort;
+    }
+
+    return state;
+}
+
+// Строка запроса для состояния (без «?»). Фасеты идут в порядке ERROR_FACETS, чтобы адрес был стабильным;
+// значения разделяются запятой без экранирования ради читаемого адреса.
+function buildListQuery(state) {
+    const parts = [];
+
+    ERROR_FACETS.forEach(facet => {
+        const values = state.filters[facet.id] || [];
+        if (values.length > 0) {
+            parts.push(`${facet.id}=${values.map(value => encodeURIComponent(value)).join(',')}`);
+        }
+    });
+    if (state.sort && state.sort !== 'default') {
+        parts.push(`sort=${encodeURIComponent(state.sort)}`);
+    }
+
+    return parts.join('&');
+}
+
+// Выбор значения фасета включается и выключается; возвращается новое состояние
+function toggleFilterValue(state, facetId, value) {
+    const selected = state.filters[facetId] || [];
+    const values = selected.includes(value)
+        ? selected.filter(item => item !== value)
+        : [...selected, value];
+    const filters = { ...state.filters, [facetId]: values };
+    if (values.length === 0) delete filters[facetId];
+
+    return { ...state, filters };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYSTEM_PLATFORMS,
+        USER_ACTION_IDS,
+        ERROR_FACETS,
+        ERROR_SORTS,
+        getSystemPlatforms,
+        parseUpdateDate,
+        getFacetValues,
+        createListState,
+        hasActiveFilters,
+        filterErrors,
+        sortErrors,
+        applyListState,
+        getFacetCounts,
+        parseListQuery,
+        buildListQuery,
+        toggleFilterValue
+    };
+}
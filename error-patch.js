@@ -0,0 +1,252 @@
+// Выгрузка записи из редактора ErrorFOXbase: JSON Patch (RFC 6902) или файл категории целиком.
+// Запись форматируется так же, как записаны данные вручную: отступ в два пробела, подкатегории,
+// связанные ошибки и аудитория — в одну строку, шаги с командой и ответы диагностики — объектом в строку.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+const PATCH_INDENT = '  ';
+// Массивы строк, которые в файлах категорий записываются в одну строку; массивы чисел — всегда
+const INLINE_ARRAY_FIELDS = ['subcategories', 'related', 'audience'];
+
+function isPlainValue(value) {
+    return value === null || typeof value !== 'object';
+}
+
+function formatInlineArray(items) {
+    return `[${items.map(item => JSON.stringify(item)).join(', ')}]`;
+}
+
+function isInlineArray(value, field) {
+    return Array.isArray(value) && value.every(isPlainValue) &&
+        (INLINE_ARRAY_FIELDS.includes(field) || value.every(item => typeof item === 'number'));
+}
+
+// Объект в массиве, у которого все значения простые или короткие массивы: шаг с командой, ответ диагностики
+function isInlineObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(item => isPlainValue(item) || isInlineArray(item, null));
+}
+
+// Значение в стиле файлов категорий. field — имя поля, в котором оно лежит, inArray — элемент массива
+function formatJSONValue(value, depth = 0, field = null, inArray = false) {
+    if (isPlainValue(value)) return JSON.stringify(value);
+
+    const indent = PATCH_INDENT.repeat(depth + 1);
+    const closingIndent = PATCH_INDENT.repeat(depth);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        if (isInlineArray(value, field)) return formatInlineArray(value);
+        const items = value.map(item => `${indent}${formatJSONValue(item, depth + 1, null, true)}`);
+        return `[\n${items.join(',\n')}\n${closingIndent}]`;
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    if (inArray && isInlineObject(value)) {
+        return `{ ${entries.map(([key, item]) => `${JSON.stringify(key)}: ${isPlainValue(item) ? JSON.stringify(item) : formatInlineArray(item)}`).join(', ')} }`;
+    }
+    const lines = entries.map(([key, item]) => `${indent}${JSON.stringify(key)}: ${formatJSONValue(item, depth + 1, key)}`);
+    return `{\n${lines.join(',\n')}\n${closingIndent}}`;
+}
+
+// Запись с ключом на первом уровне файла: '  "КОД": {\n ... \n  }'
+function formatErrorEntry(key, error) {
+    return `${PATCH_INDENT}${JSON.stringify(key)}: ${formatJSONValue(error, 1)}`;
+}
+
+// Весь файл категории заново: нужен, только если в исходном тексте не удалось найти запись
+function formatErrorsFile(errors) {
+    const entries = Object.entries(errors).map(([key, error]) => formatErrorEntry(key, error));
+    return `{\n${entries.join(',\n')}\n}\n`;
+}
+
+// Сегмент JSON Pointer (RFC 6901): «~» и «/» в кодах вроде "HTTP/2" экранируются
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function jsonPointer(...segments) {
+    return segments.map(segment => `/${escapePointerSegment(segment)}`).join('');
+}
+
+// JSON Patch для каталога errors/. Документ — { [категория]: содержимое errors/<категория>.json },
+// поэтому путь начинается с категории: /windows/0x80070005/title. Новая запись добавляется целиком
+// (в новую категорию — вместе с ее файлом, если его еще нет: shardExists = false); у существующей
+// (original — ее исходный вид) заменяются, добавляются и удаляются только изменившиеся поля.
+// Смена кода или категории — удаление и добавление.
+function buildErrorPatch(error, { originalKey = null, original = null, shardExists = true } = {}) {
+    const key = error.code;
+    const add = shardExists
+        ? { op: 'add', path: jsonPointer(error.category, key), value: error }
+        : { op: 'add', path: jsonPointer(error.category), value: { [key]: error } };
+
+    if (!original || originalKey === null) {
+        return [add];
+    }
+    if (originalKey !== key || original.category !== error.category) {
+        return [{ op: 'remove', path: jsonPointer(original.category, originalKey) }, add];
+    }
+
+    const patch = [];
+    for (const field of Object.keys(original)) {
+        if (!(field in error)) patch.push({ op: 'remove', path: jsonPointer(error.category, key, field) });
+    }
+    for (const [field, value] of Object.entries(error)) {
+        if (!(field in original)) {
+            patch.push({ op: 'add', path: jsonPointer(error.category, key, field), value });
+        } else if (JSON.stringify(original[field]) !== JSON.stringify(value)) {
+            patch.push({ op: 'replace', path: jsonPointer(error.category, key, field), value });
+        }
+    }
+    return patch;
+}
+
+// Строки записи в тексте файла: { start, end } (индексы первой и последней строки) или null
+function findEntryLines(lines, key) {
+    const start = lines.indexOf(`${PATCH_INDENT}${JSON.stringify(key)}: {`);
+    if (start === -1) return null;
+
+    for (let index = start + 1; index < lines.length; index++) {
+        if (/^ {2}\},?\s*$/.test(lines[index])) return { start, end: index };
+        if (/^ {2}"/.test(lines[index])) return null;
+    }
+    return null;
+}
+
+function setTrailingComma(line, comma) {
+    const bare = line.replace(/,(\s*)$/, '$1');
+    return comma ? bare.replace(/(\s*)$/, ',$1') : bare;
+}
+
+// Поля записи в исходном тексте (строки между '  "КОД": {' и '  }'): поле -> { lines, value }.
+// null, если поля записаны не каждое со своей строки — тогда запись форматируется заново
+function readEntryFields(lines) {
+    const fields = new Map();
+    let current = null;
+    for (const line of lines) {
+        const match = /^ {4}("(?:[^"\\]|\\.)*"):/.exec(line);
+        if (match) {
+            current = { field: JSON.parse(match[1]), lines: [line] };
+            if (fields.has(current.field)) return null;
+            fields.set(current.field, current);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            return null;
+        }
+    }
+
+    for (const entry of fields.values()) {
+        const text = [...entry.lines.slice(0, -1), setTrailingComma(entry.lines[entry.lines.length - 1], false)].join('\n');
+        try {
+            const parsed = JSON.parse(`{${text}}`);
+            if (Object.keys(parsed).length !== 1) return null;
+            entry.value = parsed[entry.field];
+        } catch (parseError) {
+            return null;
+        }
+    }
+    return fields;
+}
+
+// Строки записи для замены на месте: поля, которые не изменились, сохраняют исходный текст
+// (числа, экранирование, пробелы в конце строк), остальные форматируются как в formatErrorEntry
+function formatEntryFields(key, error, sourceLines) {
+    const source = readEntryFields(sourceLines);
+    if (!source) return formatErrorEntry(key, error).split('\n').slice(0, -1);
+
+    const fields = Object.entries(error);
+    const body = fields.flatMap(([field, value], index) => {
+        const kept = source.get(field);
+        const fieldLines = kept && JSON.stringify(kept.value) === JSON.stringify(value)
+            ? [...kept.lines]
+            : `${PATCH_INDENT.repeat(2)}${JSON.stringify(field)}: ${formatJSONValue(value, 2, field)}`.split('\n');
+        fieldLines[fieldLines.length - 1] = setTrailingComma(fieldLines[fieldLines.length - 1], index < fields.length - 1);
+        return fieldLines;
+    });
+    return [`${PATCH_INDENT}${JSON.stringify(key)}: {`, ...body];
+}
+
+// Новый текст файла категории: запись originalKey заменяется на месте, новая добавляется в конец.
+// Остальной текст не трогается, как и неизмененные поля самой записи, поэтому сохранение записи
+// без изменений возвращает файл байт в байт. Если текст не удалось разобрать построчно,
+// файл форматируется заново целиком (formatErrorsFile).
+function applyErrorToFile(fileText, error, { originalKey = null } = {}) {
+    const errors = JSON.parse(fileText);
+    const key = error.code;
+    const expected = {};
+    let replaced = false;
+    for (const [entryKey, entry] of Object.entries(errors)) {
+        if (entryKey === originalKey) {
+            expected[key] = error;
+            replaced = true;
+        } else if (entryKey !== key) {
+            expected[entryKey] = entry;
+        }
+    }
+    if (!replaced) expected[key] = error;
+
+    const lines = fileText.split('\n');
+    const entry = originalKey !== null ? findEntryLines(lines, originalKey) : null;
+    let result = null;
+
+    if (entry) {
+        // Закрывающая строка остается своей: запятая после записи при замене не меняется
+        const block = [...formatEntryFields(key, error, lines.slice(entry.start + 1, entry.end)), lines[entry.end]];
+        result = [...lines.slice(0, entry.start), ...block, ...lines.slice(entry.end + 1)].join('\n');
+    } else if (!(key in errors)) {
+        const block = formatErrorEntry(key, error).split('\n');
+        const closing = lines.map(line => line.trimEnd()).lastIndexOf('}');
+        const last = closing > 0 ? closing - 1 : -1;
+        if (last >= 0 && /^ {2}\}\s*$/.test(lines[last])) {
+            result = [...lines.slice(0, last), `${lines[last].trimEnd()},`, ...block, ...lines.slice(closing)].join('\n');
+        }
+    }
+
+    try {
+        if (result !== null && JSON.stringify(JSON.parse(result)) === JSON.stringify(expected)) return result;
+    } catch (parseError) {
+        // Построчная замена не удалась — ниже файл собирается заново
+    }
+    return formatErrorsFile(expected);
+}
+
+// Текст файла категории без записи key — для записи, которая перешла в другую категорию.
+// Как и applyErrorToFile, остальной текст не меняется, а при неудаче файл форматируется заново.
+function removeErrorFromFile(fileText, key) {
+    const errors = JSON.parse(fileText);
+    const expected = { ...errors };
+    delete expected[key];
+
+    const lines = fileText.split('\n');
+    const entry = findEntryLines(lines, key);
+    let result = null;
+
+    if (entry) {
+        const rest = [...lines.slice(0, entry.start), ...lines.slice(entry.end + 1)];
+        // Удалена последняя запись: у предыдущей больше не должно быть запятой
+        if (!lines[entry.end].trim().endsWith(',') && entry.start > 0) {
+            rest[entry.start - 1] = rest[entry.start - 1].replace(/,\s*$/, '');
+        }
+        result = rest.join('\n');
+    }
+
+    try {
+        if (result !== null && JSON.stringify(JSON.parse(result)) === JSON.stringify(expected)) return result;
+    } catch (parseError) {
+        // Построчное удаление не удалось — ниже файл собирается заново
+    }
+    return formatErrorsFile(expected);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        formatJSONValue,
+        formatErrorEntry,
+        formatErrorsFile,
+        jsonPointer,
+        buildErrorPatch,
+        applyErrorToFile,
+        removeErrorFromFile
+    };
+}
@@ -0,0 +1,578 @@
+// Схема данных ErrorFOXbase: записи ошибок (errors/<категория>.json), categories.json, subcategories.json
+// Используется приложением для проверки записей при загрузке и линтером tools/lint-data.js.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+const SOLUTION_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const RISK_LEVELS = ['low', 'medium', 'high', 'низкий', 'средний', 'высокий'];
+const URGENCY_LEVELS = ['low', 'medium', 'high'];
+const USER_ACTIONS = ['требуется', 'ожидание'];
+const COMMAND_SHELLS = ['cmd', 'powershell', 'bash'];
+
+// Сообщения проверки показываются и в редакторе, поэтому берутся из каталогов i18n.js.
+// На странице t уже подключена, в Node берется через require (линтер выводит сообщения на русском)
+const schemaDependencies = typeof module !== 'undefined' && module.exports
+    ? { t: require('./i18n.js').t }
+    : { t };
+
+// Подмножество JSON Schema: type, required, properties, additionalProperties
+// (false или схема для значений остальных полей), items, minItems, enum, minLength, maxLength,
+// pattern, anyOf (варианты различаются по type)
+
+// Шаг решения: строка с текстом или объект с командой для копирования.
+// elevated — команда требует прав администратора (cmd, PowerShell) или root (bash).
+const STEP_SCHEMA = {
+    anyOf: [
+        { type: 'string', minLength: 1, maxLength: 1000 },
+        {
+            type: 'object',
+            required: ['text'],
+            additionalProperties: false,
+            properties: {
+                text: { type: 'string', minLength: 1, maxLength: 1000 },
+                command: { type: 'string', minLength: 1, maxLength: 1000 },
+                shell: { type: 'string', enum: COMMAND_SHELLS },
+                elevated: { type: 'boolean' }
+            }
+        }
+    ]
+};
+
+const SOLUTION_SCHEMA = {
+    type: 'object',
+    required: ['level', 'title', 'time', 'risk', 'steps'],
+    additionalProperties: false,
+    properties: {
+        level: { type: 'string', enum: SOLUTION_LEVELS },
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        time: { type: 'string', minLength: 1, maxLength: 50 },
+        risk: { type: 'string', enum: RISK_LEVELS },
+        description: { type: 'string', minLength: 1, maxLength: 2000 },
+        warning: { type: 'string', minLength: 1, maxLength: 1000 },
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: STEP_SCHEMA
+        }
+    }
+};
+
+const DIAGNOSTIC_ID_PATTERN = '^[a-z0-9_]+$';
+
+// Дерево диагностики: вопросы с вариантами ответов. Ответ ведет либо к следующему
+// вопросу (next), либо к списку подходящих решений (solutions — индексы в массиве solutions).
+const DIAGNOSTIC_ANSWER_SCHEMA = {
+    type: 'object',
+    required: ['text'],
+    additionalProperties: false,
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 200 },
+        next: { type: 'string', pattern: DIAGNOSTIC_ID_PATTERN },
+        solutions: { type: 'array', minItems: 1, items: { type: 'number' } }
+    }
+};
+
+const DIAGNOSTIC_QUESTION_SCHEMA = {
+    type: 'object',
+    required: ['text', 'answers'],
+    additionalProperties: false,
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 300 },
+        answers: { type: 'array', minItems: 2, items: DIAGNOSTIC_ANSWER_SCHEMA }
+    }
+};
+
+const DIAGNOSTICS_SCHEMA = {
+    type: 'object',
+    required: ['start', 'questions'],
+    additionalProperties: false,
+    properties: {
+        start: { type: 'string', pattern: DIAGNOSTIC_ID_PATTERN },
+        questions: { type: 'object', additionalProperties: DIAGNOSTIC_QUESTION_SCHEMA }
+    }
+};
+
+// Переводы: translations.<язык> повторяет текстовые поля записи, непереведенное берется
+// из исходной. Шаги переводятся только текстом — команда остается из исходного шага,
+// solutions и steps сопоставляются по индексу, вопросы диагностики — по id.
+const LOCALE_PATTERN = '^[a-z]{2}$';
+
+const SOLUTION_TRANSLATION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', minLength: 1, maxLength: 2000 },
+        warning: { type: 'string', minLength: 1, maxLength: 1000 },
+        steps: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 1000 } }
+    }
+};
+
+const DIAGNOSTIC_QUESTION_TRANSLATION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 300 },
+        answers: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 200 } }
+    }
+};
+
+const ERROR_TRANSLATION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', minLength: 1, maxLength: 3000 },
+        causes: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 500 } },
+        solutions: { type: 'array', items: SOLUTION_TRANSLATION_SCHEMA },
+        diagnostics: { type: 'object', additionalProperties: DIAGNOSTIC_QUESTION_TRANSLATION_SCHEMA }
+    }
+};
+
+// Перевод названия категории или подкатегории
+const ENTRY_TRANSLATION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' }
+    }
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['code', 'title', 'description', 'category', 'subcategories', 'solutions', 'urgency'],
+    additionalProperties: false,
+    properties: {
+        code: { type: 'string', minLength: 1, maxLength: 80, pattern: '^[A-Za-z0-9\\-_.:/# ]+$' },
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', minLength: 1, maxLength: 3000 },
+        causes: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 500 } },
+        category: { type: 'string', minLength: 1 },
+        subcategories: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[a-z0-9_]+$' } },
+        related: { type: 'array', items: { type: 'string', minLength: 1 } },
+        audience: { type: 'array', items: { type: 'string', enum: SOLUTION_LEVELS } },
+        solutions: { type: 'array', items: SOLUTION_SCHEMA },
+        diagnostics: DIAGNOSTICS_SCHEMA,
+        system: { type: 'string', minLength: 1, maxLength: 200 },
+        urgency: { type: 'string', enum: URGENCY_LEVELS },
+        frequency: { type: 'string', minLength: 1, maxLength: 50 },
+        lastUpdate: { type: 'string', pattern: '^\\d{2}\\.\\d{2}\\.\\d{4}$' },
+        userAction: { type: 'string', enum: USER_ACTIONS },
+        translations: { type: 'object', additionalProperties: ERROR_TRANSLATION_SCHEMA }
+    }
+};
+
+const CATEGORY_SCHEMA = {
+    type: 'object',
+    required: ['name', 'icon'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        icon: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        translations: { type: 'object', additionalProperties: ENTRY_TRANSLATION_SCHEMA }
+    }
+};
+
+const SUBCATEGORY_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'icon'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', pattern: '^[a-z0-9_]+$' },
+        name: { type: 'string', minLength: 1 },
+        icon: { type: 'string', minLength: 1 },
+        translations: { type: 'object', additionalProperties: ENTRY_TRANSLATION_SCHEMA }
+    }
+};
+
+// Шаг всегда в виде объекта { text, command?, shell?, elevated? } — строка превращается в { text }.
+// Результат по-прежнему проходит STEP_SCHEMA.
+function normalizeStep(step) {
+    return typeof step === 'string' ? { text: step } : { ...step };
+}
+
+// Текст шага вместе с командой — для поиска и текстовых выгрузок
+function getStepText(step) {
+    const { text, command } = normalizeStep(step);
+    return command ? `${text}: ${command}` : text;
+}
+
+// Время решения в минутах: "5 минут" -> { min: 5, max: 5 }, "15-60 минут" -> { min: 15, max: 60 },
+// "1 час" -> { min: 60, max: 60 }. Нераспознанный текст -> null.
+function parseDuration(time) {
+    const match = /^(\d+)(?:\s*[-–]\s*(\d+))?\s*(мин|мин\.|минута|минуты|минут|min|mins|minutes?|ч|ч\.|час|часа|часов|h|hours?)$/i
+        .exec(String(time).trim());
+    if (!match) return null;
+
+    const multiplier = /^(ч|час|h)/i.test(match[3]) ? 60 : 1;
+    const min = Number(match[1]) * multiplier;
+    const max = (match[2] !== undefined ? Number(match[2]) : Number(match[1])) * multiplier;
+    return max >= min ? { min, max } : null;
+}
+
+function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Проверка значения по схеме. Возвращает [{ severity, path, message }].
+// Неизвестные поля — предупреждения, остальные нарушения — ошибки.
+function validateAgainstSchema(value, schema, path = '') {
+    const issues = [];
+    const { t } = schemaDependencies;
+    const error = (message) => issues.push({ severity: 'error', path, message });
+
+    const actualType = describeType(value);
+    if (schema.anyOf) {
+        const variant = schema.anyOf.find(option => option.type === actualType);
+        if (!variant) {
+            error(t('validation.type', { expected: schema.anyOf.map(option => option.type).join(` ${t('validation.or')} `), actual: actualType }));
+            return issues;
+        }
+        return validateAgainstSchema(value, variant, path);
+    }
+
+    if (schema.type && actualType !== schema.type) {
+        error(t('validation.type', { expected: schema.type, actual: actualType }));
+        return issues;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(t('validation.enum', { value: JSON.stringify(value), allowed: schema.enum.join(', ') }));
+    }
+
+    if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            error(t('validation.empty'));
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            error(t('validation.tooLong', { max: schema.maxLength, length: value.length }));
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error(t('validation.pattern', { value: JSON.stringify(value), pattern: schema.pattern }));
+        }
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(t('validation.minItems', { count: schema.minItems }));
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                issues.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const field of schema.required || []) {
+            if (!(field in value)) {
+                issues.push({ severity: 'error', path, message: t('validation.required', { field }) });
+            }
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+            const fieldPath = path ? `${path}.${field}` : field;
+            const fieldSchema = schema.properties && schema.properties[field];
+            if (fieldSchema) {
+                issues.push(...validateAgainstSchema(fieldValue, fieldSchema, fieldPath));
+            } else if (typeof schema.additionalProperties === 'object') {
+                issues.push(...validateAgainstSchema(fieldValue, schema.additionalProperties, fieldPath));
+            } else if (schema.additionalProperties === false) {
+                issues.push({ severity: 'warning', path: fieldPath, message: t('validation.unknownField') });
+            }
+        }
+    }
+
+    return issues;
+}
+
+// Дата в формате ДД.ММ.ГГГГ: существующая и не из будущего
+function validateUpdateDate(value, today = new Date()) {
+    const { t } = schemaDependencies;
+    const match = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(value);
+    if (!match) return t('validation.dateFormat');
+
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return t('validation.dateInvalid', { date: value });
+    }
+    if (date > today) {
+        return t('validation.dateFuture', { date: value });
+    }
+    return null;
+}
+
+// Связность дерева диагностики: существующие переходы и решения, отсутствие циклов,
+// достижимость вопросов. Структуру полей проверяет DIAGNOSTICS_SCHEMA.
+function validateDiagnostics(diagnostics, solutionCount) {
+    const { t } = schemaDependencies;
+    const issues = [];
+    const questions = describeType(diagnostics.questions) === 'object' ? diagnostics.questions : {};
+    const ids = Object.keys(questions);
+    const add = (severity, path, message) => issues.push({ severity, path: `diagnostics${path}`, message });
+
+    if (ids.length === 0) {
+        add('error', '.questions', t('validation.noQuestions'));
+        return issues;
+    }
+    if (!(diagnostics.start in questions)) {
+        add('error', '.start', t('validation.startMissing', { id: diagnostics.start }));
+    }
+
+    for (const id of ids) {
+        if (!new RegExp(DIAGNOSTIC_ID_PATTERN).test(id)) {
+            add('error', `.questions.${id}`, t('validation.questionId', { id, pattern: DIAGNOSTIC_ID_PATTERN }));
+        }
+
+        const answers = Array.isArray(questions[id] && questions[id].answers) ? questions[id].answers : [];
+        answers.forEach((answer, index) => {
+            const path = `.questions.${id}.answers[${index}]`;
+            if (describeType(answer) !== 'object') return;
+
+            if (('next' in answer) === ('solutions' in answer)) {
+                add('error', path, t('validation.answerTarget'));
+            }
+            if (typeof answer.next === 'string' && !(answer.next in questions)) {
+                add('error', `${path}.next`, t('validation.questionMissing', { id: answer.next }));
+            }
+            if (Array.isArray(answer.solutions)) {
+                answer.solutions.forEach((solutionIndex, position) => {
+                    if (!Number.isInteger(solutionIndex) || solutionIndex < 0 || solutionIndex >= solutionCount) {
+                        add('error', `${path}.solutions[${position}]`, t('validation.solutionIndex', { index: solutionIndex, count: solutionCount }));
+                    }
+                });
+            }
+        });
+    }
+
+    // Обход в глубину от начального вопроса: циклы и недостижимые вопросы
+    const state = new Map();
+    const visit = (id, trail) => {
+        if (state.get(id) === 'visiting') {
+            add('error', `.questions.${id}`, t('validation.cycle', { path: [...trail.slice(trail.indexOf(id)), id].join(' → ') }));
+            return;
+        }
+        if (state.has(id) || !(id in questions)) return;
+
+        state.set(id, 'visiting');
+        const answers = Array.isArray(questions[id].answers) ? questions[id].answers : [];
+        answers.forEach(answer => {
+            if (answer && typeof answer.next === 'string') visit(answer.next, [...trail, id]);
+        });
+        state.set(id, 'done');
+    };
+    visit(diagnostics.start, []);
+
+    ids.filter(id => !state.has(id)).forEach(id => {
+        add('warning', `.questions.${id}`, t('validation.unreachable'));
+    });
+
+    return issues;
+}
+
+// Соответствие переводов записи: коды языков, число решений, шагов и ответов,
+// существующие вопросы диагностики. Структуру полей проверяет ERROR_TRANSLATION_SCHEMA.
+function validateTranslations(error) {
+    const { t } = schemaDependencies;
+    const issues = [];
+    const solutions = Array.isArray(error.solutions) ? error.solutions : [];
+    const questions = error.diagnostics && describeType(error.diagnostics.questions) === 'object'
+        ? error.diagnostics.questions
+        : {};
+
+    for (const [locale, translation] of Object.entries(error.translations)) {
+        const path = `translations.${locale}`;
+        if (!new RegExp(LOCALE_PATTERN).test(locale)) {
+            issues.push({ severity: 'error', path, message: t('validation.locale', { locale, pattern: LOCALE_PATTERN }) });
+        }
+        if (describeType(translation) !== 'object') continue;
+
+        if (Array.isArray(translation.solutions)) {
+            if (translation.solutions.length > solutions.length) {
+                issues.push({ severity: 'error', path: `${path}.solutions`, message: t('validation.extraSolutions', { count: solutions.length }) });
+            }
+            translation.solutions.forEach((solutionTranslation, index) => {
+                const steps = solutions[index] && Array.isArray(solutions[index].steps) ? solutions[index].steps : [];
+                if (solutionTranslation && Array.isArray(solutionTranslation.steps) && solutionTranslation.steps.length !== steps.length) {
+                    issues.push({
+                        severity: 'warning',
+                        path: `${path}.solutions[${index}].steps`,
+                        message: t('validation.stepCount', { translated: solutionTranslation.steps.length, count: steps.length })
+                    });
+                }
+            });
+        }
+
+        if (describeType(translation.diagnostics) === 'object') {
+            for (const [id, questionTranslation] of Object.entries(translation.diagnostics)) {
+                if (!(id in questions)) {
+                    issues.push({ severity: 'error', path: `${path}.diagnostics.${id}`, message: t('validation.translatedQuestion', { id }) });
+                    continue;
+                }
+                const answers = Array.isArray(questions[id].answers) ? questions[id].answers : [];
+                if (questionTranslation && Array.isArray(questionTranslation.answers) && questionTranslation.answers.length !== answers.length) {
+                    issues.push({
+                        severity: 'warning',
+                        path: `${path}.diagnostics.${id}.answers`,
+                        message: t('validation.answerCount', { translated: questionTranslation.answers.length, count: answers.length })
+                    });
+                }
+            }
+        }
+    }
+
+    return issues;
+}
+
+// Проверка одной записи справочника ошибок вместе со ссылками на категории, подкатегории и связанные ошибки.
+// context: { categories: { id: {...} }, subcategories: { categoryId: [{ id, name }] }, errors: { код: {...} } }
+function validateErrorEntry(key, error, context = {}) {
+    const { t } = schemaDependencies;
+    const issues = validateAgainstSchema(error, ERROR_SCHEMA);
+    if (describeType(error) !== 'object') return issues;
+
+    if (typeof error.code === 'string' && key !== error.code) {
+        issues.push({ severity: 'error', path: 'code', message: t('validation.keyMismatch', { key, code: error.code }) });
+    }
+
+    if (context.categories && typeof error.category === 'string' && !(error.category in context.categories)) {
+        issues.push({ severity: 'error', path: 'category', message: t('validation.categoryMissing', { category: error.category }) });
+    }
+
+    if (Array.isArray(error.subcategories)) {
+        const known = context.subcategories ? context.subcategories[error.category] || [] : null;
+        const seen = new Set();
+
+        error.subcategories.forEach((subcategoryId, index) => {
+            if (seen.has(subcategoryId)) {
+                issues.push({ severity: 'error', path: `subcategories[${index}]`, message: t('validation.subcategoryDuplicate', { id: subcategoryId }) });
+            }
+            seen.add(subcategoryId);
+
+            if (known && !known.some(subcategory => subcategory.id === subcategoryId)) {
+                issues.push({
+                    severity: 'error',
+                    path: `subcategories[${index}]`,
+                    message: t('validation.subcategoryMissing', { id: subcategoryId, category: error.category })
+                });
+            }
+        });
+    }
+
+    if (Array.isArray(error.related)) {
+        const seen = new Set();
+
+        error.related.forEach((code, index) => {
+            const path = `related[${index}]`;
+            if (code === key) {
+                issues.push({ severity: 'error', path, message: t('validation.relatedSelf') });
+            } else if (seen.has(code)) {
+                issues.push({ severity: 'error', path, message: t('validation.relatedDuplicate', { code }) });
+            } else if (context.errors && !(code in context.errors)) {
+                issues.push({ severity: 'error', path, message: t('validation.relatedMissing', { code }) });
+            }
+            seen.add(code);
+        });
+    }
+
+    if (Array.isArray(error.solutions)) {
+        error.solutions.forEach((solution, solutionIndex) => {
+            const steps = solution && Array.isArray(solution.steps) ? solution.steps : [];
+            steps.forEach((step, stepIndex) => {
+                if (describeType(step) !== 'object') return;
+                const path = `solutions[${solutionIndex}].steps[${stepIndex}]`;
+                if ('command' in step && !('shell' in step)) {
+                    issues.push({ severity: 'error', path, message: t('validation.shellMissing', { shells: COMMAND_SHELLS.join(', ') }) });
+                }
+                if (!('command' in step) && ('shell' in step || 'elevated' in step)) {
+                    issues.push({ severity: 'warning', path, message: t('validation.shellWithoutCommand') });
+                }
+            });
+        });
+    }
+
+    if (describeType(error.diagnostics) === 'object') {
+        const solutionCount = Array.isArray(error.solutions) ? error.solutions.length : 0;
+        issues.push(...validateDiagnostics(error.diagnostics, solutionCount));
+    }
+
+    if (describeType(error.translations) === 'object') {
+        issues.push(...validateTranslations(error));
+    }
+
+    if (typeof error.lastUpdate === 'string') {
+        const dateProblem = validateUpdateDate(error.lastUpdate);
+        if (dateProblem) {
+            issues.push({ severity: 'error', path: 'lastUpdate', message: dateProblem });
+        }
+    }
+
+    return issues;
+}
+
+// Проверка всего справочника. errors — записи всех файлов категорий, errorFiles — файл каждой записи
+// для сообщений. Возвращает [{ file, key, severity, path, message }].
+function validateDatabase({ errors, categories, subcategories, errorFiles = {} }) {
+    const { t } = schemaDependencies;
+    const issues = [];
+    const add = (file, key, list) => list.forEach(issue => issues.push({ file, key, ...issue }));
+
+    for (const [id, category] of Object.entries(categories)) {
+        add('categories.json', id, validateAgainstSchema(category, CATEGORY_SCHEMA));
+    }
+
+    for (const [categoryId, list] of Object.entries(subcategories)) {
+        if (!(categoryId in categories)) {
+            add('subcategories.json', categoryId, [{ severity: 'error', path: '', message: t('validation.categoryMissing', { category: categoryId }) }]);
+        }
+        if (!Array.isArray(list)) {
+            add('subcategories.json', categoryId, [{ severity: 'error', path: '', message: t('validation.subcategoriesArray') }]);
+            continue;
+        }
+
+        const seenIds = new Set();
+        list.forEach((subcategory, index) => {
+            add('subcategories.json', categoryId, validateAgainstSchema(subcategory, SUBCATEGORY_SCHEMA, `[${index}]`));
+            if (subcategory && seenIds.has(subcategory.id)) {
+                add('subcategories.json', categoryId, [{ severity: 'error', path: `[${index}].id`, message: t('validation.duplicateId', { id: subcategory.id }) }]);
+            }
+            seenIds.add(subcategory && subcategory.id);
+        });
+    }
+
+    for (const [key, error] of Object.entries(errors)) {
+        add(errorFiles[key] || 'errors', key, validateErrorEntry(key, error, { categories, subcategories, errors }));
+    }
+
+    return issues;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ERROR_SCHEMA,
+        SOLUTION_SCHEMA,
+        CATEGORY_SCHEMA,
+        SUBCATEGORY_SCHEMA,
+        DIAGNOSTICS_SCHEMA,
+        SOLUTION_LEVELS,
+        RISK_LEVELS,
+        URGENCY_LEVELS,
+        USER_ACTIONS,
+        COMMAND_SHELLS,
+        STEP_SCHEMA,
+        ERROR_TRANSLATION_SCHEMA,
+        ENTRY_TRANSLATION_SCHEMA,
+        normalizeStep,
+        getStepText,
+        parseDuration,
+        validateAgainstSchema,
+        validateErrorEntry,
+        validateDiagnostics,
+        validateTranslations,
+        validateUpdateDate,
+        validateDatabase
+    };
+}
@@ -0,0 +1,98 @@
+// Справочник ошибок ErrorFOXbase по частям: записи каждой категории лежат в errors/<категория>.json
+// (формат прежний: код -> запись), а errors-index.json — оглавление, которое приложение загружает
+// при старте. В оглавлении для каждой записи только код, заголовок, категория, подкатегории и срочность:
+// их хватает для счетчиков, поиска по коду, подписей и сканера логов. Описание, причины и решения
+// приходят с файлом категории, когда его откроют. Для статистики на главной у каждого файла
+// категории в оглавлении записано число решений.
+// Оглавление собирается из файлов категорий: node tools/build-error-index.js.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+const ERROR_INDEX_FILE = 'errors-index.json';
+const ERROR_SHARDS_DIRECTORY = 'errors';
+const ERROR_INDEX_VERSION = 2;
+
+// На странице схемы из error-schema.js уже подключены, в Node берутся через require
+const errorShardsDependencies = typeof module !== 'undefined' && module.exports
+    ? require('./error-schema.js')
+    : { ERROR_SCHEMA, ERROR_TRANSLATION_SCHEMA };
+
+// Поля записи в оглавлении; из переводов остается только заголовок
+const SUMMARY_FIELDS = ['code', 'title', 'category', 'subcategories', 'urgency'];
+const SUMMARY_TRANSLATION_FIELDS = ['title'];
+
+function errorShardPath(category) {
+    return `${ERROR_SHARDS_DIRECTORY}/${category}.json`;
+}
+
+function pickFields(source, fields) {
+    const result = {};
+    if (!source || typeof source !== 'object') return result;
+    for (const field of fields) {
+        if (source[field] !== undefined) result[field] = source[field];
+    }
+    return result;
+}
+
+// Краткая запись для оглавления. Переводы без заголовка в нее не попадают
+function summarizeError(error) {
+    const summary = pickFields(error, SUMMARY_FIELDS);
+    if (error.translations && typeof error.translations === 'object') {
+        const translations = {};
+        for (const [locale, translation] of Object.entries(error.translations)) {
+            const summaryTranslation = pickFields(translation, SUMMARY_TRANSLATION_FIELDS);
+            if (Object.keys(summaryTranslation).length > 0) translations[locale] = summaryTranslation;
+        }
+        if (Object.keys(translations).length > 0) summary.translations = translations;
+    }
+    return summary;
+}
+
+// Оглавление из файлов категорий. shards — { [категория]: { [код]: запись } } в порядке categories.json:
+// в этом порядке идут и записи оглавления. Для каждой категории — ее файл и число решений в нем
+function buildErrorIndex(shards) {
+    const index = { version: ERROR_INDEX_VERSION, shards: {}, errors: {} };
+    for (const [category, errors] of Object.entries(shards)) {
+        let solutions = 0;
+        for (const [key, error] of Object.entries(errors)) {
+            index.errors[key] = summarizeError(error);
+            solutions += Array.isArray(error.solutions) ? error.solutions.length : 0;
+        }
+        index.shards[category] = { file: errorShardPath(category), solutions };
+    }
+    return index;
+}
+
+// Схема краткой записи: поля SUMMARY_FIELDS из ERROR_SCHEMA, в переводах — только заголовок.
+// Полная запись тоже ей соответствует: лишние поля дают лишь предупреждения
+const ERROR_SUMMARY_SCHEMA = (() => {
+    const { ERROR_SCHEMA, ERROR_TRANSLATION_SCHEMA } = errorShardsDependencies;
+
+    return {
+        type: 'object',
+        required: SUMMARY_FIELDS,
+        additionalProperties: false,
+        properties: {
+            ...pickFields(ERROR_SCHEMA.properties, SUMMARY_FIELDS),
+            translations: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: pickFields(ERROR_TRANSLATION_SCHEMA.properties, SUMMARY_TRANSLATION_FIELDS)
+                }
+            }
+        }
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ERROR_INDEX_FILE,
+        ERROR_SHARDS_DIRECTORY,
+        ERROR_INDEX_VERSION,
+        ERROR_SUMMARY_SCHEMA,
+        errorShardPath,
+        summarizeError,
+        buildErrorIndex
+    };
+}
@@ -0,0 +1,157 @@
+// Выгрузка руководства по ошибке ErrorFOXbase: Markdown, простой текст и HTML для печати.
+// Генератор — чистая функция от записи ошибки (как ее отдает ErrorDatabaseService.getError):
+// подписи берутся через translate, по умолчанию t из i18n.js.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+const GUIDE_FORMATS = ['markdown', 'text', 'html'];
+
+// На странице normalizeStep (error-schema.js) и t (i18n.js) уже подключены, в Node берутся через require
+const guideDependencies = typeof module !== 'undefined' && module.exports
+    ? { normalizeStep: require('./error-schema.js').normalizeStep, t: require('./i18n.js').t }
+    : { normalizeStep, t };
+
+// Ограждение для кода длиннее самой длинной серии обратных кавычек в команде
+function markdownFence(code) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+function escapeGuideHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Оформление блоков для каждого формата. Блоки склеиваются пустой строкой (в HTML — переводом строки).
+const GUIDE_FORMATTERS = {
+    markdown: {
+        title: (code, title) => `# \`${code}\`: ${escapeMarkdown(title)}`,
+        heading: (text) => `## ${escapeMarkdown(text)}`,
+        subheading: (text) => `### ${escapeMarkdown(text)}`,
+        paragraph: (text) => escapeMarkdown(text),
+        meta: (pairs) => pairs.map(([label, value]) => `**${escapeMarkdown(label)}** ${escapeMarkdown(value)}`).join('  \n'),
+        emphasis: (text) => `*${escapeMarkdown(text)}*`,
+        warning: (label, text) => `> **⚠ ${escapeMarkdown(label)}:** ${escapeMarkdown(text)}`,
+        list: (items) => items.map(item => `- ${escapeMarkdown(item)}`).join('\n'),
+        steps: (steps) => steps.map((step, index) => {
+            const lines = [`${index + 1}. ${escapeMarkdown(step.text)}`];
+            if (step.command) {
+                const fence = markdownFence(step.command);
+                if (step.note) lines.push(`   *${escapeMarkdown(step.note)}*`);
+                lines.push('', `   ${fence}${step.shell || ''}`, ...step.command.split('\n').map(line => `   ${line}`), `   ${fence}`);
+            }
+            return lines.join('\n');
+        }).join('\n'),
+        source: (label, url) => `${escapeMarkdown(label)}: <${url}>`,
+        join: (blocks) => `${blocks.join('\n\n')}\n`
+    },
+    text: {
+        title: (code, title) => {
+            const line = `${code}: ${title}`;
+            return `${line}\n${'='.repeat(line.length)}`;
+        },
+        heading: (text) => `${text}\n${'-'.repeat(text.length)}`,
+        subheading: (text) => text,
+        paragraph: (text) => text,
+        meta: (pairs) => pairs.map(([label, value]) => `${label} ${value}`).join('\n'),
+        emphasis: (text) => `(${text})`,
+        warning: (label, text) => `! ${label}: ${text}`,
+        list: (items) => items.map(item => `- ${item}`).join('\n'),
+        steps: (steps) => steps.map((step, index) => {
+            const lines = [`${index + 1}. ${step.text}`];
+            if (step.command) {
+                if (step.note) lines.push(`   (${step.note})`);
+                lines.push(...step.command.split('\n').map(line => `       ${line}`));
+            }
+            return lines.join('\n');
+        }).join('\n'),
+        source: (label, url) => `${label}: ${url}`,
+        join: (blocks) => `${blocks.join('\n\n')}\n`
+    },
+    html: {
+        title: (code, title) => `<h1><code>${escapeGuideHTML(code)}</code>: ${escapeGuideHTML(title)}</h1>`,
+        heading: (text) => `<h2>${escapeGuideHTML(text)}</h2>`,
+        subheading: (text) => `<h3>${escapeGuideHTML(text)}</h3>`,
+        paragraph: (text) => `<p>${escapeGuideHTML(text)}</p>`,
+        meta: (pairs) => `<p class="guide-meta">${pairs.map(([label, value]) => `<strong>${escapeGuideHTML(label)}</strong> ${escapeGuideHTML(value)}`).join('<br>')}</p>`,
+        emphasis: (text) => `<p class="guide-solution-meta"><em>${escapeGuideHTML(text)}</em></p>`,
+        warning: (label, text) => `<p class="guide-warning"><strong>⚠ ${escapeGuideHTML(label)}:</strong> ${escapeGuideHTML(text)}</p>`,
+        list: (items) => `<ul>${items.map(item => `<li>${escapeGuideHTML(item)}</li>`).join('')}</ul>`,
+        steps: (steps) => `<ol>${steps.map(step => `<li>${escapeGuideHTML(step.text)}${step.command ? `
+            ${step.note ? `<br><em>${escapeGuideHTML(step.note)}</em>` : ''}
+            <pre><code>${escapeGuideHTML(step.command)}</code></pre>` : ''}</li>`).join('')}</ol>`,
+        source: (label, url) => `<p class="guide-source">${escapeGuideHTML(label)}: ${escapeGuideHTML(url)}</p>`,
+        join: (blocks) => blocks.join('\n')
+    }
+};
+
+// Подпись значения из перечисления: перевод, если ключ известен, иначе значение как есть
+function translateValue(translate, prefix, value) {
+    const key = `${prefix}.${value}`;
+    const text = translate(key);
+    return text === key ? value : text;
+}
+
+// Руководство по ошибке: код, описание, сведения, причины, все решения с предупреждениями и шагами.
+// options.url — ссылка на страницу ошибки в конце; options.translate — функция перевода подписей;
+// options.formatTime — подпись времени решения (по умолчанию строка из данных как есть).
+function buildErrorGuide(error, format = 'markdown', { translate = guideDependencies.t, formatTime = time => time, url = '' } = {}) {
+    const formatter = GUIDE_FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Неизвестный формат выгрузки: ${format}`);
+    }
+
+    const blocks = [formatter.title(error.code, error.title), formatter.paragraph(error.description)];
+
+    const meta = [];
+    if (error.system) meta.push([translate('error.system'), error.system]);
+    if (error.urgency) meta.push([translate('error.urgency'), translateValue(translate, 'urgency', error.urgency)]);
+    if (error.lastUpdate) meta.push([translate('error.lastUpdate'), error.lastUpdate]);
+    if (meta.length > 0) blocks.push(formatter.meta(meta));
+
+    if (Array.isArray(error.causes) && error.causes.length > 0) {
+        blocks.push(formatter.heading(translate('guide.causes')), formatter.list(error.causes));
+    }
+
+    const solutions = Array.isArray(error.solutions) ? error.solutions : [];
+    if (solutions.length > 0) {
+        blocks.push(formatter.heading(translate('guide.solutions')));
+    }
+    solutions.forEach((solution, index) => {
+        blocks.push(formatter.subheading(`${index + 1}. ${solution.title}`));
+        blocks.push(formatter.emphasis(translate('guide.solutionMeta', {
+            level: translateValue(translate, 'level', solution.level),
+            time: formatTime(solution.time),
+            risk: translateValue(translate, 'risk', solution.risk)
+        })));
+        if (solution.description) blocks.push(formatter.paragraph(solution.description));
+        if (solution.warning) blocks.push(formatter.warning(translate('guide.warning'), solution.warning));
+
+        blocks.push(formatter.steps((solution.steps || []).map(guideDependencies.normalizeStep).map(step => ({
+            text: step.text,
+            command: step.command,
+            shell: step.shell,
+            note: step.command && step.elevated
+                ? translate(step.shell === 'bash' ? 'elevation.root' : 'elevation.admin')
+                : ''
+        }))));
+    });
+
+    if (url) blocks.push(formatter.source(translate('guide.source'), url));
+
+    return formatter.join(blocks);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GUIDE_FORMATS,
+        buildErrorGuide,
+        escapeMarkdown
+    };
+}
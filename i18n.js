@@ -0,0 +1,1024 @@
+// Локализация интерфейса ErrorFOXbase
+// Каталоги сообщений, выбор языка, множественные формы и локализованные данные ошибок
+// (поле translations в записях ошибок, categories.json и subcategories.json).
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+const LOCALES = {
+    ru: 'Русский',
+    en: 'English'
+};
+
+const DEFAULT_LOCALE = 'ru';
+
+// Значение сообщения — строка с подстановками {name} или объект множественных форм
+// (one, few, many, other по Intl.PluralRules), выбираемых по параметру count
+const MESSAGES = {
+    ru: {
+        'app.title': 'ErrorFOXbase - База знаний по ошибкам',
+        'app.description': 'ErrorFOXbase - полная база знаний по ошибкам Windows, Linux, программ и сетей. Пошаговые решения с инструкциями для IT-специалистов и пользователей.',
+        'app.tagline': 'База знаний по ошибкам',
+        'app.loaded': 'Приложение загружено',
+        'app.startFailed': 'Не удалось запустить приложение',
+        'app.unexpectedError': 'Произошла непредвиденная ошибка',
+        'app.operationFailed': 'Ошибка выполнения операции',
+        'app.loadingDatabase': 'Загрузка базы данных...',
+        'app.retry': 'Повторить',
+        'app.loadFailedTitle': 'Ошибка загрузки',
+        'app.loadFailed': 'Не удалось загрузить базу данных. Проверьте наличие файлов JSON.',
+        'app.outdatedTitle': 'Ваш браузер устарел',
+        'app.outdatedText': 'Для работы ErrorFOXbase требуется современный браузер',
+        'app.outdatedHint': 'Пожалуйста, обновите браузер или используйте другой',
+        'app.footer': '© 2024 ErrorFOXbase. База знаний по ошибкам и решениям. Все права защищены.',
+
+        'nav.home': 'Главная',
+        'nav.back': 'Назад',
+        'nav.backToList': 'Назад к списку',
+        'nav.breadcrumbs': 'Хлебные крошки',
+        'nav.pagination': 'Пагинация',
+        'nav.prevPage': 'Предыдущая страница',
+        'nav.nextPage': 'Следующая страница',
+        'nav.page': 'Страница {page}',
+        'footer.about': 'О проекте',
+        'footer.contact': 'Контакты',
+        'footer.privacy': 'Политика конфиденциальности',
+        'footer.terms': 'Пользовательское соглашение',
+
+        'language.switch': 'Язык интерфейса: {language}. Переключить',
+        'language.changed': 'Язык интерфейса: {language}',
+        'theme.toggle': 'Переключить тему',
+        'theme.dark': 'Темная тема включена',
+        'theme.light': 'Светлая тема включена',
+
+        'pwa.install': 'Установить приложение',
+        'pwa.updateAvailable': 'Доступна новая версия ErrorFOXbase',
+        'pwa.dataUpdated': 'База ошибок обновилась',
+        'pwa.reload': 'Обновить',
+        'toast.close': 'Закрыть',
+
+        'history.title': 'Недавно просмотренные',
+        'history.empty': 'История просмотров пуста',
+        'history.open': 'Открыть ошибку {code}',
+        'history.opened': 'Открыта панель истории',
+        'history.closed': 'Панель истории закрыта',
+
+        'palette.title': 'Палитра команд',
+        'palette.label': 'Команда',
+        'palette.placeholder': 'Введите команду...',
+        'palette.hint': '↑↓ — выбор, Enter — выполнить, Esc — закрыть',
+        'palette.opened': 'Открыта палитра команд',
+        'palette.nothingFound': 'Команда не найдена',
+        'palette.copyCode': 'Скопировать код {code}',
+        'palette.home': 'На главную',
+        'palette.category': 'Перейти: {name}',
+        'palette.theme': 'Сменить тему',
+        'palette.language': 'Сменить язык',
+        'palette.history': 'Открыть историю',
+        'palette.logScan': 'Найти коды в логе',
+        'palette.search': 'Перейти к поиску',
+        'palette.collections': 'Открыть избранное и коллекции',
+        'palette.newError': 'Новая ошибка в редакторе',
+        'palette.editError': 'Редактировать {code}',
+
+        'favorites.add': 'В избранное',
+        'favorites.remove': 'Убрать из избранного',
+        'favorites.added': 'Ошибка {code} добавлена в избранное',
+        'favorites.removed': 'Ошибка {code} убрана из избранного',
+        'collections.title': 'Избранное и коллекции',
+        'collections.opened': 'Открыта панель избранного',
+        'collections.closed': 'Панель избранного закрыта',
+        'collections.favorites': 'Избранное',
+        'collections.collections': 'Коллекции',
+        'collections.noFavorites': 'Отметьте ошибку звездочкой, чтобы она появилась здесь',
+        'collections.noCollections': 'Коллекций пока нет',
+        'collections.emptyCollection': 'В коллекции пока нет ошибок',
+        'collections.missing': 'Ошибки нет в базе',
+        'collections.namePlaceholder': 'Название новой коллекции',
+        'collections.create': 'Создать коллекцию',
+        'collections.created': 'Коллекция «{name}» создана',
+        'collections.exists': 'Коллекция «{name}» уже есть',
+        'collections.deleted': 'Коллекция «{name}» удалена',
+        'collections.delete': 'Удалить',
+        'collections.remove': 'Убрать {code}',
+        'collections.addTo': 'Добавить в коллекцию…',
+        'collections.new': '+ Новая коллекция…',
+        'collections.added': 'Ошибка {code} добавлена в «{name}»',
+        'collections.removed': 'Ошибка {code} убрана из «{name}»',
+        'collections.export': 'Экспорт',
+        'collections.import': 'Импорт',
+        'collections.imported': 'Импортировано: {collections}, новых в избранном: {favorites}',
+        'collections.importFailed': 'Не удалось импортировать: файл не похож на выгрузку коллекций ErrorFOXbase',
+
+        'notes.label': 'Моя заметка',
+        'notes.addError': 'Заметка к ошибке',
+        'notes.addStep': 'Заметка',
+        'notes.edit': 'Изменить заметку',
+        'notes.placeholder': 'Видна только вам, например: «в нашей VPN еще перезапустить клиент Cisco»',
+        'notes.save': 'Сохранить',
+        'notes.cancel': 'Отмена',
+        'notes.delete': 'Удалить',
+        'notes.saved': 'Заметка сохранена',
+        'notes.deleted': 'Заметка удалена',
+        'preferences.title': 'Все настройки',
+        'preferences.hint': 'Заметки, избранное, история и прогресс — в одном файле для переноса на другой компьютер',
+        'preferences.imported': 'Настройки импортированы',
+        'preferences.importFailed': 'Не удалось импортировать: файл не похож на выгрузку настроек ErrorFOXbase',
+
+        'guide.export': 'Экспорт',
+        'guide.copyMarkdown': 'Копировать как Markdown',
+        'guide.downloadMarkdown': 'Скачать .md',
+        'guide.copyText': 'Копировать как текст',
+        'guide.downloadText': 'Скачать .txt',
+        'guide.print': 'Печать / PDF',
+        'guide.copied': 'Руководство скопировано',
+        'guide.copyFailed': 'Не удалось скопировать руководство',
+        'guide.causes': 'Возможные причины',
+        'guide.solutions': 'Способы решения',
+        'guide.solutionMeta': 'Уровень: {level} · время: {time} · риск: {risk}',
+        'guide.warning': 'Внимание',
+        'guide.source': 'Источник',
+
+        'stats.errors': 'ошибок в базе',
+        'stats.solutions': 'решений',
+
+        'categories.title': 'Категории ошибок',
+        'categories.loaded': 'Загружены категории ошибок',
+        'category.label': 'Категория {name}, {count}',
+        'category.title': 'Ошибки {name}',
+        'category.pageTitle': 'Ошибки {name} | ErrorFOXbase',
+        'category.description': 'Решения ошибок {name}. Пошаговые инструкции по устранению проблем в {name}.',
+        'category.loaded': 'Загружены подкатегории для {name}',
+        'category.empty': 'Для этой категории пока нет подкатегорий',
+        'subcategory.label': 'Подкатегория {name}, {count}',
+        'subcategory.pageTitle': 'Ошибки {name} | {category} | ErrorFOXbase',
+        'subcategory.description': 'Список ошибок {name} в {category}. Поиск и решения распространенных проблем.',
+        'subcategory.loaded': 'Загружены ошибки подкатегории {name}',
+        'subcategory.empty': 'В этой подкатегории пока нет ошибок',
+        'subcategory.loading': 'Загрузка ошибок подкатегории {name}...',
+        'subcategory.loadFailed': 'Не удалось загрузить ошибки подкатегории {name}. Проверьте подключение к сети.',
+        'count.errors': { one: '{count} ошибка', few: '{count} ошибки', many: '{count} ошибок', other: '{count} ошибки' },
+        'count.collections': { one: '{count} коллекция', few: '{count} коллекции', many: '{count} коллекций', other: '{count} коллекции' },
+
+        'error.label': 'Ошибка {code}: {title}',
+        'error.pageTitle': 'Ошибка {code}: {title} | ErrorFOXbase',
+        'error.metaDescription': 'Решение ошибки {code}: {title}. {description}...',
+        'error.headline': 'Решение ошибки {code}: {title}',
+        'structuredData.causesQuestion': 'Почему возникает ошибка {code}?',
+        'structuredData.causesAnswer': 'Возможные причины:',
+        'error.loaded': 'Загружена информация об ошибке {code}',
+        'error.loading': 'Загрузка ошибки {code}...',
+        'error.loadFailed': 'Не удалось загрузить ошибку {code}. Проверьте подключение к сети.',
+        'error.copyCode': 'Копировать ошибку',
+        'error.share': 'Поделиться',
+        'error.solutions': 'Способы решения:',
+        'error.noSolutions': 'Для этой ошибки пока нет решений',
+        'error.additionalInfo': 'Дополнительная информация:',
+        'error.system': 'Система:',
+        'error.urgency': 'Срочность:',
+        'error.frequency': 'Частота:',
+        'error.lastUpdate': 'Последнее обновление:',
+        'error.userAction': 'Что делать:',
+        'error.audience': 'Для кого:',
+        'error.causes': 'Возможные причины:',
+        'solution.warning': 'Внимание:',
+        'dev.unknownFields': 'Режим разработки: страница ошибки {code} не показывает поля',
+        'dev.duplicates': 'Режим разработки: ошибка {code} почти совпадает по тексту и причинам с записями',
+        'related.title': 'Похожие ошибки',
+        'editor.pageTitle': 'Редактор записей | ErrorFOXbase',
+        'editor.description': 'Создание и правка записей справочника ошибок с проверкой и предпросмотром.',
+        'editor.opened': 'Открыт редактор записей',
+        'editor.loading': 'Загрузка записи {code}...',
+        'editor.hint': 'Заполните поля записи справочника. Проверка идет при вводе, а предпросмотр показывает страницу ошибки такой, какой ее увидят пользователи.',
+        'editor.newTitle': 'Новая ошибка',
+        'editor.editTitle': 'Правка {code}',
+        'editor.edit': 'Редактировать',
+        'editor.preview': 'Предпросмотр',
+        'editor.group.main': 'Основное',
+        'editor.group.classification': 'Классификация и сведения',
+        'editor.group.solutions': 'Решения',
+        'editor.group.advanced': 'Диагностика и переводы (JSON)',
+        'editor.field.code': 'Код',
+        'editor.field.title': 'Заголовок',
+        'editor.field.description': 'Описание',
+        'editor.field.causes': 'Причины',
+        'editor.field.category': 'Категория',
+        'editor.field.subcategories': 'Подкатегории',
+        'editor.field.related': 'Связанные ошибки',
+        'editor.field.audience': 'Для кого',
+        'editor.field.system': 'Система',
+        'editor.field.urgency': 'Срочность',
+        'editor.field.frequency': 'Частота',
+        'editor.field.lastUpdate': 'Последнее обновление',
+        'editor.field.userAction': 'Что делать',
+        'editor.field.solutionTitle': 'Название решения',
+        'editor.field.level': 'Уровень',
+        'editor.field.risk': 'Риск',
+        'editor.field.time': 'Время',
+        'editor.field.solutionDescription': 'Описание решения',
+        'editor.field.warning': 'Предупреждение',
+        'editor.field.stepText': 'Текст шага',
+        'editor.field.command': 'Команда',
+        'editor.field.shell': 'Оболочка',
+        'editor.field.elevated': 'Нужны права администратора',
+        'editor.field.diagnostics': 'diagnostics — дерево вопросов',
+        'editor.field.translations': 'translations — переводы',
+        'editor.datePlaceholder': 'ДД.ММ.ГГГГ',
+        'editor.notSet': '— не указано —',
+        'editor.item': 'Элемент {number}',
+        'editor.solution': 'Решение {number}',
+        'editor.step': 'Шаг {number}',
+        'editor.addCause': 'Добавить причину',
+        'editor.addRelated': 'Добавить связанную ошибку',
+        'editor.addSolution': 'Добавить решение',
+        'editor.addStep': 'Добавить шаг',
+        'editor.remove': 'Удалить',
+        'editor.moveUp': 'Переместить выше',
+        'editor.moveDown': 'Переместить ниже',
+        'editor.valid': 'Ошибок нет, запись можно выгружать',
+        'editor.issues': 'Ошибок: {errors}, предупреждений: {warnings}',
+        'editor.invalidJSON': 'некорректный JSON: {message}',
+        'editor.codeExists': 'запись с кодом «{code}» уже есть в справочнике',
+        'editor.hasErrors': 'Исправьте ошибки в записи перед выгрузкой',
+        'editor.downloadPatch': 'Скачать JSON Patch',
+        'editor.copyPatch': 'Копировать JSON Patch',
+        'editor.downloadFile': 'Скачать файл категории',
+        'editor.reset': 'Сбросить изменения',
+        'editor.patchCopied': 'JSON Patch скопирован',
+        'editor.copyFailed': 'Не удалось скопировать JSON Patch',
+        'editor.sourceFailed': 'Не удалось загрузить {file}',
+        'editor.notFound': 'Ошибка {code} не найдена — создается новая запись',
+
+        'validation.type': 'ожидается {expected}, получено {actual}',
+        'validation.or': 'или',
+        'validation.enum': 'недопустимое значение {value}, ожидается одно из: {allowed}',
+        'validation.empty': 'пустая строка',
+        'validation.tooLong': 'строка длиннее {max} символов ({length})',
+        'validation.pattern': 'значение {value} не соответствует формату {pattern}',
+        'validation.minItems': { one: 'нужен хотя бы {count} элемент', few: 'нужно не меньше {count} элементов', many: 'нужно не меньше {count} элементов', other: 'нужно не меньше {count} элемента' },
+        'validation.required': 'отсутствует обязательное поле «{field}»',
+        'validation.unknownField': 'неизвестное поле',
+        'validation.dateFormat': 'дата должна быть в формате ДД.ММ.ГГГГ',
+        'validation.dateInvalid': 'несуществующая дата {date}',
+        'validation.dateFuture': 'дата {date} в будущем',
+        'validation.noQuestions': 'нет ни одного вопроса',
+        'validation.startMissing': 'начальный вопрос «{id}» не найден',
+        'validation.questionId': 'id вопроса «{id}» не соответствует формату {pattern}',
+        'validation.answerTarget': 'ответ должен вести либо к вопросу (next), либо к решениям (solutions)',
+        'validation.questionMissing': 'вопрос «{id}» не найден',
+        'validation.solutionIndex': 'нет решения с индексом {index} (всего решений: {count})',
+        'validation.cycle': 'цикл в дереве: {path}',
+        'validation.unreachable': 'вопрос недостижим из начального',
+        'validation.locale': 'код языка «{locale}» не соответствует формату {pattern}',
+        'validation.extraSolutions': 'переведено решений больше, чем есть в записи ({count})',
+        'validation.stepCount': 'переведено шагов: {translated}, в решении: {count}',
+        'validation.translatedQuestion': 'вопрос «{id}» не найден в diagnostics',
+        'validation.answerCount': 'переведено ответов: {translated}, в вопросе: {count}',
+        'validation.keyMismatch': 'ключ записи «{key}» не совпадает с кодом «{code}»',
+        'validation.categoryMissing': 'категория «{category}» отсутствует в categories.json',
+        'validation.subcategoryDuplicate': 'подкатегория «{id}» указана дважды',
+        'validation.subcategoryMissing': 'подкатегория «{id}» не найдена в subcategories.json для категории «{category}»',
+        'validation.relatedSelf': 'запись ссылается сама на себя',
+        'validation.relatedDuplicate': 'связанная ошибка «{code}» указана дважды',
+        'validation.relatedMissing': 'связанная ошибка «{code}» отсутствует в справочнике',
+        'validation.shellMissing': 'для команды не указан shell ({shells})',
+        'validation.shellWithoutCommand': 'shell и elevated имеют смысл только вместе с command',
+        'validation.subcategoriesArray': 'ожидается массив подкатегорий',
+        'validation.duplicateId': 'повторяющийся id «{id}»',
+        'error.codeCopied': 'Код ошибки скопирован',
+        'error.codeCopyFailed': 'Не удалось скопировать код',
+        'error.shareTitle': 'Ошибка {code}: {title}',
+        'error.shareText': 'Решение ошибки {code} на ErrorFOXbase',
+        'error.shareFallback': '{url} - Ошибка {code}',
+        'error.linkCopied': 'Ссылка скопирована в буфер',
+        'error.shareFailed': 'Не удалось поделиться',
+
+        'notFound.title': 'Ошибка не найдена',
+        'notFound.hint': 'Попробуйте другой код ошибки или выберите из категорий',
+        'notFound.pageTitle': 'Ошибка не найдена | ErrorFOXbase',
+        'notFound.description': 'Искомая ошибка не найдена в базе данных ErrorFOXbase. Попробуйте другой запрос или выберите из категорий.',
+        'notFound.didYouMean': 'Возможно, вы имели в виду:',
+
+        'solution.risk': 'Риск: {risk}',
+        'solution.for': 'Для: {level}',
+        'solution.stepsDone': 'Выполнено шагов: {done} из {total}',
+        'solution.helped': 'Помогло',
+        'solution.notHelped': 'Не помогло',
+        'solution.noRatings': 'Пока нет оценок',
+        'solution.helpedCount': { one: 'Помогло: {count} человеку', few: 'Помогло: {count} людям', many: 'Помогло: {count} людям', other: 'Помогло: {count} человека' },
+        'solution.notHelpedCount': { one: 'не помогло: {count} человеку', few: 'не помогло: {count} людям', many: 'не помогло: {count} людям', other: 'не помогло: {count} человека' },
+        'solution.thanks': 'Спасибо за ваш отзыв!',
+
+        'feedback.comment': 'Комментарий',
+        'feedback.commentLabel': 'Комментарий к решению',
+        'feedback.commentPlaceholder': 'Что сработало или что пошло не так?',
+        'feedback.send': 'Отправить',
+        'feedback.commentEmpty': 'Напишите комментарий перед отправкой',
+        'feedback.commentThanks': 'Спасибо! Комментарий отправлен',
+        'feedback.voteRemoved': 'Голос отменен',
+        'feedback.queued': 'Нет сети: отзыв будет отправлен при подключении',
+
+        'command.copy': 'Копировать',
+        'command.copyLabel': 'Копировать команду',
+        'command.copied': 'Команда скопирована',
+        'command.copiedElevated': 'Команда скопирована. Выполните ее {elevation}',
+        'command.copyFailed': 'Не удалось скопировать команду',
+        'shell.cmd': 'Командная строка (cmd)',
+        'shell.powershell': 'PowerShell',
+        'shell.bash': 'Терминал (bash)',
+        'elevation.admin': 'От имени администратора',
+        'elevation.root': 'С правами root (sudo)',
+
+        'urgency.low': 'Низкая',
+        'urgency.medium': 'Средняя',
+        'urgency.high': 'Высокая',
+        'urgency.unknown': 'Неизвестно',
+        'level.beginner': 'Начинающий',
+        'level.intermediate': 'Опытный',
+        'level.advanced': 'Эксперт',
+        'risk.low': 'Низкий',
+        'risk.medium': 'Средний',
+        'risk.high': 'Высокий',
+        'frequency.very_high': 'Очень высокая',
+        'frequency.high': 'Высокая',
+        'frequency.medium': 'Средняя',
+        'frequency.low': 'Низкая',
+        'duration.minutes': { one: '{count} минута', few: '{count} минуты', many: '{count} минут', other: '{count} минуты' },
+        'duration.rangeMinutes': '{min}–{max} минут',
+        'duration.hours': { one: '{count} час', few: '{count} часа', many: '{count} часов', other: '{count} часа' },
+
+        'skill.label': 'Мой уровень:',
+        'skill.changed': 'Уровень: {level}',
+        'skill.orderRanked': 'Сначала самые действенные',
+        'skill.orderAuthored': 'Порядок справочника',
+        'skill.orderToggle': 'Переключить порядок решений',
+        'skill.aboveLevel': 'Сложнее вашего уровня',
+        'skill.expand': 'Показать решение',
+        'skill.collapse': 'Свернуть решение',
+        'skill.audienceNote': 'Эту ошибку обычно исправляют пользователи уровня: {levels}. Будьте внимательны и при сомнениях обратитесь к специалисту.',
+
+        'search.placeholder': 'Введите код ошибки или описание...',
+        'search.label': 'Поиск ошибок',
+        'search.button': 'Найти',
+        'search.invalid': 'Введите корректный запрос для поиска',
+        'search.nothingFound': 'Ничего не найдено',
+        'search.results': 'Результаты поиска',
+        'search.resultsTitle': 'Результаты поиска: «{query}»',
+        'search.pageTitle': 'Поиск: {query} | ErrorFOXbase',
+        'search.description': 'Ошибки по запросу «{query}» с решениями в базе ErrorFOXbase',
+        'search.resultsLoaded': 'Найдено: {count}',
+        'search.loading': 'Загрузка справочника для поиска...',
+        'search.loadFailed': 'Не удалось загрузить справочник для поиска. Проверьте подключение к сети.',
+        'search.allResults': 'Все результаты ({count})',
+
+        'filters.facet.category': 'Категория:',
+        'filters.facet.urgency': 'Срочность:',
+        'filters.facet.system': 'Система:',
+        'filters.facet.risk': 'Риск решений:',
+        'filters.facet.audience': 'Для кого:',
+        'filters.facet.userAction': 'Что делать:',
+        'filters.sortLabel': 'Сортировка:',
+        'filters.sort.default': 'Как в справочнике',
+        'filters.sort.relevance': 'По релевантности',
+        'filters.sort.urgency': 'По срочности',
+        'filters.sort.frequency': 'По частоте',
+        'filters.sort.lastUpdate': 'Сначала обновленные',
+        'filters.sort.code': 'По коду',
+        'filters.shown': 'Показано {shown} из {total}',
+        'filters.reset': 'Сбросить фильтры',
+        'filters.noMatches': 'Нет ошибок, подходящих под выбранные фильтры',
+        'platform.windows': 'Windows',
+        'platform.linux': 'Linux/Unix',
+        'platform.macos': 'macOS',
+        'platform.mobile': 'Android/iOS',
+        'platform.xbox': 'Xbox',
+        'platform.browser': 'Браузеры',
+        'platform.webserver': 'Веб-серверы',
+        'platform.database': 'Базы данных',
+        'platform.application': 'Приложения',
+        'userAction.required': 'Нужны действия',
+        'userAction.wait': 'Подождать',
+
+        'logScan.open': 'Найти коды в логе',
+        'logScan.paste': 'Вставить лог',
+        'logScan.title': 'Анализ лога',
+        'logScan.hint': 'Вставьте экспорт журнала событий, вывод dmesg или apt, консоль браузера — мы найдем все известные коды ошибок. Текст обрабатывается только в вашем браузере.',
+        'logScan.inputLabel': 'Текст лога',
+        'logScan.run': 'Найти коды',
+        'logScan.clear': 'Очистить',
+        'logScan.pageTitle': 'Анализ лога | ErrorFOXbase',
+        'logScan.description': 'Вставьте журнал событий, вывод dmesg, apt или консоли браузера, чтобы найти все известные коды ошибок.',
+        'logScan.opened': 'Открыт режим анализа лога',
+        'logScan.empty': 'Вставьте текст лога для анализа',
+        'logScan.noMatches': 'В тексте не найдено известных кодов ошибок',
+        'logScan.noMatchesLive': 'Коды ошибок не найдены',
+        'logScan.found': 'Найдено ошибок: {count}',
+        'logScan.foundLive': 'Найдено ошибок в логе: {count}',
+        'logScan.line': 'стр. {line}',
+        'logScan.more': { one: 'и еще {count} упоминание', few: 'и еще {count} упоминания', many: 'и еще {count} упоминаний', other: 'и еще {count} упоминания' },
+
+        'diagnostics.intro': 'Ответьте на несколько вопросов, чтобы подобрать решение',
+        'diagnostics.change': 'изменить',
+        'diagnostics.matched': 'Подходящих решений: {count} из {total}',
+        'diagnostics.matchedLive': 'Подобрано решений: {count}',
+        'diagnostics.showAll': 'Показать все решения',
+
+        'wizard.start': 'Пошаговый режим',
+        'wizard.resume': 'Продолжить пошаговый режим',
+        'wizard.again': 'Пройти заново',
+        'wizard.intro': 'Проведем по шагам одного решения за раз',
+        'wizard.resumeInfo': 'Вы остановились на решении {solution} из {total}, шаг {step}',
+        'wizard.solvedInfo': 'Ошибка исправлена решением «{title}»',
+        'wizard.counter': 'Решение {solution} из {total}',
+        'wizard.step': 'Шаг {step} из {total}',
+        'wizard.done': 'Выполнено',
+        'wizard.failed': 'Не получилось',
+        'wizard.back': 'Предыдущий шаг',
+        'wizard.allDone': 'Все шаги выполнены',
+        'wizard.fixedQuestion': 'Ошибка исправлена?',
+        'wizard.yesFixed': 'Да, исправлена',
+        'wizard.noNext': 'Нет, к следующему решению',
+        'wizard.noLast': 'Нет, не помогло',
+        'wizard.solved': 'Ошибка исправлена решением «{title}».',
+        'wizard.exhausted': 'Все решения испробованы, но ошибка осталась. Проверьте, что код ошибки определен верно, или обратитесь к специалисту.',
+        'wizard.alreadyFixed': 'Ошибка уже исправлена',
+        'wizard.restart': 'Начать заново',
+        'wizard.showAll': 'Показать все решения',
+        'wizard.nextSolution': 'Переход к решению {solution} из {total}'
+    },
+
+    en: {
+        'app.title': 'ErrorFOXbase - Error Knowledge Base',
+        'app.description': 'ErrorFOXbase - a complete knowledge base of Windows, Linux, software and network errors. Step-by-step solutions for IT professionals and users.',
+        'app.tagline': 'Error knowledge base',
+        'app.loaded': 'Application loaded',
+        'app.startFailed': 'Failed to start the application',
+        'app.unexpectedError': 'An unexpected error occurred',
+        'app.operationFailed': 'The operation failed',
+        'app.loadingDatabase': 'Loading the database...',
+        'app.retry': 'Try again',
+        'app.loadFailedTitle': 'Loading error',
+        'app.loadFailed': 'Failed to load the database. Check that the JSON files are present.',
+        'app.outdatedTitle': 'Your browser is outdated',
+        'app.outdatedText': 'ErrorFOXbase requires a modern browser',
+        'app.outdatedHint': 'Please update your browser or use a different one',
+        'app.footer': '© 2024 ErrorFOXbase. Error and solution knowledge base. All rights reserved.',
+
+        'nav.home': 'Home',
+        'nav.back': 'Back',
+        'nav.backToList': 'Back to list',
+        'nav.breadcrumbs': 'Breadcrumbs',
+        'nav.pagination': 'Pagination',
+        'nav.prevPage': 'Previous page',
+        'nav.nextPage': 'Next page',
+        'nav.page': 'Page {page}',
+        'footer.about': 'About',
+        'footer.contact': 'Contact',
+        'footer.privacy': 'Privacy policy',
+        'footer.terms': 'Terms of use',
+
+        'language.switch': 'Interface language: {language}. Switch',
+        'language.changed': 'Interface language: {language}',
+        'theme.toggle': 'Toggle theme',
+        'theme.dark': 'Dark theme enabled',
+        'theme.light': 'Light theme enabled',
+
+        'pwa.install': 'Install app',
+        'pwa.updateAvailable': 'A new version of ErrorFOXbase is available',
+        'pwa.dataUpdated': 'The error database has been updated',
+        'pwa.reload': 'Reload',
+        'toast.close': 'Close',
+
+        'history.title': 'Recently viewed',
+        'history.empty': 'No viewing history yet',
+        'history.open': 'Open error {code}',
+        'history.opened': 'History panel opened',
+        'history.closed': 'History panel closed',
+
+        'palette.title': 'Command palette',
+        'palette.label': 'Command',
+        'palette.placeholder': 'Type a command...',
+        'palette.hint': '↑↓ to select, Enter to run, Esc to close',
+        'palette.opened': 'Command palette opened',
+        'palette.nothingFound': 'No matching command',
+        'palette.copyCode': 'Copy code {code}',
+        'palette.home': 'Go to home page',
+        'palette.category': 'Go to: {name}',
+        'palette.theme': 'Switch theme',
+        'palette.language': 'Switch language',
+        'palette.history': 'Open history',
+        'palette.logScan': 'Find codes in a log',
+        'palette.search': 'Go to search',
+        'palette.collections': 'Open favorites and collections',
+        'palette.newError': 'New error in the editor',
+        'palette.editError': 'Edit {code}',
+
+        'favorites.add': 'Add to favorites',
+        'favorites.remove': 'Remove from favorites',
+        'favorites.added': 'Error {code} added to favorites',
+        'favorites.removed': 'Error {code} removed from favorites',
+        'collections.title': 'Favorites and collections',
+        'collections.opened': 'Favorites panel opened',
+        'collections.closed': 'Favorites panel closed',
+        'collections.favorites': 'Favorites',
+        'collections.collections': 'Collections',
+        'collections.noFavorites': 'Star an error to see it here',
+        'collections.noCollections': 'No collections yet',
+        'collections.emptyCollection': 'This collection is empty',
+        'collections.missing': 'Not in the database',
+        'collections.namePlaceholder': 'New collection name',
+        'collections.create': 'Create collection',
+        'collections.created': 'Collection “{name}” created',
+        'collections.exists': 'Collection “{name}” already exists',
+        'collections.deleted': 'Collection “{name}” deleted',
+        'collections.delete': 'Delete',
+        'collections.remove': 'Remove {code}',
+        'collections.addTo': 'Add to collection…',
+        'collections.new': '+ New collection…',
+        'collections.added': 'Error {code} added to “{name}”',
+        'collections.removed': 'Error {code} removed from “{name}”',
+        'collections.export': 'Export',
+        'collections.import': 'Import',
+        'collections.imported': 'Imported {collections}, new favorites: {favorites}',
+        'collections.importFailed': 'Import failed: the file is not an ErrorFOXbase collections export',
+
+        'notes.label': 'My note',
+        'notes.addError': 'Note on this error',
+        'notes.addStep': 'Note',
+        'notes.edit': 'Edit note',
+        'notes.placeholder': 'Only you can see it, e.g. “on our VPN, also restart the Cisco client”',
+        'notes.save': 'Save',
+        'notes.cancel': 'Cancel',
+        'notes.delete': 'Delete',
+        'notes.saved': 'Note saved',
+        'notes.deleted': 'Note deleted',
+        'preferences.title': 'All settings',
+        'preferences.hint': 'Notes, favorites, history and progress in one file to move to another computer',
+        'preferences.imported': 'Settings imported',
+        'preferences.importFailed': 'Import failed: the file is not an ErrorFOXbase settings export',
+
+        'guide.export': 'Export',
+        'guide.copyMarkdown': 'Copy as Markdown',
+        'guide.downloadMarkdown': 'Download .md',
+        'guide.copyText': 'Copy as plain text',
+        'guide.downloadText': 'Download .txt',
+        'guide.print': 'Print / PDF',
+        'guide.copied': 'Guide copied',
+        'guide.copyFailed': 'Could not copy the guide',
+        'guide.causes': 'Possible causes',
+        'guide.solutions': 'Solutions',
+        'guide.solutionMeta': 'Level: {level} · time: {time} · risk: {risk}',
+        'guide.warning': 'Warning',
+        'guide.source': 'Source',
+
+        'stats.errors': 'errors in the database',
+        'stats.solutions': 'solutions',
+
+        'categories.title': 'Error categories',
+        'categories.loaded': 'Error categories loaded',
+        'category.label': 'Category {name}, {count}',
+        'category.title': '{name} errors',
+        'category.pageTitle': '{name} errors | ErrorFOXbase',
+        'category.description': 'Solutions for {name} errors. Step-by-step instructions for fixing {name} problems.',
+        'category.loaded': 'Subcategories of {name} loaded',
+        'category.empty': 'This category has no subcategories yet',
+        'subcategory.label': 'Subcategory {name}, {count}',
+        'subcategory.pageTitle': '{name} | {category} | ErrorFOXbase',
+        'subcategory.description': '{name} in {category}. Search and solutions for common problems.',
+        'subcategory.loaded': 'Errors of subcategory {name} loaded',
+        'subcategory.empty': 'This subcategory has no errors yet',
+        'subcategory.loading': 'Loading errors of subcategory {name}...',
+        'subcategory.loadFailed': 'Could not load errors of subcategory {name}. Check your network connection.',
+        'count.errors': { one: '{count} error', other: '{count} errors' },
+        'count.collections': { one: '{count} collection', other: '{count} collections' },
+
+        'error.label': 'Error {code}: {title}',
+        'error.pageTitle': 'Error {code}: {title} | ErrorFOXbase',
+        'error.metaDescription': 'How to fix error {code}: {title}. {description}...',
+        'error.headline': 'How to fix error {code}: {title}',
+        'structuredData.causesQuestion': 'Why does error {code} occur?',
+        'structuredData.causesAnswer': 'Possible causes:',
+        'error.loaded': 'Information about error {code} loaded',
+        'error.loading': 'Loading error {code}...',
+        'error.loadFailed': 'Could not load error {code}. Check your network connection.',
+        'error.copyCode': 'Copy error',
+        'error.share': 'Share',
+        'error.solutions': 'Solutions:',
+        'error.noSolutions': 'There are no solutions for this error yet',
+        'error.additionalInfo': 'Additional information:',
+        'error.system': 'System:',
+        'error.urgency': 'Urgency:',
+        'error.frequency': 'Frequency:',
+        'error.lastUpdate': 'Last updated:',
+        'error.userAction': 'What to do:',
+        'error.audience': 'For:',
+        'error.causes': 'Possible causes:',
+        'solution.warning': 'Warning:',
+        'dev.unknownFields': 'Dev mode: the page for error {code} does not show these fields',
+        'dev.duplicates': 'Dev mode: error {code} nearly matches these entries in text and causes',
+        'related.title': 'Related errors',
+        'editor.pageTitle': 'Entry editor | ErrorFOXbase',
+        'editor.description': 'Create and edit error knowledge base entries with validation and a live preview.',
+        'editor.opened': 'Entry editor opened',
+        'editor.loading': 'Loading entry {code}...',
+        'editor.hint': 'Fill in the fields of the entry. It is validated as you type, and the preview shows the error page the way users will see it.',
+        'editor.newTitle': 'New error',
+        'editor.editTitle': 'Editing {code}',
+        'editor.edit': 'Edit',
+        'editor.preview': 'Preview',
+        'editor.group.main': 'General',
+        'editor.group.classification': 'Classification and details',
+        'editor.group.solutions': 'Solutions',
+        'editor.group.advanced': 'Diagnostics and translations (JSON)',
+        'editor.field.code': 'Code',
+        'editor.field.title': 'Title',
+        'editor.field.description': 'Description',
+        'editor.field.causes': 'Causes',
+        'editor.field.category': 'Category',
+        'editor.field.subcategories': 'Subcategories',
+        'editor.field.related': 'Related errors',
+        'editor.field.audience': 'Audience',
+        'editor.field.system': 'System',
+        'editor.field.urgency': 'Urgency',
+        'editor.field.frequency': 'Frequency',
+        'editor.field.lastUpdate': 'Last updated',
+        'editor.field.userAction': 'What to do',
+        'editor.field.solutionTitle': 'Solution title',
+        'editor.field.level': 'Level',
+        'editor.field.risk': 'Risk',
+        'editor.field.time': 'Time',
+        'editor.field.solutionDescription': 'Solution description',
+        'editor.field.warning': 'Warning',
+        'editor.field.stepText': 'Step text',
+        'editor.field.command': 'Command',
+        'editor.field.shell': 'Shell',
+        'editor.field.elevated': 'Requires administrator rights',
+        'editor.field.diagnostics': 'diagnostics — question tree',
+        'editor.field.translations': 'translations — localized text',
+        'editor.datePlaceholder': 'DD.MM.YYYY',
+        'editor.notSet': '— not set —',
+        'editor.item': 'Item {number}',
+        'editor.solution': 'Solution {number}',
+        'editor.step': 'Step {number}',
+        'editor.addCause': 'Add a cause',
+        'editor.addRelated': 'Add a related error',
+        'editor.addSolution': 'Add a solution',
+        'editor.addStep': 'Add a step',
+        'editor.remove': 'Remove',
+        'editor.moveUp': 'Move up',
+        'editor.moveDown': 'Move down',
+        'editor.valid': 'No errors, the entry is ready to export',
+        'editor.issues': 'Errors: {errors}, warnings: {warnings}',
+        'editor.invalidJSON': 'invalid JSON: {message}',
+        'editor.codeExists': 'an entry with code “{code}” already exists',
+        'editor.hasErrors': 'Fix the errors in the entry before exporting',
+        'editor.downloadPatch': 'Download JSON Patch',
+        'editor.copyPatch': 'Copy JSON Patch',
+        'editor.downloadFile': 'Download the category file',
+        'editor.reset': 'Discard changes',
+        'editor.patchCopied': 'JSON Patch copied',
+        'editor.copyFailed': 'Could not copy the JSON Patch',
+        'editor.sourceFailed': 'Could not load {file}',
+        'editor.notFound': 'Error {code} not found — creating a new entry',
+
+        'validation.type': 'expected {expected}, got {actual}',
+        'validation.or': 'or',
+        'validation.enum': 'invalid value {value}, expected one of: {allowed}',
+        'validation.empty': 'empty string',
+        'validation.tooLong': 'string is longer than {max} characters ({length})',
+        'validation.pattern': 'value {value} does not match the format {pattern}',
+        'validation.minItems': { one: 'at least {count} item is required', other: 'at least {count} items are required' },
+        'validation.required': 'required field “{field}” is missing',
+        'validation.unknownField': 'unknown field',
+        'validation.dateFormat': 'the date must be in DD.MM.YYYY format',
+        'validation.dateInvalid': 'date {date} does not exist',
+        'validation.dateFuture': 'date {date} is in the future',
+        'validation.noQuestions': 'there are no questions',
+        'validation.startMissing': 'start question “{id}” not found',
+        'validation.questionId': 'question id “{id}” does not match the format {pattern}',
+        'validation.answerTarget': 'an answer must lead either to a question (next) or to solutions (solutions)',
+        'validation.questionMissing': 'question “{id}” not found',
+        'validation.solutionIndex': 'there is no solution with index {index} (solutions: {count})',
+        'validation.cycle': 'cycle in the tree: {path}',
+        'validation.unreachable': 'the question cannot be reached from the start question',
+        'validation.locale': 'language code “{locale}” does not match the format {pattern}',
+        'validation.extraSolutions': 'more solutions are translated than the entry has ({count})',
+        'validation.stepCount': 'translated steps: {translated}, steps in the solution: {count}',
+        'validation.translatedQuestion': 'question “{id}” not found in diagnostics',
+        'validation.answerCount': 'translated answers: {translated}, answers in the question: {count}',
+        'validation.keyMismatch': 'entry key “{key}” does not match code “{code}”',
+        'validation.categoryMissing': 'category “{category}” is missing from categories.json',
+        'validation.subcategoryDuplicate': 'subcategory “{id}” is listed twice',
+        'validation.subcategoryMissing': 'subcategory “{id}” not found in subcategories.json for category “{category}”',
+        'validation.relatedSelf': 'the entry refers to itself',
+        'validation.relatedDuplicate': 'related error “{code}” is listed twice',
+        'validation.relatedMissing': 'related error “{code}” is not in the database',
+        'validation.shellMissing': 'no shell is set for the command ({shells})',
+        'validation.shellWithoutCommand': 'shell and elevated only make sense together with command',
+        'validation.subcategoriesArray': 'expected an array of subcategories',
+        'validation.duplicateId': 'duplicate id “{id}”',
+        'error.codeCopied': 'Error code copied',
+        'error.codeCopyFailed': 'Failed to copy the code',
+        'error.shareTitle': 'Error {code}: {title}',
+        'error.shareText': 'How to fix error {code} on ErrorFOXbase',
+        'error.shareFallback': '{url} - Error {code}',
+        'error.linkCopied': 'Link copied to clipboard',
+        'error.shareFailed': 'Sharing failed',
+
+        'notFound.title': 'Error not found',
+        'notFound.hint': 'Try a different error code or pick a category',
+        'notFound.pageTitle': 'Error not found | ErrorFOXbase',
+        'notFound.description': 'The error you are looking for is not in the ErrorFOXbase database. Try a different query or pick a category.',
+        'notFound.didYouMean': 'Did you mean:',
+
+        'solution.risk': 'Risk: {risk}',
+        'solution.for': 'For: {level}',
+        'solution.stepsDone': 'Steps done: {done} of {total}',
+        'solution.helped': 'Helped',
+        'solution.notHelped': 'Didn’t help',
+        'solution.noRatings': 'No ratings yet',
+        'solution.helpedCount': { one: 'Helped {count} person', other: 'Helped {count} people' },
+        'solution.notHelpedCount': { one: 'didn’t help {count} person', other: 'didn’t help {count} people' },
+        'solution.thanks': 'Thank you for your feedback!',
+
+        'feedback.comment': 'Comment',
+        'feedback.commentLabel': 'Comment on this solution',
+        'feedback.commentPlaceholder': 'What worked or what went wrong?',
+        'feedback.send': 'Send',
+        'feedback.commentEmpty': 'Write a comment before sending',
+        'feedback.commentThanks': 'Thank you! Your comment has been sent',
+        'feedback.voteRemoved': 'Vote removed',
+        'feedback.queued': 'You are offline: feedback will be sent once you reconnect',
+
+        'command.copy': 'Copy',
+        'command.copyLabel': 'Copy command',
+        'command.copied': 'Command copied',
+        'command.copiedElevated': 'Command copied. Run it {elevation}',
+        'command.copyFailed': 'Failed to copy the command',
+        'shell.cmd': 'Command Prompt (cmd)',
+        'shell.powershell': 'PowerShell',
+        'shell.bash': 'Terminal (bash)',
+        'elevation.admin': 'As administrator',
+        'elevation.root': 'As root (sudo)',
+
+        'urgency.low': 'Low',
+        'urgency.medium': 'Medium',
+        'urgency.high': 'High',
+        'urgency.unknown': 'Unknown',
+        'level.beginner': 'Beginner',
+        'level.intermediate': 'Intermediate',
+        'level.advanced': 'Expert',
+        'risk.low': 'Low',
+        'risk.medium': 'Medium',
+        'risk.high': 'High',
+        'frequency.very_high': 'Very high',
+        'frequency.high': 'High',
+        'frequency.medium': 'Medium',
+        'frequency.low': 'Low',
+        'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+        'duration.rangeMinutes': '{min}–{max} minutes',
+        'duration.hours': { one: '{count} hour', other: '{count} hours' },
+
+        'skill.label': 'My level:',
+        'skill.changed': 'Level: {level}',
+        'skill.orderRanked': 'Most effective first',
+        'skill.orderAuthored': 'Reference order',
+        'skill.orderToggle': 'Switch solution order',
+        'skill.aboveLevel': 'Above your level',
+        'skill.expand': 'Show solution',
+        'skill.collapse': 'Hide solution',
+        'skill.audienceNote': 'This error is usually fixed by users at level: {levels}. Take care and ask a specialist if in doubt.',
+
+        'search.placeholder': 'Enter an error code or description...',
+        'search.label': 'Search errors',
+        'search.button': 'Search',
+        'search.invalid': 'Enter a valid search query',
+        'search.nothingFound': 'Nothing found',
+        'search.results': 'Search results',
+        'search.resultsTitle': 'Search results: “{query}”',
+        'search.pageTitle': 'Search: {query} | ErrorFOXbase',
+        'search.description': 'Errors matching “{query}” with solutions in ErrorFOXbase',
+        'search.resultsLoaded': 'Found: {count}',
+        'search.loading': 'Loading the database for search...',
+        'search.loadFailed': 'Could not load the database for search. Check your network connection.',
+        'search.allResults': 'All results ({count})',
+
+        'filters.facet.category': 'Category:',
+        'filters.facet.urgency': 'Urgency:',
+        'filters.facet.system': 'System:',
+        'filters.facet.risk': 'Solution risk:',
+        'filters.facet.audience': 'Audience:',
+        'filters.facet.userAction': 'What to do:',
+        'filters.sortLabel': 'Sort:',
+        'filters.sort.default': 'Reference order',
+        'filters.sort.relevance': 'By relevance',
+        'filters.sort.urgency': 'By urgency',
+        'filters.sort.frequency': 'By frequency',
+        'filters.sort.lastUpdate': 'Recently updated',
+        'filters.sort.code': 'By code',
+        'filters.shown': 'Showing {shown} of {total}',
+        'filters.reset': 'Reset filters',
+        'filters.noMatches': 'No errors match the selected filters',
+        'platform.windows': 'Windows',
+        'platform.linux': 'Linux/Unix',
+        'platform.macos': 'macOS',
+        'platform.mobile': 'Android/iOS',
+        'platform.xbox': 'Xbox',
+        'platform.browser': 'Browsers',
+        'platform.webserver': 'Web servers',
+        'platform.database': 'Databases',
+        'platform.application': 'Applications',
+        'userAction.required': 'Action needed',
+        'userAction.wait': 'Wait it out',
+
+        'logScan.open': 'Find codes in a log',
+        'logScan.paste': 'Paste a log',
+        'logScan.title': 'Log analysis',
+        'logScan.hint': 'Paste an Event Viewer export, dmesg or apt output, or a browser console — we will find every known error code. The text is processed only in your browser.',
+        'logScan.inputLabel': 'Log text',
+        'logScan.run': 'Find codes',
+        'logScan.clear': 'Clear',
+        'logScan.pageTitle': 'Log analysis | ErrorFOXbase',
+        'logScan.description': 'Paste an event log, dmesg, apt or browser console output to find every known error code.',
+        'logScan.opened': 'Log analysis mode opened',
+        'logScan.empty': 'Paste log text to analyze',
+        'logScan.noMatches': 'No known error codes found in the text',
+        'logScan.noMatchesLive': 'No error codes found',
+        'logScan.found': 'Errors found: {count}',
+        'logScan.foundLive': 'Errors found in the log: {count}',
+        'logScan.line': 'line {line}',
+        'logScan.more': { one: 'and {count} more occurrence', other: 'and {count} more occurrences' },
+
+        'diagnostics.intro': 'Answer a few questions to find the right solution',
+        'diagnostics.change': 'change',
+        'diagnostics.matched': 'Matching solutions: {count} of {total}',
+        'diagnostics.matchedLive': 'Solutions found: {count}',
+        'diagnostics.showAll': 'Show all solutions',
+
+        'wizard.start': 'Step-by-step mode',
+        'wizard.resume': 'Resume step-by-step mode',
+        'wizard.again': 'Start over',
+        'wizard.intro': 'We will walk through one solution a step at a time',
+        'wizard.resumeInfo': 'You stopped at solution {solution} of {total}, step {step}',
+        'wizard.solvedInfo': 'Fixed by the solution “{title}”',
+        'wizard.counter': 'Solution {solution} of {total}',
+        'wizard.step': 'Step {step} of {total}',
+        'wizard.done': 'Done',
+        'wizard.failed': 'Didn’t work',
+        'wizard.back': 'Previous step',
+        'wizard.allDone': 'All steps done',
+        'wizard.fixedQuestion': 'Is the error fixed?',
+        'wizard.yesFixed': 'Yes, it is fixed',
+        'wizard.noNext': 'No, try the next solution',
+        'wizard.noLast': 'No, it didn’t help',
+        'wizard.solved': 'The error was fixed by the solution “{title}”.',
+        'wizard.exhausted': 'All solutions have been tried, but the error persists. Check that the error code is correct or contact a specialist.',
+        'wizard.alreadyFixed': 'The error is already fixed',
+        'wizard.restart': 'Start over',
+        'wizard.showAll': 'Show all solutions',
+        'wizard.nextSolution': 'Moving to solution {solution} of {total}'
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+function isSupportedLocale(locale) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+}
+
+// Язык браузера, если он поддерживается, иначе язык по умолчанию
+function detectLocale(languages = []) {
+    for (const language of languages) {
+        const base = String(language).toLowerCase().split('-')[0];
+        if (isSupportedLocale(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function setLocale(locale) {
+    currentLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+    return currentLocale;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Сообщение на заданном языке. Нет перевода — берется русский вариант, нет и его — сам ключ.
+function translate(locale, key, params = {}) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    let message = key in catalog ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+        message = message[form] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function t(key, params) {
+    return translate(currentLocale, key, params);
+}
+
+// Длительность { min, max } в минутах (см. parseDuration в error-schema.js)
+function formatDuration(duration, locale = currentLocale) {
+    const { min, max } = duration;
+    if (min !== max) {
+        return translate(locale, 'duration.rangeMinutes', { min, max });
+    }
+    if (min >= 60 && min % 60 === 0) {
+        return translate(locale, 'duration.hours', { count: min / 60 });
+    }
+    return translate(locale, 'duration.minutes', { count: min });
+}
+
+// Перевод записи справочника ошибок с откатом к исходному тексту для всего, что не переведено.
+// translations.<locale>: { title, description, causes, solutions: [{ title, description, warning, steps }],
+// diagnostics: { [id вопроса]: { text, answers } } }
+// Шаги переводятся только текстом: команда, shell и elevated берутся из исходного шага.
+function localizeError(error, locale = currentLocale) {
+    const translation = error.translations && error.translations[locale];
+    if (!translation) return error;
+
+    const localized = { ...error };
+    for (const field of ['title', 'description', 'causes']) {
+        if (translation[field] !== undefined) localized[field] = translation[field];
+    }
+
+    if (Array.isArray(error.solutions) && Array.isArray(translation.solutions)) {
+        localized.solutions = error.solutions.map((solution, solutionIndex) => {
+            const solutionTranslation = translation.solutions[solutionIndex];
+            if (!solutionTranslation) return solution;
+
+            const result = { ...solution };
+            for (const field of ['title', 'description', 'warning']) {
+                if (solutionTranslation[field] !== undefined) result[field] = solutionTranslation[field];
+            }
+            if (Array.isArray(solution.steps) && Array.isArray(solutionTranslation.steps)) {
+                result.steps = solution.steps.map((step, stepIndex) => {
+                    const text = solutionTranslation.steps[stepIndex];
+                    if (typeof text !== 'string') return step;
+                    return typeof step === 'string' ? text : { ...step, text };
+                });
+            }
+            return result;
+        });
+    }
+
+    if (error.diagnostics && translation.diagnostics) {
+        const questions = {};
+        for (const [id, question] of Object.entries(error.diagnostics.questions)) {
+            const questionTranslation = translation.diagnostics[id] || {};
+            const answerTexts = questionTranslation.answers || [];
+            questions[id] = {
+                ...question,
+                text: questionTranslation.text || question.text,
+                answers: question.answers.map((answer, index) => (
+                    answerTexts[index] ? { ...answer, text: answerTexts[index] } : answer
+                ))
+            };
+        }
+        localized.diagnostics = { ...error.diagnostics, questions };
+    }
+
+    return localized;
+}
+
+// Категория или подкатегория: translations.<locale>: { name, description }
+function localizeEntry(entry, locale = currentLocale) {
+    const translation = entry.translations && entry.translations[locale];
+    return translation ? { ...entry, ...translation } : entry;
+}
+
+// Статический текст страницы: data-i18n (текст), data-i18n-placeholder,
+// data-i18n-aria-label, data-i18n-title (атрибуты)
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    const attributes = { i18nPlaceholder: 'placeholder', i18nAriaLabel: 'aria-label', i18nTitle: 'title' };
+    for (const [dataKey, attribute] of Object.entries(attributes)) {
+        const selector = `[data-${dataKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}]`;
+        root.querySelectorAll(selector).forEach(element => {
+            element.setAttribute(attribute, t(element.dataset[dataKey]));
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES,
+        DEFAULT_LOCALE,
+        MESSAGES,
+        isSupportedLocale,
+        detectLocale,
+        setLocale,
+        getLocale,
+        translate,
+        t,
+        formatDuration,
+        localizeError,
+        localizeEntry
+    };
+}
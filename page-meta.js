@@ -0,0 +1,271 @@
+// Мета-данные страниц ErrorFOXbase: адрес, заголовок, описание, Open Graph и JSON-LD.
+// Одни и те же функции использует приложение при смене представления и tools/build-static.js
+// при сборке готовых страниц, поэтому поисковик и браузер видят одинаковые теги.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+const SITE_URL = 'https://errorfoxbase.ru';
+const SITE_NAME = 'ErrorFOXbase';
+
+// На странице getStepText, parseDuration (error-schema.js), parseUpdateDate (error-filters.js),
+// t и getLocale (i18n.js) уже подключены, в Node берутся через require
+const pageMetaDependencies = typeof module !== 'undefined' && module.exports
+    ? {
+        ...require('./error-schema.js'),
+        parseUpdateDate: require('./error-filters.js').parseUpdateDate,
+        t: require('./i18n.js').t,
+        getLocale: require('./i18n.js').getLocale
+    }
+    : { getStepText, parseDuration, parseUpdateDate, t, getLocale };
+
+// Уровень решения (error-schema.js) -> proficiencyLevel статьи
+const PROFICIENCY_LEVELS = {
+    beginner: 'Beginner',
+    intermediate: 'Intermediate',
+    advanced: 'Expert'
+};
+
+function categoryPagePath(category) {
+    return `/category/${encodeURIComponent(category)}`;
+}
+
+function subcategoryPagePath(category, subcategoryId) {
+    return `${categoryPagePath(category)}/${encodeURIComponent(subcategoryId)}`;
+}
+
+function errorPagePath(code) {
+    return `/error/${encodeURIComponent(code)}`;
+}
+
+function absoluteUrl(path) {
+    return `${SITE_URL}${path}`;
+}
+
+const SITE_PUBLISHER = {
+    "@type": "Organization",
+    "name": SITE_NAME,
+    "logo": { "@type": "ImageObject", "url": `${SITE_URL}/logo.png` }
+};
+
+// Дата lastUpdate (ДД.ММ.ГГГГ) в формате ISO 8601; нераспознанная — null
+function formatISODate(value) {
+    const time = pageMetaDependencies.parseUpdateDate(value);
+    return time ? new Date(time).toISOString().slice(0, 10) : null;
+}
+
+// Время решения ("5 минут", "15-60 минут") в формате ISO 8601: PT5M, PT1H30M.
+// У диапазона берется верхняя граница — сколько может понадобиться. Нераспознанное время — null.
+function formatISODuration(time) {
+    const duration = pageMetaDependencies.parseDuration(time);
+    if (!duration) return null;
+
+    const hours = Math.floor(duration.max / 60);
+    const minutes = duration.max % 60;
+    return `PT${hours ? `${hours}H` : ''}${minutes || !hours ? `${minutes}M` : ''}`;
+}
+
+// Цепочка ссылок от главной: items — [{ name, path }] без главной
+function buildBreadcrumbList(items, translate) {
+    return {
+        "@type": "BreadcrumbList",
+        "itemListElement": [{ name: translate('nav.home'), path: '/' }, ...items].map((item, index) => ({
+            "@type": "ListItem",
+            "position": index + 1,
+            "name": item.name,
+            "item": absoluteUrl(item.path)
+        }))
+    };
+}
+
+function buildItemList(name, items) {
+    return {
+        "@type": "ItemList",
+        "name": name,
+        "numberOfItems": items.length,
+        "itemListElement": items.map((item, index) => ({
+            "@type": "ListItem",
+            "position": index + 1,
+            "name": item.name,
+            "url": absoluteUrl(item.path)
+        }))
+    };
+}
+
+function buildHowTo(solution, index, error, { url, locale }) {
+    const howTo = {
+        "@type": "HowTo",
+        "@id": `${url}#solution-${index + 1}`,
+        "name": solution.title,
+        "inLanguage": locale,
+        "description": solution.description || error.description
+    };
+    const totalTime = formatISODuration(solution.time);
+    if (totalTime) howTo.totalTime = totalTime;
+
+    howTo.step = (solution.steps || []).map((step, stepIndex) => ({
+        "@type": "HowToStep",
+        "position": stepIndex + 1,
+        "text": pageMetaDependencies.getStepText(step)
+    }));
+    return howTo;
+}
+
+// Граф страницы ошибки: статья, по инструкции HowTo на каждое решение, причины как FAQPage
+// и хлебные крошки. breadcrumb — [{ name, path }] от категории до подкатегории.
+function buildErrorStructuredData(error, { translate = pageMetaDependencies.t, locale = pageMetaDependencies.getLocale(), breadcrumb = [] } = {}) {
+    const url = absoluteUrl(errorPagePath(error.code));
+    const howTos = (error.solutions || [])
+        .map((solution, index) => buildHowTo(solution, index, error, { url, locale }))
+        .filter(howTo => howTo.step.length > 0);
+
+    const article = {
+        "@type": "TechArticle",
+        "@id": `${url}#article`,
+        "headline": translate('error.headline', { code: error.code, title: error.title }),
+        "inLanguage": locale,
+        "description": error.description,
+        "author": { "@type": "Organization", "name": SITE_NAME },
+        "publisher": SITE_PUBLISHER,
+        "mainEntityOfPage": { "@type": "WebPage", "@id": url }
+    };
+    const dateModified = formatISODate(error.lastUpdate);
+    if (dateModified) article.dateModified = dateModified;
+    const levels = (error.audience || []).filter(level => PROFICIENCY_LEVELS[level]);
+    if (levels.length > 0) article.proficiencyLevel = PROFICIENCY_LEVELS[levels[0]];
+    if (howTos.length > 0) article.hasPart = howTos.map(howTo => ({ "@id": howTo["@id"] }));
+
+    const graph = [article, ...howTos];
+
+    if (Array.isArray(error.causes) && error.causes.length > 0) {
+        graph.push({
+            "@type": "FAQPage",
+            "@id": `${url}#causes`,
+            "inLanguage": locale,
+            "mainEntity": [{
+                "@type": "Question",
+                "name": translate('structuredData.causesQuestion', { code: error.code }),
+                "acceptedAnswer": {
+                    "@type": "Answer",
+                    "text": `${translate('structuredData.causesAnswer')} ${error.causes.join('; ')}.`
+                }
+            }]
+        });
+    }
+
+    graph.push(buildBreadcrumbList([...breadcrumb, { name: error.code, path: errorPagePath(error.code) }], translate));
+
+    return { "@context": "https://schema.org", "@graph": graph };
+}
+
+// Страница раздела: список ссылок (у пустого раздела его нет) и хлебные крошки
+function buildCollectionStructuredData(name, path, items, breadcrumb, translate) {
+    const page = {
+        "@type": "CollectionPage",
+        "name": name,
+        "url": absoluteUrl(path)
+    };
+    if (items.length > 0) page.mainEntity = buildItemList(name, items);
+
+    return {
+        "@context": "https://schema.org",
+        "@graph": [page, buildBreadcrumbList(breadcrumb, translate)]
+    };
+}
+
+// Мета-данные представления: { path, title, description, type, structuredData }.
+// structuredData — объект JSON-LD или null; type — значение og:type.
+// categories — [{ id, name }] в порядке справочника
+function buildHomePageMeta(categories, { translate = pageMetaDependencies.t } = {}) {
+    return {
+        path: '/',
+        title: translate('app.title'),
+        description: translate('app.description'),
+        type: 'website',
+        structuredData: {
+            "@context": "https://schema.org",
+            "@graph": [
+                buildBreadcrumbList([], translate),
+                buildItemList(translate('categories.title'), categories.map(category => ({
+                    name: category.name,
+                    path: categoryPagePath(category.id)
+                })))
+            ]
+        }
+    };
+}
+
+// category — запись categories.json на нужном языке, subcategories — ее подкатегории
+function buildCategoryPageMeta(categoryId, category, subcategories, { translate = pageMetaDependencies.t } = {}) {
+    const path = categoryPagePath(categoryId);
+    const title = translate('category.pageTitle', { name: category.name });
+    const items = subcategories.map(subcategory => ({
+        name: subcategory.name,
+        path: subcategoryPagePath(categoryId, subcategory.id)
+    }));
+    return {
+        path,
+        title,
+        description: translate('category.description', { name: category.name }),
+        type: 'website',
+        structuredData: buildCollectionStructuredData(title, path, items, [{ name: category.name, path }], translate)
+    };
+}
+
+// errors — записи подкатегории в порядке справочника
+function buildSubcategoryPageMeta(categoryId, category, subcategory, errors, { translate = pageMetaDependencies.t } = {}) {
+    const path = subcategoryPagePath(categoryId, subcategory.id);
+    const title = translate('subcategory.pageTitle', { name: subcategory.name, category: category.name });
+    const items = errors.map(error => ({
+        name: `${error.code}: ${error.title}`,
+        path: errorPagePath(error.code)
+    }));
+    const breadcrumb = [
+        { name: category.name, path: categoryPagePath(categoryId) },
+        { name: subcategory.name, path }
+    ];
+    return {
+        path,
+        title,
+        description: translate('subcategory.description', { name: subcategory.name, category: category.name }),
+        type: 'website',
+        structuredData: buildCollectionStructuredData(title, path, items, breadcrumb, translate)
+    };
+}
+
+// category и subcategory — { id, name } для хлебных крошек; подкатегории может не быть
+function buildErrorPageMeta(error, { category, subcategory = null, translate = pageMetaDependencies.t, locale = pageMetaDependencies.getLocale() } = {}) {
+    const breadcrumb = [];
+    if (category) breadcrumb.push({ name: category.name, path: categoryPagePath(category.id) });
+    if (category && subcategory) breadcrumb.push({ name: subcategory.name, path: subcategoryPagePath(category.id, subcategory.id) });
+
+    return {
+        path: errorPagePath(error.code),
+        title: translate('error.pageTitle', { code: error.code, title: error.title }),
+        description: translate('error.metaDescription', { code: error.code, title: error.title, description: error.description.substring(0, 160) }),
+        type: 'article',
+        structuredData: buildErrorStructuredData(error, { translate, locale, breadcrumb })
+    };
+}
+
+// JSON-LD для вставки в <script>: «</script>» внутри строк не должен закрыть тег
+function serializeStructuredData(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SITE_URL,
+        SITE_NAME,
+        categoryPagePath,
+        subcategoryPagePath,
+        errorPagePath,
+        absoluteUrl,
+        formatISODate,
+        formatISODuration,
+        buildErrorStructuredData,
+        buildHomePageMeta,
+        buildCategoryPageMeta,
+        buildSubcategoryPageMeta,
+        buildErrorPageMeta,
+        serializeStructuredData
+    };
+}
@@ -1,39 +1,54 @@
+// Типы файлов обмена и предельные длины пользовательских текстов
+const COLLECTIONS_EXPORT_TYPE = 'errorfoxbase-collections';
+const COLLECTION_NAME_MAX_LENGTH = 60;
+const PREFERENCES_EXPORT_TYPE = 'errorfoxbase-preferences';
+const NOTE_MAX_LENGTH = 2000;
+
+// Список кодов ошибок из файла обмена: непустые строки разумной длины
+function isExchangeCodeList(codes) {
+    return Array.isArray(codes) && codes.every(code => typeof code === 'string' && code.length > 0 && code.length <= 100);
+}
+
+// Похожие ошибки: вклад признаков в оценку, порог показа и размер блока.
+// Записи, у которых и текст, и причины совпадают не меньше чем на DUPLICATE_THRESHOLD, — возможные дубликаты.
+const SIMILARITY_WEIGHTS = { text: 0.45, causes: 0.35, category: 0.1, subcategory: 0.1 };
+const RELATED_SCORE_THRESHOLD = 0.3;
+const RELATED_ERRORS_LIMIT = 5;
+const DUPLICATE_THRESHOLD = 0.6;
+
+// Ответы сервера отзывов, которыми он отклоняет сам отзыв (некорректное тело, слишком большой запрос):
+// повторная отправка ничего не изменит, поэтому такой отзыв удаляется из очереди
+const FEEDBACK_REJECTED_STATUSES = [400, 413, 422];
+
 // Класс для работы с пользовательскими настройками
 class UserPreferences {
     constructor() {
         this.history = [];
         this.theme = 'light';
-        this.likes = new Map();
-        this.feedbackCounts = new Map();
+        this.locale = detectLocale(navigator.languages || [navigator.language]);
+        this.skillLevel = 'beginner';
+        this.solutionOrder = 'ranked';
+        this.votes = new Map();
+        this.wizardProgress = new Map();
+        this.favorites = [];
+        this.collections = [];
+        this.notes = new Map();
         this.loadPreferences();
     }
 
-    toggleLike(errorCode, solutionIndex) {
+    // Голос этого браузера за решение: 'helped', 'not_helped' или null
+    getVote(errorCode, solutionIndex) {
+        return this.votes.get(`${errorCode}-${solutionIndex}`) || null;
+    }
+
+    setVote(errorCode, solutionIndex, vote) {
         const key = `${errorCode}-${solutionIndex}`;
-        const isLiked = this.likes.get(key) || false;
-        
-        if (isLiked) {
-            this.likes.delete(key);
-            const currentCount = this.feedbackCounts.get(key) || 0;
-            this.feedbackCounts.set(key, Math.max(0, currentCount - 1));
+        if (vote) {
+            this.votes.set(key, vote);
         } else {
-            this.likes.set(key, true);
-            const currentCount = this.feedbackCounts.get(key) || 0;
-            this.feedbackCounts.set(key, currentCount + 1);
+            this.votes.delete(key);
         }
-        
         this.savePreferences();
-        return !isLiked;
-    }
-
-    isLiked(errorCode, solutionIndex) {
-        const key = `${errorCode}-${solutionIndex}`;
-        return this.likes.get(key) || false;
-    }
-
-    getFeedbackCount(errorCode, solutionIndex) {
-        const key = `${errorCode}-${solutionIndex}`;
-        return this.feedbackCounts.get(key) || 0;
     }
 
     addToHistory(error) {
@@ -57,6 +72,178 @@ class UserPreferences {
         this.savePreferences();
     }
 
+    // Избранное — коды ошибок, последние добавленные первыми
+    isFavorite(errorCode) {
+        return this.favorites.includes(errorCode);
+    }
+
+    toggleFavorite(errorCode) {
+        const favorite = !this.isFavorite(errorCode);
+        this.favorites = favorite
+            ? [errorCode, ...this.favorites]
+            : this.favorites.filter(code => code !== errorCode);
+        this.savePreferences();
+        return favorite;
+    }
+
+    getFavorites() {
+        return this.favorites;
+    }
+
+    // Коллекции: [{ id, name, codes: [код, ...], createdAt }]
+    getCollections() {
+        return this.collections;
+    }
+
+    getCollection(id) {
+        return this.collections.find(collection => collection.id === id) || null;
+    }
+
+    // Название коллекции приходит и из чужих файлов обмена, а выводится в списках, меню и уведомлениях:
+    // управляющие символы и угловые скобки убираются, пробелы схлопываются, длина ограничивается
+    normalizeCollectionName(name) {
+        return name
+            .replace(/\s+/g, ' ')
+            .replace(/[\u0000-\u001f\u007f<>]/g, '')
+            .trim()
+            .slice(0, COLLECTION_NAME_MAX_LENGTH);
+    }
+
+    findCollectionByName(name) {
+        const key = this.normalizeCollectionName(name).toLowerCase();
+        return this.collections.find(collection => collection.name.toLowerCase() === key) || null;
+    }
+
+    // Возвращает существующую коллекцию, если коллекция с таким названием уже есть
+    createCollection(name, codes = []) {
+        const existing = this.findCollectionByName(name);
+        if (existing) return existing;
+
+        const collection = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: this.normalizeCollectionName(name),
+            codes: Array.from(new Set(codes)),
+            createdAt: new Date().toISOString()
+        };
+        this.collections.push(collection);
+        this.savePreferences();
+        return collection;
+    }
+
+    deleteCollection(id) {
+        this.collections = this.collections.filter(collection => collection.id !== id);
+        this.savePreferences();
+    }
+
+    // Включает или исключает ошибку из коллекции; возвращает true, если ошибка теперь в коллекции
+    toggleInCollection(id, errorCode) {
+        const collection = this.getCollection(id);
+        if (!collection) return false;
+
+        const included = !collection.codes.includes(errorCode);
+        collection.codes = included
+            ? [...collection.codes, errorCode]
+            : collection.codes.filter(code => code !== errorCode);
+        this.savePreferences();
+        return included;
+    }
+
+    // Файл обмена: { type, version, exportedAt, favorites, collections: [{ name, codes }] }.
+    // collectionIds ограничивает выгрузку выбранными коллекциями, избранное тогда не выгружается.
+    exportCollections(collectionIds = null) {
+        const collections = collectionIds
+            ? this.collections.filter(collection => collectionIds.includes(collection.id))
+            : this.collections;
+
+        return {
+            type: COLLECTIONS_EXPORT_TYPE,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            favorites: collectionIds ? [] : this.favorites.slice(),
+            collections: collections.map(({ name, codes }) => ({ name, codes: codes.slice() }))
+        };
+    }
+
+    // Импорт сливается с текущими данными: коллекции с тем же названием объединяются.
+    // Некорректный файл — исключение, текущие данные при этом не меняются.
+    importCollections(data) {
+        if (!data || data.type !== COLLECTIONS_EXPORT_TYPE || !isExchangeCodeList(data.favorites || []) ||
+            !Array.isArray(data.collections) ||
+            !data.collections.every(item => item && typeof item.name === 'string' && this.normalizeCollectionName(item.name) && isExchangeCodeList(item.codes))) {
+            throw new Error('Некорректный файл коллекций');
+        }
+
+        const favorites = (data.favorites || []).filter(code => !this.favorites.includes(code));
+        this.favorites = [...this.favorites, ...favorites];
+
+        data.collections.forEach(item => {
+            const collection = this.findCollectionByName(item.name);
+            if (collection) {
+                collection.codes = Array.from(new Set([...collection.codes, ...item.codes]));
+            } else {
+                this.createCollection(item.name, item.codes);
+            }
+        });
+        this.savePreferences();
+
+        return { favorites: favorites.length, collections: data.collections.length };
+    }
+
+    // Личные заметки по коду ошибки: { error: текст, '<решение>-<шаг>': текст }.
+    // Индекс решения — его место в справочнике, а не в отсортированном списке.
+    getNote(errorCode, target) {
+        const notes = this.notes.get(errorCode);
+        return (notes && notes[target]) || '';
+    }
+
+    getNoteTexts(errorCode) {
+        return Object.values(this.notes.get(errorCode) || {});
+    }
+
+    // Пустой текст удаляет заметку
+    setNote(errorCode, target, text) {
+        const notes = { ...this.notes.get(errorCode) };
+        const value = text.trim().slice(0, NOTE_MAX_LENGTH);
+        if (value) {
+            notes[target] = value;
+        } else {
+            delete notes[target];
+        }
+
+        if (Object.keys(notes).length > 0) {
+            this.notes.set(errorCode, notes);
+        } else {
+            this.notes.delete(errorCode);
+        }
+        this.savePreferences();
+    }
+
+    getAllNotes() {
+        return this.notes;
+    }
+
+    // Прогресс пошагового режима по коду ошибки:
+    // { solution, step, status, results: { [индекс решения]: ['done' | 'failed' | null, ...] } }
+    getWizardProgress(errorCode) {
+        return this.wizardProgress.get(errorCode) || null;
+    }
+
+    setWizardProgress(errorCode, progress) {
+        this.wizardProgress.delete(errorCode);
+        this.wizardProgress.set(errorCode, { ...progress, updatedAt: new Date().toISOString() });
+
+        // Храним прогресс только по последним 50 ошибкам
+        while (this.wizardProgress.size > 50) {
+            this.wizardProgress.delete(this.wizardProgress.keys().next().value);
+        }
+        this.savePreferences();
+    }
+
+    clearWizardProgress(errorCode) {
+        this.wizardProgress.delete(errorCode);
+        this.savePreferences();
+    }
+
     setTheme(theme) {
         this.theme = theme;
         this.savePreferences();
@@ -66,29 +253,142 @@ class UserPreferences {
         return this.theme;
     }
 
-    savePreferences() {
-        localStorage.setItem('errorfoxbase_prefs', JSON.stringify({
+    setLocale(locale) {
+        this.locale = locale;
+        this.savePreferences();
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    // Уровень пользователя (SOLUTION_LEVELS): решения сложнее него показываются свернутыми
+    setSkillLevel(level) {
+        this.skillLevel = level;
+        this.savePreferences();
+    }
+
+    getSkillLevel() {
+        return this.skillLevel;
+    }
+
+    // 'ranked' — решения по рейтингу, 'authored' — в порядке справочника
+    setSolutionOrder(order) {
+        this.solutionOrder = order;
+        this.savePreferences();
+    }
+
+    getSolutionOrder() {
+        return this.solutionOrder;
+    }
+
+    toJSON() {
+        return {
             history: this.history,
             theme: this.theme,
-            likes: Array.from(this.likes.entries()),
-            feedbackCounts: Array.from(this.feedbackCounts.entries())
-        }));
+            locale: this.locale,
+            skillLevel: this.skillLevel,
+            solutionOrder: this.solutionOrder,
+            votes: Array.from(this.votes.entries()),
+            wizardProgress: Array.from(this.wizardProgress.entries()),
+            favorites: this.favorites,
+            collections: this.collections,
+            notes: Array.from(this.notes.entries())
+        };
+    }
+
+    applyJSON(prefs) {
+        this.history = prefs.history || [];
+        this.theme = prefs.theme || 'light';
+        // Без сохраненного выбора остается язык браузера
+        if (isSupportedLocale(prefs.locale)) this.locale = prefs.locale;
+        if (SOLUTION_LEVELS.includes(prefs.skillLevel)) this.skillLevel = prefs.skillLevel;
+        if (prefs.solutionOrder === 'authored') this.solutionOrder = 'authored';
+        // Прежние лайки (likes) переносятся как голоса «помогло»
+        this.votes = new Map(prefs.votes || (prefs.likes || []).map(([key]) => [key, 'helped']));
+        this.wizardProgress = new Map(prefs.wizardProgress || []);
+        this.favorites = prefs.favorites || [];
+        this.collections = prefs.collections || [];
+        this.notes = new Map(prefs.notes || []);
+    }
+
+    savePreferences() {
+        localStorage.setItem('errorfoxbase_prefs', JSON.stringify(this.toJSON()));
     }
 
     loadPreferences() {
         try {
-            const prefs = JSON.parse(localStorage.getItem('errorfoxbase_prefs') || '{}');
-            this.history = prefs.history || [];
-            this.theme = prefs.theme || 'light';
-            this.likes = new Map(prefs.likes || []);
-            this.feedbackCounts = new Map(prefs.feedbackCounts || []);
+            this.applyJSON(JSON.parse(localStorage.getItem('errorfoxbase_prefs') || '{}'));
         } catch (error) {
             console.error('Ошибка загрузки настроек:', error);
             this.history = [];
             this.theme = 'light';
-            this.likes = new Map();
-            this.feedbackCounts = new Map();
+            this.votes = new Map();
+            this.wizardProgress = new Map();
+            this.favorites = [];
+            this.collections = [];
+            this.notes = new Map();
+        }
+    }
+
+    // Все настройки для переноса на другой компьютер: { type, version, exportedAt, preferences }
+    exportPreferences() {
+        return {
+            type: PREFERENCES_EXPORT_TYPE,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            preferences: this.toJSON()
+        };
+    }
+
+    // Разделы настроек в том виде, в котором их сохраняет toJSON. Раздела может не быть, но если он есть,
+    // проверяется каждая запись: иначе ошибка в одной из них обнаружится, только когда до нее дойдет интерфейс
+    isValidPreferences(prefs) {
+        const isString = value => typeof value === 'string';
+        const isOptionalString = value => value === undefined || isString(value);
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isOptionalList = (list, isValidItem) => list === undefined || (Array.isArray(list) && list.every(isValidItem));
+        // Map в JSON — массив пар [ключ-строка, значение]
+        const isEntry = isValidValue => entry => Array.isArray(entry) && entry.length === 2 && isString(entry[0]) && isValidValue(entry[1]);
+
+        return isObject(prefs) &&
+            (prefs.theme === undefined || ['light', 'dark'].includes(prefs.theme)) &&
+            isOptionalList(prefs.history, item => isObject(item) && isString(item.code) &&
+                isOptionalString(item.title) && isOptionalString(item.category) && isOptionalString(item.timestamp)) &&
+            isOptionalList(prefs.votes, isEntry(vote => vote === 'helped' || vote === 'not_helped')) &&
+            isOptionalList(prefs.likes, entry => Array.isArray(entry) && isString(entry[0])) &&
+            isOptionalList(prefs.wizardProgress, isEntry(progress => isObject(progress) &&
+                Number.isInteger(progress.solution) && Number.isInteger(progress.step))) &&
+            (prefs.favorites === undefined || isExchangeCodeList(prefs.favorites)) &&
+            isOptionalList(prefs.collections, collection => isObject(collection) && isString(collection.id) &&
+                isString(collection.name) && this.normalizeCollectionName(collection.name) !== '' &&
+                isExchangeCodeList(collection.codes) && isOptionalString(collection.createdAt)) &&
+            isOptionalList(prefs.notes, isEntry(notes => isObject(notes) && Object.values(notes).every(isString)));
+    }
+
+    // Импорт заменяет текущие настройки целиком. Файл проверяется до замены: при ошибке в нем
+    // текущие настройки не меняются. Названия коллекций очищаются, как при импорте файла коллекций.
+    importPreferences(data) {
+        if (!data || data.type !== PREFERENCES_EXPORT_TYPE || !this.isValidPreferences(data.preferences)) {
+            throw new Error('Некорректный файл настроек');
+        }
+
+        const preferences = { ...data.preferences };
+        if (preferences.collections) {
+            preferences.collections = preferences.collections.map(collection => ({
+                ...collection,
+                name: this.normalizeCollectionName(collection.name)
+            }));
         }
+
+        const previous = this.toJSON();
+        try {
+            this.applyJSON(preferences);
+        } catch (error) {
+            this.applyJSON(previous);
+            throw error;
+        }
+        this.savePreferences();
     }
 }
 
@@ -98,69 +398,123 @@ class ErrorDatabaseService {
         this.categories = new Map();
         this.subcategories = new Map();
         this.errors = new Map();
+        // Исходные данные с полями translations; выше — их версия на текущем языке
+        this.baseCategories = new Map();
+        this.baseSubcategories = new Map();
+        this.baseErrors = new Map();
+        // errors и baseErrors — краткие записи из оглавления errors-index.json (error-shards.js): код, заголовок,
+        // категория, подкатегории и срочность. Полные записи (details, baseDetails) появляются, когда загружен
+        // файл категории. shardFiles — файл каждой категории, shardSolutions — число решений в нем,
+        // shardRequests — уже начатые загрузки, loadedCategories — завершенные.
+        this.details = new Map();
+        this.baseDetails = new Map();
+        this.shardFiles = new Map();
+        this.shardSolutions = new Map();
+        this.shardRequests = new Map();
+        this.loadedCategories = new Set();
+        this.searchIndex = new SearchIndex();
+        this.codeIndex = new Map();
+        this.subcategoryIndex = new Map();
+        // Тексты личных заметок по кодам: ищутся вместе с данными справочника
+        this.userNotes = new Map();
+        // Код -> { manual: Set кодов из поля related, similar: [{ code, score, duplicate }] };
+        // relatedTerms — термы полных записей, уже учтенных в графе
+        this.relatedIndex = new Map();
+        this.relatedTerms = new Map();
         this.isLoaded = false;
     }
 
     async initialize() {
         try {
-            this.showLoading();
-            
-            // Загружаем данные из внешних JSON файлов
-            const [categoriesData, subcategoriesData, errorsData] = await Promise.all([
+            // Загружаем справочники и оглавление ошибок; сами записи — по категориям, когда понадобятся
+            const [categoriesData, subcategoriesData, indexData] = await Promise.all([
                 this.loadJSON('categories.json'),
                 this.loadJSON('subcategories.json'), 
-                this.loadJSON('errors.json')
+                this.loadJSON(ERROR_INDEX_FILE)
             ]);
 
             // Обрабатываем категории
-            this.categories = new Map();
+            this.baseCategories = new Map();
             for (const [id, category] of Object.entries(categoriesData)) {
-                this.categories.set(id, category);
+                this.baseCategories.set(id, category);
             }
 
             // Обрабатываем подкатегории  
-            this.subcategories = new Map();
+            this.baseSubcategories = new Map();
             for (const [categoryId, subcats] of Object.entries(subcategoriesData)) {
-                this.subcategories.set(categoryId, subcats);
+                this.baseSubcategories.set(categoryId, subcats);
             }
 
-            // Обрабатываем ошибки - убираем дубликаты
-            this.errors = new Map();
-            const seenCodes = new Set();
+            // Обрабатываем оглавление. Повторяющиеся ключи JSON.parse схлопывает молча,
+            // поэтому их проверяет линтер: node tools/lint-data.js
+            this.shardFiles = new Map();
+            this.shardSolutions = new Map();
+            for (const [category, shard] of Object.entries(indexData.shards)) {
+                this.shardFiles.set(category, shard.file);
+                this.shardSolutions.set(category, shard.solutions);
+            }
+            this.baseErrors = new Map();
             
-            for (const [code, error] of Object.entries(errorsData)) {
-                if (seenCodes.has(code)) {
-                    console.warn(`Дубликат ошибки ${code} пропущен`);
-                    continue;
-                }
-                seenCodes.add(code);
-                
-                // Нормализуем данные ошибки
-                const normalizedError = this.normalizeError(error);
-                this.errors.set(code, normalizedError);
+            for (const [code, summary] of Object.entries(indexData.errors)) {
+                // Нормализуем краткую запись так же, как полную
+                this.baseErrors.set(code, this.normalizeError(summary));
             }
+
+            this.applyLocale(getLocale());
+            this.buildCodeIndex();
+            this.buildSubcategoryIndex();
+            this.buildSearchIndex();
+            this.buildRelatedIndex();
             
             this.isLoaded = true;
             console.log(`Загружено: ${this.categories.size} категорий, ${this.errors.size} ошибок`);
-            this.hideLoading();
             return true;
         } catch (error) {
             console.error('Ошибка загрузки базы данных:', error);
-            this.hideLoading();
-            this.showErrorMessage('Не удалось загрузить базу данных. Проверьте наличие файлов JSON.');
+            this.showErrorMessage(t('app.loadFailed'));
             return false;
         }
     }
 
+    // Данные на выбранном языке: непереведенные поля остаются исходными.
+    // Ключи записей не меняются, поэтому индексы кодов и подкатегорий не перестраиваются.
+    applyLocale(locale) {
+        this.categories = new Map();
+        for (const [id, category] of this.baseCategories) {
+            this.categories.set(id, localizeEntry(category, locale));
+        }
+
+        this.subcategories = new Map();
+        for (const [categoryId, subcats] of this.baseSubcategories) {
+            this.subcategories.set(categoryId, subcats.map(subcategory => localizeEntry(subcategory, locale)));
+        }
+
+        this.errors = new Map();
+        for (const [code, error] of this.baseErrors) {
+            this.errors.set(code, localizeError(error, locale));
+        }
+
+        this.details = new Map();
+        for (const [code, error] of this.baseDetails) {
+            this.details.set(code, localizeError(error, locale));
+        }
+    }
+
     // Нормализация данных ошибки для совместимости с кодом
     normalizeError(error) {
         const normalized = { ...error };
+        normalized.subcategories = Array.isArray(error.subcategories) ? error.subcategories : [];
+        
+        if (error.frequency) {
+            normalized.frequency = this.normalizeFrequency(error.frequency);
+        }
         
-        // Нормализуем риск в решениях
+        // Нормализуем риск и шаги в решениях
         if (normalized.solutions) {
             normalized.solutions = normalized.solutions.map(solution => ({
                 ...solution,
-                risk: this.normalizeRisk(solution.risk)
+                risk: this.normalizeRisk(solution.risk),
+                steps: Array.isArray(solution.steps) ? solution.steps.map(normalizeStep) : solution.steps
             }));
         }
         
@@ -180,9 +534,30 @@ class ErrorDatabaseService {
         return riskMap[risk] || 'low';
     }
 
+    // Конвертация частоты из русского в английский. Неизвестное значение остается как есть
+    // и показывается без перевода.
+    normalizeFrequency(frequency) {
+        const frequencyMap = {
+            'очень высокая': 'very_high',
+            'высокая': 'high',
+            'средняя': 'medium',
+            'низкая': 'low',
+            'very_high': 'very_high',
+            'high': 'high',
+            'medium': 'medium',
+            'low': 'low'
+        };
+        return frequencyMap[frequency.trim().toLowerCase()] || frequency;
+    }
+
+    // Время решения в минутах (parseDuration из error-schema.js)
+    normalizeDuration(time) {
+        return parseDuration(time);
+    }
+
     async loadJSON(filename) {
         try {
-            const response = await fetch(filename);
+            const response = await fetch(`/${filename}`);
             if (!response.ok) {
                 throw new Error(`Не удалось загрузить ${filename}: ${response.status}`);
             }
@@ -198,18 +573,60 @@ class ErrorDatabaseService {
         const fallbacks = {
             'categories.json': {},
             'subcategories.json': {},
-            'errors.json': {}
+            [ERROR_INDEX_FILE]: { shards: {}, errors: {} }
         };
         return fallbacks[filename] || {};
     }
 
-    showLoading() {
-        document.getElementById('loadingSection').classList.remove('hidden');
-        this.hideAllSections();
+    // Файл категории загружается один раз: повторные вызовы ждут ту же загрузку.
+    // Неудачная загрузка забывается, и следующее обращение пробует снова.
+    loadCategory(category) {
+        if (!this.shardFiles.has(category)) return Promise.resolve();
+
+        if (!this.shardRequests.has(category)) {
+            const request = this.fetchShard(category).catch(error => {
+                this.shardRequests.delete(category);
+                throw error;
+            });
+            this.shardRequests.set(category, request);
+        }
+        return this.shardRequests.get(category);
+    }
+
+    // Файлы всех категорий: нужны поиску по описаниям, причинам и решениям
+    loadAllCategories() {
+        return Promise.all(Array.from(this.shardFiles.keys(), category => this.loadCategory(category)));
+    }
+
+    isCategoryLoaded(category) {
+        return !this.shardFiles.has(category) || this.loadedCategories.has(category);
+    }
+
+    areAllCategoriesLoaded() {
+        return Array.from(this.shardFiles.keys()).every(category => this.loadedCategories.has(category));
     }
 
-    hideLoading() {
-        document.getElementById('loadingSection').classList.add('hidden');
+    async fetchShard(category) {
+        const file = this.shardFiles.get(category);
+        const response = await fetch(`/${file}`);
+        if (!response.ok) {
+            throw new Error(`Не удалось загрузить ${file}: ${response.status}`);
+        }
+        const shard = await response.json();
+
+        // Записи, которых нет в оглавлении, не видны ни в списках, ни по коду — оглавление устарело
+        const codes = [];
+        for (const [code, error] of Object.entries(shard)) {
+            if (!this.baseErrors.has(code)) continue;
+            codes.push(code);
+            const normalizedError = this.normalizeError(error);
+            this.baseDetails.set(code, normalizedError);
+            this.details.set(code, localizeError(normalizedError, getLocale()));
+            // В полной записи есть описание, причины и решения: теперь ищется и по ним
+            this.reindexError(code);
+        }
+        this.loadedCategories.add(category);
+        this.addToRelatedIndex(codes);
     }
 
     showErrorMessage(message) {
@@ -217,7 +634,7 @@ class ErrorDatabaseService {
         statsSection.innerHTML = `
             <div class="no-results" style="grid-column: 1 / -1;">
                 <i class="fas fa-exclamation-triangle" style="font-size: 48px;"></i>
-                <h3>Ошибка загрузки</h3>
+                <h3>${t('app.loadFailedTitle')}</h3>
                 <p>${message}</p>
             </div>
         `;
@@ -227,37 +644,340 @@ class ErrorDatabaseService {
         document.getElementById('categoriesSection').classList.add('hidden');
         document.getElementById('subcategoriesSection').classList.add('hidden');
         document.getElementById('errorsSection').classList.add('hidden');
+        document.getElementById('searchSection').classList.add('hidden');
+        document.getElementById('logScanSection').classList.add('hidden');
         document.getElementById('errorDetailSection').classList.add('hidden');
+        document.getElementById('editorSection').classList.add('hidden');
         document.getElementById('noResults').classList.add('hidden');
         document.getElementById('statsSection').classList.add('hidden');
     }
 
-    getError(code) {
-        return this.errors.get(code);
+    // Индекс канонических кодов: и ключ записи, и отображаемый код ведут к одной ошибке
+    buildCodeIndex() {
+        this.codeIndex = new Map();
+
+        for (const [key, error] of this.errors) {
+            for (const variant of [error.code, key]) {
+                const normalized = canonicalizeCode(variant);
+                if (normalized && !this.codeIndex.has(normalized.canonical)) {
+                    this.codeIndex.set(normalized.canonical, key);
+                }
+            }
+        }
+    }
+
+    // Ключ записи по коду в любом написании: 0X80070005, 8007 0005, HTTP 404, Stop code: ...
+    resolveCode(code) {
+        if (this.errors.has(code)) {
+            return code;
+        }
+
+        const normalized = canonicalizeCode(code);
+        return normalized ? this.codeIndex.get(normalized.canonical) : undefined;
+    }
+
+    // Краткая запись из оглавления — сразу, без загрузки: для списков, подписей и проверки кода
+    findError(code) {
+        const key = this.resolveCode(code);
+        return key !== undefined ? this.errors.get(key) : undefined;
+    }
+
+    // Полная запись на текущем языке. Код находится по оглавлению, файл категории загружается
+    // при первом обращении; при ошибке сети промис отклоняется
+    async getError(code) {
+        const key = this.resolveCode(code);
+        if (key === undefined) return undefined;
+
+        await this.loadCategory(this.errors.get(key).category);
+        return this.details.get(key);
+    }
+
+    isErrorLoaded(code) {
+        const key = this.resolveCode(code);
+        return key !== undefined && this.details.has(key);
+    }
+
+    // Коды с опечатками: ближайшие по расстоянию редактирования записи того же вида
+    findSimilarCodes(code, limit = 3) {
+        const normalized = canonicalizeCode(code);
+        if (!normalized) return [];
+
+        const threshold = maxCodeDistance(normalized.canonical);
+        const matches = new Map();
+
+        for (const [canonical, key] of this.codeIndex) {
+            const distance = editDistance(normalized.canonical, canonical);
+            if (distance === 0 || distance > threshold) continue;
+
+            const previous = matches.get(key);
+            if (previous === undefined || distance < previous) {
+                matches.set(key, distance);
+            }
+        }
+
+        return Array.from(matches.entries())
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, limit)
+            .map(([key, distance]) => ({ error: this.errors.get(key), distance }));
+    }
+
+    countErrorsByCategory(category) {
+        return Array.from(this.errors.values()).filter(error => error.category === category).length;
+    }
+
+    // Индекс категория -> подкатегория -> ключи ошибок, строится один раз при загрузке
+    buildSubcategoryIndex() {
+        this.subcategoryIndex = new Map();
+
+        for (const [categoryId, subcategories] of this.subcategories) {
+            const bySubcategory = new Map();
+            subcategories.forEach(subcategory => bySubcategory.set(subcategory.id, []));
+            this.subcategoryIndex.set(categoryId, bySubcategory);
+        }
+
+        for (const [key, error] of this.errors) {
+            const bySubcategory = this.subcategoryIndex.get(error.category);
+
+            for (const subcategoryId of error.subcategories) {
+                if (!bySubcategory || !bySubcategory.has(subcategoryId)) {
+                    console.warn(`Ошибка ${key}: неизвестная подкатегория ${error.category}/${subcategoryId}`);
+                    continue;
+                }
+                bySubcategory.get(subcategoryId).push(key);
+            }
+        }
+    }
+
+    // Полные записи подкатегории; файл категории загружается при первом обращении
+    async getErrorsBySubcategory(category, subcategoryId) {
+        await this.loadCategory(category);
+        const keys = this.subcategoryIndex.get(category)?.get(subcategoryId) || [];
+        return keys.filter(key => this.details.has(key)).map(key => this.details.get(key));
+    }
+
+    countErrorsBySubcategory(category, subcategoryId) {
+        return (this.subcategoryIndex.get(category)?.get(subcategoryId) || []).length;
+    }
+
+    // Построение поискового индекса один раз при загрузке базы
+    buildSearchIndex() {
+        this.searchIndex = new SearchIndex();
+
+        for (const key of this.baseErrors.keys()) {
+            this.indexError(key);
+        }
+    }
+
+    // Индексируются все языки сразу: искать можно на любом, независимо от языка интерфейса.
+    // Пока файл категории не загружен, в индексе краткая запись — только код, заголовок и категория
+    indexError(key) {
+        const baseError = this.baseDetails.get(key) || this.baseErrors.get(key);
+        const versions = [baseError, ...Object.keys(baseError.translations || {})
+            .map(locale => localizeError(baseError, locale))];
+        // Непереведенные поля совпадают с исходными и не должны считаться дважды
+        const unique = values => Array.from(new Set(values));
+        const solutions = versions.flatMap(error => error.solutions || []);
+        const baseCategory = this.baseCategories.get(baseError.category);
+        const categoryNames = baseCategory
+            ? [baseCategory.name, ...Object.values(baseCategory.translations || {}).map(translation => translation.name)]
+            : [];
+
+        this.searchIndex.addDocument(key, {
+            code: baseError.code,
+            title: unique(versions.map(error => error.title)),
+            description: unique(versions.map(error => error.description)),
+            causes: unique(versions.flatMap(error => error.causes || [])),
+            solutionTitles: unique(solutions.map(solution => solution.title)),
+            steps: unique(solutions.flatMap(solution => (solution.steps || []).map(getStepText))),
+            category: unique([baseError.category, ...categoryNames]),
+            notes: this.userNotes.get(key) || []
+        });
+    }
+
+    // texts — все заметки пользователя к ошибке; после загрузки базы запись переиндексируется
+    setUserNotes(code, texts) {
+        if (texts.length > 0) {
+            this.userNotes.set(code, texts);
+        } else {
+            this.userNotes.delete(code);
+        }
+
+        if (this.isLoaded && this.baseErrors.has(code)) {
+            this.reindexError(code);
+        }
+    }
+
+    reindexError(key) {
+        this.searchIndex.removeDocument(key);
+        this.indexError(key);
+    }
+
+    // Граф похожих ошибок. Ссылки из поля related действуют в обе стороны; похожие записи находятся
+    // по причинам, тексту заголовка и описания и категории. Считается по исходным данным,
+    // поэтому от языка интерфейса не зависит. Описания и причины есть только в загруженных файлах
+    // категорий, поэтому граф строится по ним и пополняется с каждым новым файлом (addToRelatedIndex):
+    // у открытой ошибки ее категория загружена всегда, записи других категорий добавляются по мере загрузки.
+    buildRelatedIndex() {
+        this.relatedIndex = new Map();
+        this.relatedTerms = new Map();
+
+        for (const key of this.baseErrors.keys()) {
+            this.relatedIndex.set(key, { manual: new Set(), similar: [] });
+        }
+
+        this.addToRelatedIndex(Array.from(this.baseDetails.keys()));
+    }
+
+    // Добавляет в граф полные записи keys. Каждая сравнивается только с уже учтенными записями
+    // и с остальными из keys: граф не пересчитывается заново с каждым файлом категории
+    addToRelatedIndex(keys) {
+        const previousKeys = Array.from(this.relatedTerms.keys());
+        const addedKeys = keys.filter(key => this.baseDetails.has(key) && !this.relatedTerms.has(key));
+
+        for (const key of addedKeys) {
+            const error = this.baseDetails.get(key);
+            this.relatedTerms.set(key, {
+                text: new Set(tokenize(`${error.title} ${error.description}`)),
+                causes: new Set(tokenize((error.causes || []).join(' ')))
+            });
+        }
+
+        for (const key of addedKeys) {
+            for (const code of this.baseDetails.get(key).related || []) {
+                if (code === key || !this.relatedIndex.has(code)) continue;
+                this.relatedIndex.get(key).manual.add(code);
+                this.relatedIndex.get(code).manual.add(key);
+            }
+        }
+
+        // Списки похожих, в которые что-то добавилось: их нужно пересортировать
+        const changedKeys = new Set();
+        const link = (key, otherKey) => {
+            const similarity = this.compareErrors(this.baseDetails.get(key), this.baseDetails.get(otherKey), this.relatedTerms.get(key), this.relatedTerms.get(otherKey));
+            if (similarity.score < RELATED_SCORE_THRESHOLD && !similarity.duplicate) return;
+
+            this.relatedIndex.get(key).similar.push({ code: otherKey, ...similarity });
+            this.relatedIndex.get(otherKey).similar.push({ code: key, ...similarity });
+            changedKeys.add(key).add(otherKey);
+        };
+
+        addedKeys.forEach((key, index) => {
+            for (const otherKey of previousKeys) link(key, otherKey);
+            for (const otherKey of addedKeys.slice(index + 1)) link(key, otherKey);
+        });
+
+        for (const key of changedKeys) {
+            this.relatedIndex.get(key).similar.sort((a, b) => b.score - a.score);
+        }
+    }
+
+    // Оценка похожести двух записей от 0 до 1. terms — множества термов текста и причин (tokenize).
+    compareErrors(a, b, termsA, termsB) {
+        const text = this.termOverlap(termsA.text, termsB.text);
+        const causes = this.termOverlap(termsA.causes, termsB.causes);
+        const sameCategory = a.category === b.category;
+        const sharedSubcategory = sameCategory && a.subcategories.some(id => b.subcategories.includes(id));
+
+        return {
+            score: SIMILARITY_WEIGHTS.text * text +
+                SIMILARITY_WEIGHTS.causes * causes +
+                (sameCategory ? SIMILARITY_WEIGHTS.category : 0) +
+                (sharedSubcategory ? SIMILARITY_WEIGHTS.subcategory : 0),
+            duplicate: text >= DUPLICATE_THRESHOLD && causes >= DUPLICATE_THRESHOLD
+        };
+    }
+
+    // Косинусная мера для множеств: доля общих термов с поправкой на размер
+    termOverlap(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+
+        let common = 0;
+        for (const term of a) {
+            if (b.has(term)) common++;
+        }
+        return common / Math.sqrt(a.size * b.size);
+    }
+
+    // Похожие ошибки на текущем языке: сначала указанные в данных, затем найденные автоматически.
+    // [{ error, manual, duplicate }]; error — полная запись или, если ее категория не загружена, краткая
+    getRelatedErrors(code, limit = RELATED_ERRORS_LIMIT) {
+        const entry = this.relatedIndex.get(code);
+        if (!entry) return [];
+
+        const duplicates = new Set(entry.similar.filter(item => item.duplicate).map(item => item.code));
+        const manual = Array.from(entry.manual).map(key => ({ key, manual: true }));
+        const similar = entry.similar
+            .filter(item => !entry.manual.has(item.code))
+            .map(item => ({ key: item.code, manual: false }));
+
+        return [...manual, ...similar].slice(0, limit).map(({ key, manual: isManual }) => ({
+            error: this.details.get(key) || this.errors.get(key),
+            manual: isManual,
+            duplicate: duplicates.has(key)
+        }));
+    }
+
+    // Коды записей, которые похожи на эту настолько, что могут быть ее дубликатами
+    getDuplicateCandidates(code) {
+        const entry = this.relatedIndex.get(code);
+        return entry ? entry.similar.filter(item => item.duplicate).map(item => item.code) : [];
     }
 
-    getErrorsByCategory(category) {
-        return Array.from(this.errors.values())
-            .filter(error => error.category === category);
+    // Поиск известных кодов в тексте лога. Результаты отсортированы по срочности,
+    // затем по числу упоминаний: [{ error, occurrences: [{ lineNumber, line, raw }] }]
+    scanLog(text) {
+        const urgencyRank = { high: 3, medium: 2, low: 1 };
+        const matches = new Map();
+
+        for (const candidate of extractCodeCandidates(text)) {
+            const key = this.codeIndex.get(candidate.canonical);
+            if (key === undefined) continue;
+
+            if (!matches.has(key)) {
+                matches.set(key, { error: this.errors.get(key), occurrences: [] });
+            }
+            matches.get(key).occurrences.push({
+                lineNumber: candidate.lineNumber,
+                line: candidate.line,
+                raw: candidate.raw
+            });
+        }
+
+        return Array.from(matches.values()).sort((a, b) =>
+            (urgencyRank[b.error.urgency] || 0) - (urgencyRank[a.error.urgency] || 0) ||
+            b.occurrences.length - a.occurrences.length ||
+            a.occurrences[0].lineNumber - b.occurrences[0].lineNumber
+        );
     }
 
-    getErrorsBySubcategory(category, subcategoryName) {
-        return Array.from(this.errors.values())
-            .filter(error => 
-                error.category === category && 
-                error.subcategory === subcategoryName
-            );
+    // Ключи записей по релевантности: точный код, затем заголовок, затем описание
+    searchKeys(query) {
+        const exactKey = this.resolveCode(query.trim());
+        const keys = this.searchIndex.search(query)
+            .map(result => result.id)
+            .filter(key => this.errors.has(key) && key !== exactKey);
+
+        return exactKey !== undefined ? [exactKey, ...keys] : keys;
     }
 
+    // Краткие записи по тому, что уже проиндексировано: до загрузки файлов категорий — только
+    // по коду, заголовку и категории
     searchErrors(query) {
-        const lowercaseQuery = query.toLowerCase();
-        return Array.from(this.errors.values())
-            .filter(error => 
-                error.code.toLowerCase().includes(lowercaseQuery) ||
-                error.title.toLowerCase().includes(lowercaseQuery) ||
-                error.description.toLowerCase().includes(lowercaseQuery) ||
-                error.category.toLowerCase().includes(lowercaseQuery)
-            );
+        return this.searchKeys(query).map(key => this.errors.get(key));
+    }
+
+    // Краткие записи для подсказок: поиск по тем же полям, что и на странице результатов,
+    // поэтому сначала загружаются файлы всех категорий
+    async suggestErrors(query) {
+        await this.loadAllCategories();
+        return this.searchErrors(query);
+    }
+
+    // Полные записи для страницы результатов: сначала загружаются файлы всех категорий,
+    // чтобы поиск шел и по описаниям, причинам и решениям
+    async searchErrorDetails(query) {
+        await this.loadAllCategories();
+        return this.searchKeys(query).filter(key => this.details.has(key)).map(key => this.details.get(key));
     }
 
     getCategoryInfo(category) {
@@ -272,10 +992,11 @@ class ErrorDatabaseService {
         return this.errors.size;
     }
 
+    // Решения считаются по оглавлению: файлы категорий для этого не нужны
     getTotalSolutionsCount() {
         let total = 0;
-        for (const error of this.errors.values()) {
-            total += error.solutions?.length || 0;
+        for (const count of this.shardSolutions.values()) {
+            total += count;
         }
         return total;
     }
@@ -287,26 +1008,58 @@ class ToastManager {
         this.container = document.getElementById('toastContainer');
     }
 
-    show(message, type = 'success', duration = 3000) {
+    // action: { label, onClick } — кнопка в уведомлении. duration = 0 — не скрывать автоматически.
+    // message — простой текст: в нем бывают коды из адреса и названия коллекций из файлов,
+    // поэтому он выводится через textContent, а не разметкой.
+    show(message, type = 'success', duration = 3000, action = null) {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
-        toast.innerHTML = `
-            <i class="fas fa-${type === 'success' ? 'check' : 'exclamation'}"></i>
-            <span>${message}</span>
-        `;
+        toast.innerHTML = `<i class="fas fa-${this.getIcon(type)}"></i>`;
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'toast-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                this.hide(toast);
+                action.onClick();
+            });
+            toast.appendChild(actionButton);
+
+            const closeButton = document.createElement('button');
+            closeButton.className = 'toast-close';
+            closeButton.setAttribute('aria-label', t('toast.close'));
+            closeButton.innerHTML = '<i class="fas fa-times"></i>';
+            closeButton.addEventListener('click', () => this.hide(toast));
+            toast.appendChild(closeButton);
+        }
 
         this.container.appendChild(toast);
 
         setTimeout(() => toast.classList.add('show'), 10);
 
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => {
-                if (toast.parentNode) {
-                    toast.parentNode.removeChild(toast);
-                }
-            }, 300);
-        }, duration);
+        if (duration > 0) {
+            setTimeout(() => this.hide(toast), duration);
+        }
+        return toast;
+    }
+
+    getIcon(type) {
+        const icons = { 'success': 'check', 'info': 'info', 'warning': 'exclamation-triangle' };
+        return icons[type] || 'exclamation';
+    }
+
+    hide(toast) {
+        toast.classList.remove('show');
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 300);
     }
 }
 
@@ -347,6 +1100,1837 @@ class AnalyticsService {
     }
 }
 
+// СЕРВИС ОТЗЫВОВ О РЕШЕНИЯХ
+// Голоса «помогло / не помогло» и комментарии уходят на сервер отзывов (server/feedback-server.js),
+// общие счетчики приходят оттуда же. Отзывы сначала попадают в очередь в localStorage, поэтому
+// без сети они не теряются и отправляются при следующем подключении.
+// Если сервер недоступен, getSummary возвращает null и интерфейс показывает только голоса этого браузера.
+class FeedbackService {
+    constructor() {
+        this.endpoint = '/api/feedback';
+        this.queueKey = 'errorfoxbase_feedback_queue';
+        this.maxQueueSize = 100;
+        this.summaries = new Map();   // код ошибки -> { [индекс решения]: { helped, notHelped, comments } }
+        this.flushPromise = null;
+        this.clientId = this.loadClientId();
+        this.queue = this.loadQueue();
+
+        window.addEventListener('online', () => this.flush());
+    }
+
+    // Анонимный идентификатор браузера: сервер хранит один голос на решение от каждого
+    loadClientId() {
+        let clientId = localStorage.getItem('errorfoxbase_client_id');
+        if (!clientId) {
+            clientId = window.crypto && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+            localStorage.setItem('errorfoxbase_client_id', clientId);
+        }
+        return clientId;
+    }
+
+    loadQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(this.queueKey) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.error('Ошибка загрузки очереди отзывов:', error);
+            return [];
+        }
+    }
+
+    saveQueue() {
+        localStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+    }
+
+    getUrl(errorCode) {
+        return `${this.endpoint}/${encodeURIComponent(errorCode)}`;
+    }
+
+    // Общие счетчики по решениям ошибки или null, если сервер недоступен
+    async getSummary(errorCode) {
+        await this.flush();
+
+        try {
+            const response = await fetch(this.getUrl(errorCode), { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.summaries.set(errorCode, data.solutions || {});
+            return this.summaries.get(errorCode);
+        } catch (error) {
+            console.warn('Сервер отзывов недоступен:', error.message);
+            this.summaries.delete(errorCode);
+            return null;
+        }
+    }
+
+    // feedback: { vote } и/или { comment }. Возвращает true, если сервер принял всю очередь.
+    submit(errorCode, solutionIndex, feedback) {
+        // Неотправленный голос за то же решение заменяется новым
+        if ('vote' in feedback) {
+            this.queue = this.queue.filter(item =>
+                !(item.code === errorCode && item.solution === solutionIndex && 'vote' in item && !item.comment));
+        }
+
+        this.queue.push({ code: errorCode, solution: solutionIndex, ...feedback });
+        this.queue = this.queue.slice(-this.maxQueueSize);
+        this.saveQueue();
+        return this.flush();
+    }
+
+    // Отправка очереди по порядку. Отзыв, который сервер отклонил (FEEDBACK_REJECTED_STATUSES), удаляется
+    // из очереди; при сетевой ошибке и любом другом ответе (нет адреса API, перегрузка, 5xx) отправка
+    // прерывается до следующей попытки, а отзыв остается в очереди.
+    flush() {
+        if (this.flushPromise) return this.flushPromise;
+
+        this.flushPromise = (async () => {
+            while (this.queue.length > 0) {
+                const { code, ...feedback } = this.queue[0];
+                let response;
+                try {
+                    response = await fetch(this.getUrl(code), {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ...feedback, clientId: this.clientId })
+                    });
+                } catch (error) {
+                    return false;
+                }
+
+                if (response.ok) {
+                    // Отзыв принят; если ответ не разобрать, счетчики обновятся при следующей загрузке
+                    try {
+                        const data = await response.json();
+                        const summary = this.summaries.get(code);
+                        if (summary) summary[data.solution] = data.counts;
+                    } catch (error) {
+                        console.warn(`Некорректный ответ сервера отзывов для ${code}:`, error.message);
+                    }
+                } else if (FEEDBACK_REJECTED_STATUSES.includes(response.status)) {
+                    console.warn(`Отзыв о решении ${code}/${feedback.solution} отклонен: HTTP ${response.status}`);
+                } else {
+                    return false;
+                }
+
+                this.queue.shift();
+                this.saveQueue();
+            }
+            return true;
+        })().finally(() => {
+            this.flushPromise = null;
+        });
+
+        return this.flushPromise;
+    }
+}
+
+// Класс для клиентской маршрутизации
+// Сопоставляет адреса /category/..., /error/..., /search и ?page= с представлениями приложения.
+// Фильтры и сортировка списков тоже живут в строке запроса (error-filters.js).
+class Router {
+    constructor(app) {
+        this.app = app;
+        // Текущее восстановление по адресу: { version } — версия представления (App.viewVersion),
+        // которое оно показывает; null, пока показ не начался
+        this.restoration = null;
+    }
+
+    start() {
+        window.addEventListener('popstate', () => {
+            this.app.analytics.trackEvent('navigation', 'popstate', window.location.pathname);
+            this.resolve();
+        });
+        this.resolve();
+    }
+
+    // Построение адресов представлений (пути страниц — в page-meta.js, их же использует сборка)
+    categoryPath(category) {
+        return categoryPagePath(category);
+    }
+
+    // listState — фильтры и сортировка списка (error-filters.js), они попадают в строку запроса
+    subcategoryPath(category, subcategoryId, page = 1, listState = null) {
+        return this.withQuery(subcategoryPagePath(category, subcategoryId), [listState && buildListQuery(listState), page > 1 && `page=${page}`]);
+    }
+
+    searchPath(query, listState = null, page = 1) {
+        return this.withQuery('/search', [`q=${encodeURIComponent(query)}`, listState && buildListQuery(listState), page > 1 && `page=${page}`]);
+    }
+
+    withQuery(path, parts) {
+        const query = parts.filter(Boolean).join('&');
+        return query ? `${path}?${query}` : path;
+    }
+
+    errorPath(code) {
+        return errorPagePath(code);
+    }
+
+    // Редактор: новая запись или правка существующей
+    editorPath(code = null) {
+        return code === null ? '/editor' : `/editor/${encodeURIComponent(code)}`;
+    }
+
+    parse(location) {
+        const segments = location.pathname
+            .split('/')
+            .filter(Boolean)
+            .map(segment => {
+                try {
+                    return decodeURIComponent(segment);
+                } catch (error) {
+                    return segment;
+                }
+            });
+        const params = new URLSearchParams(location.search);
+        const page = parseInt(params.get('page'), 10);
+
+        if (segments.length === 0) {
+            return { name: 'categories' };
+        }
+
+        if (segments[0] === 'category' && segments.length === 2) {
+            return { name: 'subcategories', category: segments[1] };
+        }
+
+        if (segments[0] === 'category' && segments.length === 3) {
+            return {
+                name: 'errors',
+                category: segments[1],
+                subcategory: segments[2],
+                page: Number.isInteger(page) && page > 0 ? page : 1,
+                listState: parseListQuery(params)
+            };
+        }
+
+        if (segments[0] === 'search' && segments.length === 1) {
+            return {
+                name: 'search',
+                query: params.get('q') || '',
+                page: Number.isInteger(page) && page > 0 ? page : 1,
+                listState: parseListQuery(params)
+            };
+        }
+
+        if (segments[0] === 'error' && segments.length === 2) {
+            return { name: 'errorDetail', code: segments[1] };
+        }
+
+        if (segments[0] === 'scan' && segments.length === 1) {
+            return { name: 'logScan' };
+        }
+
+        if (segments[0] === 'editor' && segments.length <= 2) {
+            return { name: 'editor', code: segments.length === 2 ? segments[1] : null };
+        }
+
+        return { name: 'notFound' };
+    }
+
+    // Восстановление представления по текущему адресу (загрузка страницы и popstate)
+    // Список подкатегории, поиск, страница ошибки и редактор ждут загрузку файлов категорий;
+    // до ее конца адрес только уточняется.
+    // Каждый вызов помнит свое представление: если пока оно загружается пользователь перейдет
+    // в другое, версия представления сменится и его переход попадет в историю как обычно.
+    async resolve() {
+        const restoration = { version: null };
+        this.restoration = restoration;
+
+        const pending = this.show(this.parse(window.location));
+        restoration.version = this.app.viewVersion;
+        try {
+            await pending;
+        } finally {
+            if (this.restoration === restoration) this.restoration = null;
+        }
+    }
+
+    isRestoring() {
+        const restoration = this.restoration;
+        return restoration !== null && (restoration.version === null || restoration.version === this.app.viewVersion);
+    }
+
+    // Представление маршрута; список, поиск, страница ошибки и редактор ждут загрузку файлов категорий
+    async show(route) {
+        const app = this.app;
+        switch (route.name) {
+            case 'categories':
+                app.showCategories();
+                break;
+            case 'subcategories':
+                app.currentPageNumber = 1;
+                app.displaySubcategories(route.category);
+                break;
+            case 'errors':
+                app.currentCategory = route.category;
+                app.currentSubcategory = route.subcategory;
+                app.currentPageNumber = route.page;
+                app.listState = route.listState;
+                await app.displayErrorsBySubcategory(route.category, route.subcategory);
+                break;
+            case 'search':
+                await app.showSearchResults(route.query, route.listState, route.page);
+                break;
+            case 'errorDetail':
+                await app.showErrorDetail(route.code);
+                break;
+            case 'logScan':
+                app.showLogScan();
+                break;
+            case 'editor':
+                await app.showEditor(route.code);
+                break;
+            default:
+                app.showNoResults();
+        }
+    }
+
+    // Запись текущего представления в адресную строку.
+    // При восстановлении состояния адрес только уточняется, новая запись в истории не создается.
+    sync(path) {
+        const currentPath = window.location.pathname + window.location.search;
+        if (currentPath === path) return;
+
+        if (this.isRestoring()) {
+            history.replaceState(null, '', path);
+        } else {
+            history.pushState(null, '', path);
+        }
+    }
+}
+
+// Класс панели диагностики
+// Задает вопросы из дерева error.diagnostics по очереди; ответ ведет к следующему вопросу
+// или к набору подходящих решений, и список решений сужается до них.
+// Ошибки без дерева показывают все решения, как раньше.
+class DiagnosticsPanel {
+    constructor(app) {
+        this.app = app;
+        this.error = null;
+        this.tree = null;
+        this.answers = [];
+        this.result = null;
+
+        this.container = document.getElementById('diagnosticsPanel');
+        this.container.addEventListener('click', (e) => {
+            const answerButton = e.target.closest('[data-diagnostics-answer]');
+            if (answerButton) {
+                this.answer(Number(answerButton.dataset.diagnosticsAnswer));
+                return;
+            }
+            const backButton = e.target.closest('[data-diagnostics-back]');
+            if (backButton) {
+                this.rewind(Number(backButton.dataset.diagnosticsBack));
+            }
+        });
+    }
+
+    attach(error) {
+        this.error = error;
+        this.answers = [];
+        this.result = null;
+        this.tree = this.isUsable(error) ? error.diagnostics : null;
+
+        this.container.classList.toggle('hidden', !this.tree);
+        if (this.tree) this.render();
+    }
+
+    // Та же ошибка на другом языке: вопросы и ответы те же, поэтому пройденный путь сохраняется
+    refresh(error) {
+        this.error = error;
+        this.tree = this.isUsable(error) ? error.diagnostics : null;
+
+        this.container.classList.toggle('hidden', !this.tree);
+        if (this.tree) this.render();
+    }
+
+    // Дерево с ошибками связности (циклы, битые ссылки) не показываем, чтобы не зациклить пользователя
+    isUsable(error) {
+        if (!error.diagnostics) return false;
+
+        const problems = validateDiagnostics(error.diagnostics, (error.solutions || []).length)
+            .filter(issue => issue.severity === 'error');
+        if (problems.length > 0) {
+            console.warn(`Диагностика ошибки ${error.code} пропущена:`, problems);
+            return false;
+        }
+        return true;
+    }
+
+    getCurrentQuestionId() {
+        if (this.answers.length === 0) return this.tree.start;
+        const last = this.answers[this.answers.length - 1];
+        return this.tree.questions[last.questionId].answers[last.answerIndex].next;
+    }
+
+    answer(answerIndex) {
+        const questionId = this.getCurrentQuestionId();
+        const answer = this.tree.questions[questionId].answers[answerIndex];
+        if (!answer) return;
+
+        this.answers.push({ questionId, answerIndex });
+        this.app.analytics.trackEvent('diagnostics', 'answer', `${this.error.code}/${questionId}/${answerIndex}`);
+
+        if (answer.solutions) {
+            this.result = answer.solutions;
+            this.app.applySolutionFilter(this.error, this.result);
+            this.app.updateLiveRegion(t('diagnostics.matchedLive', { count: this.result.length }));
+        }
+        this.render(true);
+    }
+
+    // Вернуться к вопросу с номером index и ответить заново
+    rewind(index) {
+        this.answers = this.answers.slice(0, index);
+        if (this.result) {
+            this.result = null;
+            this.app.applySolutionFilter(this.error, null);
+        }
+        this.render(true);
+    }
+
+    render(moveFocus = false) {
+        const sanitize = (value) => this.app.sanitizeHTML(value);
+        const questions = this.tree.questions;
+
+        const trail = this.answers.map(({ questionId, answerIndex }, index) => `
+            <li>
+                <span class="diagnostics-question">${sanitize(questions[questionId].text)}</span>
+                <span class="diagnostics-answer">${sanitize(questions[questionId].answers[answerIndex].text)}</span>
+                <button class="diagnostics-change" data-diagnostics-back="${index}">${t('diagnostics.change')}</button>
+            </li>
+        `).join('');
+
+        let current;
+        if (this.result) {
+            const total = this.error.solutions.length;
+            current = `
+                <div class="diagnostics-result">
+                    <i class="fas fa-filter"></i>
+                    <span>${t('diagnostics.matched', { count: this.result.length, total })}</span>
+                    <button class="diagnostics-change" data-diagnostics-back="0">${t('diagnostics.showAll')}</button>
+                </div>
+            `;
+        } else {
+            const question = questions[this.getCurrentQuestionId()];
+            current = `
+                <div class="diagnostics-current">
+                    <p class="diagnostics-current-question">${sanitize(question.text)}</p>
+                    <div class="diagnostics-answers">
+                        ${question.answers.map((answer, index) => `
+                            <button class="diagnostics-answer-btn" data-diagnostics-answer="${index}">${sanitize(answer.text)}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        this.container.innerHTML = `
+            <div class="diagnostics-header">
+                <i class="fas fa-stethoscope"></i>
+                <span>${t('diagnostics.intro')}</span>
+            </div>
+            ${trail ? `<ol class="diagnostics-trail">${trail}</ol>` : ''}
+            ${current}
+        `;
+
+        if (moveFocus) {
+            const focusTarget = this.container.querySelector('.diagnostics-answer-btn, .diagnostics-result button');
+            if (focusTarget) focusTarget.focus();
+        }
+    }
+}
+
+// Класс пошагового режима решения ошибки
+// Показывает одно решение по шагу за раз: шаг отмечается выполненным или неудачным,
+// неудача переводит к следующему решению. Прогресс сохраняется в UserPreferences,
+// поэтому после перезагрузки компьютера можно продолжить с того же шага.
+class SolutionWizard {
+    constructor(app) {
+        this.app = app;
+        this.error = null;
+        this.solutionIndexes = [];
+        this.progress = null;
+
+        this.container = document.getElementById('solutionWizard');
+        this.launch = document.getElementById('wizardLaunch');
+        this.startButton = document.getElementById('wizardStart');
+        this.resumeInfo = document.getElementById('wizardResumeInfo');
+        this.solutionList = document.getElementById('errorSolutions');
+
+        this.startButton.addEventListener('click', () => this.open());
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-wizard-action]');
+            if (button) this.handleAction(button.dataset.wizardAction);
+        });
+    }
+
+    // Вызывается при каждом показе списка решений.
+    // solutionIndexes — решения в порядке показа (App.getSolutionOrder).
+    attach(error, solutionIndexes = null) {
+        this.error = error;
+        this.solutionIndexes = (solutionIndexes || (error.solutions || []).map((_, index) => index))
+            .filter(index => error.solutions[index] && this.app.validateSolutionData(error.solutions[index]));
+        this.progress = this.loadProgress();
+
+        this.container.classList.add('hidden');
+        this.solutionList.classList.remove('hidden');
+        this.renderLaunch();
+    }
+
+    // Та же ошибка на другом языке: порядок решений и прогресс не меняются, открытый режим остается открытым
+    refresh(error) {
+        this.error = error;
+        if (this.container.classList.contains('hidden')) {
+            this.renderLaunch();
+        } else {
+            this.render();
+        }
+    }
+
+    // Сохраненный прогресс отбрасывается, если решения ошибки с тех пор изменились
+    loadProgress() {
+        const saved = this.app.userPrefs.getWizardProgress(this.error.code);
+        if (!saved || !this.solutionIndexes.includes(saved.solution)) return null;
+        if (saved.step >= this.error.solutions[saved.solution].steps.length) return null;
+        return saved;
+    }
+
+    isInProgress() {
+        return this.progress && (this.progress.status === 'active' || this.progress.status === 'confirm');
+    }
+
+    renderLaunch() {
+        this.launch.classList.toggle('hidden', this.solutionIndexes.length === 0);
+        const label = this.startButton.querySelector('span');
+
+        if (this.isInProgress()) {
+            label.textContent = t('wizard.resume');
+            this.resumeInfo.textContent = t('wizard.resumeInfo', {
+                solution: this.getSolutionNumber(this.progress.solution),
+                total: this.solutionIndexes.length,
+                step: this.progress.step + 1
+            });
+        } else if (this.progress && this.progress.status === 'solved') {
+            label.textContent = t('wizard.again');
+            this.resumeInfo.textContent = t('wizard.solvedInfo', { title: this.error.solutions[this.progress.solution].title });
+        } else {
+            label.textContent = t('wizard.start');
+            this.resumeInfo.textContent = t('wizard.intro');
+        }
+    }
+
+    open() {
+        if (!this.isInProgress()) {
+            this.restart();
+        }
+
+        this.app.analytics.trackEvent('wizard', 'open', this.error.code);
+        this.launch.classList.add('hidden');
+        this.solutionList.classList.add('hidden');
+        this.container.classList.remove('hidden');
+        this.render();
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+        this.solutionList.classList.remove('hidden');
+        this.app.renderSolutionList(this.error);
+        this.renderLaunch();
+        this.startButton.focus();
+    }
+
+    restart() {
+        this.progress = {
+            solution: this.solutionIndexes[0],
+            step: 0,
+            status: 'active',
+            results: {}
+        };
+        this.save();
+    }
+
+    save() {
+        this.app.userPrefs.setWizardProgress(this.error.code, this.progress);
+    }
+
+    getSolutionNumber(solutionIndex) {
+        return this.solutionIndexes.indexOf(solutionIndex) + 1;
+    }
+
+    getStepResults(solutionIndex) {
+        if (!this.progress.results[solutionIndex]) {
+            this.progress.results[solutionIndex] = [];
+        }
+        return this.progress.results[solutionIndex];
+    }
+
+    handleAction(action) {
+        const progress = this.progress;
+        const steps = this.error.solutions[progress.solution].steps;
+
+        switch (action) {
+            case 'done':
+                this.getStepResults(progress.solution)[progress.step] = 'done';
+                if (progress.step < steps.length - 1) {
+                    progress.step++;
+                } else {
+                    progress.status = 'confirm';
+                }
+                break;
+            case 'failed':
+                this.getStepResults(progress.solution)[progress.step] = 'failed';
+                this.app.analytics.trackEvent('wizard', 'step_failed', `${this.error.code}/${progress.solution}/${progress.step}`);
+                this.goToNextSolution();
+                break;
+            case 'back':
+                if (progress.status === 'confirm') {
+                    progress.status = 'active';
+                } else if (progress.step > 0) {
+                    progress.step--;
+                }
+                break;
+            case 'next-solution':
+                this.goToNextSolution();
+                break;
+            case 'solved':
+                progress.status = 'solved';
+                this.app.analytics.trackEvent('wizard', 'solved', `${this.error.code}/${progress.solution}`);
+                break;
+            case 'restart':
+                this.restart();
+                break;
+            case 'exit':
+                this.close();
+                return;
+            default:
+                return;
+        }
+
+        this.save();
+        this.render();
+        const focusTarget = this.container.querySelector('.wizard-btn');
+        if (focusTarget) focusTarget.focus();
+    }
+
+    goToNextSolution() {
+        const position = this.solutionIndexes.indexOf(this.progress.solution);
+
+        if (position < this.solutionIndexes.length - 1) {
+            this.progress.solution = this.solutionIndexes[position + 1];
+            this.progress.step = 0;
+            this.progress.status = 'active';
+            this.app.updateLiveRegion(t('wizard.nextSolution', { solution: position + 2, total: this.solutionIndexes.length }));
+        } else {
+            this.progress.status = 'exhausted';
+            this.app.analytics.trackEvent('wizard', 'exhausted', this.error.code);
+        }
+    }
+
+    render() {
+        const { solution: solutionIndex, step, status } = this.progress;
+        const solution = this.error.solutions[solutionIndex];
+        const stepResults = this.progress.results[solutionIndex] || [];
+        const doneCount = stepResults.filter(result => result === 'done').length;
+        const hasNextSolution = this.getSolutionNumber(solutionIndex) < this.solutionIndexes.length;
+        const sanitize = (value) => this.app.sanitizeHTML(value);
+
+        const header = `
+            <div class="wizard-header">
+                <span class="wizard-counter">${t('wizard.counter', { solution: this.getSolutionNumber(solutionIndex), total: this.solutionIndexes.length })}</span>
+                <h5>${sanitize(solution.title)}</h5>
+                <div class="solution-meta">
+                    <span><i class="fas fa-clock"></i> ${sanitize(this.app.getTimeText(solution.time))}</span>
+                    <span><i class="fas fa-shield-alt"></i> ${t('solution.risk', { risk: this.app.getRiskText(solution.risk) })}</span>
+                    <span><i class="fas fa-user"></i> ${t('solution.for', { level: this.app.getLevelText(solution.level) })}</span>
+                </div>
+            </div>
+            <div class="solution-progress" aria-label="${t('solution.stepsDone', { done: doneCount, total: solution.steps.length })}">
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${(doneCount / solution.steps.length) * 100}%"></div>
+                </div>
+                <div class="progress-steps">
+                    ${solution.steps.map((_, index) => `
+                        <span class="step ${this.app.getStepResultClass(stepResults[index])} ${index === step && status === 'active' ? 'current' : ''}">${index + 1}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        let body;
+        if (status === 'active') {
+            body = `
+                <div class="wizard-step">
+                    ${this.app.detailRenderer.renderSolutionWarning(solution)}
+                    <div class="wizard-step-label">${t('wizard.step', { step: step + 1, total: solution.steps.length })}</div>
+                    <div class="wizard-step-text">${this.app.renderStepContent(solution.steps[step])}</div>
+                    <div class="wizard-controls">
+                        <button class="wizard-btn wizard-btn-done" data-wizard-action="done"><i class="fas fa-check"></i> ${t('wizard.done')}</button>
+                        <button class="wizard-btn wizard-btn-failed" data-wizard-action="failed"><i class="fas fa-times"></i> ${t('wizard.failed')}</button>
+                        ${step > 0 ? `<button class="wizard-btn wizard-btn-back" data-wizard-action="back"><i class="fas fa-arrow-left"></i> ${t('wizard.back')}</button>` : ''}
+                    </div>
+                </div>
+            `;
+        } else if (status === 'confirm') {
+            body = `
+                <div class="wizard-step">
+                    <div class="wizard-step-label">${t('wizard.allDone')}</div>
+                    <p class="wizard-step-text">${t('wizard.fixedQuestion')}</p>
+                    <div class="wizard-controls">
+                        <button class="wizard-btn wizard-btn-done" data-wizard-action="solved"><i class="fas fa-check"></i> ${t('wizard.yesFixed')}</button>
+                        <button class="wizard-btn wizard-btn-failed" data-wizard-action="next-solution"><i class="fas fa-times"></i> ${hasNextSolution ? t('wizard.noNext') : t('wizard.noLast')}</button>
+                        <button class="wizard-btn wizard-btn-back" data-wizard-action="back"><i class="fas fa-arrow-left"></i> ${t('wizard.back')}</button>
+                    </div>
+                </div>
+            `;
+        } else if (status === 'solved') {
+            body = `
+                <div class="wizard-result wizard-result-solved">
+                    <i class="fas fa-check-circle"></i>
+                    <p>${sanitize(t('wizard.solved', { title: solution.title }))}</p>
+                </div>
+            `;
+        } else {
+            body = `
+                <div class="wizard-result wizard-result-exhausted">
+                    <i class="fas fa-exclamation-circle"></i>
+                    <p>${t('wizard.exhausted')}</p>
+                </div>
+            `;
+        }
+
+        this.container.innerHTML = `
+            ${header}
+            ${body}
+            <div class="wizard-footer">
+                ${status === 'active' ? `<button class="wizard-link" data-wizard-action="solved"><i class="fas fa-flag-checkered"></i> ${t('wizard.alreadyFixed')}</button>` : ''}
+                <button class="wizard-link" data-wizard-action="restart"><i class="fas fa-redo"></i> ${t('wizard.restart')}</button>
+                <button class="wizard-link" data-wizard-action="exit"><i class="fas fa-list"></i> ${t('wizard.showAll')}</button>
+            </div>
+        `;
+    }
+}
+
+// Класс панели фильтров списка ошибок
+// Показывает чипы значений фасетов (error-filters.js) со счетчиками и выбор сортировки.
+// Состояние хранит владелец списка: панель только сообщает о новом состоянии через onChange.
+// Палитра команд: открывается по «>», ищет по названиям команд и выполняет выбранную.
+// Список команд собирается при каждом открытии — он зависит от текущего экрана и языка.
+class CommandPalette {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('commandPalette');
+        this.input = document.getElementById('commandPaletteInput');
+        this.list = document.getElementById('commandPaletteList');
+        this.commands = [];
+        this.visibleCommands = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
+
+        this.input.addEventListener('input', () => this.render());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-command-index]');
+            if (option) this.run(this.visibleCommands[Number(option.dataset.commandIndex)]);
+        });
+    }
+
+    isOpen() {
+        return !this.container.hidden;
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.commands = this.buildCommands();
+        this.input.value = '';
+        this.container.hidden = false;
+        document.getElementById('overlay').classList.add('active');
+        this.render();
+        this.input.focus();
+        this.app.updateLiveRegion(t('palette.opened'));
+        this.app.analytics.trackEvent('ui', 'palette_open', 'success');
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.container.hidden = true;
+        document.getElementById('overlay').classList.remove('active');
+        if (restoreFocus && this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    buildCommands() {
+        const app = this.app;
+        const commands = [];
+
+        const isErrorPage = !document.getElementById('errorDetailSection').classList.contains('hidden') && !app.editor.isOpen();
+
+        if (isErrorPage) {
+            commands.push({
+                id: 'copy-code',
+                icon: 'fas fa-copy',
+                title: t('palette.copyCode', { code: document.getElementById('errorDetailCode').textContent }),
+                run: () => app.copyErrorCode()
+            });
+            commands.push({
+                id: 'favorite',
+                icon: 'fas fa-star',
+                title: t(app.userPrefs.isFavorite(app.currentError.code) ? 'favorites.remove' : 'favorites.add'),
+                run: () => app.toggleFavorite()
+            });
+            commands.push({
+                id: 'export-markdown',
+                icon: 'fab fa-markdown',
+                title: t('guide.copyMarkdown'),
+                run: () => app.handleGuideAction('copy-markdown')
+            });
+        }
+
+        // Редактор записей — для авторов справочника, в режиме разработки
+        if (isDevMode()) {
+            if (isErrorPage) {
+                commands.push({
+                    id: 'edit-error',
+                    icon: 'fas fa-pen',
+                    title: t('palette.editError', { code: app.currentError.code }),
+                    run: () => app.showEditor(app.currentError.code),
+                    keepFocus: true
+                });
+            }
+            commands.push({ id: 'new-error', icon: 'fas fa-plus', title: t('palette.newError'), run: () => app.showEditor(), keepFocus: true });
+        }
+
+        commands.push({ id: 'home', icon: 'fas fa-home', title: t('palette.home'), run: () => app.showCategories() });
+
+        for (const [categoryId, categoryInfo] of app.errorDB.categories) {
+            commands.push({
+                id: `category-${categoryId}`,
+                icon: categoryInfo.icon,
+                title: t('palette.category', { name: categoryInfo.name }),
+                run: () => app.displaySubcategories(categoryId)
+            });
+        }
+
+        commands.push(
+            { id: 'theme', icon: 'fas fa-adjust', title: t('palette.theme'), run: () => app.toggleTheme() },
+            { id: 'language', icon: 'fas fa-globe', title: t('palette.language'), run: () => app.toggleLanguage() },
+            { id: 'history', icon: 'fas fa-history', title: t('palette.history'), run: () => app.toggleHistory(), keepFocus: true },
+            { id: 'collections', icon: 'fas fa-star', title: t('palette.collections'), run: () => app.toggleCollections(), keepFocus: true },
+            { id: 'log-scan', icon: 'fas fa-paste', title: t('palette.logScan'), run: () => app.showLogScan(), keepFocus: true },
+            { id: 'search', icon: 'fas fa-search', title: t('palette.search'), run: () => app.focusSearch(), keepFocus: true }
+        );
+
+        return commands;
+    }
+
+    // Команда подходит, если ее название содержит все слова запроса
+    filter(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.commands.filter(command => {
+            const title = command.title.toLowerCase();
+            return words.every(word => title.includes(word));
+        });
+    }
+
+    render() {
+        this.visibleCommands = this.filter(this.input.value);
+        this.activeIndex = 0;
+
+        if (this.visibleCommands.length === 0) {
+            this.list.innerHTML = `<li class="command-palette-empty" role="option" aria-disabled="true">${t('palette.nothingFound')}</li>`;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.list.innerHTML = this.visibleCommands.map((command, index) => `
+            <li class="command-palette-item" id="paletteCommand-${this.app.sanitizeHTML(command.id)}" role="option"
+                aria-selected="false" data-command-index="${index}">
+                <i class="${this.app.sanitizeHTML(command.icon)}" aria-hidden="true"></i>
+                <span>${this.app.sanitizeHTML(command.title)}</span>
+            </li>
+        `).join('');
+        this.setActive(0);
+    }
+
+    setActive(index) {
+        const options = this.list.querySelectorAll('[data-command-index]');
+        options.forEach((option, optionIndex) => {
+            option.classList.toggle('active', optionIndex === index);
+            option.setAttribute('aria-selected', String(optionIndex === index));
+        });
+
+        this.activeIndex = index;
+        this.input.setAttribute('aria-activedescendant', options[index].id);
+        if (options[index].scrollIntoView) options[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+        const count = this.visibleCommands.length;
+
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count > 0) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (count > 0) this.run(this.visibleCommands[this.activeIndex]);
+        }
+    }
+
+    // Команды, которые сами переводят фокус (панель истории, поле поиска), закрывают палитру без возврата фокуса
+    run(command) {
+        this.close({ restoreFocus: !command.keepFocus });
+        command.run();
+        this.app.analytics.trackEvent('ui', 'palette_command', command.id);
+    }
+}
+
+// Страница ошибки: поля записи по ERROR_SCHEMA. Поля, которые страница показывает или которые
+// обрабатываются в другом месте (диагностика, переводы, хлебные крошки), перечислены ниже.
+// Остальные в режиме разработки выводятся предупреждением — новое поле в данных не потеряется молча.
+const DETAIL_ERROR_FIELDS = [
+    'code', 'title', 'description', 'causes', 'category', 'subcategories', 'related', 'audience', 'solutions',
+    'diagnostics', 'system', 'urgency', 'frequency', 'lastUpdate', 'userAction', 'translations'
+];
+const DETAIL_SOLUTION_FIELDS = ['level', 'title', 'time', 'risk', 'description', 'warning', 'steps'];
+const DETAIL_STEP_FIELDS = ['text', 'command', 'shell', 'elevated'];
+
+// Режим разработки: локальный адрес или localStorage.errorfoxbase_dev = '1'
+function isDevMode() {
+    return ['localhost', '127.0.0.1'].includes(window.location.hostname) ||
+        localStorage.getItem('errorfoxbase_dev') === '1';
+}
+
+class ErrorDetailRenderer {
+    constructor(app) {
+        this.app = app;
+    }
+
+    // Заголовок, описание, причины, аудитория и сведения об ошибке. Решения рисует renderSolutionList.
+    render(error) {
+        const categoryInfo = this.app.errorDB.getCategoryInfo(error.category);
+
+        document.getElementById('errorDetailCode').textContent = error.code;
+        document.getElementById('errorDetailCategory').textContent = categoryInfo ? categoryInfo.name : error.category;
+        document.getElementById('errorDetailTitle').textContent = error.title;
+        document.getElementById('errorDetailDescription').textContent = error.description;
+        document.getElementById('errorBadges').innerHTML = this.renderAudience(error);
+        this.renderCauses(error);
+        this.renderInfo(error);
+        this.renderRelated(error);
+        this.reportUnknownFields(error);
+    }
+
+    renderAudience(error) {
+        if (!Array.isArray(error.audience) || error.audience.length === 0) return '';
+
+        return `
+            <span class="audience-badge">
+                <i class="fas fa-user-graduate"></i> ${t('error.audience')}
+                ${error.audience.map(level => this.app.sanitizeHTML(this.app.getLevelText(level))).join(', ')}
+            </span>
+        `;
+    }
+
+    renderCauses(error) {
+        const causes = Array.isArray(error.causes) ? error.causes : [];
+        document.getElementById('errorCauses').classList.toggle('hidden', causes.length === 0);
+        document.getElementById('errorCausesList').innerHTML = causes
+            .map(cause => `<li>${this.app.sanitizeHTML(cause)}</li>`)
+            .join('');
+    }
+
+    renderInfo(error) {
+        document.getElementById('errorSystem').textContent = error.system || '—';
+        document.getElementById('errorUrgency').textContent = this.app.getUrgencyText(error.urgency);
+        document.getElementById('errorUrgency').className = `urgency-${error.urgency}`;
+        document.getElementById('errorFrequency').textContent = this.app.getFrequencyText(error.frequency);
+        document.getElementById('errorLastUpdate').textContent = error.lastUpdate ||
+            new Date(2025, 9, 1).toLocaleDateString(getLocale(), { day: 'numeric', month: 'long', year: 'numeric' });
+
+        const userAction = document.getElementById('errorUserAction');
+        userAction.closest('.info-item').classList.toggle('hidden', !error.userAction);
+        userAction.textContent = error.userAction ? this.getUserActionText(error.userAction) : '';
+    }
+
+    getUserActionText(userAction) {
+        const id = USER_ACTION_IDS[userAction] || userAction;
+        return Object.values(USER_ACTION_IDS).includes(id) ? t(`userAction.${id}`) : userAction;
+    }
+
+    // Описание и предупреждение решения — перед шагами, чтобы предупреждение нельзя было пропустить
+    renderSolutionIntro(solution) {
+        return `
+            ${solution.description ? `<p class="solution-description">${this.app.sanitizeHTML(solution.description)}</p>` : ''}
+            ${this.renderSolutionWarning(solution)}
+        `;
+    }
+
+    renderSolutionWarning(solution) {
+        if (!solution.warning) return '';
+
+        return `
+            <div class="solution-warning" role="note">
+                <i class="fas fa-exclamation-triangle"></i>
+                <div><strong>${t('solution.warning')}</strong> ${this.app.sanitizeHTML(solution.warning)}</div>
+            </div>
+        `;
+    }
+
+    // Блок «Похожие ошибки»: карточки как в списках. В режиме разработки под ним перечисляются
+    // возможные дубликаты — записи, которые стоит объединить или развести.
+    renderRelated(error) {
+        const related = this.app.errorDB.getRelatedErrors(error.code);
+        const list = document.getElementById('relatedErrorsList');
+
+        document.getElementById('relatedErrors').classList.toggle('hidden', related.length === 0);
+        list.innerHTML = '';
+        related.forEach(({ error: relatedError }) => {
+            const item = this.app.createErrorListItem(relatedError);
+            if (item) list.appendChild(item);
+        });
+
+        const report = document.getElementById('relatedDuplicates');
+        const duplicates = isDevMode() ? this.app.errorDB.getDuplicateCandidates(error.code) : [];
+
+        report.classList.toggle('hidden', duplicates.length === 0);
+        report.innerHTML = duplicates.length === 0 ? '' : `
+            <i class="fas fa-clone"></i> ${t('dev.duplicates', { code: this.app.sanitizeHTML(error.code) })}
+            <code>${duplicates.map(code => this.app.sanitizeHTML(code)).join(', ')}</code>
+        `;
+        if (duplicates.length > 0) {
+            console.warn(`Ошибка ${error.code} похожа на дубликат:`, duplicates);
+        }
+    }
+
+    // Пути полей, которых нет в списках выше: ['source', 'solutions[1].video', 'solutions[0].steps[2].image']
+    findUnknownFields(error) {
+        const unknown = (value, known, path) => (value && typeof value === 'object'
+            ? Object.keys(value).filter(field => !known.includes(field)).map(field => `${path}${field}`)
+            : []);
+
+        return [
+            ...unknown(error, DETAIL_ERROR_FIELDS, ''),
+            ...(Array.isArray(error.solutions) ? error.solutions : []).flatMap((solution, solutionIndex) => [
+                ...unknown(solution, DETAIL_SOLUTION_FIELDS, `solutions[${solutionIndex}].`),
+                ...(Array.isArray(solution.steps) ? solution.steps : []).flatMap((step, stepIndex) =>
+                    unknown(step, DETAIL_STEP_FIELDS, `solutions[${solutionIndex}].steps[${stepIndex}].`))
+            ])
+        ];
+    }
+
+    reportUnknownFields(error) {
+        const report = document.getElementById('detailDevReport');
+        const fields = isDevMode() ? this.findUnknownFields(error) : [];
+
+        report.classList.toggle('hidden', fields.length === 0);
+        report.innerHTML = fields.length === 0 ? '' : `
+            <i class="fas fa-code"></i> ${t('dev.unknownFields', { code: this.app.sanitizeHTML(error.code) })}
+            <code>${fields.map(field => this.app.sanitizeHTML(field)).join(', ')}</code>
+        `;
+        if (fields.length > 0) {
+            console.warn(`Страница ошибки ${error.code} не показывает поля:`, fields);
+        }
+    }
+}
+
+class ErrorFilterBar {
+    constructor(app, container, onChange) {
+        this.app = app;
+        this.container = container;
+        this.onChange = onChange;
+        this.state = createListState();
+
+        this.container.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter-facet]');
+            if (chip) {
+                this.onChange(toggleFilterValue(this.state, chip.dataset.filterFacet, chip.dataset.filterValue));
+                return;
+            }
+            if (e.target.closest('[data-filter-reset]')) {
+                this.onChange({ ...this.state, filters: {} });
+            }
+        });
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('[data-filter-sort]')) {
+                this.onChange({ ...this.state, sort: e.target.value });
+            }
+        });
+    }
+
+    // errors — весь список до фильтрации, shownCount — сколько записей осталось после нее
+    render(errors, state, shownCount, { defaultSortLabel = t('filters.sort.default') } = {}) {
+        this.state = state;
+        const facets = getFacetCounts(errors, state.filters);
+        const sanitize = (value) => this.app.sanitizeHTML(value);
+
+        this.container.classList.toggle('hidden', errors.length < 2);
+        this.container.innerHTML = `
+            <div class="filter-groups">
+                ${facets.map(facet => `
+                    <div class="filter-group" role="group" aria-label="${sanitize(t(`filters.facet.${facet.id}`))}">
+                        <span class="filter-group-label">${t(`filters.facet.${facet.id}`)}</span>
+                        ${facet.values.map(item => `
+                            <button class="filter-chip ${item.selected ? 'active' : ''}" aria-pressed="${item.selected}"
+                                    data-filter-facet="${facet.id}" data-filter-value="${sanitize(item.value)}"
+                                    ${item.count === 0 && !item.selected ? 'disabled' : ''}>
+                                ${sanitize(this.getValueText(facet.id, item.value))}
+                                <span class="filter-chip-count">${item.count}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="filter-toolbar">
+                <label class="filter-sort-label">
+                    ${t('filters.sortLabel')}
+                    <select class="filter-sort" data-filter-sort>
+                        ${Object.keys(ERROR_SORTS).map(sort => `
+                            <option value="${sort}" ${sort === state.sort ? 'selected' : ''}>${sort === 'default' ? defaultSortLabel : t(`filters.sort.${sort}`)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <span class="filter-summary">${t('filters.shown', { shown: shownCount, total: errors.length })}</span>
+                ${hasActiveFilters(state) ? `<button class="filter-reset" data-filter-reset><i class="fas fa-times"></i> ${t('filters.reset')}</button>` : ''}
+            </div>
+        `;
+    }
+
+    getValueText(facetId, value) {
+        switch (facetId) {
+            case 'category': {
+                const categoryInfo = this.app.errorDB.getCategoryInfo(value);
+                return categoryInfo ? categoryInfo.name : value;
+            }
+            case 'urgency':
+                return this.app.getUrgencyText(value);
+            case 'risk':
+                return this.app.getRiskText(value);
+            case 'audience':
+                return this.app.getLevelText(value);
+            case 'system':
+                return SYSTEM_PLATFORMS.some(platform => platform.id === value) ? t(`platform.${value}`) : value;
+            case 'userAction':
+                return Object.values(USER_ACTION_IDS).includes(value) ? t(`userAction.${value}`) : value;
+            default:
+                return value;
+        }
+    }
+}
+
+// Как риск и частота записаны в файлах категорий (в интерфейсе они переводятся через normalizeRisk и normalizeFrequency)
+const EDITOR_RISK_VALUES = ['низкий', 'средний', 'высокий'];
+const EDITOR_FREQUENCY_VALUES = ['Очень высокая', 'Высокая', 'Средняя', 'Низкая'];
+
+// Редактор записей справочника (/editor и /editor/<код>): форма по ERROR_SCHEMA и предпросмотр,
+// который рисует тот же код, что и страница ошибки (App.renderErrorDetail). Запись проверяется
+// validateErrorEntry при вводе; результат выгружается как JSON Patch или файл категории целиком (error-patch.js).
+class ErrorEditor {
+    constructor(app) {
+        this.app = app;
+        this.section = document.getElementById('editorSection');
+        this.form = document.getElementById('editorForm');
+        this.issuesContainer = document.getElementById('editorIssues');
+        this.preview = document.getElementById('errorDetailSection');
+
+        // Исходные файлы категорий: категория -> { text, errors }. Из них берется запись для правки
+        // и в них вносится результат; null — файл загрузить не удалось
+        this.sources = new Map();
+        // Код из адреса (null — новая запись), ключ исходной записи и ее вид до правки
+        this.requestedCode = null;
+        this.originalKey = null;
+        this.original = null;
+        this.draft = null;
+        // Поля diagnostics и translations правятся как JSON; текст хранится, пока он не разбирается
+        this.jsonText = { diagnostics: '', translations: '' };
+        this.jsonIssues = [];
+        this.issues = [];
+        this.schedulePreview = app.debounce(() => this.renderPreview(), 300);
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', () => this.handleInput());
+        this.form.addEventListener('change', (e) => {
+            if (e.target.name === 'category') this.rebuild();
+        });
+        this.section.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor-action]');
+            if (button) this.handleAction(button.dataset.editorAction, button.dataset);
+
+            const exportButton = e.target.closest('[data-editor-export]');
+            if (exportButton) this.handleExport(exportButton.dataset.editorExport);
+
+            const issue = e.target.closest('[data-issue-path]');
+            if (issue) this.focusField(issue.dataset.issuePath);
+        });
+    }
+
+    isOpen() {
+        return !this.section.classList.contains('hidden');
+    }
+
+    // code — код из адреса; черновик той же записи сохраняется (смена языка, возврат в редактор).
+    // Запись для правки берется из исходного файла ее категории: пока он загружается, в редакторе индикатор.
+    async open(code = null) {
+        if (!this.draft || this.requestedCode !== code) {
+            const existing = code === null ? undefined : this.app.errorDB.findError(code);
+            if (existing && !this.sources.get(existing.category)) {
+                this.preview.classList.add('hidden');
+                const version = this.app.showViewLoading('editor', t('editor.loading', { code: existing.code }));
+                const source = await this.loadSource(existing.category);
+                if (!this.app.isViewCurrent(version)) return;
+
+                if (!source) {
+                    this.app.showViewError('editor', t('editor.sourceFailed', { file: errorShardPath(existing.category) }), () => this.app.showEditor(code));
+                    return;
+                }
+                this.app.showSection('editor');
+            }
+            this.startDraft(code, existing);
+        }
+        this.render();
+    }
+
+    // Исходный файл категории: { text, errors } или null, если загрузить не удалось.
+    // У категории без записей файла еще нет — он начинается с пустого объекта.
+    async loadSource(category) {
+        if (this.sources.get(category)) return this.sources.get(category);
+        if (!this.app.errorDB.shardFiles.has(category)) return { text: '{}\n', errors: {} };
+
+        const file = this.app.errorDB.shardFiles.get(category);
+        try {
+            const response = await fetch(`/${file}`);
+            if (!response.ok) {
+                throw new Error(`Не удалось загрузить ${file}: ${response.status}`);
+            }
+            const text = await response.text();
+            this.sources.set(category, { text, errors: JSON.parse(text) });
+        } catch (error) {
+            console.error(`Редактор: исходный ${file} недоступен`, error);
+            this.sources.set(category, null);
+        }
+        return this.sources.get(category);
+    }
+
+    // existing — краткая запись из оглавления; исходный файл ее категории уже загружен
+    startDraft(code, existing) {
+        this.requestedCode = code;
+        this.original = existing ? this.sources.get(existing.category).errors[existing.code] || null : null;
+        this.originalKey = this.original ? existing.code : null;
+        this.draft = this.original ? JSON.parse(JSON.stringify(this.original)) : this.createDraft(code || '');
+        this.jsonText = {
+            diagnostics: this.draft.diagnostics ? JSON.stringify(this.draft.diagnostics, null, 2) : '',
+            translations: this.draft.translations ? JSON.stringify(this.draft.translations, null, 2) : ''
+        };
+
+        if (code !== null && !this.original) {
+            this.app.toast.show(t('editor.notFound', { code }), 'warning');
+        }
+    }
+
+    createDraft(code) {
+        const [category = ''] = this.app.errorDB.categories.keys();
+        const [subcategory] = this.app.errorDB.getSubcategories(category);
+        const today = new Date();
+        const pad = (number) => String(number).padStart(2, '0');
+
+        return {
+            code,
+            title: '',
+            description: '',
+            causes: [''],
+            category,
+            subcategories: subcategory ? [subcategory.id] : [],
+            solutions: [this.createSolution()],
+            urgency: 'medium',
+            lastUpdate: `${pad(today.getDate())}.${pad(today.getMonth() + 1)}.${today.getFullYear()}`,
+            userAction: USER_ACTIONS[0]
+        };
+    }
+
+    createSolution() {
+        return { level: SOLUTION_LEVELS[0], title: '', time: '', risk: EDITOR_RISK_VALUES[0], steps: [''] };
+    }
+
+    // Запись по полям формы в порядке ERROR_SCHEMA. Пустые необязательные поля не попадают в запись,
+    // пустые обязательные остаются пустыми строками — о них сообщит проверка.
+    readForm() {
+        const form = this.form;
+        const value = (name) => form.elements[name].value.trim();
+        const list = (name) => Array.from(form.querySelectorAll(`[data-list="${name}"] input`), input => input.value.trim());
+        const checked = (name) => Array.from(form.querySelectorAll(`input[name="${name}"]:checked`), input => input.value);
+        const optional = (items) => (items.length > 0 ? items : undefined);
+
+        this.jsonIssues = [];
+        const json = {};
+        for (const field of ['diagnostics', 'translations']) {
+            this.jsonText[field] = form.elements[field].value;
+            json[field] = this.parseJSONField(field);
+        }
+
+        const fields = {
+            code: value('code'),
+            title: value('title'),
+            description: value('description'),
+            causes: optional(list('causes')),
+            category: value('category'),
+            subcategories: checked('subcategories'),
+            related: optional(list('related')),
+            audience: optional(checked('audience')),
+            solutions: Array.from(form.querySelectorAll('.editor-solution'), item => this.readSolution(item)),
+            diagnostics: json.diagnostics,
+            system: value('system') || undefined,
+            urgency: value('urgency'),
+            frequency: value('frequency') || undefined,
+            lastUpdate: value('lastUpdate') || undefined,
+            userAction: value('userAction') || undefined,
+            translations: json.translations
+        };
+        const draft = {};
+        for (const [field, fieldValue] of Object.entries(fields)) {
+            if (fieldValue !== undefined) draft[field] = fieldValue;
+        }
+
+        // Поля, которых форма не знает, переносятся из исходной записи как есть
+        for (const [field, fieldValue] of Object.entries(this.original || {})) {
+            if (!(field in ERROR_SCHEMA.properties)) draft[field] = fieldValue;
+        }
+        return draft;
+    }
+
+    readSolution(item) {
+        const field = (name) => item.querySelector(`[data-solution-field="${name}"]`).value.trim();
+        const solution = {
+            level: field('level'),
+            title: field('title'),
+            time: field('time'),
+            risk: field('risk')
+        };
+        if (field('description')) solution.description = field('description');
+        if (field('warning')) solution.warning = field('warning');
+        solution.steps = Array.from(item.querySelectorAll('.editor-step'), step => this.readStep(step));
+        return solution;
+    }
+
+    // Шаг без команды записывается строкой, как большинство шагов в данных
+    readStep(item) {
+        const field = (name) => item.querySelector(`[data-step-field="${name}"]`);
+        const text = field('text').value.trim();
+        const command = field('command').value.trim();
+        if (!command) return text;
+
+        const step = { text, command };
+        if (field('shell').value) step.shell = field('shell').value;
+        if (field('elevated').checked) step.elevated = true;
+        return step;
+    }
+
+    // Пустое поле — undefined (поля нет), неразбираемый JSON — undefined и сообщение в jsonIssues
+    parseJSONField(field) {
+        const text = this.jsonText[field].trim();
+        if (!text) return undefined;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            this.jsonIssues.push({ severity: 'error', path: field, message: t('editor.invalidJSON', { message: error.message }) });
+            return undefined;
+        }
+    }
+
+    // Проверка черновика по схеме и справочнику; новый код не должен совпадать с существующим
+    validate() {
+        const errorDB = this.app.errorDB;
+        // Для проверки ссылок и занятых кодов хватает оглавления: в нем все записи справочника
+        const errors = Object.fromEntries(errorDB.baseErrors);
+        const issues = [
+            ...this.jsonIssues,
+            ...validateErrorEntry(this.draft.code, this.draft, {
+                categories: Object.fromEntries(errorDB.baseCategories),
+                subcategories: Object.fromEntries(errorDB.baseSubcategories),
+                errors
+            })
+        ];
+
+        if (this.draft.code !== this.originalKey && this.draft.code in errors) {
+            issues.push({ severity: 'error', path: 'code', message: t('editor.codeExists', { code: this.draft.code }) });
+        }
+        return issues;
+    }
+
+    hasErrors() {
+        return this.issues.some(issue => issue.severity === 'error');
+    }
+
+    handleInput() {
+        this.draft = this.readForm();
+        this.check();
+        this.schedulePreview();
+    }
+
+    check() {
+        this.issues = this.validate();
+        this.renderIssues();
+    }
+
+    // Перестроение формы по черновику: после добавления, удаления и перестановки элементов
+    rebuild(focusPath = null) {
+        this.draft = this.readForm();
+        this.render(focusPath);
+    }
+
+    handleAction(action, { list, index, solution, offset }) {
+        this.draft = this.readForm();
+        const draft = this.draft;
+        const solutionIndex = Number(solution);
+        const itemIndex = Number(index);
+        const target = itemIndex + Number(offset);
+        const solutionTarget = solutionIndex + Number(offset);
+        let focusPath = null;
+
+        switch (action) {
+            case 'add-item':
+                draft[list] = [...(draft[list] || []), ''];
+                focusPath = `${list}[${draft[list].length - 1}]`;
+                break;
+            case 'remove-item':
+                draft[list].splice(itemIndex, 1);
+                if (draft[list].length === 0) delete draft[list];
+                break;
+            case 'add-solution':
+                draft.solutions.push(this.createSolution());
+                focusPath = `solutions[${draft.solutions.length - 1}]`;
+                break;
+            case 'remove-solution':
+                this.reorderSolutions(this.getRemovalOrder(draft.solutions.length, solutionIndex));
+                break;
+            case 'move-solution':
+                this.reorderSolutions(this.getMoveOrder(draft.solutions.length, solutionIndex, solutionTarget));
+                focusPath = `solutions[${solutionTarget}]`;
+                break;
+            case 'add-step':
+                draft.solutions[solutionIndex].steps.push('');
+                focusPath = `solutions[${solutionIndex}].steps[${draft.solutions[solutionIndex].steps.length - 1}]`;
+                break;
+            case 'remove-step':
+                this.reorderSteps(solutionIndex, this.getRemovalOrder(draft.solutions[solutionIndex].steps.length, itemIndex));
+                break;
+            case 'move-step':
+                this.reorderSteps(solutionIndex, this.getMoveOrder(draft.solutions[solutionIndex].steps.length, itemIndex, target));
+                focusPath = `solutions[${solutionIndex}].steps[${target}]`;
+                break;
+            case 'reset':
+                // Исходный файл категории уже загружен при открытии — запись восстанавливается из него
+                this.startDraft(this.requestedCode, this.requestedCode === null ? undefined : this.app.errorDB.findError(this.requestedCode));
+                break;
+            default:
+                return;
+        }
+        this.render(focusPath);
+    }
+
+    // Новый порядок элементов — прежние индексы по местам: [1, 0, 2] меняет местами первые два
+    getMoveOrder(count, from, to) {
+        const order = Array.from({ length: count }, (_, index) => index);
+        if (to >= 0 && to < count) order.splice(to, 0, order.splice(from, 1)[0]);
+        return order;
+    }
+
+    getRemovalOrder(count, removed) {
+        return Array.from({ length: count }, (_, index) => index).filter(index => index !== removed);
+    }
+
+    // Переводы решений и ответы диагностики ссылаются на решения по индексу, поэтому переставляются
+    // и удаляются вместе с ними. Непереведенные решения в середине списка становятся пустым переводом.
+    reorderSolutions(order) {
+        const draft = this.draft;
+        draft.solutions = order.map(index => draft.solutions[index]);
+
+        const questions = draft.diagnostics && describeType(draft.diagnostics.questions) === 'object' ? draft.diagnostics.questions : {};
+        for (const question of Object.values(questions)) {
+            (Array.isArray(question.answers) ? question.answers : []).forEach(answer => {
+                if (answer && Array.isArray(answer.solutions)) {
+                    answer.solutions = answer.solutions.map(index => order.indexOf(index)).filter(index => index !== -1);
+                }
+            });
+        }
+
+        for (const translation of Object.values(draft.translations || {})) {
+            if (!translation || !Array.isArray(translation.solutions)) continue;
+            const solutions = order.map(index => translation.solutions[index]);
+            while (solutions.length > 0 && solutions[solutions.length - 1] === undefined) solutions.pop();
+            translation.solutions = solutions.map(item => item || {});
+        }
+        this.syncJSONText();
+    }
+
+    // Переведенные шаги переставляются вместе с шагами, если переведены все: иначе сопоставление уже неполное
+    reorderSteps(solutionIndex, order) {
+        const solution = this.draft.solutions[solutionIndex];
+        const count = solution.steps.length;
+        solution.steps = order.map(index => solution.steps[index]);
+
+        for (const translation of Object.values(this.draft.translations || {})) {
+            const solutionTranslation = translation && Array.isArray(translation.solutions) ? translation.solutions[solutionIndex] : null;
+            if (solutionTranslation && Array.isArray(solutionTranslation.steps) && solutionTranslation.steps.length === count) {
+                solutionTranslation.steps = order.map(index => solutionTranslation.steps[index]);
+            }
+        }
+        this.syncJSONText();
+    }
+
+    // Текст полей JSON после изменений из формы; неразобранный текст остается как есть
+    syncJSONText() {
+        for (const field of ['diagnostics', 'translations']) {
+            if (this.draft[field] !== undefined) this.jsonText[field] = JSON.stringify(this.draft[field], null, 2);
+        }
+    }
+
+    render(focusPath = null) {
+        const draft = this.draft;
+        document.getElementById('editorTitle').textContent = this.originalKey === null
+            ? t('editor.newTitle')
+            : t('editor.editTitle', { code: this.originalKey });
+        this.preview.dataset.previewLabel = t('editor.preview');
+
+        this.form.innerHTML = `
+            <fieldset class="editor-group">
+                <legend>${t('editor.group.main')}</legend>
+                ${this.renderInput('code', t('editor.field.code'), draft.code)}
+                ${this.renderInput('title', t('editor.field.title'), draft.title)}
+                ${this.renderTextarea('description', t('editor.field.description'), draft.description, 5)}
+            </fieldset>
+            <fieldset class="editor-group">
+                <legend>${t('editor.field.causes')}</legend>
+                ${this.renderList('causes', draft.causes || [], t('editor.addCause'))}
+            </fieldset>
+            <fieldset class="editor-group">
+                <legend>${t('editor.group.classification')}</legend>
+                ${this.renderSelect('category', t('editor.field.category'), draft.category,
+                    Array.from(this.app.errorDB.categories, ([id, category]) => ({ value: id, label: category.name })))}
+                ${this.renderChecklist('subcategories', t('editor.field.subcategories'), draft.subcategories || [],
+                    this.app.errorDB.getSubcategories(draft.category).map(subcategory => ({ value: subcategory.id, label: subcategory.name })))}
+                ${this.renderChecklist('audience', t('editor.field.audience'), draft.audience || [],
+                    SOLUTION_LEVELS.map(level => ({ value: level, label: this.app.getLevelText(level) })))}
+                ${this.renderInput('system', t('editor.field.system'), draft.system)}
+                ${this.renderSelect('urgency', t('editor.field.urgency'), draft.urgency,
+                    URGENCY_LEVELS.map(level => ({ value: level, label: this.app.getUrgencyText(level) })))}
+                ${this.renderSelect('frequency', t('editor.field.frequency'), draft.frequency,
+                    EDITOR_FREQUENCY_VALUES.map(value => ({ value, label: this.app.getFrequencyText(this.app.errorDB.normalizeFrequency(value)) })), { optional: true })}
+                ${this.renderInput('lastUpdate', t('editor.field.lastUpdate'), draft.lastUpdate, { placeholder: t('editor.datePlaceholder') })}
+                ${this.renderSelect('userAction', t('editor.field.userAction'), draft.userAction,
+                    USER_ACTIONS.map(value => ({ value, label: this.app.detailRenderer.getUserActionText(value) })), { optional: true })}
+            </fieldset>
+            <fieldset class="editor-group">
+                <legend>${t('editor.field.related')}</legend>
+                ${this.renderList('related', draft.related || [], t('editor.addRelated'), { datalist: 'editorCodeList' })}
+                <datalist id="editorCodeList">
+                    ${Array.from(this.app.errorDB.baseErrors.keys(), code => `<option value="${this.app.sanitizeHTML(code)}"></option>`).join('')}
+                </datalist>
+            </fieldset>
+            <fieldset class="editor-group" data-path="solutions">
+                <legend>${t('editor.group.solutions')}</legend>
+                ${(draft.solutions || []).map((solution, index) => this.renderSolution(solution, index, draft.solutions.length)).join('')}
+                <button type="button" class="editor-add" data-editor-action="add-solution"><i class="fas fa-plus"></i> ${t('editor.addSolution')}</button>
+            </fieldset>
+            <fieldset class="editor-group">
+                <legend>${t('editor.group.advanced')}</legend>
+                ${this.renderTextarea('diagnostics', t('editor.field.diagnostics'), this.jsonText.diagnostics, 8, { code: true })}
+                ${this.renderTextarea('translations', t('editor.field.translations'), this.jsonText.translations, 8, { code: true })}
+            </fieldset>
+        `;
+
+        this.draft = this.readForm();
+        this.check();
+        this.renderPreview();
+        if (focusPath) this.focusField(focusPath);
+    }
+
+    renderInput(name, label, value = '', { placeholder = '' } = {}) {
+        return `
+            <label class="editor-field" data-path="${name}">
+                <span>${label}</span>
+                <input type="text" name="${name}" value="${this.app.sanitizeHTML(value || '')}" placeholder="${this.app.sanitizeHTML(placeholder)}">
+            </label>
+        `;
+    }
+
+    renderTextarea(name, label, value = '', rows = 3, { code = false } = {}) {
+        return `
+            <label class="editor-field" data-path="${name}">
+                <span>${label}</span>
+                <textarea name="${name}" rows="${rows}" ${code ? 'class="editor-code" spellcheck="false"' : ''}>${this.app.sanitizeHTML(value || '')}</textarea>
+            </label>
+        `;
+    }
+
+    // Значение, которого нет среди вариантов (например, частота в свободной форме), остается в списке
+    renderOptions(value, options, optional) {
+        const all = value && !options.some(option => option.value === value) ? [...options, { value, label: value }] : options;
+        return [
+            optional ? `<option value="">${t('editor.notSet')}</option>` : '',
+            ...all.map(option => `<option value="${this.app.sanitizeHTML(option.value)}" ${option.value === value ? 'selected' : ''}>${this.app.sanitizeHTML(option.label)}</option>`)
+        ].join('');
+    }
+
+    renderSelect(name, label, value, options, { optional = false } = {}) {
+        return `
+            <label class="editor-field" data-path="${name}">
+                <span>${label}</span>
+                <select name="${name}">${this.renderOptions(value, options, optional)}</select>
+            </label>
+        `;
+    }
+
+    renderChecklist(name, label, values, options) {
+        const all = [...options, ...values.filter(value => !options.some(option => option.value === value)).map(value => ({ value, label: value }))];
+        return `
+            <div class="editor-field" role="group" aria-label="${this.app.sanitizeHTML(label)}" data-path="${name}">
+                <span>${label}</span>
+                <div class="editor-checklist">
+                    ${all.map(option => `
+                        <label><input type="checkbox" name="${name}" value="${this.app.sanitizeHTML(option.value)}" ${values.includes(option.value) ? 'checked' : ''}> ${this.app.sanitizeHTML(option.label)}</label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderList(name, items, addLabel, { datalist = null } = {}) {
+        return `
+            <ol class="editor-list" data-list="${name}">
+                ${items.map((item, index) => `
+                    <li class="editor-row" data-path="${name}[${index}]">
+                        <input type="text" value="${this.app.sanitizeHTML(item)}" ${datalist ? `list="${datalist}"` : ''}
+                               aria-label="${this.app.sanitizeHTML(t('editor.item', { number: index + 1 }))}">
+                        ${this.renderButton('remove-item', 'fas fa-times', t('editor.remove'), { list: name, index })}
+                    </li>
+                `).join('')}
+            </ol>
+            <button type="button" class="editor-add" data-editor-action="add-item" data-list="${name}"><i class="fas fa-plus"></i> ${addLabel}</button>
+        `;
+    }
+
+    renderButton(action, icon, label, data = {}) {
+        const attributes = Object.entries(data).map(([key, value]) => `data-${key}="${this.app.sanitizeHTML(String(value))}"`).join(' ');
+        return `
+            <button type="button" class="editor-icon-btn" data-editor-action="${action}" ${attributes}
+                    aria-label="${this.app.sanitizeHTML(label)}" title="${this.app.sanitizeHTML(label)}"><i class="${icon}"></i></button>
+        `;
+    }
+
+    renderSolution(solution, index, total) {
+        const steps = Array.isArray(solution.steps) ? solution.steps : [];
+        const field = (name, label, control) => `
+            <label class="editor-field" data-path="solutions[${index}].${name}">
+                <span>${label}</span>
+                ${control}
+            </label>
+        `;
+        const input = (name) => `<input type="text" data-solution-field="${name}" value="${this.app.sanitizeHTML(solution[name] || '')}">`;
+        const textarea = (name) => `<textarea data-solution-field="${name}" rows="3">${this.app.sanitizeHTML(solution[name] || '')}</textarea>`;
+        const select = (name, options) => `<select data-solution-field="${name}">${this.renderOptions(solution[name], options, false)}</select>`;
+
+        return `
+            <div class="editor-solution" data-path="solutions[${index}]">
+                <div class="editor-solution-header">
+                    <strong>${t('editor.solution', { number: index + 1 })}</strong>
+                    <span class="editor-row-actions">
+                        ${index > 0 ? this.renderButton('move-solution', 'fas fa-arrow-up', t('editor.moveUp'), { solution: index, offset: -1 }) : ''}
+                        ${index < total - 1 ? this.renderButton('move-solution', 'fas fa-arrow-down', t('editor.moveDown'), { solution: index, offset: 1 }) : ''}
+                        ${this.renderButton('remove-solution', 'fas fa-trash', t('editor.remove'), { solution: index })}
+                    </span>
+                </div>
+                ${field('title', t('editor.field.solutionTitle'), input('title'))}
+                <div class="editor-columns">
+                    ${field('level', t('editor.field.level'), select('level', SOLUTION_LEVELS.map(level => ({ value: level, label: this.app.getLevelText(level) }))))}
+                    ${field('risk', t('editor.field.risk'), select('risk', EDITOR_RISK_VALUES.map(risk => ({ value: risk, label: this.app.getRiskText(this.app.errorDB.normalizeRisk(risk)) }))))}
+                    ${field('time', t('editor.field.time'), input('time'))}
+                </div>
+                ${field('description', t('editor.field.solutionDescription'), textarea('description'))}
+                ${field('warning', t('editor.field.warning'), textarea('warning'))}
+                <ol class="editor-steps" data-path="solutions[${index}].steps">
+                    ${steps.map((step, stepIndex) => this.renderStep(normalizeStep(step), index, stepIndex, steps.length)).join('')}
+                </ol>
+                <button type="button" class="editor-add" data-editor-action="add-step" data-solution="${index}"><i class="fas fa-plus"></i> ${t('editor.addStep')}</button>
+            </div>
+        `;
+    }
+
+    renderStep(step, solutionIndex, stepIndex, total) {
+        const path = `solutions[${solutionIndex}].steps[${stepIndex}]`;
+        const data = { solution: solutionIndex, index: stepIndex };
+
+        return `
+            <li class="editor-step" data-path="${path}">
+                <div class="editor-solution-header">
+                    <span>${t('editor.step', { number: stepIndex + 1 })}</span>
+                    <span class="editor-row-actions">
+                        ${stepIndex > 0 ? this.renderButton('move-step', 'fas fa-arrow-up', t('editor.moveUp'), { ...data, offset: -1 }) : ''}
+                        ${stepIndex < total - 1 ? this.renderButton('move-step', 'fas fa-arrow-down', t('editor.moveDown'), { ...data, offset: 1 }) : ''}
+                        ${this.renderButton('remove-step', 'fas fa-times', t('editor.remove'), data)}
+                    </span>
+                </div>
+                <textarea data-step-field="text" rows="2" aria-label="${this.app.sanitizeHTML(t('editor.field.stepText'))}">${this.app.sanitizeHTML(step.text || '')}</textarea>
+                <div class="editor-columns">
+                    <label class="editor-field editor-field-wide">
+                        <span>${t('editor.field.command')}</span>
+                        <input type="text" class="editor-code" data-step-field="command" spellcheck="false" value="${this.app.sanitizeHTML(step.command || '')}">
+                    </label>
+                    <label class="editor-field">
+                        <span>${t('editor.field.shell')}</span>
+                        <select data-step-field="shell">${this.renderOptions(step.shell, COMMAND_SHELLS.map(shell => ({ value: shell, label: t(`shell.${shell}`) })), true)}</select>
+                    </label>
+                    <label class="editor-check">
+                        <input type="checkbox" data-step-field="elevated" ${step.elevated ? 'checked' : ''}> ${t('editor.field.elevated')}
+                    </label>
+                </div>
+            </li>
+        `;
+    }
+
+    // Список сообщений проверки; поля с ошибками отмечаются aria-invalid, выгрузка блокируется
+    renderIssues() {
+        const fields = new Map(Array.from(this.form.querySelectorAll('[data-path]'), element => [element.dataset.path, element]));
+        this.form.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
+        this.form.querySelectorAll('[aria-invalid]').forEach(element => element.removeAttribute('aria-invalid'));
+
+        this.issues.filter(issue => issue.severity === 'error').forEach(issue => {
+            const field = this.findField(fields, issue.path);
+            if (!field) return;
+            field.classList.add('invalid');
+            field.querySelectorAll('input:not([type="checkbox"]), select, textarea').forEach(control => control.setAttribute('aria-invalid', 'true'));
+        });
+
+        const errorCount = this.issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = this.issues.length - errorCount;
+        this.issuesContainer.innerHTML = this.issues.length === 0
+            ? `<p class="editor-issues-ok"><i class="fas fa-check-circle"></i> ${t('editor.valid')}</p>`
+            : `
+                <p class="editor-issues-summary">${t('editor.issues', { errors: errorCount, warnings: warningCount })}</p>
+                <ul>
+                    ${this.issues.map(issue => `
+                        <li class="editor-issue editor-issue-${issue.severity}">
+                            <button type="button" data-issue-path="${this.app.sanitizeHTML(issue.path)}">
+                                <i class="fas ${issue.severity === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
+                                ${issue.path ? `<code>${this.app.sanitizeHTML(issue.path)}</code>` : ''} ${this.app.sanitizeHTML(issue.message)}
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+
+        this.section.querySelectorAll('[data-editor-export]').forEach(button => {
+            button.disabled = this.hasErrors();
+        });
+    }
+
+    // Ближайшее поле формы для пути из сообщения: solutions[0].steps[2].shell -> solutions[0].steps[2] -> ...
+    findField(fields, path) {
+        let current = path;
+        while (current) {
+            if (fields.has(current)) return fields.get(current);
+            const parent = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+            if (parent === current) return null;
+            current = parent;
+        }
+        return null;
+    }
+
+    focusField(path) {
+        const fields = new Map(Array.from(this.form.querySelectorAll('[data-path]'), element => [element.dataset.path, element]));
+        const field = this.findField(fields, path);
+        const control = field && field.querySelector('input, select, textarea');
+        if (control) control.focus();
+    }
+
+    // Предпросмотр — страница ошибки рядом с формой. Черновик приводится к виду, в каком запись
+    // отдает ErrorDatabaseService, и переводится на язык интерфейса.
+    renderPreview() {
+        if (!this.isOpen()) return;
+
+        try {
+            this.app.renderErrorDetail(localizeError(this.app.errorDB.normalizeError(this.draft), getLocale()));
+        } catch (error) {
+            console.warn('Редактор: не удалось показать предпросмотр', error);
+        }
+    }
+
+    getPatch() {
+        return buildErrorPatch(this.draft, {
+            originalKey: this.originalKey,
+            original: this.original,
+            shardExists: this.app.errorDB.shardFiles.has(this.draft.category)
+        });
+    }
+
+    // Файлы категорий с правкой: запись в файле своей категории, а если категория сменилась,
+    // то и прежний файл без нее. [{ file, text }] или null, если какой-то файл недоступен
+    async buildFiles() {
+        const category = this.draft.category;
+        const originalCategory = this.original ? this.original.category : category;
+        const [target, previous] = await Promise.all([this.loadSource(category), this.loadSource(originalCategory)]);
+        if (!target || !previous) return null;
+
+        if (originalCategory === category) {
+            return [{ category, text: applyErrorToFile(target.text, this.draft, { originalKey: this.originalKey }) }];
+        }
+        return [
+            { category, text: applyErrorToFile(target.text, this.draft) },
+            { category: originalCategory, text: removeErrorFromFile(previous.text, this.originalKey) }
+        ];
+    }
+
+    async handleExport(action) {
+        if (this.hasErrors()) {
+            this.app.toast.show(t('editor.hasErrors'), 'error');
+            return;
+        }
+
+        const fileName = `errors-${this.draft.code.replace(/[^A-Za-z0-9-]+/g, '_')}`;
+        switch (action) {
+            case 'download-patch':
+                this.app.downloadFile(JSON.stringify(this.getPatch(), null, 2), `${fileName}.patch.json`, 'application/json-patch+json');
+                break;
+            case 'copy-patch':
+                this.app.copyToClipboard(JSON.stringify(this.getPatch(), null, 2), t('editor.patchCopied'), t('editor.copyFailed'));
+                break;
+            case 'download-file': {
+                const files = await this.buildFiles();
+                if (!files) {
+                    this.app.toast.show(t('editor.sourceFailed', { file: errorShardPath(this.draft.category) }), 'error');
+                    return;
+                }
+                files.forEach(file => this.app.downloadFile(file.text, `${file.category}.json`, 'application/json'));
+                break;
+            }
+            default:
+                return;
+        }
+        this.app.analytics.trackEvent('editor', action, this.draft.code);
+    }
+}
+
+// Представления приложения и их разделы на странице
+const VIEW_SECTIONS = {
+    'categories': 'categoriesSection',
+    'subcategories': 'subcategoriesSection',
+    'errors': 'errorsSection',
+    'search': 'searchSection',
+    'logScan': 'logScanSection',
+    'errorDetail': 'errorDetailSection',
+    'editor': 'editorSection',
+    'noResults': 'noResults'
+};
+
 // ErrorFOXbase - Полная реализация с улучшениями
 class ErrorFOXbaseApp {
     constructor() {
@@ -361,6 +2945,30 @@ class ErrorFOXbaseApp {
         this.userPrefs = new UserPreferences();
         this.toast = new ToastManager();
         this.analytics = new AnalyticsService();
+        this.feedback = new FeedbackService();
+        this.commandPalette = new CommandPalette(this);
+        this.syncNotesToSearch();
+        this.activeSuggestion = -1;
+        this.router = new Router(this);
+        this.wizard = new SolutionWizard(this);
+        this.diagnostics = new DiagnosticsPanel(this);
+        this.detailRenderer = new ErrorDetailRenderer(this);
+        this.editor = new ErrorEditor(this);
+        this.listState = createListState();
+        this.searchQuery = '';
+        this.searchState = createListState();
+        this.searchPage = 1;
+        this.notFoundQuery = '';
+        this.errorsFilterBar = new ErrorFilterBar(this, document.getElementById('errorsFilters'), (state) => this.changeListState(state));
+        this.searchFilterBar = new ErrorFilterBar(this, document.getElementById('searchFilters'), (state) => this.changeSearchState(state));
+        this.solutionFilter = null;
+        this.currentError = null;
+        this.expandedSolutions = new Set();
+        this.pendingCollectionCode = null;
+        this.updateAccepted = false;
+        this.dataUpdateToastShown = false;
+        // Растет при каждой смене представления (showSection, showViewLoading)
+        this.viewVersion = 0;
         
         this.initializeApp();
     }
@@ -368,16 +2976,20 @@ class ErrorFOXbaseApp {
     async initializeApp() {
         try {
             this.applyTheme(this.userPrefs.getTheme());
+            this.applyLanguage(this.userPrefs.getLocale());
             this.setupMobileEnhancements();
             this.setupGlobalErrorHandling();
+            this.releaseStaticPage({ keepCurrent: true });
+            // Пока загружается оглавление, индикатор стоит в том представлении, которое откроется
+            this.showViewLoading(this.router.parse(window.location).name, t('app.loadingDatabase'));
             
             const success = await this.errorDB.initialize();
             
             if (success) {
                 this.setupEventListeners();
-                this.displayCategories();
+                this.router.start();
+                this.releaseStaticPage();
                 this.updateStats();
-                this.updateStructuredData();
                 this.displayHistory();
                 this.analytics.trackEvent('app', 'init', 'success');
             } else {
@@ -386,7 +2998,7 @@ class ErrorFOXbaseApp {
         } catch (error) {
             console.error('App initialization error:', error);
             this.analytics.trackEvent('app', 'init', 'error');
-            this.toast.show('Не удалось запустить приложение', 'error');
+            this.toast.show(t('app.startFailed'), 'error');
         }
     }
 
@@ -405,7 +3017,7 @@ class ErrorFOXbaseApp {
     validateInput(input, type = 'text') {
         const validators = {
             text: (val) => typeof val === 'string' && val.length > 0 && val.length < 500,
-            code: (val) => /^[a-zA-Z0-9\-_\. ]{1,50}$/.test(val),
+            code: (val) => /^[a-zA-Zа-яА-ЯёЁ0-9\-_\.:\/#= ]{1,80}$/.test(val),
             search: (val) => typeof val === 'string' && val.length < 100
         };
         return validators[type] ? validators[type](input) : false;
@@ -413,17 +3025,65 @@ class ErrorFOXbaseApp {
 
     // 2. PWA И ОФФЛАЙН РАБОТА
     setupServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.register('/sw.js')
-                .then(registration => {
-                    console.log('SW registered: ', registration);
-                    this.analytics.trackEvent('pwa', 'sw_registered', 'success');
-                })
-                .catch(error => {
-                    console.log('SW registration failed: ', error);
-                    this.analytics.trackEvent('pwa', 'sw_registered', 'error');
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('/sw.js')
+            .then(registration => {
+                console.log('SW registered: ', registration);
+                this.analytics.trackEvent('pwa', 'sw_registered', 'success');
+                this.watchServiceWorkerUpdates(registration);
+            })
+            .catch(error => {
+                console.log('SW registration failed: ', error);
+                this.analytics.trackEvent('pwa', 'sw_registered', 'error');
+            });
+
+        // sw.js сообщает, что в фоне скачал изменившиеся файлы данных
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'DATA_UPDATED' && !this.dataUpdateToastShown) {
+                this.dataUpdateToastShown = true;
+                this.toast.show(t('pwa.dataUpdated'), 'info', 0, {
+                    label: t('pwa.reload'),
+                    onClick: () => window.location.reload()
                 });
+            }
+        });
+
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading || !this.updateAccepted) return;
+            reloading = true;
+            window.location.reload();
+        });
+    }
+
+    // Новая версия приложения установлена и ждет активации
+    watchServiceWorkerUpdates(registration) {
+        const offerUpdate = (worker) => {
+            this.toast.show(t('pwa.updateAvailable'), 'info', 0, {
+                label: t('pwa.reload'),
+                onClick: () => {
+                    this.updateAccepted = true;
+                    this.analytics.trackEvent('pwa', 'update', 'accepted');
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            });
+        };
+
+        // Без контроллера это первая установка, а не обновление
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
         }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
     }
 
     setupAppInstallPrompt() {
@@ -432,15 +3092,19 @@ class ErrorFOXbaseApp {
         window.addEventListener('beforeinstallprompt', (e) => {
             e.preventDefault();
             deferredPrompt = e;
+            if (document.querySelector('.install-btn')) return;
             
             const installButton = document.createElement('button');
             installButton.className = 'install-btn';
-            installButton.innerHTML = '<i class="fas fa-download"></i> Установить приложение';
+            installButton.setAttribute('data-i18n-aria-label', 'pwa.install');
+            installButton.setAttribute('aria-label', t('pwa.install'));
+            installButton.innerHTML = `<i class="fas fa-download"></i> <span data-i18n="pwa.install">${t('pwa.install')}</span>`;
             installButton.addEventListener('click', () => {
                 deferredPrompt.prompt();
                 deferredPrompt.userChoice.then((choiceResult) => {
                     this.analytics.trackEvent('pwa', 'install', choiceResult.outcome);
                     deferredPrompt = null;
+                    installButton.remove();
                 });
             });
             
@@ -481,20 +3145,85 @@ class ErrorFOXbaseApp {
     // 4. ДОСТУПНОСТЬ (a11y)
     setupAccessibility() {
         // Динамические ARIA-атрибуты
-        this.updateLiveRegion('Приложение загружено');
+        this.updateLiveRegion(t('app.loaded'));
         
         // Клавиатурная навигация
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModals();
+                return;
             }
             
             if (e.key === 'Tab') {
                 this.handleTabNavigation(e);
+                return;
             }
+            
+            this.handleShortcut(e);
         });
     }
 
+    // Горячие клавиши: Ctrl+K или «/» — к поиску, «>» — палитра команд, j/k — по списку ошибок.
+    // Односимвольные клавиши не перехватываются, пока фокус в поле ввода.
+    handleShortcut(e) {
+        if (this.commandPalette.isOpen()) return;
+        
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.focusSearch();
+            return;
+        }
+        
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isEditableElement(e.target)) return;
+        
+        switch (e.key) {
+            case '/':
+                e.preventDefault();
+                this.focusSearch();
+                break;
+            case '>':
+                e.preventDefault();
+                this.commandPalette.open();
+                break;
+            case 'j':
+                e.preventDefault();
+                this.moveListFocus(1);
+                break;
+            case 'k':
+                e.preventDefault();
+                this.moveListFocus(-1);
+                break;
+        }
+    }
+
+    isEditableElement(element) {
+        return Boolean(element && element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    focusSearch() {
+        const searchInput = document.getElementById('searchInput');
+        searchInput.focus();
+        searchInput.select();
+    }
+
+    // Переход к следующей или предыдущей карточке в открытом списке ошибок или результатах поиска
+    moveListFocus(direction) {
+        const list = ['errorsSection', 'searchSection']
+            .map(id => document.getElementById(id))
+            .find(section => !section.classList.contains('hidden'));
+        if (!list) return;
+
+        const items = Array.from(list.querySelectorAll('.error-item'));
+        if (items.length === 0) return;
+
+        const currentIndex = items.indexOf(document.activeElement);
+        const nextIndex = currentIndex === -1
+            ? (direction > 0 ? 0 : items.length - 1)
+            : Math.min(Math.max(currentIndex + direction, 0), items.length - 1);
+        items[nextIndex].focus();
+        if (items[nextIndex].scrollIntoView) items[nextIndex].scrollIntoView({ block: 'nearest' });
+    }
+
     updateLiveRegion(message) {
         let liveRegion = document.getElementById('liveRegion');
         if (!liveRegion) {
@@ -508,14 +3237,24 @@ class ErrorFOXbaseApp {
         liveRegion.textContent = message;
     }
 
+    // Пока открыта палитра команд или боковая панель, Tab не выходит за их пределы
     handleTabNavigation(e) {
-        const focusableElements = document.querySelectorAll(
+        const dialog = this.commandPalette.isOpen()
+            ? this.commandPalette.container
+            : document.querySelector('.history-panel.active');
+        if (!dialog) return;
+
+        const focusableElements = dialog.querySelectorAll(
             'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
         );
+        if (focusableElements.length === 0) return;
         const firstElement = focusableElements[0];
         const lastElement = focusableElements[focusableElements.length - 1];
 
-        if (e.shiftKey && document.activeElement === firstElement) {
+        if (!dialog.contains(document.activeElement)) {
+            e.preventDefault();
+            firstElement.focus();
+        } else if (e.shiftKey && document.activeElement === firstElement) {
             e.preventDefault();
             lastElement.focus();
         } else if (!e.shiftKey && document.activeElement === lastElement) {
@@ -525,8 +3264,17 @@ class ErrorFOXbaseApp {
     }
 
     closeModals() {
-        this.closeHistory();
-        document.getElementById('searchSuggestions').style.display = 'none';
+        if (this.commandPalette.isOpen()) {
+            this.commandPalette.close();
+        }
+        if (document.getElementById('historyPanel').classList.contains('active')) {
+            this.closeHistory();
+        }
+        if (this.isCollectionsOpen()) {
+            this.closeCollections();
+        }
+        document.getElementById('exportMenu').open = false;
+        this.hideSuggestions();
     }
 
     // 5. МОБИЛЬНЫЕ УЛУЧШЕНИЯ
@@ -569,13 +3317,13 @@ class ErrorFOXbaseApp {
         window.addEventListener('error', (e) => {
             console.error('Global error:', e.error);
             this.analytics.trackEvent('error', 'global', e.error?.message || 'Unknown');
-            this.toast.show('Произошла непредвиденная ошибка', 'error');
+            this.toast.show(t('app.unexpectedError'), 'error');
         });
 
         window.addEventListener('unhandledrejection', (e) => {
             console.error('Unhandled promise rejection:', e.reason);
             this.analytics.trackEvent('error', 'promise', e.reason?.message || 'Unknown');
-            this.toast.show('Ошибка выполнения операции', 'error');
+            this.toast.show(t('app.operationFailed'), 'error');
             e.preventDefault();
         });
     }
@@ -590,8 +3338,16 @@ class ErrorFOXbaseApp {
         document.getElementById('searchInput').addEventListener('input', (e) => {
             const value = e.target.value;
             
+            // «>» в пустой строке поиска открывает палитру команд
+            if (value === '>') {
+                e.target.value = '';
+                this.hideSuggestions();
+                this.commandPalette.open();
+                return;
+            }
+            
             if (!this.validateInput(value, 'search')) {
-                document.getElementById('searchSuggestions').style.display = 'none';
+                this.hideSuggestions();
                 return;
             }
 
@@ -600,11 +3356,15 @@ class ErrorFOXbaseApp {
         });
 
         document.getElementById('searchBtn').addEventListener('click', () => this.searchError());
-        document.getElementById('searchInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.searchError();
-            }
+        document.getElementById('logScanBtn').addEventListener('click', () => this.showLogScan());
+        document.getElementById('searchInput').addEventListener('paste', (e) => this.handleSearchPaste(e));
+        document.getElementById('logScanRun').addEventListener('click', () => this.runLogScan());
+        document.getElementById('logScanClear').addEventListener('click', () => {
+            document.getElementById('logScanInput').value = '';
+            document.getElementById('logScanResults').innerHTML = '';
+            document.getElementById('logScanInput').focus();
         });
+        document.getElementById('searchInput').addEventListener('keydown', (e) => this.handleSearchKeydown(e));
 
         // Навигация
         document.getElementById('backToCategories').addEventListener('click', (e) => {
@@ -617,6 +3377,11 @@ class ErrorFOXbaseApp {
             this.showSubcategories();
         });
 
+        document.getElementById('backFromSearch').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showCategories();
+        });
+
         document.getElementById('backToErrors').addEventListener('click', (e) => {
             e.preventDefault();
             this.showErrorsList();
@@ -624,13 +3389,63 @@ class ErrorFOXbaseApp {
 
         // Действия с ошибками
         document.getElementById('copyErrorCode').addEventListener('click', () => this.copyErrorCode());
+        document.getElementById('editError').addEventListener('click', () => this.showEditor(this.currentError.code));
+        document.getElementById('errorDetailSection').addEventListener('click', (e) => {
+            const copyButton = e.target.closest('.command-copy');
+            if (copyButton) this.copyCommand(copyButton.closest('.command-block'));
+
+            const noteButton = e.target.closest('[data-note-edit], [data-note-cancel], [data-note-delete]');
+            if (noteButton) this.handleNoteAction(noteButton);
+        });
+        document.getElementById('errorDetailSection').addEventListener('submit', (e) => {
+            if (!e.target.matches('.note-form')) return;
+            e.preventDefault();
+            this.saveNote(e.target, e.target.querySelector('textarea').value);
+        });
         document.getElementById('shareError').addEventListener('click', () => this.shareError());
+        document.getElementById('exportMenu').addEventListener('click', (e) => {
+            const actionButton = e.target.closest('[data-guide-action]');
+            if (actionButton) this.handleGuideAction(actionButton.dataset.guideAction);
+        });
+        // Ctrl+P на странице ошибки печатает то же руководство, что и кнопка «Печать / PDF»
+        window.addEventListener('beforeprint', () => {
+            if (!document.getElementById('errorDetailSection').classList.contains('hidden')) this.preparePrintGuide();
+        });
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-guide'));
+        document.getElementById('skillLevelSelect').addEventListener('change', (e) => this.changeSkillLevel(e.target.value));
+        document.getElementById('solutionOrderToggle').addEventListener('click', () => this.toggleSolutionOrder());
 
         // Настройки
         document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
+        document.getElementById('languageToggle').addEventListener('click', () => this.toggleLanguage());
         document.getElementById('historyBtn').addEventListener('click', () => this.toggleHistory());
         document.getElementById('closeHistory').addEventListener('click', () => this.closeHistory());
-        document.getElementById('overlay').addEventListener('click', () => this.closeHistory());
+        document.getElementById('collectionsBtn').addEventListener('click', () => this.toggleCollections());
+        document.getElementById('closeCollections').addEventListener('click', () => this.closeCollections());
+        document.getElementById('collectionsPanel').addEventListener('click', (e) => this.handleCollectionsClick(e));
+        document.getElementById('collectionCreateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createCollection();
+        });
+        document.getElementById('exportCollections').addEventListener('click', () => this.exportCollections());
+        document.getElementById('importCollections').addEventListener('click', () => {
+            document.getElementById('importCollectionsFile').click();
+        });
+        document.getElementById('importCollectionsFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importCollections(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('exportPreferences').addEventListener('click', () => this.exportPreferences());
+        document.getElementById('importPreferences').addEventListener('click', () => {
+            document.getElementById('importPreferencesFile').click();
+        });
+        document.getElementById('importPreferencesFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importPreferences(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('favoriteToggle').addEventListener('click', () => this.toggleFavorite());
+        document.getElementById('collectionSelect').addEventListener('change', (e) => this.handleCollectionSelect(e.target));
+        document.getElementById('overlay').addEventListener('click', () => this.closeModals());
 
         // Breadcrumbs
         document.addEventListener('click', (e) => {
@@ -653,7 +3468,10 @@ class ErrorFOXbaseApp {
         // Закрытие выпадающих списков при клике вне
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.search-wrapper')) {
-                document.getElementById('searchSuggestions').style.display = 'none';
+                this.hideSuggestions();
+            }
+            if (!e.target.closest('#exportMenu')) {
+                document.getElementById('exportMenu').open = false;
             }
         });
 
@@ -681,7 +3499,7 @@ class ErrorFOXbaseApp {
         }
     }
 
-    // 8. УПРАВЛЕНИЕ ТЕМОЙ
+    // 8. УПРАВЛЕНИЕ ТЕМОЙ И ЯЗЫКОМ
     toggleTheme() {
         const currentTheme = document.body.getAttribute('data-theme') || 'light';
         const newTheme = currentTheme === 'light' ? 'dark' : 'light';
@@ -696,34 +3514,87 @@ class ErrorFOXbaseApp {
         const themeIcon = document.querySelector('#themeToggle i');
         if (theme === 'dark') {
             themeIcon.className = 'fas fa-sun';
-            this.updateLiveRegion('Темная тема включена');
+            this.updateLiveRegion(t('theme.dark'));
         } else {
             themeIcon.className = 'fas fa-moon';
-            this.updateLiveRegion('Светлая тема включена');
+            this.updateLiveRegion(t('theme.light'));
+        }
+    }
+
+    // Переключение по кругу между языками из LOCALES; текущее представление перерисовывается
+    toggleLanguage() {
+        const locales = Object.keys(LOCALES);
+        const newLocale = locales[(locales.indexOf(getLocale()) + 1) % locales.length];
+
+        this.applyLanguage(newLocale);
+        this.errorDB.applyLocale(newLocale);
+        this.refreshView();
+        this.updateStats();
+        this.displayHistory();
+
+        this.updateLiveRegion(t('language.changed', { language: LOCALES[newLocale] }));
+        this.analytics.trackEvent('ui', 'language_toggle', newLocale);
+    }
+
+    // Текущее представление заново на новом языке. Маршрутизатор не участвует: адрес и история не меняются,
+    // а страница ошибки сохраняет ответы диагностики и пошаговый режим. Представление, которое еще
+    // загружается, покажется уже на новом языке.
+    refreshView() {
+        const isShown = (name) => !document.getElementById(VIEW_SECTIONS[name]).classList.contains('hidden');
+        if (document.querySelector('.view-loading')) return;
+
+        if (this.editor.isOpen()) {
+            this.showEditor(this.editor.requestedCode);
+        } else if (isShown('errorDetail') && this.currentError) {
+            this.refreshErrorDetail();
+        } else if (isShown('categories')) {
+            this.displayCategories();
+        } else if (isShown('subcategories')) {
+            this.displaySubcategories(this.currentCategory);
+        } else if (isShown('errors')) {
+            this.displayErrorsBySubcategory(this.currentCategory, this.currentSubcategory);
+        } else if (isShown('search')) {
+            this.showSearchResults(this.searchQuery, this.searchState, this.searchPage);
+        } else if (isShown('logScan')) {
+            this.showLogScan();
+        } else if (isShown('noResults')) {
+            this.showNoResults(this.notFoundQuery);
         }
     }
 
-    // 9. ИСТОРИЯ ПОСЕЩЕНИЙ
+    applyLanguage(locale) {
+        setLocale(locale);
+        this.userPrefs.setLocale(getLocale());
+        document.documentElement.lang = getLocale();
+        applyTranslations(document);
+
+        const languageToggle = document.getElementById('languageToggle');
+        languageToggle.querySelector('span').textContent = getLocale().toUpperCase();
+        languageToggle.setAttribute('aria-label', t('language.switch', { language: LOCALES[getLocale()] }));
+    }
+
+    // 9. ИСТОРИЯ, ИЗБРАННОЕ И КОЛЛЕКЦИИ
     toggleHistory() {
         const historyPanel = document.getElementById('historyPanel');
         const overlay = document.getElementById('overlay');
         
+        if (this.isCollectionsOpen()) this.closeCollections();
         historyPanel.classList.toggle('active');
         overlay.classList.toggle('active');
         
         if (historyPanel.classList.contains('active')) {
             this.displayHistory();
-            this.updateLiveRegion('Открыта панель истории');
+            this.updateLiveRegion(t('history.opened'));
             this.analytics.trackEvent('ui', 'history_open', 'success');
         } else {
-            this.updateLiveRegion('Закрыта панель истории');
+            this.updateLiveRegion(t('history.closed'));
         }
     }
 
     closeHistory() {
         document.getElementById('historyPanel').classList.remove('active');
         document.getElementById('overlay').classList.remove('active');
-        this.updateLiveRegion('Панель истории закрыта');
+        this.updateLiveRegion(t('history.closed'));
     }
 
     displayHistory() {
@@ -731,18 +3602,21 @@ class ErrorFOXbaseApp {
         const history = this.userPrefs.getHistory();
         
         if (history.length === 0) {
-            historyList.innerHTML = '<div class="text-center" style="color: var(--secondary); padding: 20px;">История просмотров пуста</div>';
+            historyList.innerHTML = `<div class="text-center" style="color: var(--secondary); padding: 20px;">${t('history.empty')}</div>`;
             return;
         }
         
         historyList.innerHTML = history.map(item => {
             const categoryInfo = this.errorDB.getCategoryInfo(item.category);
             const categoryName = categoryInfo ? categoryInfo.name : item.category;
+            // Заголовок из базы — на текущем языке; сохраненный — если ошибку с тех пор удалили
+            const error = this.errorDB.findError(item.code);
+            const title = error ? error.title : item.title;
             
             return `
-                <div class="history-item" data-code="${this.sanitizeHTML(item.code)}" tabindex="0" role="button" aria-label="Открыть ошибку ${this.sanitizeHTML(item.code)}">
+                <div class="history-item" data-code="${this.sanitizeHTML(item.code)}" tabindex="0" role="button" aria-label="${this.sanitizeHTML(t('history.open', { code: item.code }))}">
                     <div class="history-code">${this.sanitizeHTML(item.code)}</div>
-                    <div class="history-title">${this.sanitizeHTML(item.title)}</div>
+                    <div class="history-title">${this.sanitizeHTML(title)}</div>
                     <small style="color: var(--secondary); margin-top: 4px;">${this.sanitizeHTML(categoryName)}</small>
                 </div>
             `;
@@ -767,25 +3641,383 @@ class ErrorFOXbaseApp {
         });
     }
 
+    isCollectionsOpen() {
+        return document.getElementById('collectionsPanel').classList.contains('active');
+    }
+
+    // pendingCode — ошибка, которая попадет в коллекцию, созданную из панели
+    toggleCollections({ pendingCode = null } = {}) {
+        if (document.getElementById('historyPanel').classList.contains('active')) this.closeHistory();
+
+        if (this.isCollectionsOpen()) {
+            this.closeCollections();
+            return;
+        }
+
+        this.pendingCollectionCode = pendingCode;
+        document.getElementById('collectionsPanel').classList.add('active');
+        document.getElementById('overlay').classList.add('active');
+        this.displayCollections();
+        if (pendingCode) document.getElementById('collectionNameInput').focus();
+        this.updateLiveRegion(t('collections.opened'));
+        this.analytics.trackEvent('ui', 'collections_open', 'success');
+    }
+
+    closeCollections() {
+        this.pendingCollectionCode = null;
+        document.getElementById('collectionsPanel').classList.remove('active');
+        document.getElementById('overlay').classList.remove('active');
+        this.updateLiveRegion(t('collections.closed'));
+    }
+
+    // Ссылка на ошибку в панели. Ошибки, которых нет в базе (удалены или пришли из чужого файла), показываются кодом.
+    renderCollectionItem(code, removeAttributes) {
+        const error = this.errorDB.findError(code);
+        const title = error ? error.title : t('collections.missing');
+
+        return `
+            <div class="collection-entry">
+                <a class="history-item" href="${this.sanitizeHTML(this.router.errorPath(code))}" data-collection-open="${this.sanitizeHTML(code)}">
+                    <div class="history-code">${this.sanitizeHTML(code)}</div>
+                    <div class="history-title">${this.sanitizeHTML(title)}</div>
+                </a>
+                <button class="collection-remove" ${removeAttributes} aria-label="${this.sanitizeHTML(t('collections.remove', { code }))}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    displayCollections() {
+        const favorites = this.userPrefs.getFavorites();
+        document.getElementById('favoritesList').innerHTML = favorites.length === 0
+            ? `<p class="collections-empty">${t('collections.noFavorites')}</p>`
+            : favorites.map(code => this.renderCollectionItem(code, `data-favorite-remove="${this.sanitizeHTML(code)}"`)).join('');
+
+        const collections = this.userPrefs.getCollections();
+        document.getElementById('collectionsList').innerHTML = collections.length === 0
+            ? `<p class="collections-empty">${t('collections.noCollections')}</p>`
+            : collections.map(collection => `
+                <details class="collection" data-collection-id="${this.sanitizeHTML(collection.id)}">
+                    <summary>
+                        <span class="collection-name">${this.sanitizeHTML(collection.name)}</span>
+                        <span class="collection-count">${t('count.errors', { count: collection.codes.length })}</span>
+                    </summary>
+                    <div class="collection-actions">
+                        <button class="action-btn" data-collection-export="${this.sanitizeHTML(collection.id)}">
+                            <i class="fas fa-file-export"></i> ${t('collections.export')}
+                        </button>
+                        <button class="action-btn" data-collection-delete="${this.sanitizeHTML(collection.id)}">
+                            <i class="fas fa-trash"></i> ${t('collections.delete')}
+                        </button>
+                    </div>
+                    ${collection.codes.length === 0
+                        ? `<p class="collections-empty">${t('collections.emptyCollection')}</p>`
+                        : collection.codes.map(code => this.renderCollectionItem(code,
+                            `data-collection-remove="${this.sanitizeHTML(collection.id)}" data-code="${this.sanitizeHTML(code)}"`)).join('')}
+                </details>
+            `).join('');
+    }
+
+    handleCollectionsClick(e) {
+        const link = e.target.closest('[data-collection-open]');
+        if (link) {
+            e.preventDefault();
+            const code = link.dataset.collectionOpen;
+            if (this.validateInput(code, 'code')) {
+                this.closeCollections();
+                this.showErrorDetail(code);
+            }
+            return;
+        }
+
+        const favoriteRemove = e.target.closest('[data-favorite-remove]');
+        const collectionRemove = e.target.closest('[data-collection-remove]');
+        const collectionExport = e.target.closest('[data-collection-export]');
+        const collectionDelete = e.target.closest('[data-collection-delete]');
+
+        if (favoriteRemove) {
+            this.userPrefs.toggleFavorite(favoriteRemove.dataset.favoriteRemove);
+        } else if (collectionRemove) {
+            this.userPrefs.toggleInCollection(collectionRemove.dataset.collectionRemove, collectionRemove.dataset.code);
+        } else if (collectionExport) {
+            this.exportCollections([collectionExport.dataset.collectionExport]);
+            return;
+        } else if (collectionDelete) {
+            const collection = this.userPrefs.getCollection(collectionDelete.dataset.collectionDelete);
+            if (!collection) return;
+            this.userPrefs.deleteCollection(collection.id);
+            this.toast.show(t('collections.deleted', { name: collection.name }), 'info');
+        } else {
+            return;
+        }
+
+        this.refreshCollectionViews();
+    }
+
+    // Перерисовка панели с сохранением раскрытых коллекций и кнопок открытой ошибки
+    refreshCollectionViews() {
+        const openIds = Array.from(document.querySelectorAll('#collectionsList details[open]'))
+            .map(details => details.dataset.collectionId);
+        this.displayCollections();
+        document.querySelectorAll('#collectionsList details').forEach(details => {
+            if (openIds.includes(details.dataset.collectionId)) details.open = true;
+        });
+
+        if (this.currentError) this.updateCollectionControls(this.currentError);
+    }
+
+    createCollection() {
+        const input = document.getElementById('collectionNameInput');
+        const name = this.userPrefs.normalizeCollectionName(input.value);
+        if (!this.validateInput(name, 'text')) {
+            input.focus();
+            return;
+        }
+
+        const existed = Boolean(this.userPrefs.findCollectionByName(name));
+        const collection = this.userPrefs.createCollection(name);
+        if (this.pendingCollectionCode && !collection.codes.includes(this.pendingCollectionCode)) {
+            this.userPrefs.toggleInCollection(collection.id, this.pendingCollectionCode);
+        }
+        this.pendingCollectionCode = null;
+        input.value = '';
+
+        this.refreshCollectionViews();
+        this.toast.show(t(existed ? 'collections.exists' : 'collections.created', { name: collection.name }), existed ? 'info' : 'success');
+        this.analytics.trackEvent('collections', 'create', existed ? 'existing' : 'new');
+    }
+
+    // Выгрузка в JSON-файл; collectionIds — только выбранные коллекции (чтобы поделиться одной)
+    exportCollections(collectionIds = null) {
+        const data = this.userPrefs.exportCollections(collectionIds);
+        const fileName = collectionIds && data.collections.length === 1
+            ? `errorfoxbase-${data.collections[0].name.replace(/[^\p{L}\p{N}]+/gu, '-').toLowerCase()}.json`
+            : 'errorfoxbase-collections.json';
+
+        this.downloadJSON(data, fileName);
+        this.analytics.trackEvent('collections', 'export', String(data.collections.length));
+    }
+
+    async importCollections(file) {
+        try {
+            const result = this.userPrefs.importCollections(JSON.parse(await file.text()));
+            this.refreshCollectionViews();
+            this.toast.show(t('collections.imported', {
+                collections: t('count.collections', { count: result.collections }),
+                favorites: result.favorites
+            }), 'success');
+            this.analytics.trackEvent('collections', 'import', 'success');
+        } catch (error) {
+            console.error('Ошибка импорта коллекций:', error);
+            this.toast.show(t('collections.importFailed'), 'error');
+            this.analytics.trackEvent('collections', 'import', 'error');
+        }
+    }
+
+    // Заметка к ошибке (target 'error') или к шагу ('<решение>-<шаг>'): текст с кнопкой правки или кнопка «Заметка»
+    renderNote(errorCode, target) {
+        const text = this.userPrefs.getNote(errorCode, target);
+        const targetAttribute = `data-note-target="${this.sanitizeHTML(target)}"`;
+
+        if (!text) {
+            return `
+                <button class="note-add" ${targetAttribute} data-note-edit>
+                    <i class="far fa-sticky-note"></i> ${t(target === 'error' ? 'notes.addError' : 'notes.addStep')}
+                </button>
+            `;
+        }
+
+        return `
+            <div class="user-note" ${targetAttribute}>
+                <i class="fas fa-sticky-note" aria-label="${t('notes.label')}"></i>
+                <p class="user-note-text">${this.sanitizeHTML(text)}</p>
+                <button class="note-edit" data-note-edit aria-label="${t('notes.edit')}" title="${t('notes.edit')}">
+                    <i class="fas fa-pen"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    renderNoteForm(errorCode, target) {
+        const text = this.userPrefs.getNote(errorCode, target);
+
+        return `
+            <form class="note-form" data-note-target="${this.sanitizeHTML(target)}">
+                <textarea maxlength="${NOTE_MAX_LENGTH}" rows="3" aria-label="${t('notes.label')}"
+                          placeholder="${t('notes.placeholder')}">${this.sanitizeHTML(text)}</textarea>
+                <div class="note-form-actions">
+                    <button type="submit" class="feedback-btn"><i class="fas fa-check"></i> ${t('notes.save')}</button>
+                    <button type="button" class="feedback-btn" data-note-cancel>${t('notes.cancel')}</button>
+                    ${text ? `<button type="button" class="feedback-btn feedback-btn-negative" data-note-delete><i class="fas fa-trash"></i> ${t('notes.delete')}</button>` : ''}
+                </div>
+            </form>
+        `;
+    }
+
+    // Кнопки заметок на странице ошибки: правка открывает форму на месте заметки
+    handleNoteAction(button) {
+        if (!this.currentError) return;
+
+        const element = button.closest('[data-note-target]');
+        const target = element.dataset.noteTarget;
+
+        if (button.hasAttribute('data-note-edit')) {
+            element.outerHTML = this.renderNoteForm(this.currentError.code, target);
+            this.findNoteElement(target).querySelector('textarea').focus();
+        } else if (button.hasAttribute('data-note-delete')) {
+            this.saveNote(element, '');
+        } else {
+            element.outerHTML = this.renderNote(this.currentError.code, target);
+            this.focusNoteElement(target);
+        }
+    }
+
+    saveNote(form, text) {
+        const code = this.currentError.code;
+        const target = form.dataset.noteTarget;
+
+        this.userPrefs.setNote(code, target, text);
+        this.errorDB.setUserNotes(code, this.userPrefs.getNoteTexts(code));
+        form.outerHTML = this.renderNote(code, target);
+        this.focusNoteElement(target);
+
+        const saved = Boolean(this.userPrefs.getNote(code, target));
+        this.updateLiveRegion(t(saved ? 'notes.saved' : 'notes.deleted'));
+        this.analytics.trackEvent('notes', saved ? 'save' : 'delete', target === 'error' ? 'error' : 'step');
+    }
+
+    findNoteElement(target) {
+        return Array.from(document.querySelectorAll('#errorDetailSection [data-note-target]'))
+            .find(element => element.dataset.noteTarget === target) || null;
+    }
+
+    focusNoteElement(target) {
+        const element = this.findNoteElement(target);
+        const button = element && (element.matches('[data-note-edit]') ? element : element.querySelector('[data-note-edit]'));
+        if (button) button.focus();
+    }
+
+    // Заметки попадают в поисковый индекс; коды, у которых заметок больше нет, из него убираются
+    syncNotesToSearch() {
+        const codes = new Set([...this.errorDB.userNotes.keys(), ...this.userPrefs.getAllNotes().keys()]);
+        codes.forEach(code => this.errorDB.setUserNotes(code, this.userPrefs.getNoteTexts(code)));
+    }
+
+    downloadJSON(data, fileName) {
+        this.downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json');
+    }
+
+    downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Все настройки, включая заметки, — в файл для переноса на другой компьютер
+    exportPreferences() {
+        this.downloadJSON(this.userPrefs.exportPreferences(), 'errorfoxbase-preferences.json');
+        this.analytics.trackEvent('preferences', 'export', 'success');
+    }
+
+    // Импорт заменяет настройки, поэтому тема, язык и текущий экран применяются заново
+    async importPreferences(file) {
+        try {
+            this.userPrefs.importPreferences(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Ошибка импорта настроек:', error);
+            this.toast.show(t('preferences.importFailed'), 'error');
+            this.analytics.trackEvent('preferences', 'import', 'error');
+            return;
+        }
+
+        this.applyTheme(this.userPrefs.getTheme());
+        if (this.userPrefs.getLocale() !== getLocale()) {
+            this.applyLanguage(this.userPrefs.getLocale());
+            this.errorDB.applyLocale(getLocale());
+            this.updateStats();
+        }
+        this.syncNotesToSearch();
+        this.displayHistory();
+        this.refreshCollectionViews();
+        this.router.resolve();
+
+        this.toast.show(t('preferences.imported'), 'success');
+        this.analytics.trackEvent('preferences', 'import', 'success');
+    }
+
+    // Кнопка «В избранное» и список коллекций на странице ошибки
+    updateCollectionControls(error) {
+        const favorite = this.userPrefs.isFavorite(error.code);
+        const favoriteToggle = document.getElementById('favoriteToggle');
+        favoriteToggle.setAttribute('aria-pressed', String(favorite));
+        favoriteToggle.classList.toggle('active', favorite);
+        favoriteToggle.innerHTML = `<i class="${favorite ? 'fas' : 'far'} fa-star"></i> <span>${t(favorite ? 'favorites.remove' : 'favorites.add')}</span>`;
+
+        const options = this.userPrefs.getCollections().map(collection => {
+            const included = collection.codes.includes(error.code);
+            return `<option value="${this.sanitizeHTML(collection.id)}">${included ? '✓ ' : ''}${this.sanitizeHTML(collection.name)}</option>`;
+        });
+        document.getElementById('collectionSelect').innerHTML = `
+            <option value="" selected>${t('collections.addTo')}</option>
+            ${options.join('')}
+            <option value="new">${t('collections.new')}</option>
+        `;
+    }
+
+    toggleFavorite() {
+        if (!this.currentError) return;
+
+        const code = this.currentError.code;
+        const favorite = this.userPrefs.toggleFavorite(code);
+        this.refreshCollectionViews();
+        this.updateLiveRegion(t(favorite ? 'favorites.added' : 'favorites.removed', { code }));
+        this.analytics.trackEvent('collections', favorite ? 'favorite_add' : 'favorite_remove', code);
+    }
+
+    // Выбор коллекции в списке включает или исключает открытую ошибку, «Новая коллекция» открывает панель
+    handleCollectionSelect(select) {
+        const value = select.value;
+        select.value = '';
+        if (!value || !this.currentError) return;
+
+        const code = this.currentError.code;
+        if (value === 'new') {
+            this.toggleCollections({ pendingCode: code });
+            return;
+        }
+
+        const collection = this.userPrefs.getCollection(value);
+        if (!collection) return;
+        const included = this.userPrefs.toggleInCollection(collection.id, code);
+        this.refreshCollectionViews();
+        this.toast.show(t(included ? 'collections.added' : 'collections.removed', { code, name: collection.name }), 'success');
+    }
+
     // 10. ОСНОВНЫЕ ФУНКЦИИ ПРИЛОЖЕНИЯ
     displayCategories() {
         const categoriesGrid = document.getElementById('categoriesGrid');
         categoriesGrid.innerHTML = '';
 
         for (const [categoryId, categoryInfo] of this.errorDB.categories) {
-            const errorCount = this.errorDB.getErrorsByCategory(categoryId).length;
+            const errorCount = this.errorDB.countErrorsByCategory(categoryId);
             const categoryDisplayName = categoryInfo.name;
             
             const categoryCard = document.createElement('a');
             categoryCard.className = 'category-card';
             categoryCard.dataset.category = categoryId;
-            categoryCard.href = `/category/${categoryId}`;
-            categoryCard.setAttribute('aria-label', `Категория ${categoryDisplayName}, ${errorCount} ошибок`);
+            categoryCard.href = this.router.categoryPath(categoryId);
+            categoryCard.setAttribute('aria-label', t('category.label', { name: categoryDisplayName, count: t('count.errors', { count: errorCount }) }));
             
             categoryCard.innerHTML = `
                 <div class="category-icon"><i class="${this.sanitizeHTML(categoryInfo.icon)}"></i></div>
                 <h3>${this.sanitizeHTML(categoryDisplayName)}</h3>
-                <p>${errorCount} ошибок</p>
+                <p>${t('count.errors', { count: errorCount })}</p>
             `;
             
             categoryCard.addEventListener('click', (e) => {
@@ -799,9 +4031,9 @@ class ErrorFOXbaseApp {
         }
 
         this.showSection('categories');
-        this.updatePageTitle('ErrorFOXbase - База знаний по ошибкам');
-        this.updateMetaDescription('ErrorFOXbase - полная база знаний по ошибкам Windows, Linux, программ и сетей. Пошаговые решения с инструкциями для IT-специалистов и пользователей.');
-        this.updateLiveRegion('Загружены категории ошибок');
+        this.router.sync('/');
+        this.updatePageMeta(buildHomePageMeta(Array.from(this.errorDB.categories, ([id, category]) => ({ id, name: category.name }))));
+        this.updateLiveRegion(t('categories.loaded'));
     }
 
     displaySubcategories(category) {
@@ -818,22 +4050,23 @@ class ErrorFOXbaseApp {
         
         const categoryInfo = this.errorDB.getCategoryInfo(category);
         if (!categoryInfo) {
-            this.showCategories();
+            this.showNoResults('', this.router.categoryPath(category));
             return;
         }
         
         const categoryDisplayName = categoryInfo.name;
-        document.getElementById('categoryTitle').innerHTML = `<i class="${this.sanitizeHTML(categoryInfo.icon)}"></i> Ошибки ${this.sanitizeHTML(categoryDisplayName)}`;
+        document.getElementById('categoryTitle').innerHTML = `<i class="${this.sanitizeHTML(categoryInfo.icon)}"></i> ${this.sanitizeHTML(t('category.title', { name: categoryDisplayName }))}`;
         
         document.getElementById('breadcrumb').innerHTML = `
-            <a href="/" data-breadcrumb-home><i class="fas fa-home"></i> Главная</a>
+            <a href="/" data-breadcrumb-home><i class="fas fa-home"></i> ${t('nav.home')}</a>
             <span class="separator"><i class="fas fa-chevron-right"></i></span>
             <span>${this.sanitizeHTML(categoryDisplayName)}</span>
         `;
         
         if (!categorySubcategories || categorySubcategories.length === 0) {
-            subcategoriesGrid.innerHTML = '<div class="no-results">Для этой категории пока нет подкатегорий</div>';
+            subcategoriesGrid.innerHTML = `<div class="no-results">${t('category.empty')}</div>`;
             this.showSection('subcategories');
+            this.router.sync(this.router.categoryPath(category));
             return;
         }
         
@@ -844,18 +4077,20 @@ class ErrorFOXbaseApp {
             const subcategoryCard = document.createElement('a');
             subcategoryCard.className = 'subcategory-card';
             subcategoryCard.dataset.subcategory = subcategory.id;
-            subcategoryCard.href = `/category/${category}/${subcategory.id}`;
-            subcategoryCard.setAttribute('aria-label', `Подкатегория ${subcategoryDisplayName}, ${errorCount} ошибок`);
+            subcategoryCard.href = this.router.subcategoryPath(category, subcategory.id);
+            subcategoryCard.setAttribute('aria-label', t('subcategory.label', { name: subcategoryDisplayName, count: t('count.errors', { count: errorCount }) }));
             
             subcategoryCard.innerHTML = `
                 <div class="subcategory-icon"><i class="${this.sanitizeHTML(subcategory.icon)}"></i></div>
                 <h3>${this.sanitizeHTML(subcategoryDisplayName)}</h3>
-                <p>${errorCount} ошибок</p>
+                <p>${t('count.errors', { count: errorCount })}</p>
             `;
             
             subcategoryCard.addEventListener('click', (e) => {
                 e.preventDefault();
                 this.currentSubcategory = subcategory.id;
+                this.currentPageNumber = 1;
+                this.listState = createListState();
                 this.analytics.trackEvent('navigation', 'subcategory_select', `${category}/${subcategory.id}`);
                 this.displayErrorsBySubcategory(category, subcategory.id);
             });
@@ -864,30 +4099,48 @@ class ErrorFOXbaseApp {
         });
         
         this.showSection('subcategories');
-        this.updatePageTitle(`Ошибки ${categoryDisplayName} | ErrorFOXbase`);
-        this.updateMetaDescription(`Решения ошибок ${categoryDisplayName}. Пошаговые инструкции по устранению проблем в ${categoryDisplayName}.`);
-        this.updateLiveRegion(`Загружены подкатегории для ${categoryDisplayName}`);
+        this.router.sync(this.router.categoryPath(category));
+        this.updatePageMeta(buildCategoryPageMeta(category, categoryInfo, categorySubcategories));
+        this.updateLiveRegion(t('category.loaded', { name: categoryDisplayName }));
     }
 
-    displayErrorsBySubcategory(category, subcategoryId) {
+    // Список показывает полные записи: описания и фильтры по решениям есть только в файле категории.
+    // Пока он загружается, в разделе индикатор
+    async displayErrorsBySubcategory(category, subcategoryId) {
         if (!this.validateInput(category, 'text') || !this.validateInput(subcategoryId, 'text')) {
             this.showSubcategories();
             return;
         }
 
+        // Неизвестная категория или подкатегория — страница «не найдено» с запрошенным адресом, как у кода ошибки
+        if (!this.errorDB.getSubcategories(category).some(subcategory => subcategory.id === subcategoryId)) {
+            this.showNoResults('', this.router.subcategoryPath(category, subcategoryId, this.currentPageNumber, this.listState));
+            return;
+        }
+
         const subcategoryDisplayName = this.getSubcategoryDisplayName(category, subcategoryId);
-        let errors = this.errorDB.getErrorsBySubcategory(category, subcategoryDisplayName);
-        
-        // Универсальный поиск если не найдено
-        if (errors.length === 0) {
-            const allCategoryErrors = this.errorDB.getErrorsByCategory(category);
-            errors = allCategoryErrors.filter(error => {
-                if (!error.subcategory) return false;
-                const errorSub = error.subcategory.toLowerCase();
-                const subName = subcategoryDisplayName.toLowerCase();
-                return errorSub.includes(subName) || subName.includes(errorSub);
-            });
+        let version = this.viewVersion;
+        if (!this.errorDB.isCategoryLoaded(category)) {
+            version = this.showViewLoading('errors', t('subcategory.loading', { name: subcategoryDisplayName }));
+            this.router.sync(this.router.subcategoryPath(category, subcategoryId, this.currentPageNumber, this.listState));
+        }
+
+        let allErrors;
+        try {
+            allErrors = await this.errorDB.getErrorsBySubcategory(category, subcategoryId);
+        } catch (loadError) {
+            console.error('Не удалось загрузить подкатегорию:', loadError);
+            if (this.isViewCurrent(version)) {
+                this.showViewError('errors', t('subcategory.loadFailed', { name: subcategoryDisplayName }), () => this.displayErrorsBySubcategory(category, subcategoryId));
+            }
+            return;
         }
+        if (!this.isViewCurrent(version)) return;
+
+        const errors = applyListState(allErrors, this.listState);
+        
+        const totalPages = Math.max(1, Math.ceil(errors.length / this.errorsPerPage));
+        this.currentPageNumber = Math.min(Math.max(1, this.currentPageNumber), totalPages);
         
         const startIndex = (this.currentPageNumber - 1) * this.errorsPerPage;
         const endIndex = startIndex + this.errorsPerPage;
@@ -906,67 +4159,121 @@ class ErrorFOXbaseApp {
         document.getElementById('errorsTitle').innerHTML = `<i class="${this.sanitizeHTML(categoryInfo.icon)}"></i> ${this.sanitizeHTML(subcategoryDisplayName)}`;
         
         document.getElementById('errorsBreadcrumb').innerHTML = `
-            <a href="/" data-breadcrumb-home><i class="fas fa-home"></i> Главная</a>
+            <a href="/" data-breadcrumb-home><i class="fas fa-home"></i> ${t('nav.home')}</a>
             <span class="separator"><i class="fas fa-chevron-right"></i></span>
-            <a href="/category/${this.sanitizeHTML(category)}" data-breadcrumb-category>${this.sanitizeHTML(categoryDisplayName)}</a>
+            <a href="${this.sanitizeHTML(this.router.categoryPath(category))}" data-breadcrumb-category>${this.sanitizeHTML(categoryDisplayName)}</a>
             <span class="separator"><i class="fas fa-chevron-right"></i></span>
             <span>${this.sanitizeHTML(subcategoryDisplayName)}</span>
         `;
         
+        this.errorsFilterBar.render(allErrors, this.listState, errors.length);
+        
         if (errorsToShow.length === 0) {
-            errorsList.innerHTML = '<div class="no-results">В этой подкатегории пока нет ошибок</div>';
+            errorsList.innerHTML = `<div class="no-results">${allErrors.length === 0 ? t('subcategory.empty') : t('filters.noMatches')}</div>`;
             document.getElementById('pagination').innerHTML = '';
+            this.router.sync(this.router.subcategoryPath(category, subcategoryId, 1, this.listState));
             this.showSection('errors');
             return;
         }
         
         errorsToShow.forEach(error => {
-            if (!this.validateErrorData(error)) {
-                console.warn('Invalid error data:', error);
-                return;
+            const errorItem = this.createErrorListItem(error);
+            if (errorItem) errorsList.appendChild(errorItem);
+        });
+        
+        this.createPagination(errors.length, {
+            currentPage: this.currentPageNumber,
+            pathForPage: (page) => this.router.subcategoryPath(category, subcategoryId, page, this.listState),
+            onPageChange: (page) => {
+                this.currentPageNumber = page;
+                this.displayErrorsBySubcategory(category, subcategoryId);
             }
+        });
+        // Адрес уточняется до смены версии представления, как на странице ошибки (showErrorDetail)
+        this.router.sync(this.router.subcategoryPath(category, subcategoryId, this.currentPageNumber, this.listState));
+        this.showSection('errors');
+        this.updatePageMeta(buildSubcategoryPageMeta(category, categoryInfo, { id: subcategoryId, name: subcategoryDisplayName }, allErrors));
+        this.updateLiveRegion(t('subcategory.loaded', { name: subcategoryDisplayName }));
+    }
 
-            const errorItem = document.createElement('a');
-            errorItem.className = 'error-item';
-            errorItem.dataset.code = error.code;
-            errorItem.href = `/error/${error.code}`;
-            errorItem.setAttribute('aria-label', `Ошибка ${error.code}: ${error.title}`);
-            
-            errorItem.innerHTML = `
-                <div class="error-code">${this.sanitizeHTML(error.code)}</div>
-                <div class="error-title">${this.sanitizeHTML(error.title)}</div>
-                <div class="error-desc">${this.sanitizeHTML(error.description.substring(0, 100))}${error.description.length > 100 ? '...' : ''}</div>
-                <div class="error-meta">
-                    <span><i class="${this.sanitizeHTML(categoryInfo.icon)}"></i> ${this.sanitizeHTML(categoryDisplayName)}</span>
-                    <span class="urgency-${error.urgency}">${this.getUrgencyText(error.urgency)}</span>
-                </div>
-            `;
-            
-            errorItem.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.analytics.trackEvent('navigation', 'error_select', error.code);
-                this.showErrorDetail(error.code);
-            });
-            
-            errorsList.appendChild(errorItem);
+    // Карточка ошибки для списков подкатегории, результатов поиска и похожих ошибок.
+    // highlights — готовый HTML заголовка и фрагмента с подсветкой (getSearchHighlights).
+    // error — полная запись или краткая из оглавления: у краткой нет описания, и карточка без него
+    createErrorListItem(error, highlights = {}) {
+        if (!this.validateErrorSummary(error)) {
+            console.warn('Invalid error data:', error);
+            return null;
+        }
+
+        const categoryInfo = this.errorDB.getCategoryInfo(error.category);
+        const categoryDisplayName = categoryInfo ? categoryInfo.name : error.category;
+        const categoryIcon = categoryInfo ? categoryInfo.icon : 'fas fa-folder';
+
+        const errorItem = document.createElement('a');
+        errorItem.className = 'error-item';
+        errorItem.dataset.code = error.code;
+        errorItem.href = this.router.errorPath(error.code);
+        errorItem.setAttribute('aria-label', t('error.label', { code: error.code, title: error.title }));
+        
+        errorItem.innerHTML = `
+            <div class="error-code">${this.sanitizeHTML(error.code)}</div>
+            <div class="error-title">${highlights.title || this.sanitizeHTML(error.title)}</div>
+            <div class="error-desc">${highlights.snippet || (error.description ? `${this.sanitizeHTML(error.description.substring(0, 100))}${error.description.length > 100 ? '...' : ''}` : '')}</div>
+            <div class="error-meta">
+                <span><i class="${this.sanitizeHTML(categoryIcon)}"></i> ${this.sanitizeHTML(categoryDisplayName)}</span>
+                <span class="urgency-${error.urgency}">${this.getUrgencyText(error.urgency)}</span>
+            </div>
+        `;
+        
+        errorItem.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.analytics.trackEvent('navigation', 'error_select', error.code);
+            this.showErrorDetail(error.code);
         });
         
-        this.createPagination(errors.length);
-        this.showSection('errors');
-        this.updatePageTitle(`Ошибки ${subcategoryDisplayName} | ${categoryDisplayName} | ErrorFOXbase`);
-        this.updateMetaDescription(`Список ошибок ${subcategoryDisplayName} в ${categoryDisplayName}. Поиск и решения распространенных проблем.`);
-        this.updateLiveRegion(`Загружены ошибки подкатегории ${subcategoryDisplayName}`);
+        return errorItem;
+    }
+
+    // Новые фильтры или сортировка: список начинается с первой страницы
+    changeListState(state) {
+        this.listState = state;
+        this.currentPageNumber = 1;
+        this.analytics.trackEvent('filters', 'change', buildListQuery(state) || 'none');
+        this.displayErrorsBySubcategory(this.currentCategory, this.currentSubcategory);
     }
 
-    showErrorDetail(errorCode) {
+    async showErrorDetail(errorCode) {
         if (!this.validateInput(errorCode, 'code')) {
-            this.showNoResults();
+            this.showNoResults('', this.router.errorPath(errorCode));
+            return;
+        }
+
+        if (!this.errorDB.findError(errorCode)) {
+            this.showNoResults(errorCode, this.router.errorPath(errorCode));
+            return;
+        }
+
+        // Файл категории еще не загружен: страница ошибки показывает индикатор, пока он не придет
+        let version = this.viewVersion;
+        if (!this.errorDB.isErrorLoaded(errorCode)) {
+            version = this.showViewLoading('errorDetail', t('error.loading', { code: errorCode }));
+            this.router.sync(this.router.errorPath(this.errorDB.findError(errorCode).code));
+        }
+
+        let error;
+        try {
+            error = await this.errorDB.getError(errorCode);
+        } catch (loadError) {
+            console.error('Не удалось загрузить ошибку:', loadError);
+            if (this.isViewCurrent(version)) {
+                this.showViewError('errorDetail', t('error.loadFailed', { code: errorCode }), () => this.showErrorDetail(errorCode));
+            }
             return;
         }
+        if (!this.isViewCurrent(version)) return;
 
-        const error = this.errorDB.getError(errorCode);
         if (!error || !this.validateErrorData(error)) {
-            this.showNoResults();
+            this.showNoResults(errorCode, this.router.errorPath(errorCode));
             return;
         }
 
@@ -974,141 +4281,507 @@ class ErrorFOXbaseApp {
         this.displayHistory();
         this.analytics.trackEvent('error', 'view', errorCode);
 
-        // Безопасное обновление DOM
-        document.getElementById('errorDetailCode').textContent = this.sanitizeHTML(error.code);
+        const breadcrumb = this.renderErrorDetail(error);
+        this.refreshFeedbackCounts(error);
+        this.updateCollectionControls(error);
+        document.getElementById('errorNote').innerHTML = this.renderNote(error.code, 'error');
+        document.getElementById('editError').classList.toggle('hidden', !isDevMode());
+
+        // Адрес уточняется до смены версии представления: восстановление по адресу
+        // (Router.resolve) узнает свое представление и не создает новую запись в истории
+        this.router.sync(this.router.errorPath(error.code));
+        this.showSection('errorDetail');
+        this.updatePageMeta(buildErrorPageMeta(error, breadcrumb));
+        this.updateLiveRegion(t('error.loaded', { code: error.code }));
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    // Открытая ошибка на новом языке: без истории просмотров, аналитики и прокрутки, с прежним состоянием страницы
+    // Файл категории открытой ошибки уже загружен, поэтому getError отвечает сразу
+    async refreshErrorDetail() {
+        const version = this.viewVersion;
+        const error = await this.errorDB.getError(this.currentError.code);
+        if (!error || !this.isViewCurrent(version)) return;
+
+        const breadcrumb = this.renderErrorDetail(error, { keepState: true });
+        this.updateCollectionControls(error);
+        document.getElementById('errorNote').innerHTML = this.renderNote(error.code, 'error');
+        this.updatePageMeta(buildErrorPageMeta(error, breadcrumb));
+    }
+
+    // Содержимое страницы ошибки: сведения, решения, диагностика и хлебные крошки. Его же рисует
+    // предпросмотр редактора, поэтому здесь нет истории, навигации и запросов к серверу.
+    // Возвращает категорию и подкатегорию для buildErrorPageMeta.
+    // keepState — та же ошибка заново (смена языка): подбор диагностики, раскрытые решения
+    // и пошаговый режим сохраняются.
+    renderErrorDetail(error, { keepState = false } = {}) {
+        // Прямой переход по ссылке: восстанавливаем контекст категории для хлебных крошек.
+        // Если ошибка входит в несколько подкатегорий, остаемся в той, из которой пришли.
+        this.currentCategory = error.category;
+        if (!error.subcategories.includes(this.currentSubcategory)) {
+            this.currentSubcategory = error.subcategories[0] || '';
+        }
+
+        // Текст выводится через textContent, HTML списков — через sanitizeHTML
+        this.detailRenderer.render(error);
         
         const categoryInfo = this.errorDB.getCategoryInfo(error.category);
         const categoryDisplayName = categoryInfo ? categoryInfo.name : error.category;
-        document.getElementById('errorDetailCategory').textContent = this.sanitizeHTML(categoryDisplayName);
         
-        document.getElementById('errorDetailTitle').textContent = this.sanitizeHTML(error.title);
-        document.getElementById('errorDetailDescription').textContent = this.sanitizeHTML(error.description);
-        document.getElementById('errorSystem').textContent = this.sanitizeHTML(error.system);
-        document.getElementById('errorUrgency').textContent = this.getUrgencyText(error.urgency);
-        document.getElementById('errorUrgency').className = `urgency-${error.urgency}`;
-        document.getElementById('errorFrequency').textContent = this.sanitizeHTML(error.frequency);
-        document.getElementById('errorLastUpdate').textContent = error.lastUpdate || "1 октября 2025";
+        this.currentError = error;
+        if (keepState) {
+            this.updateSolutionToolbar(error);
+            this.renderSolutionList(error);
+            this.wizard.refresh(error);
+            this.diagnostics.refresh(error);
+        } else {
+            this.solutionFilter = null;
+            this.expandedSolutions.clear();
+            this.renderSolutions(error);
+            this.diagnostics.attach(error);
+        }
+
+        const subcategoryDisplayName = this.getSubcategoryDisplayName(error.category, this.currentSubcategory);
         
+        document.getElementById('detailBreadcrumb').innerHTML = `
+            <a href="/" data-breadcrumb-home><i class="fas fa-home"></i> ${t('nav.home')}</a>
+            <span class="separator"><i class="fas fa-chevron-right"></i></span>
+            <a href="${this.sanitizeHTML(this.router.categoryPath(error.category))}" data-breadcrumb-category>${this.sanitizeHTML(categoryDisplayName)}</a>
+            <span class="separator"><i class="fas fa-chevron-right"></i></span>
+            <a href="${this.sanitizeHTML(this.router.subcategoryPath(error.category, this.currentSubcategory))}" data-breadcrumb-subcategory>${this.sanitizeHTML(subcategoryDisplayName)}</a>
+            <span class="separator"><i class="fas fa-chevron-right"></i></span>
+            <span>${this.sanitizeHTML(error.code)}</span>
+        `;
+
+        return {
+            category: { id: error.category, name: categoryDisplayName },
+            subcategory: this.currentSubcategory ? { id: this.currentSubcategory, name: subcategoryDisplayName } : null
+        };
+    }
+
+    // Редактор записей: форма слева, предпросмотр страницы ошибки справа (ErrorEditor)
+    showEditor(code = null) {
+        this.showSection('editor');
+        this.router.sync(this.router.editorPath(code));
+        this.updatePageMeta({ title: t('editor.pageTitle'), description: t('editor.description'), path: this.router.editorPath(code) });
+        this.updateLiveRegion(t('editor.opened'));
+        return this.editor.open(code);
+    }
+
+    // Список решений ошибки. Шаги, отмеченные в пошаговом режиме, подсвечиваются.
+    // Порядок задает getSolutionOrder; решения сложнее уровня пользователя свернуты.
+    renderSolutionList(error) {
         const solutionsContainer = document.getElementById('errorSolutions');
         solutionsContainer.innerHTML = '';
         
+        const progress = this.userPrefs.getWizardProgress(error.code);
+        const solutionIndexes = this.getSolutionOrder(error);
+        
         if (error.solutions && error.solutions.length > 0) {
-            error.solutions.forEach((solution, solutionIndex) => {
+            solutionIndexes.forEach(solutionIndex => {
+                const solution = error.solutions[solutionIndex];
                 if (!this.validateSolutionData(solution)) {
-                    console.warn('Invalid solution data:', solution);
+                    // В предпросмотре редактора недописанное решение пропускается молча: о нем сообщает проверка записи
+                    if (!this.editor.isOpen()) console.warn('Invalid solution data:', solution);
                     return;
                 }
 
-                const progressPercentage = ((solutionIndex + 1) / error.solutions.length) * 100;
-                const feedbackCount = this.userPrefs.getFeedbackCount(errorCode, solutionIndex);
-                const isLiked = this.userPrefs.isLiked(errorCode, solutionIndex);
+                const stepResults = (progress && progress.results[solutionIndex]) || [];
+                const doneCount = stepResults.filter(result => result === 'done').length;
+                const progressPercentage = (doneCount / solution.steps.length) * 100;
+                const vote = this.userPrefs.getVote(error.code, solutionIndex);
+                const isAboveLevel = this.isAboveSkillLevel(solution);
+                const isCollapsed = isAboveLevel && !this.expandedSolutions.has(solutionIndex);
                 
                 const solutionItem = document.createElement('div');
-                solutionItem.className = 'solution-item';
+                solutionItem.className = `solution-item ${isCollapsed ? 'collapsed' : ''}`;
+                solutionItem.dataset.solutionIndex = solutionIndex;
                 solutionItem.innerHTML = `
                     <div class="solution-header">
                         <span class="solution-level solution-level-${solution.level}">${this.getLevelText(solution.level)}</span>
+                        ${isAboveLevel ? `<span class="solution-above-level">${t('skill.aboveLevel')}</span>` : ''}
                         <h5>${this.sanitizeHTML(solution.title)}</h5>
                         <div class="solution-meta">
-                            <span><i class="fas fa-clock"></i> ${this.sanitizeHTML(solution.time)}</span>
-                            <span><i class="fas fa-shield-alt"></i> Риск: ${this.getRiskText(solution.risk)}</span>
-                            <span><i class="fas fa-user"></i> Для: ${this.getLevelText(solution.level)}</span>
+                            <span><i class="fas fa-clock"></i> ${this.sanitizeHTML(this.getTimeText(solution.time))}</span>
+                            <span><i class="fas fa-shield-alt"></i> ${t('solution.risk', { risk: this.getRiskText(solution.risk) })}</span>
+                            <span><i class="fas fa-user"></i> ${t('solution.for', { level: this.getLevelText(solution.level) })}</span>
                         </div>
                     </div>
-                    <div class="solution-progress">
-                        <div class="progress-bar">
-                            <div class="progress-fill" style="width: ${progressPercentage}%"></div>
+                    ${isAboveLevel ? `
+                        <button class="solution-expand" aria-expanded="${!isCollapsed}">
+                            <i class="fas fa-chevron-${isCollapsed ? 'down' : 'up'}"></i> <span>${isCollapsed ? t('skill.expand') : t('skill.collapse')}</span>
+                        </button>
+                    ` : ''}
+                    <div class="solution-body">
+                        ${this.detailRenderer.renderSolutionIntro(solution)}
+                        <div class="solution-progress" aria-label="${t('solution.stepsDone', { done: doneCount, total: solution.steps.length })}">
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${progressPercentage}%"></div>
+                            </div>
+                            <div class="progress-steps">
+                                ${solution.steps.map((_, stepIndex) => 
+                                    `<span class="step ${this.getStepResultClass(stepResults[stepIndex])}">${stepIndex + 1}</span>`
+                                ).join('')}
+                            </div>
                         </div>
-                        <div class="progress-steps">
-                            ${error.solutions.map((_, idx) => 
-                                `<span class="step ${idx <= solutionIndex ? 'active' : ''}">${idx + 1}</span>`
+                        <ol class="solution-steps">
+                            ${solution.steps.map((step, stepIndex) => 
+                                `<li class="${stepResults[stepIndex] ? `step-${stepResults[stepIndex]}` : ''}">${this.renderStepContent(step)}${this.renderNote(error.code, `${solutionIndex}-${stepIndex}`)}</li>`
                             ).join('')}
+                        </ol>
+                        <div class="solution-feedback">
+                            <button class="feedback-btn ${vote === 'helped' ? 'active' : ''}" data-feedback-vote="helped"
+                                    aria-pressed="${vote === 'helped'}">
+                                <i class="${vote === 'helped' ? 'fas' : 'far'} fa-thumbs-up"></i> ${t('solution.helped')}
+                            </button>
+                            <button class="feedback-btn feedback-btn-negative ${vote === 'not_helped' ? 'active' : ''}" data-feedback-vote="not_helped"
+                                    aria-pressed="${vote === 'not_helped'}">
+                                <i class="${vote === 'not_helped' ? 'fas' : 'far'} fa-thumbs-down"></i> ${t('solution.notHelped')}
+                            </button>
+                            <button class="feedback-comment-toggle" aria-expanded="false">
+                                <i class="far fa-comment"></i> ${t('feedback.comment')}
+                            </button>
+                            <span class="feedback-count">${this.getFeedbackText(this.getSolutionCounts(error.code, solutionIndex))}</span>
                         </div>
-                    </div>
-                    <ol class="solution-steps">
-                        ${solution.steps.map((step, stepIndex) => 
-                            `<li>${this.sanitizeHTML(step)}</li>`
-                        ).join('')}
-                    </ol>
-                    <div class="solution-feedback">
-                        <button class="feedback-btn ${isLiked ? 'liked' : ''}" 
-                                aria-label="${isLiked ? 'Убрать лайк' : 'Отметить как полезное'}">
-                            <i class="${isLiked ? 'fas' : 'far'} fa-thumbs-up"></i> Это решение помогло
-                        </button>
-                        <span class="feedback-count">${feedbackCount === 0 ? 'Пока нет оценок' : `Помогло: ${feedbackCount} ${feedbackCount === 1 ? 'человеку' : 'людям'}`}</span>
+                        <form class="feedback-comment-form" hidden>
+                            <textarea maxlength="1000" rows="3" aria-label="${t('feedback.commentLabel')}"
+                                      placeholder="${t('feedback.commentPlaceholder')}"></textarea>
+                            <button type="submit" class="feedback-btn"><i class="fas fa-paper-plane"></i> ${t('feedback.send')}</button>
+                        </form>
                     </div>
                 `;
                 
-                const feedbackBtn = solutionItem.querySelector('.feedback-btn');
-                feedbackBtn.addEventListener('click', () => {
-                    this.handleFeedback(errorCode, solutionIndex, feedbackBtn);
+                const expandButton = solutionItem.querySelector('.solution-expand');
+                if (expandButton) {
+                    expandButton.addEventListener('click', () => this.toggleSolutionExpanded(solutionItem, solutionIndex));
+                }
+                
+                solutionItem.querySelectorAll('.feedback-btn[data-feedback-vote]').forEach(button => {
+                    button.addEventListener('click', () => {
+                        this.handleFeedback(error.code, solutionIndex, button.dataset.feedbackVote, solutionItem);
+                    });
+                });
+                
+                const commentForm = solutionItem.querySelector('.feedback-comment-form');
+                const commentToggle = solutionItem.querySelector('.feedback-comment-toggle');
+                commentToggle.addEventListener('click', () => {
+                    commentForm.hidden = !commentForm.hidden;
+                    commentToggle.setAttribute('aria-expanded', String(!commentForm.hidden));
+                    if (!commentForm.hidden) commentForm.querySelector('textarea').focus();
+                });
+                commentForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.handleFeedbackComment(error.code, solutionIndex, commentForm);
                 });
                 
                 solutionsContainer.appendChild(solutionItem);
             });
         } else {
-            solutionsContainer.innerHTML = '<div class="no-results">Для этой ошибки пока нет решений</div>';
+            solutionsContainer.innerHTML = `<div class="no-results">${t('error.noSolutions')}</div>`;
         }
+    }
 
-        const subcategoryDisplayName = this.getSubcategoryDisplayName(error.category, this.currentSubcategory);
-        
-        document.getElementById('detailBreadcrumb').innerHTML = `
-            <a href="/" data-breadcrumb-home><i class="fas fa-home"></i> Главная</a>
-            <span class="separator"><i class="fas fa-chevron-right"></i></span>
-            <a href="/category/${this.sanitizeHTML(error.category)}" data-breadcrumb-category>${this.sanitizeHTML(categoryDisplayName)}</a>
-            <span class="separator"><i class="fas fa-chevron-right"></i></span>
-            <a href="/category/${this.sanitizeHTML(error.category)}/${this.sanitizeHTML(this.currentSubcategory)}" data-breadcrumb-subcategory>${this.sanitizeHTML(subcategoryDisplayName)}</a>
-            <span class="separator"><i class="fas fa-chevron-right"></i></span>
-            <span>${this.sanitizeHTML(error.code)}</span>
-        `;
+    // Вызывается панелью диагностики: null — показать все решения
+    applySolutionFilter(error, solutionIndexes) {
+        this.solutionFilter = solutionIndexes;
+        this.renderSolutions(error);
+    }
 
-        this.showSection('errorDetail');
-        this.updatePageTitle(`Ошибка ${error.code}: ${error.title} | ErrorFOXbase`);
-        this.updateMetaDescription(`Решение ошибки ${error.code}: ${error.title}. ${error.description.substring(0, 160)}...`);
-        this.updateStructuredDataForError(error);
-        this.updateLiveRegion(`Загружена информация об ошибке ${error.code}`);
+    // Список решений и пошаговый режим в одном порядке
+    renderSolutions(error) {
+        this.updateSolutionToolbar(error);
+        this.renderSolutionList(error);
+        this.wizard.attach(error, this.getSolutionOrder(error));
+    }
 
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+    // Подбор диагностики важнее рейтинга; без него — рейтинг или порядок справочника.
+    // Решения сложнее уровня пользователя в рейтинге идут последними.
+    getSolutionOrder(error) {
+        if (this.solutionFilter) return this.solutionFilter;
+
+        const indexes = (error.solutions || []).map((_, index) => index);
+        if (this.userPrefs.getSolutionOrder() !== 'ranked') return indexes;
+
+        const scores = new Map(indexes.map(index => [index, this.getSolutionScore(error, index)]));
+        return indexes.sort((a, b) =>
+            this.isAboveSkillLevel(error.solutions[a]) - this.isAboveSkillLevel(error.solutions[b]) ||
+            scores.get(b) - scores.get(a) ||
+            a - b
+        );
+    }
+
+    // Доля голосов «помогло» со сглаживанием (без голосов — 0.5) минус штрафы за риск и долгое решение
+    getSolutionScore(error, solutionIndex) {
+        const solution = error.solutions[solutionIndex];
+        const { helped, notHelped } = this.getSolutionCounts(error.code, solutionIndex);
+        const helpfulness = (helped + 1) / (helped + notHelped + 2);
+        const riskPenalty = { low: 0, medium: 0.15, high: 0.3 }[solution.risk] || 0;
+        const duration = this.errorDB.normalizeDuration(solution.time);
+        const timePenalty = duration ? Math.min(duration.min / 120, 1) * 0.2 : 0.1;
+
+        return helpfulness - riskPenalty - timePenalty;
+    }
+
+    isAboveSkillLevel(solution) {
+        return SOLUTION_LEVELS.indexOf(solution.level) > SOLUTION_LEVELS.indexOf(this.userPrefs.getSkillLevel());
+    }
+
+    toggleSolutionExpanded(solutionItem, solutionIndex) {
+        const isExpanded = this.expandedSolutions.has(solutionIndex);
+        if (isExpanded) {
+            this.expandedSolutions.delete(solutionIndex);
+        } else {
+            this.expandedSolutions.add(solutionIndex);
+        }
+
+        const expandButton = solutionItem.querySelector('.solution-expand');
+        solutionItem.classList.toggle('collapsed', isExpanded);
+        expandButton.setAttribute('aria-expanded', String(!isExpanded));
+        expandButton.innerHTML = `<i class="fas fa-chevron-${isExpanded ? 'down' : 'up'}"></i> <span>${isExpanded ? t('skill.expand') : t('skill.collapse')}</span>`;
+    }
+
+    // Уровень, порядок решений и подсказка, если ошибку обычно исправляют более опытные пользователи
+    updateSolutionToolbar(error) {
+        const skillLevel = this.userPrefs.getSkillLevel();
+        const isRanked = this.userPrefs.getSolutionOrder() === 'ranked';
+        document.getElementById('skillLevelSelect').value = skillLevel;
+
+        const orderToggle = document.getElementById('solutionOrderToggle');
+        orderToggle.setAttribute('aria-pressed', String(isRanked));
+        orderToggle.querySelector('span').textContent = isRanked ? t('skill.orderRanked') : t('skill.orderAuthored');
+
+        const audience = (error.audience || []).filter(level => SOLUTION_LEVELS.includes(level));
+        const audienceNote = document.getElementById('audienceNote');
+        const isAboveAudience = audience.length > 0 &&
+            audience.every(level => SOLUTION_LEVELS.indexOf(level) > SOLUTION_LEVELS.indexOf(skillLevel));
+        audienceNote.classList.toggle('hidden', !isAboveAudience);
+        audienceNote.textContent = isAboveAudience
+            ? t('skill.audienceNote', { levels: audience.map(level => this.getLevelText(level)).join(', ') })
+            : '';
+    }
+
+    changeSkillLevel(level) {
+        if (!SOLUTION_LEVELS.includes(level)) return;
+
+        this.userPrefs.setSkillLevel(level);
+        if (this.currentError) this.renderSolutions(this.currentError);
+        this.updateLiveRegion(t('skill.changed', { level: this.getLevelText(level) }));
+        this.analytics.trackEvent('solutions', 'skill_level', level);
+    }
+
+    toggleSolutionOrder() {
+        const order = this.userPrefs.getSolutionOrder() === 'ranked' ? 'authored' : 'ranked';
+        this.userPrefs.setSolutionOrder(order);
+        if (this.currentError) this.renderSolutions(this.currentError);
+        this.updateLiveRegion(order === 'ranked' ? t('skill.orderRanked') : t('skill.orderAuthored'));
+        this.analytics.trackEvent('solutions', 'order', order);
+    }
+
+    // Текст шага и, если есть, блок команды с кнопкой копирования
+    renderStepContent(step) {
+        const text = this.sanitizeHTML(step.text);
+        if (!step.command) return text;
+
+        return `
+            ${text}
+            <div class="command-block" data-shell="${this.sanitizeHTML(step.shell)}" data-elevated="${Boolean(step.elevated)}">
+                <div class="command-header">
+                    <span class="command-shell">${this.getShellText(step.shell)}</span>
+                    ${step.elevated ? `<span class="command-elevated"><i class="fas fa-user-shield"></i> ${this.getElevationText(step.shell)}</span>` : ''}
+                    <button class="command-copy" aria-label="${t('command.copyLabel')}"><i class="fas fa-copy"></i> ${t('command.copy')}</button>
+                </div>
+                <pre><code>${this.sanitizeHTML(step.command)}</code></pre>
+            </div>
+        `;
+    }
+
+    getStepResultClass(result) {
+        if (result === 'done') return 'active';
+        if (result === 'failed') return 'failed';
+        return '';
     }
 
     // 11. ПОИСК И САДЖЕСТЫ
-    searchError() {
+    async searchError() {
         const query = document.getElementById('searchInput').value.trim();
         
         if (!this.validateInput(query, 'search')) {
-            this.toast.show('Введите корректный запрос для поиска', 'error');
+            this.toast.show(t('search.invalid'), 'error');
             return;
         }
 
         this.analytics.trackEvent('search', 'perform', query);
-        const results = this.errorDB.searchErrors(query);
+        this.hideSuggestions();
         
-        if (results.length > 0) {
-            this.showErrorDetail(results[0].code);
-        } else {
-            this.showNoResults();
-            this.analytics.trackEvent('search', 'no_results', query);
+        // Сразу к ошибке — только если запрос и есть ее код (в любом написании)
+        const exactMatch = this.errorDB.findError(query);
+        if (exactMatch) {
+            this.showErrorDetail(exactMatch.code);
+            return;
         }
         
-        document.getElementById('searchSuggestions').style.display = 'none';
+        const count = await this.showSearchResults(query, createListState(), 1);
+        if (count === 0) {
+            this.analytics.trackEvent('search', 'no_results', query);
+        }
+    }
+
+    // Все совпадения запроса с фильтрами и сортировкой; порядок по умолчанию — релевантность.
+    // Если не нашлось ничего, /search?q=... показывает страницу «Ошибка не найдена» с подсказками.
+    // Поиск идет по полным записям: пока загружаются файлы категорий, в разделе индикатор.
+    // Возвращает число найденных записей или null, если результаты не показаны.
+    async showSearchResults(query, listState = this.searchState, page = this.searchPage) {
+        query = query.trim();
+        if (!this.validateInput(query, 'search')) {
+            this.showNoResults('', this.router.searchPath(query));
+            return null;
+        }
+
+        this.searchQuery = query;
+        this.searchState = listState;
+        document.getElementById('searchInput').value = query;
+        this.hideSuggestions();
+
+        let version = this.viewVersion;
+        if (!this.errorDB.areAllCategoriesLoaded()) {
+            version = this.showViewLoading('search', t('search.loading'));
+            this.router.sync(this.router.searchPath(query, listState, page));
+        }
+
+        let allResults;
+        try {
+            allResults = await this.errorDB.searchErrorDetails(query);
+        } catch (loadError) {
+            console.error('Не удалось загрузить справочник для поиска:', loadError);
+            if (this.isViewCurrent(version)) {
+                this.showViewError('search', t('search.loadFailed'), () => this.showSearchResults(query, listState, page));
+            }
+            return null;
+        }
+        if (!this.isViewCurrent(version)) return null;
+
+        if (allResults.length === 0) {
+            this.showNoResults(query, this.router.searchPath(query));
+            return 0;
+        }
+
+        const results = applyListState(allResults, listState);
+        const resultsList = document.getElementById('searchResultsList');
+        const totalPages = Math.max(1, Math.ceil(results.length / this.errorsPerPage));
+        this.searchPage = Math.min(Math.max(1, page), totalPages);
+        const startIndex = (this.searchPage - 1) * this.errorsPerPage;
+
+        document.getElementById('searchTitle').innerHTML = `<i class="fas fa-search"></i> ${this.sanitizeHTML(t('search.resultsTitle', { query }))}`;
+        this.searchFilterBar.render(allResults, listState, results.length, { defaultSortLabel: t('filters.sort.relevance') });
+
+        resultsList.innerHTML = '';
+        if (results.length === 0) {
+            resultsList.innerHTML = `<div class="no-results">${t('filters.noMatches')}</div>`;
+        } else {
+            results.slice(startIndex, startIndex + this.errorsPerPage).forEach(error => {
+                const errorItem = this.createErrorListItem(error, this.getSearchHighlights(error, query));
+                if (errorItem) resultsList.appendChild(errorItem);
+            });
+        }
+
+        this.createPagination(results.length, {
+            container: document.getElementById('searchPagination'),
+            currentPage: this.searchPage,
+            pathForPage: (pageNumber) => this.router.searchPath(query, listState, pageNumber),
+            onPageChange: (pageNumber) => {
+                this.showSearchResults(query, listState, pageNumber);
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+        });
+
+        this.router.sync(this.router.searchPath(query, listState, this.searchPage));
+        this.showSection('search');
+        this.updatePageMeta({ title: t('search.pageTitle', { query }), description: t('search.description', { query }), path: this.router.searchPath(query) });
+        this.updateLiveRegion(t('search.resultsLoaded', { count: t('count.errors', { count: results.length }) }));
+        return allResults.length;
+    }
+
+    changeSearchState(state) {
+        this.analytics.trackEvent('filters', 'search_change', buildListQuery(state) || 'none');
+        this.showSearchResults(this.searchQuery, state, 1);
     }
 
-    showSuggestions(query) {
+    // Заголовок и фрагмент с подсвеченными словами запроса. Фрагмент берется из первого поля,
+    // где нашлось совпадение: описание, причины, решения, шаги. Запись могла найтись по тексту
+    // на другом языке — тогда подсветки нет.
+    getSearchHighlights(error, query) {
+        const toHTML = (parts) => parts
+            .map(part => (part.match ? `<mark>${this.sanitizeHTML(part.text)}</mark>` : this.sanitizeHTML(part.text)))
+            .join('');
+
+        const titleParts = buildSnippet(error.title, query, { radius: Infinity });
+
+        // Совпадение в личной заметке показывается первым: скорее всего, искали именно ее
+        for (const note of this.userPrefs.getNoteTexts(error.code)) {
+            const parts = buildSnippet(note, query);
+            if (parts) {
+                return {
+                    title: titleParts && toHTML(titleParts),
+                    snippet: `<i class="fas fa-sticky-note" aria-label="${t('notes.label')}"></i> ${toHTML(parts)}`
+                };
+            }
+        }
+
+        const texts = [
+            error.description,
+            ...(error.causes || []),
+            ...(error.solutions || []).flatMap(solution => [
+                solution.title,
+                ...(Array.isArray(solution.steps) ? solution.steps.map(step => step.text) : [])
+            ])
+        ];
+
+        for (const text of texts) {
+            const parts = buildSnippet(text, query);
+            if (parts) {
+                return { title: titleParts && toHTML(titleParts), snippet: toHTML(parts) };
+            }
+        }
+        return { title: titleParts && toHTML(titleParts), snippet: null };
+    }
+
+    // Подсказки ищут и по описаниям, причинам и решениям, поэтому ждут загрузки файлов всех категорий;
+    // пока она идет, в списке подсказок индикатор. Если загрузить файлы не удалось, подсказки находят
+    // записи по оглавлению — коду и заголовку.
+    async showSuggestions(query) {
         if (!this.validateInput(query, 'search') || query.length < 2) {
-            document.getElementById('searchSuggestions').style.display = 'none';
+            this.hideSuggestions();
             return;
         }
 
-        const suggestions = this.errorDB.searchErrors(query);
+        let suggestions;
+        if (this.errorDB.areAllCategoriesLoaded()) {
+            suggestions = this.errorDB.searchErrors(query);
+        } else {
+            this.showSuggestionsStatus(t('search.loading'));
+            try {
+                suggestions = await this.errorDB.suggestErrors(query);
+            } catch (loadError) {
+                console.error('Не удалось загрузить справочник для подсказок:', loadError);
+                suggestions = this.errorDB.searchErrors(query);
+            }
+            // Пока шла загрузка, запрос изменился или подсказки закрыли
+            if (document.getElementById('searchInput').value !== query ||
+                document.getElementById('searchSuggestions').style.display !== 'block') {
+                return;
+            }
+        }
+
         const searchSuggestions = document.getElementById('searchSuggestions');
         
         if (suggestions.length > 0) {
-            searchSuggestions.innerHTML = suggestions.slice(0, 8).map(error => {
+            searchSuggestions.innerHTML = suggestions.slice(0, 8).map((error, index) => {
                 const categoryInfo = this.errorDB.getCategoryInfo(error.category);
                 const categoryDisplayName = categoryInfo ? categoryInfo.name : error.category;
                 
                 return `
-                    <div class="search-suggestion" data-code="${this.sanitizeHTML(error.code)}" role="button" tabindex="0">
+                    <div class="search-suggestion" data-code="${this.sanitizeHTML(error.code)}" id="searchSuggestion-${index}" role="option" aria-selected="false">
                         <div>
                             <div class="suggestion-code">${this.sanitizeHTML(error.code)}</div>
                             <div class="suggestion-title">${this.sanitizeHTML(error.title)}</div>
@@ -1116,71 +4789,216 @@ class ErrorFOXbaseApp {
                         <span class="suggestion-category">${this.sanitizeHTML(categoryDisplayName)}</span>
                     </div>
                 `;
-            }).join('');
+            }).join('') + `
+                <a class="search-suggestion search-all-results" href="${this.sanitizeHTML(this.router.searchPath(query))}" data-search-all
+                   id="searchSuggestion-all" role="option" aria-selected="false" tabindex="-1">
+                    <i class="fas fa-list"></i> ${t('search.allResults', { count: suggestions.length })}
+                </a>
+            `;
+            
+            searchSuggestions.querySelector('[data-search-all]').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.hideSuggestions();
+                this.analytics.trackEvent('search', 'all_results', query);
+                this.showSearchResults(query, createListState(), 1);
+            });
             
-            searchSuggestions.querySelectorAll('.search-suggestion').forEach(suggestion => {
+            searchSuggestions.querySelectorAll('.search-suggestion[data-code]').forEach(suggestion => {
                 const handleActivation = () => {
                     const code = suggestion.dataset.code;
                     if (this.validateInput(code, 'code')) {
                         document.getElementById('searchInput').value = code;
+                        this.hideSuggestions();
                         this.analytics.trackEvent('search', 'suggestion_select', code);
                         this.showErrorDetail(code);
                     }
                 };
                 
                 suggestion.addEventListener('click', handleActivation);
-                suggestion.addEventListener('keypress', (e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        handleActivation();
-                    }
-                });
             });
-            
-            searchSuggestions.style.display = 'block';
         } else {
-            searchSuggestions.innerHTML = '<div class="search-suggestion">Ничего не найдено</div>';
-            searchSuggestions.style.display = 'block';
+            searchSuggestions.innerHTML = `<div class="search-suggestion" role="option" aria-disabled="true">${t('search.nothingFound')}</div>`;
+        }
+        
+        this.openSuggestions();
+    }
+
+    // Строка состояния вместо подсказок, например индикатор загрузки
+    showSuggestionsStatus(message) {
+        document.getElementById('searchSuggestions').innerHTML = `
+            <div class="search-suggestion" role="option" aria-disabled="true">
+                <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${this.sanitizeHTML(message)}
+            </div>
+        `;
+        this.openSuggestions();
+    }
+
+    openSuggestions() {
+        this.activeSuggestion = -1;
+        document.getElementById('searchSuggestions').style.display = 'block';
+        const searchInput = document.getElementById('searchInput');
+        searchInput.setAttribute('aria-expanded', 'true');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    hideSuggestions() {
+        const searchInput = document.getElementById('searchInput');
+        document.getElementById('searchSuggestions').style.display = 'none';
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+        this.activeSuggestion = -1;
+    }
+
+    // Стрелки двигают выделение по подсказкам, фокус остается в поле ввода (aria-activedescendant).
+    // Enter открывает выделенную подсказку, без выделения — выполняет поиск.
+    handleSearchKeydown(e) {
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        const options = searchSuggestions.style.display === 'block'
+            ? Array.from(searchSuggestions.querySelectorAll('[role="option"]:not([aria-disabled="true"])'))
+            : [];
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (options.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const nextIndex = this.activeSuggestion === -1
+                ? (step > 0 ? 0 : options.length - 1)
+                : (this.activeSuggestion + step + options.length) % options.length;
+            this.setActiveSuggestion(options, nextIndex);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const activeOption = options[this.activeSuggestion];
+            if (activeOption) {
+                activeOption.click();
+            } else {
+                this.searchError();
+            }
+        }
+    }
+
+    setActiveSuggestion(options, index) {
+        options.forEach((option, optionIndex) => {
+            option.classList.toggle('active', optionIndex === index);
+            option.setAttribute('aria-selected', String(optionIndex === index));
+        });
+
+        this.activeSuggestion = index;
+        document.getElementById('searchInput').setAttribute('aria-activedescendant', options[index].id);
+        if (options[index].scrollIntoView) options[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    // Режим анализа лога: поиск всех известных кодов во вставленном тексте
+    showLogScan(text) {
+        const input = document.getElementById('logScanInput');
+        if (typeof text === 'string') {
+            input.value = text;
+        }
+
+        this.showSection('logScan');
+        this.router.sync('/scan');
+        this.updatePageMeta({ title: t('logScan.pageTitle'), description: t('logScan.description'), path: '/scan' });
+        this.updateLiveRegion(t('logScan.opened'));
+
+        if (input.value.trim() !== '') {
+            this.runLogScan();
+        } else {
+            input.focus();
+        }
+    }
+
+    // Многострочная вставка в строку поиска открывает анализ лога вместо обрезанного запроса
+    handleSearchPaste(e) {
+        const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
+        if (!/\r?\n/.test(text.trim())) return;
+
+        e.preventDefault();
+        this.hideSuggestions();
+        this.analytics.trackEvent('log_scan', 'paste', 'search_input');
+        this.showLogScan(text);
+    }
+
+    runLogScan() {
+        const text = document.getElementById('logScanInput').value;
+        const resultsContainer = document.getElementById('logScanResults');
+
+        if (text.trim() === '') {
+            resultsContainer.innerHTML = '';
+            this.toast.show(t('logScan.empty'), 'error');
+            return;
+        }
+
+        const matches = this.errorDB.scanLog(text);
+        this.analytics.trackEvent('log_scan', 'run', matches.length.toString());
+
+        if (matches.length === 0) {
+            resultsContainer.innerHTML = `<div class="no-results">${t('logScan.noMatches')}</div>`;
+            this.updateLiveRegion(t('logScan.noMatchesLive'));
+            return;
         }
+
+        const maxLinesShown = 3;
+        resultsContainer.innerHTML = `
+            <p class="log-scan-summary">${t('logScan.found', { count: matches.length })}</p>
+            ${matches.map(({ error, occurrences }) => `
+                <a href="${this.sanitizeHTML(this.router.errorPath(error.code))}" class="log-scan-item" data-code="${this.sanitizeHTML(error.code)}">
+                    <div class="log-scan-header">
+                        <span class="error-code">${this.sanitizeHTML(error.code)}</span>
+                        <span class="urgency-${error.urgency}">${this.getUrgencyText(error.urgency)}</span>
+                    </div>
+                    <div class="error-title">${this.sanitizeHTML(error.title)}</div>
+                    <ul class="log-scan-lines">
+                        ${occurrences.slice(0, maxLinesShown).map(occurrence => `
+                            <li>
+                                <span class="log-scan-line-number">${t('logScan.line', { line: occurrence.lineNumber })}</span>
+                                <code>${this.highlightMatch(occurrence.line.substring(0, 200), occurrence.raw)}</code>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${occurrences.length > maxLinesShown ? `<small class="log-scan-more">${t('logScan.more', { count: occurrences.length - maxLinesShown })}</small>` : ''}
+                </a>
+            `).join('')}
+        `;
+
+        resultsContainer.querySelectorAll('.log-scan-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.analytics.trackEvent('log_scan', 'open', item.dataset.code);
+                this.showErrorDetail(item.dataset.code);
+            });
+        });
+
+        this.updateLiveRegion(t('logScan.foundLive', { count: matches.length }));
+    }
+
+    // Подсветка найденного фрагмента; весь текст экранируется
+    highlightMatch(text, fragment) {
+        if (!fragment) return this.sanitizeHTML(text);
+        const parts = text.split(new RegExp(`(${this.escapeRegex(fragment)})`, 'i'));
+        return parts.map((part, index) =>
+            index % 2 === 1 ? `<mark>${this.sanitizeHTML(part)}</mark>` : this.sanitizeHTML(part)
+        ).join('');
     }
 
     // 12. ВАЛИДАЦИЯ ДАННЫХ
+    // Проверка по схеме из error-schema.js; предупреждения (неизвестные поля) не блокируют показ
     validateErrorData(error) {
-        return error && 
-               this.validateInput(error.code, 'code') &&
-               this.validateInput(error.title, 'text') &&
-               this.validateInput(error.description, 'text') &&
-               this.validateInput(error.category, 'text');
+        return Boolean(error) &&
+               validateAgainstSchema(error, ERROR_SCHEMA).every(issue => issue.severity !== 'error');
+    }
+
+    validateErrorSummary(error) {
+        return Boolean(error) &&
+               validateAgainstSchema(error, ERROR_SUMMARY_SCHEMA).every(issue => issue.severity !== 'error');
     }
 
     validateSolutionData(solution) {
-        return solution &&
-               this.validateInput(solution.title, 'text') &&
-               Array.isArray(solution.steps) &&
-               solution.steps.every(step => this.validateInput(step, 'text'));
+        return Boolean(solution) &&
+               validateAgainstSchema(solution, SOLUTION_SCHEMA).every(issue => issue.severity !== 'error');
     }
 
     // 13. ВСПОМОГАТЕЛЬНЫЕ МЕТОДЫ
     countErrorsInSubcategory(category, subcategoryId) {
-        const categorySubcategories = this.errorDB.getSubcategories(category);
-        const subcategory = categorySubcategories.find(s => s.id === subcategoryId);
-        
-        if (!subcategory) return 0;
-        
-        const subcategoryName = subcategory.name;
-        let errors = this.errorDB.getErrorsBySubcategory(category, subcategoryName);
-        
-        if (errors.length === 0) {
-            const allCategoryErrors = this.errorDB.getErrorsByCategory(category);
-            errors = allCategoryErrors.filter(error => {
-                if (!error.subcategory) return false;
-                const errorSub = error.subcategory.toLowerCase();
-                const subName = subcategoryName.toLowerCase();
-                return errorSub.includes(subName) || subName.includes(errorSub);
-            });
-        }
-        
-        return errors.length;
+        return this.errorDB.countErrorsBySubcategory(category, subcategoryId);
     }
 
     getSubcategoryDisplayName(category, subcategoryId) {
@@ -1189,9 +5007,11 @@ class ErrorFOXbaseApp {
         return subcategory ? subcategory.name : '';
     }
 
-    createPagination(totalErrorsCount) {
-        const totalPages = Math.ceil(totalErrorsCount / this.errorsPerPage);
-        const pagination = document.getElementById('pagination');
+    // Пагинация списка: pathForPage строит адрес страницы (для ссылки и копирования),
+    // onPageChange вызывается при переходе без перезагрузки
+    createPagination(totalCount, { container, currentPage, pathForPage, onPageChange }) {
+        const totalPages = Math.ceil(totalCount / this.errorsPerPage);
+        const pagination = container || document.getElementById('pagination');
         
         pagination.innerHTML = '';
         
@@ -1199,15 +5019,15 @@ class ErrorFOXbaseApp {
         
         // Кнопка "Назад"
         const prevBtn = document.createElement('a');
-        prevBtn.className = `page-btn ${this.currentPageNumber === 1 ? 'disabled' : ''}`;
+        prevBtn.className = `page-btn ${currentPage === 1 ? 'disabled' : ''}`;
         prevBtn.innerHTML = '<i class="fas fa-chevron-left"></i>';
-        prevBtn.setAttribute('aria-label', 'Предыдущая страница');
+        prevBtn.href = pathForPage(Math.max(1, currentPage - 1));
+        prevBtn.setAttribute('aria-label', t('nav.prevPage'));
         prevBtn.addEventListener('click', (e) => {
             e.preventDefault();
-            if (this.currentPageNumber > 1) {
-                this.currentPageNumber--;
-                this.analytics.trackEvent('pagination', 'prev', this.currentPageNumber.toString());
-                this.displayErrorsBySubcategory(this.currentCategory, this.currentSubcategory);
+            if (currentPage > 1) {
+                this.analytics.trackEvent('pagination', 'prev', (currentPage - 1).toString());
+                onPageChange(currentPage - 1);
             }
         });
         pagination.appendChild(prevBtn);
@@ -1215,70 +5035,159 @@ class ErrorFOXbaseApp {
         // Номера страниц
         for (let i = 1; i <= totalPages; i++) {
             const pageBtn = document.createElement('a');
-            pageBtn.className = `page-btn ${i === this.currentPageNumber ? 'active' : ''}`;
+            pageBtn.className = `page-btn ${i === currentPage ? 'active' : ''}`;
             pageBtn.textContent = i;
-            pageBtn.href = `?page=${i}`;
-            pageBtn.setAttribute('aria-label', `Страница ${i}`);
-            pageBtn.setAttribute('aria-current', i === this.currentPageNumber ? 'page' : 'false');
+            pageBtn.href = pathForPage(i);
+            pageBtn.setAttribute('aria-label', t('nav.page', { page: i }));
+            pageBtn.setAttribute('aria-current', i === currentPage ? 'page' : 'false');
             
             pageBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.currentPageNumber = i;
                 this.analytics.trackEvent('pagination', 'page_select', i.toString());
-                this.displayErrorsBySubcategory(this.currentCategory, this.currentSubcategory);
+                onPageChange(i);
             });
             pagination.appendChild(pageBtn);
         }
         
         // Кнопка "Вперед"
         const nextBtn = document.createElement('a');
-        nextBtn.className = `page-btn ${this.currentPageNumber === totalPages ? 'disabled' : ''}`;
+        nextBtn.className = `page-btn ${currentPage === totalPages ? 'disabled' : ''}`;
         nextBtn.innerHTML = '<i class="fas fa-chevron-right"></i>';
-        nextBtn.setAttribute('aria-label', 'Следующая страница');
+        nextBtn.href = pathForPage(Math.min(totalPages, currentPage + 1));
+        nextBtn.setAttribute('aria-label', t('nav.nextPage'));
         nextBtn.addEventListener('click', (e) => {
             e.preventDefault();
-            if (this.currentPageNumber < totalPages) {
-                this.currentPageNumber++;
-                this.analytics.trackEvent('pagination', 'next', this.currentPageNumber.toString());
-                this.displayErrorsBySubcategory(this.currentCategory, this.currentSubcategory);
+            if (currentPage < totalPages) {
+                this.analytics.trackEvent('pagination', 'next', (currentPage + 1).toString());
+                onPageChange(currentPage + 1);
             }
         });
         pagination.appendChild(nextBtn);
     }
 
-    handleFeedback(errorCode, solutionIndex, button) {
-        const isNowLiked = this.userPrefs.toggleLike(errorCode, solutionIndex);
-        const count = this.userPrefs.getFeedbackCount(errorCode, solutionIndex);
+    // Общие счетчики с сервера отзывов; пока их нет — только голос этого браузера
+    getSolutionCounts(errorCode, solutionIndex) {
+        const summary = this.feedback.summaries.get(errorCode);
+        if (summary) {
+            return summary[solutionIndex] || { helped: 0, notHelped: 0, comments: 0 };
+        }
+        
+        const vote = this.userPrefs.getVote(errorCode, solutionIndex);
+        return { helped: vote === 'helped' ? 1 : 0, notHelped: vote === 'not_helped' ? 1 : 0, comments: 0 };
+    }
+
+    async refreshFeedbackCounts(error) {
+        const order = this.getSolutionOrder(error).join();
+        await this.feedback.getSummary(error.code);
         
-        if (isNowLiked) {
-            button.classList.add('liked');
-            button.innerHTML = '<i class="fas fa-thumbs-up"></i> Это решение помогло';
-            button.setAttribute('aria-label', 'Убрать лайк');
-            this.toast.show('Спасибо за ваш отзыв!', 'success');
-            this.analytics.trackEvent('feedback', 'like', `${errorCode}-${solutionIndex}`);
-        } else {
-            button.classList.remove('liked');
-            button.innerHTML = '<i class="far fa-thumbs-up"></i> Это решение помогло';
-            button.setAttribute('aria-label', 'Отметить как полезное');
-            this.toast.show('Лайк удален', 'success');
-            this.analytics.trackEvent('feedback', 'unlike', `${errorCode}-${solutionIndex}`);
+        // Пока шел запрос, пользователь мог открыть другую ошибку
+        if (this.currentError !== error) return;
+        
+        // Общие счетчики могут изменить рейтинг; открытый пошаговый режим не перестраиваем
+        if (this.getSolutionOrder(error).join() !== order && this.wizard.container.classList.contains('hidden')) {
+            this.renderSolutions(error);
+            return;
+        }
+        document.querySelectorAll('#errorSolutions .solution-item').forEach(item => {
+            const solutionIndex = Number(item.dataset.solutionIndex);
+            this.updateFeedbackText(item.querySelector('.feedback-count'), this.getSolutionCounts(error.code, solutionIndex));
+        });
+    }
+
+    // Повторное нажатие на выбранный вариант отменяет голос
+    handleFeedback(errorCode, solutionIndex, vote, solutionItem) {
+        const previousVote = this.userPrefs.getVote(errorCode, solutionIndex);
+        const newVote = previousVote === vote ? null : vote;
+        this.userPrefs.setVote(errorCode, solutionIndex, newVote);
+        
+        // Счетчики обновляются сразу, не дожидаясь ответа сервера
+        const summary = this.feedback.summaries.get(errorCode);
+        if (summary) {
+            const counts = summary[solutionIndex] || (summary[solutionIndex] = { helped: 0, notHelped: 0, comments: 0 });
+            const field = { helped: 'helped', not_helped: 'notHelped' };
+            if (previousVote) counts[field[previousVote]] = Math.max(0, counts[field[previousVote]] - 1);
+            if (newVote) counts[field[newVote]]++;
+        }
+        
+        solutionItem.querySelectorAll('.feedback-btn[data-feedback-vote]').forEach(button => {
+            const isActive = button.dataset.feedbackVote === newVote;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+            const icon = button.querySelector('i');
+            icon.classList.toggle('fas', isActive);
+            icon.classList.toggle('far', !isActive);
+        });
+        this.updateFeedbackText(solutionItem.querySelector('.feedback-count'), this.getSolutionCounts(errorCode, solutionIndex));
+        
+        this.feedback.submit(errorCode, solutionIndex, { vote: newVote });
+        this.toast.show(newVote ? t('solution.thanks') : t('feedback.voteRemoved'), 'success');
+        if (!navigator.onLine) {
+            this.toast.show(t('feedback.queued'), 'info');
+        }
+        this.analytics.trackEvent('feedback', newVote || 'retract', `${errorCode}-${solutionIndex}`);
+    }
+
+    handleFeedbackComment(errorCode, solutionIndex, form) {
+        const textarea = form.querySelector('textarea');
+        const comment = textarea.value.trim();
+        if (!comment) {
+            this.toast.show(t('feedback.commentEmpty'), 'error');
+            textarea.focus();
+            return;
+        }
+        
+        this.feedback.submit(errorCode, solutionIndex, { comment });
+        textarea.value = '';
+        form.hidden = true;
+        form.parentNode.querySelector('.feedback-comment-toggle').setAttribute('aria-expanded', 'false');
+        this.toast.show(t('feedback.commentThanks'), 'success');
+        if (!navigator.onLine) {
+            this.toast.show(t('feedback.queued'), 'info');
         }
+        this.analytics.trackEvent('feedback', 'comment', `${errorCode}-${solutionIndex}`);
+    }
+
+    updateFeedbackText(element, counts) {
+        element.textContent = this.getFeedbackText(counts);
+    }
+
+    getFeedbackText({ helped, notHelped }) {
+        if (helped === 0 && notHelped === 0) return t('solution.noRatings');
         
-        this.updateFeedbackText(button.parentNode.querySelector('.feedback-count'), count);
+        const parts = [t('solution.helpedCount', { count: helped })];
+        if (notHelped > 0) parts.push(t('solution.notHelpedCount', { count: notHelped }));
+        return parts.join(', ');
     }
 
-    updateFeedbackText(element, count) {
-        const peopleText = count === 1 ? 'человеку' : 'людям';
-        element.textContent = count === 0 ? 'Пока нет оценок' : `Помогло: ${count} ${peopleText}`;
+    // Общий путь копирования в буфер: уведомление об успехе или ошибке
+    copyToClipboard(text, successMessage, errorMessage, successType = 'success') {
+        return navigator.clipboard.writeText(text).then(() => {
+            this.toast.show(successMessage, successType, successType === 'success' ? 3000 : 5000);
+            return true;
+        }).catch(() => {
+            this.toast.show(errorMessage, 'error');
+            return false;
+        });
     }
 
     copyErrorCode() {
         const code = document.getElementById('errorDetailCode').textContent;
-        navigator.clipboard.writeText(code).then(() => {
-            this.toast.show('Код ошибки скопирован', 'success');
-            this.analytics.trackEvent('action', 'copy_code', code);
-        }).catch(() => {
-            this.toast.show('Не удалось скопировать код', 'error');
+        this.copyToClipboard(code, t('error.codeCopied'), t('error.codeCopyFailed')).then(copied => {
+            if (copied) this.analytics.trackEvent('action', 'copy_code', code);
+        });
+    }
+
+    copyCommand(commandBlock) {
+        const command = commandBlock.querySelector('code').textContent;
+        const shell = commandBlock.dataset.shell;
+        const elevated = commandBlock.dataset.elevated === 'true';
+
+        const message = elevated
+            ? t('command.copiedElevated', { elevation: this.getElevationText(shell).toLowerCase() })
+            : t('command.copied');
+
+        this.copyToClipboard(command, message, t('command.copyFailed'), elevated ? 'warning' : 'success').then(copied => {
+            if (copied) this.analytics.trackEvent('action', 'copy_command', shell);
         });
     }
 
@@ -1288,8 +5197,8 @@ class ErrorFOXbaseApp {
         const url = window.location.href;
         
         const shareData = {
-            title: `Ошибка ${code}: ${title}`,
-            text: `Решение ошибки ${code} на ErrorFOXbase`,
+            title: t('error.shareTitle', { code, title }),
+            text: t('error.shareText', { code }),
             url: url
         };
         
@@ -1302,54 +5211,91 @@ class ErrorFOXbaseApp {
         }
     }
 
+    // Руководство по открытой ошибке (export-guide.js) со ссылкой на ее страницу
+    getErrorGuide(format) {
+        return buildErrorGuide(this.currentError, format, {
+            formatTime: (time) => this.getTimeText(time),
+            url: new URL(this.router.errorPath(this.currentError.code), window.location.origin).href
+        });
+    }
+
+    handleGuideAction(action) {
+        if (!this.currentError) return;
+
+        const code = this.currentError.code;
+        const fileName = `errorfoxbase-${code.replace(/[^A-Za-z0-9-]+/g, '_')}`;
+        document.getElementById('exportMenu').open = false;
+
+        switch (action) {
+            case 'copy-markdown':
+            case 'copy-text':
+                this.copyToClipboard(this.getErrorGuide(action === 'copy-markdown' ? 'markdown' : 'text'), t('guide.copied'), t('guide.copyFailed'));
+                break;
+            case 'download-markdown':
+                this.downloadFile(this.getErrorGuide('markdown'), `${fileName}.md`, 'text/markdown;charset=utf-8');
+                break;
+            case 'download-text':
+                this.downloadFile(this.getErrorGuide('text'), `${fileName}.txt`, 'text/plain;charset=utf-8');
+                break;
+            case 'print':
+                this.preparePrintGuide();
+                window.print();
+                break;
+            default:
+                return;
+        }
+        this.analytics.trackEvent('action', 'export_guide', action);
+    }
+
+    // print.css печатает только #printGuide, пока у body есть класс printing-guide
+    preparePrintGuide() {
+        document.getElementById('printGuide').innerHTML = this.getErrorGuide('html');
+        document.body.classList.add('printing-guide');
+    }
+
     fallbackShare(code, url) {
-        navigator.clipboard.writeText(`${url} - Ошибка ${code}`).then(() => {
-            this.toast.show('Ссылка скопирована в буфер', 'success');
-            this.analytics.trackEvent('action', 'share_fallback', code);
-        }).catch(() => {
-            this.toast.show('Не удалось поделиться', 'error');
+        this.copyToClipboard(t('error.shareFallback', { url, code }), t('error.linkCopied'), t('error.shareFailed')).then(copied => {
+            if (copied) this.analytics.trackEvent('action', 'share_fallback', code);
         });
     }
 
     // 14. SEO И МЕТА-ДАННЫЕ
     updateStats() {
-        document.getElementById('totalErrors').textContent = this.errorDB.getTotalErrorsCount().toLocaleString();
-        document.getElementById('totalSolutions').textContent = this.errorDB.getTotalSolutionsCount().toLocaleString();
+        document.getElementById('totalErrors').textContent = this.errorDB.getTotalErrorsCount().toLocaleString(getLocale());
+        document.getElementById('totalSolutions').textContent = this.errorDB.getTotalSolutionsCount().toLocaleString(getLocale());
     }
 
-    updateStructuredData() {
-        // Базовая структурированная данных для сайта
-    }
+    // Мета-данные представления (page-meta.js): заголовок, описание, канонический адрес, Open Graph и JSON-LD.
+    // Готовая страница из tools/build-static.js содержит те же теги, поэтому здесь они только заменяются.
+    updatePageMeta({ title, description, path = window.location.pathname, type = 'website', structuredData = null }) {
+        this.updatePageTitle(title);
+        this.updateMetaDescription(description);
+        this.updateMetaTag('property', 'og:url', absoluteUrl(path));
+        this.updateMetaTag('property', 'og:type', type);
+        document.querySelector('link[rel="canonical"]').setAttribute('href', absoluteUrl(path));
 
-    updateStructuredDataForError(error) {
-        const oldScript = document.getElementById('error-structured-data');
+        const oldScript = document.getElementById('page-structured-data');
         if (oldScript) oldScript.remove();
+        if (!structuredData) return;
 
         const script = document.createElement('script');
         script.type = 'application/ld+json';
-        script.id = 'error-structured-data';
-        script.textContent = JSON.stringify({
-            "@context": "https://schema.org",
-            "@type": "TechArticle",
-            "headline": `Решение ошибки ${error.code}: ${error.title}`,
-            "description": error.description,
-            "datePublished": "2025-10-01",
-            "author": { "@type": "Organization", "name": "ErrorFOXbase" },
-            "publisher": {
-                "@type": "Organization",
-                "name": "ErrorFOXbase",
-                "logo": { "@type": "ImageObject", "url": "https://errorfoxbase.ru/logo.png" }
-            },
-            "mainEntityOfPage": {
-                "@type": "WebPage",
-                "@id": `https://errorfoxbase.ru/error/${error.code}`
-            },
-            "proficiencyLevel": "Beginner",
-            "about": { "@type": "Thing", "name": "Computer Errors" }
-        });
+        script.id = 'page-structured-data';
+        script.textContent = serializeStructuredData(structuredData);
         document.head.appendChild(script);
     }
 
+    // Готовая страница из tools/build-static.js (#staticPage) — то же представление для клиентов без скриптов.
+    // Пока грузятся данные, она остается на экране вместо индикатора загрузки, а когда приложение
+    // покажет представление, убирается. keepCurrent оставляет страницу, собранную для текущего адреса:
+    // чужую (например, главную из кэша Service Worker) показывать незачем.
+    releaseStaticPage({ keepCurrent = false } = {}) {
+        const staticPage = document.getElementById('staticPage');
+        if (!staticPage) return;
+        if (keepCurrent && staticPage.dataset.path === window.location.pathname) return;
+        staticPage.remove();
+    }
+
     updatePageTitle(title) {
         document.title = title;
         this.updateMetaTag('property', 'og:title', title);
@@ -1375,6 +5321,13 @@ class ErrorFOXbaseApp {
     // 15. УПРАВЛЕНИЕ СЕКЦИЯМИ
     showSection(sectionName) {
         this.errorDB.hideAllSections();
+        // Новое представление: загрузка, начатая для прежнего, больше не показывается
+        this.viewVersion++;
+        document.querySelectorAll('.view-loading').forEach(section => {
+            section.classList.remove('view-loading');
+            section.removeAttribute('aria-busy');
+            section.querySelector(':scope > .view-loading-indicator').remove();
+        });
 
         if (sectionName === 'categories') {
             document.getElementById('statsSection').classList.remove('hidden');
@@ -1382,18 +5335,59 @@ class ErrorFOXbaseApp {
             document.getElementById('statsSection').classList.add('hidden');
         }
 
-        const sections = {
-            'categories': 'categoriesSection',
-            'subcategories': 'subcategoriesSection', 
-            'errors': 'errorsSection',
-            'errorDetail': 'errorDetailSection',
-            'noResults': 'noResults'
-        };
-
-        const sectionId = sections[sectionName];
+        const sectionId = VIEW_SECTIONS[sectionName];
         if (sectionId) {
             document.getElementById(sectionId).classList.remove('hidden');
         }
+
+        // В редакторе страница ошибки служит предпросмотром и стоит рядом с формой
+        const isEditor = sectionName === 'editor';
+        document.querySelector('.main > .container').classList.toggle('editor-mode', isEditor);
+        document.getElementById('errorDetailSection').classList.toggle('editor-preview', isEditor);
+        if (isEditor) document.getElementById('errorDetailSection').classList.remove('hidden');
+    }
+
+    // Индикатор загрузки внутри представления: раздел открывается сразу, его содержимое скрыто,
+    // пока не придут данные, а поиск, история и навигация остаются доступны. Возвращает версию
+    // представления: если к концу загрузки она изменилась, пользователь уже ушел и результат не нужен.
+    showViewLoading(sectionName, message) {
+        return this.showViewStatus(sectionName, `
+            <div class="loading-spinner"><i class="fas fa-spinner fa-spin" aria-hidden="true"></i></div>
+            <p>${this.sanitizeHTML(message)}</p>
+        `).version;
+    }
+
+    // Загрузка не удалась: на месте индикатора — сообщение и кнопка «Повторить»
+    showViewError(sectionName, message, retry) {
+        const { section, version } = this.showViewStatus(sectionName, `
+            <div class="loading-spinner"><i class="fas fa-exclamation-triangle" aria-hidden="true"></i></div>
+            <p>${this.sanitizeHTML(message)}</p>
+            <button type="button" class="action-btn" data-view-retry><i class="fas fa-redo"></i> ${t('app.retry')}</button>
+        `, false);
+        section.querySelector('[data-view-retry]').addEventListener('click', retry);
+        return version;
+    }
+
+    showViewStatus(sectionName, html, busy = true) {
+        this.showSection(sectionName);
+        const section = document.getElementById(VIEW_SECTIONS[sectionName] || VIEW_SECTIONS.categories);
+        section.classList.remove('hidden');
+        section.classList.add('view-loading');
+        if (busy) section.setAttribute('aria-busy', 'true');
+
+        let indicator = section.querySelector(':scope > .view-loading-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'loading view-loading-indicator';
+            indicator.setAttribute('role', 'status');
+            section.prepend(indicator);
+        }
+        indicator.innerHTML = html;
+        return { section, version: this.viewVersion };
+    }
+
+    isViewCurrent(version) {
+        return this.viewVersion === version;
     }
 
     showCategories() {
@@ -1409,27 +5403,80 @@ class ErrorFOXbaseApp {
         this.displayErrorsBySubcategory(this.currentCategory, this.currentSubcategory);
     }
 
-    showNoResults() {
+    // path — адрес, по которому пришли: он записывается в историю, чтобы «Назад» и перезагрузка
+    // показывали ту же страницу. Без него адрес не меняется (неизвестный маршрут уже в адресной строке)
+    showNoResults(query = '', path = null) {
+        if (path !== null) this.router.sync(path);
+        this.notFoundQuery = query;
+        this.renderDidYouMean(query);
         this.showSection('noResults');
-        this.updatePageTitle('Ошибка не найдена | ErrorFOXbase');
-        this.updateMetaDescription('Искомая ошибка не найдена в базе данных ErrorFOXbase. Попробуйте другой запрос или выберите из категорий.');
-        this.updateLiveRegion('Ошибка не найдена');
+        this.updatePageMeta({ title: t('notFound.pageTitle'), description: t('notFound.description') });
+        this.updateLiveRegion(t('notFound.title'));
+    }
+
+    // Подсказка «Возможно, вы имели в виду» для кодов с опечатками
+    renderDidYouMean(query) {
+        const container = document.getElementById('didYouMean');
+        const similar = query ? this.errorDB.findSimilarCodes(query) : [];
+
+        if (similar.length === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = `
+            <p>${t('notFound.didYouMean')}</p>
+            <div class="did-you-mean-list">
+                ${similar.map(({ error }) => `
+                    <a href="${this.sanitizeHTML(this.router.errorPath(error.code))}" class="did-you-mean-item" data-code="${this.sanitizeHTML(error.code)}">
+                        <span class="suggestion-code">${this.sanitizeHTML(error.code)}</span>
+                        <span class="suggestion-title">${this.sanitizeHTML(error.title)}</span>
+                    </a>
+                `).join('')}
+            </div>
+        `;
+        container.classList.remove('hidden');
+
+        container.querySelectorAll('.did-you-mean-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.analytics.trackEvent('search', 'did_you_mean', item.dataset.code);
+                this.showErrorDetail(item.dataset.code);
+            });
+        });
     }
 
     // 16. ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
     getUrgencyText(urgency) {
-        const texts = { 'low': 'Низкая', 'medium': 'Средняя', 'high': 'Высокая' };
-        return texts[urgency] || 'Неизвестно';
+        return URGENCY_LEVELS.includes(urgency) ? t(`urgency.${urgency}`) : t('urgency.unknown');
     }
 
     getLevelText(level) {
-        const levels = { 'beginner': 'Начинающий', 'intermediate': 'Опытный', 'advanced': 'Эксперт' };
-        return levels[level] || level;
+        return SOLUTION_LEVELS.includes(level) ? t(`level.${level}`) : level;
     }
 
     getRiskText(risk) {
-        const risks = { 'low': 'Низкий', 'medium': 'Средний', 'high': 'Высокий' };
-        return risks[risk] || risk;
+        return ['low', 'medium', 'high'].includes(risk) ? t(`risk.${risk}`) : risk;
+    }
+
+    // Частота нормализуется при загрузке (normalizeFrequency); нераспознанная показывается как есть
+    getFrequencyText(frequency) {
+        return ['very_high', 'high', 'medium', 'low'].includes(frequency) ? t(`frequency.${frequency}`) : frequency;
+    }
+
+    // Время решения из данных ("5 минут", "15-60 минут") на текущем языке
+    getTimeText(time) {
+        const duration = this.errorDB.normalizeDuration(time);
+        return duration ? formatDuration(duration) : time;
+    }
+
+    getShellText(shell) {
+        return COMMAND_SHELLS.includes(shell) ? t(`shell.${shell}`) : this.sanitizeHTML(shell);
+    }
+
+    getElevationText(shell) {
+        return shell === 'bash' ? t('elevation.root') : t('elevation.admin');
     }
 }
 
@@ -1437,11 +5484,12 @@ class ErrorFOXbaseApp {
 document.addEventListener('DOMContentLoaded', () => {
     // Проверка поддержки современных возможностей
     if (!('Promise' in window) || !('fetch' in window)) {
+        setLocale(detectLocale([navigator.language]));
         document.body.innerHTML = `
             <div style="padding: 40px; text-align: center;">
-                <h2>Ваш браузер устарел</h2>
-                <p>Для работы ErrorFOXbase требуется современный браузер</p>
-                <p>Пожалуйста, обновите браузер или используйте другой</p>
+                <h2>${t('app.outdatedTitle')}</h2>
+                <p>${t('app.outdatedText')}</p>
+                <p>${t('app.outdatedHint')}</p>
             </div>
         `;
         return;
@@ -1450,16 +5498,3 @@ document.addEventListener('DOMContentLoaded', () => {
     // Запуск приложения
     new ErrorFOXbaseApp();
 });
-
-// Service Worker для оффлайн работы
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', function() {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => {
-                console.log('ServiceWorker registered: ', registration.scope);
-            })
-            .catch(err => {
-                console.log('ServiceWorker registration failed: ', err);
-            });
-    });
-            }
@@ -0,0 +1,366 @@
+// Полнотекстовый поисковый индекс ErrorFOXbase
+// Инвертированный индекс с весами полей и стеммингом для русского языка.
+// Подключается на странице перед script.js и может использоваться из Node-скриптов.
+
+// Веса полей: совпадение в коде важнее совпадения в заголовке, заголовок важнее описания
+const SEARCH_FIELD_WEIGHTS = {
+    code: 10,
+    title: 5,
+    notes: 3,
+    causes: 2,
+    solutionTitles: 2,
+    category: 1.5,
+    description: 1,
+    steps: 0.5
+};
+
+// Бонус за точное совпадение запроса с кодом ошибки
+const EXACT_CODE_BOOST = 100;
+const CODE_PREFIX_BOOST = 20;
+
+const SEARCH_STOP_WORDS = new Set([
+    'и', 'в', 'во', 'на', 'не', 'с', 'со', 'что', 'как', 'для', 'по', 'к', 'ко', 'или', 'а',
+    'это', 'у', 'из', 'от', 'о', 'об', 'при', 'если', 'то', 'же', 'за', 'до', 'ли', 'бы',
+    'the', 'a', 'an', 'of', 'to', 'in', 'on', 'is', 'and', 'or', 'for'
+]);
+
+// Стеммер Портера (Snowball) для русского языка
+const RussianStemmer = (() => {
+    const VOWELS = 'аеиоуыэюя';
+
+    const byLength = (list) => list.slice().sort((a, b) => b.length - a.length);
+
+    const PERFECTIVE_GERUND_1 = byLength(['в', 'вши', 'вшись']);
+    const PERFECTIVE_GERUND_2 = byLength(['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись']);
+    const ADJECTIVE = byLength([
+        'ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом',
+        'его', 'ого', 'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею'
+    ]);
+    const PARTICIPLE_1 = byLength(['ем', 'нн', 'вш', 'ющ', 'щ']);
+    const PARTICIPLE_2 = byLength(['ивш', 'ывш', 'ующ']);
+    const REFLEXIVE = byLength(['ся', 'сь']);
+    const VERB_1 = byLength([
+        'ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны',
+        'ть', 'ешь', 'нно'
+    ]);
+    const VERB_2 = byLength([
+        'ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им',
+        'ым', 'ен', 'ило', 'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть',
+        'ишь', 'ую', 'ю'
+    ]);
+    const NOUN = byLength([
+        'а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей',
+        'ой', 'ий', 'й', 'иям', 'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях',
+        'ы', 'ь', 'ию', 'ью', 'ю', 'ия', 'ья', 'я'
+    ]);
+    const SUPERLATIVE = byLength(['ейш', 'ейше']);
+    const DERIVATIONAL = byLength(['ост', 'ость']);
+
+    const isVowel = (char) => VOWELS.includes(char);
+
+    // Удаляет самое длинное подходящее окончание; группа 1 требует перед окончанием «а» или «я»
+    const removeEnding = (word, group1, group2) => {
+        const candidates = [];
+        (group1 || []).forEach(ending => candidates.push({ ending, needsAYa: true }));
+        (group2 || []).forEach(ending => candidates.push({ ending, needsAYa: false }));
+        candidates.sort((a, b) => b.ending.length - a.ending.length);
+
+        for (const { ending, needsAYa } of candidates) {
+            if (!word.endsWith(ending)) continue;
+            if (needsAYa) {
+                const previous = word.charAt(word.length - ending.length - 1);
+                if (previous !== 'а' && previous !== 'я') continue;
+            }
+            return word.slice(0, word.length - ending.length);
+        }
+        return null;
+    };
+
+    // Регион R1 для строки: часть после первой согласной, следующей за гласной
+    const regionStart = (word, from) => {
+        for (let i = from + 1; i < word.length; i++) {
+            if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+                return i + 1;
+            }
+        }
+        return word.length;
+    };
+
+    const stem = (input) => {
+        const word = input.toLowerCase().replace(/ё/g, 'е');
+
+        let rvStart = 0;
+        while (rvStart < word.length && !isVowel(word[rvStart])) rvStart++;
+        rvStart++;
+        if (rvStart >= word.length) return word;
+
+        const prefix = word.slice(0, rvStart);
+        let rv = word.slice(rvStart);
+
+        // Шаг 1
+        const withoutGerund = removeEnding(rv, PERFECTIVE_GERUND_1, PERFECTIVE_GERUND_2);
+        if (withoutGerund !== null) {
+            rv = withoutGerund;
+        } else {
+            rv = removeEnding(rv, null, REFLEXIVE) ?? rv;
+
+            const withoutAdjective = removeEnding(rv, null, ADJECTIVE);
+            if (withoutAdjective !== null) {
+                rv = removeEnding(withoutAdjective, PARTICIPLE_1, PARTICIPLE_2) ?? withoutAdjective;
+            } else {
+                const withoutVerb = removeEnding(rv, VERB_1, VERB_2);
+                rv = withoutVerb !== null ? withoutVerb : (removeEnding(rv, null, NOUN) ?? rv);
+            }
+        }
+
+        // Шаг 2
+        if (rv.endsWith('и')) rv = rv.slice(0, -1);
+
+        // Шаг 3: словообразовательные окончания в регионе R2
+        const full = prefix + rv;
+        const r2Start = regionStart(full, regionStart(full, 0) - 1);
+        for (const ending of DERIVATIONAL) {
+            if (full.endsWith(ending) && full.length - ending.length >= r2Start) {
+                rv = rv.slice(0, rv.length - ending.length);
+                break;
+            }
+        }
+
+        // Шаг 4
+        if (rv.endsWith('нн')) {
+            rv = rv.slice(0, -1);
+        } else {
+            const withoutSuperlative = removeEnding(rv, null, SUPERLATIVE);
+            if (withoutSuperlative !== null) {
+                rv = withoutSuperlative.endsWith('нн') ? withoutSuperlative.slice(0, -1) : withoutSuperlative;
+            } else if (rv.endsWith('ь')) {
+                rv = rv.slice(0, -1);
+            }
+        }
+
+        let result = prefix + rv;
+
+        // Беглая гласная в родительном падеже множественного числа: «ошибок» → «ошибк»
+        if (result.length >= 5 && /[ое]к$/.test(result)) {
+            result = result.slice(0, -2) + 'к';
+        }
+
+        return result;
+    };
+
+    return { stem };
+})();
+
+// Упрощенный стемминг для английских слов
+function stemEnglish(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+    if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+    if (word.endsWith('es') && word.length > 4) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function stemWord(word) {
+    if (/^[a-z]+$/.test(word)) return stemEnglish(word);
+    if (/^[а-я]+$/.test(word)) return RussianStemmer.stem(word);
+    return word;
+}
+
+// Разбиение текста на термы: нижний регистр, стоп-слова отбрасываются, слова приводятся к основе
+function tokenize(text) {
+    if (typeof text !== 'string' || text === '') return [];
+    const words = text.toLowerCase().replace(/ё/g, 'е').match(/[a-z0-9а-я]+/g) || [];
+    return words
+        .filter(word => !SEARCH_STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+        .map(stemWord);
+}
+
+function normalizeCodeForSearch(code) {
+    return String(code || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+class SearchIndex {
+    constructor(fieldWeights = SEARCH_FIELD_WEIGHTS) {
+        this.fieldWeights = fieldWeights;
+        this.postings = new Map();   // терм -> Map(id документа -> { поле: количество вхождений })
+        this.codes = new Map();      // нормализованный код -> id документа
+        this.documentCount = 0;
+    }
+
+    // fields: { code, title, description, causes: [], solutionTitles: [], steps: [], category, notes: [] }
+    addDocument(id, fields) {
+        this.documentCount++;
+        this.codes.set(normalizeCodeForSearch(fields.code), id);
+
+        for (const [field, value] of Object.entries(fields)) {
+            if (!(field in this.fieldWeights)) continue;
+            const texts = Array.isArray(value) ? value : [value];
+
+            for (const text of texts) {
+                for (const term of tokenize(text)) {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, new Map());
+                    }
+                    const documents = this.postings.get(term);
+                    const fieldCounts = documents.get(id) || {};
+                    fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+                    documents.set(id, fieldCounts);
+                }
+            }
+        }
+    }
+
+    // Удаление документа перед повторным добавлением (например, после правки заметок)
+    removeDocument(id) {
+        const codes = Array.from(this.codes).filter(([, documentId]) => documentId === id);
+        if (codes.length === 0) return;
+
+        codes.forEach(([code]) => this.codes.delete(code));
+        for (const [term, documents] of this.postings) {
+            if (documents.delete(id) && documents.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.documentCount--;
+    }
+
+    // Вес документа по терму: сумма весов полей с насыщением по частоте, умноженная на IDF
+    scoreTerm(documents) {
+        const idf = Math.log(1 + this.documentCount / documents.size);
+        const scores = new Map();
+
+        for (const [id, fieldCounts] of documents) {
+            let score = 0;
+            for (const [field, count] of Object.entries(fieldCounts)) {
+                score += this.fieldWeights[field] * (1 + Math.log(count));
+            }
+            scores.set(id, { score: score * idf, fields: Object.keys(fieldCounts) });
+        }
+        return scores;
+    }
+
+    // Термы словаря для слова запроса; последнее слово ищется и по префиксу, пока пользователь печатает
+    expandTerm(term, allowPrefix) {
+        const terms = [];
+        if (this.postings.has(term)) {
+            terms.push({ term, factor: 1 });
+        }
+        if (allowPrefix && term.length >= 3) {
+            for (const candidate of this.postings.keys()) {
+                if (candidate !== term && candidate.startsWith(term)) {
+                    terms.push({ term: candidate, factor: 0.5 });
+                }
+            }
+        }
+        return terms;
+    }
+
+    // Возвращает [{ id, score, matchedTerms, fields }] по убыванию релевантности.
+    // Документы, содержащие все слова запроса, всегда выше частичных совпадений.
+    search(query, { limit = Infinity } = {}) {
+        const results = new Map();
+        const normalizedQuery = normalizeCodeForSearch(query);
+        if (!normalizedQuery) return [];
+
+        const addScore = (id, score, fields, termIndex) => {
+            const result = results.get(id) || { id, score: 0, exact: false, matched: new Set(), fields: new Set() };
+            result.score += score;
+            if (termIndex !== null) result.matched.add(termIndex);
+            fields.forEach(field => result.fields.add(field));
+            results.set(id, result);
+        };
+
+        const exactId = this.codes.get(normalizedQuery);
+        if (exactId !== undefined) {
+            addScore(exactId, EXACT_CODE_BOOST, ['code'], null);
+            results.get(exactId).exact = true;
+        } else if (normalizedQuery.length >= 3) {
+            for (const [code, id] of this.codes) {
+                if (code.startsWith(normalizedQuery)) {
+                    addScore(id, CODE_PREFIX_BOOST, ['code'], null);
+                }
+            }
+        }
+
+        const queryTerms = [...new Set(tokenize(query))];
+        queryTerms.forEach((queryTerm, termIndex) => {
+            const isLast = termIndex === queryTerms.length - 1;
+            for (const { term, factor } of this.expandTerm(queryTerm, isLast)) {
+                for (const [id, { score, fields }] of this.scoreTerm(this.postings.get(term))) {
+                    addScore(id, score * factor, fields, termIndex);
+                }
+            }
+        });
+
+        return Array.from(results.values())
+            .map(result => ({
+                id: result.id,
+                score: result.score,
+                exact: result.exact,
+                matchedTerms: result.matched.size,
+                fields: Array.from(result.fields)
+            }))
+            .sort((a, b) =>
+                b.exact - a.exact ||
+                b.matchedTerms - a.matchedTerms ||
+                b.score - a.score
+            )
+            .slice(0, limit);
+    }
+}
+
+// Фрагмент текста вокруг первого совпадения со словами запроса — для выдачи поиска.
+// Слова сравниваются по основам, как в индексе; последнее слово запроса совпадает и по префиксу.
+// Возвращает части [{ text, match }] или null, если слов запроса в тексте нет.
+// radius — сколько символов контекста оставить до совпадения (после него — вдвое больше).
+function buildSnippet(text, query, { radius = 60 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (typeof text !== 'string' || queryTerms.length === 0) return null;
+
+    const lastTerm = queryTerms[queryTerms.length - 1];
+    const matches = [];
+    const wordPattern = /[a-z0-9а-яё]+/gi;
+    let word;
+    while ((word = wordPattern.exec(text)) !== null) {
+        const normalized = word[0].toLowerCase().replace(/ё/g, 'е');
+        if (SEARCH_STOP_WORDS.has(normalized)) continue;
+        const term = stemWord(normalized);
+        if (queryTerms.includes(term) || (lastTerm.length >= 3 && term.startsWith(lastTerm))) {
+            matches.push({ start: word.index, end: word.index + word[0].length });
+        }
+    }
+    if (matches.length === 0) return null;
+
+    // Окно обрезается по границам слов
+    let start = Math.max(0, matches[0].start - radius);
+    let end = Math.min(text.length, matches[0].end + radius * 2);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < matches[0].start ? space + 1 : matches[0].start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > matches[0].end ? space : matches[0].end;
+    }
+
+    const parts = [];
+    let position = start;
+    matches
+        .filter(match => match.start >= start && match.end <= end)
+        .forEach(match => {
+            if (match.start > position) parts.push({ text: text.slice(position, match.start), match: false });
+            parts.push({ text: text.slice(match.start, match.end), match: true });
+            position = match.end;
+        });
+    if (position < end) parts.push({ text: text.slice(position, end), match: false });
+
+    if (start > 0) parts.unshift({ text: '…', match: false });
+    if (end < text.length) parts.push({ text: '…', match: false });
+    return parts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, RussianStemmer, tokenize, buildSnippet, SEARCH_FIELD_WEIGHTS };
+}
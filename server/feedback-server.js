@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+// Сервер отзывов о решениях ErrorFOXbase.
+// Принимает голоса «помогло / не помогло» и комментарии к решениям и отдает общие счетчики.
+// Заодно раздает сам сайт, поэтому для локальной разработки достаточно одного процесса.
+//
+// Использование: node server/feedback-server.js [--port 8080] [--store server/data/feedback.json] [--root dist]
+//   Переменные окружения PORT и FEEDBACK_STORE задают то же самое.
+//   --root — каталог сайта, например сборка tools/build-static.js (по умолчанию корень репозитория).
+//
+// API:
+//   GET  /api/feedback/<код>  -> { code, solutions: { <индекс>: { helped, notHelped, comments } } }
+//   POST /api/feedback/<код>  <- { solution, clientId, vote?: 'helped' | 'not_helped' | null, comment? }
+//                             -> { code, solution, counts: { helped, notHelped, comments } }
+// Один браузер (clientId) имеет один голос на решение: повторный голос заменяет прежний,
+// vote: null его отменяет.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { readErrors } = require('../tools/build-error-index.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_STORE_FILE = path.join(__dirname, 'data', 'feedback.json');
+const API_PREFIX = '/api/feedback/';
+const VOTES = ['helped', 'not_helped'];
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Каталоги репозитория, которые не раздаются как статика
+const PRIVATE_DIRECTORIES = ['server', 'tools'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Хранилище в памяти. Другие хранилища (файл, SQLite, внешняя БД) реализуют те же методы:
+// getSummary(code), setVote(code, solution, clientId, vote), addComment(code, solution, clientId, text).
+class MemoryStore {
+    constructor(data = {}) {
+        this.votes = data.votes || {};         // код -> индекс решения -> clientId -> голос
+        this.comments = data.comments || [];   // [{ code, solution, clientId, text, createdAt }]
+    }
+
+    getSummary(code) {
+        const summary = {};
+        const ensure = (solution) => {
+            if (!summary[solution]) summary[solution] = { helped: 0, notHelped: 0, comments: 0 };
+            return summary[solution];
+        };
+
+        for (const [solution, clients] of Object.entries(this.votes[code] || {})) {
+            for (const vote of Object.values(clients)) {
+                ensure(solution)[vote === 'helped' ? 'helped' : 'notHelped']++;
+            }
+        }
+        for (const comment of this.comments) {
+            if (comment.code === code) ensure(comment.solution).comments++;
+        }
+        return summary;
+    }
+
+    setVote(code, solution, clientId, vote) {
+        const bySolution = this.votes[code] || (this.votes[code] = {});
+        const clients = bySolution[solution] || (bySolution[solution] = {});
+
+        if (vote === null) {
+            delete clients[clientId];
+        } else {
+            clients[clientId] = vote;
+        }
+    }
+
+    addComment(code, solution, clientId, text) {
+        this.comments.push({ code, solution, clientId, text, createdAt: new Date().toISOString() });
+    }
+
+    toJSON() {
+        return { votes: this.votes, comments: this.comments };
+    }
+}
+
+// Хранилище в JSON-файле: данные держатся в памяти и записываются после каждого изменения.
+// Запись идет через временный файл, чтобы сбой посреди записи не испортил данные.
+class JsonFileStore extends MemoryStore {
+    constructor(file) {
+        super(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+        this.file = file;
+    }
+
+    setVote(...args) {
+        super.setVote(...args);
+        this.save();
+    }
+
+    addComment(...args) {
+        super.addComment(...args);
+        this.save();
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.toJSON(), null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'слишком большой запрос'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+// Запись справочника по коду. Записи — обычный объект, поэтому ключи прототипа
+// («constructor», «__proto__») кодами ошибок не считаются
+function findError(errors, code) {
+    return Object.prototype.hasOwnProperty.call(errors, code) ? errors[code] : null;
+}
+
+// Проверка тела POST-запроса; errors — записи справочника (файлы errors/) для проверки кода и индекса решения
+function parseFeedback(code, body, errors) {
+    const error = findError(errors, code);
+    if (!error) {
+        throw new HttpError(404, `ошибка "${code}" не найдена`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (e) {
+        throw new HttpError(400, 'тело запроса должно быть JSON');
+    }
+    if (!data || typeof data !== 'object') {
+        throw new HttpError(400, 'тело запроса должно быть объектом');
+    }
+
+    const { solution, clientId, vote, comment } = data;
+    const solutionCount = Array.isArray(error.solutions) ? error.solutions.length : 0;
+    if (!Number.isInteger(solution) || solution < 0 || solution >= solutionCount) {
+        throw new HttpError(404, `нет решения с индексом ${solution}`);
+    }
+    if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+        throw new HttpError(400, 'некорректный clientId');
+    }
+    if ('vote' in data && vote !== null && !VOTES.includes(vote)) {
+        throw new HttpError(400, `vote должен быть одним из: ${VOTES.join(', ')} или null`);
+    }
+    if (comment !== undefined && (typeof comment !== 'string' || comment.trim() === '' || comment.length > MAX_COMMENT_LENGTH)) {
+        throw new HttpError(400, `comment должен быть непустой строкой до ${MAX_COMMENT_LENGTH} символов`);
+    }
+    if (!('vote' in data) && comment === undefined) {
+        throw new HttpError(400, 'нужно передать vote или comment');
+    }
+
+    return { solution, clientId, vote, hasVote: 'vote' in data, comment: comment && comment.trim() };
+}
+
+// Обработчик /api/feedback/<код>. Возвращает false, если адрес к API не относится.
+async function handleApi(req, res, { store, errors }) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (!pathname.startsWith(API_PREFIX)) return false;
+
+    let code;
+    try {
+        code = decodeURIComponent(pathname.slice(API_PREFIX.length));
+    } catch (e) {
+        sendJSON(res, 400, { error: 'некорректный код ошибки' });
+        return true;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            if (!findError(errors, code)) throw new HttpError(404, `ошибка "${code}" не найдена`);
+            sendJSON(res, 200, { code, solutions: await store.getSummary(code) });
+        } else if (req.method === 'POST') {
+            const feedback = parseFeedback(code, await readBody(req), errors);
+            if (feedback.hasVote) {
+                await store.setVote(code, feedback.solution, feedback.clientId, feedback.vote);
+            }
+            if (feedback.comment) {
+                await store.addComment(code, feedback.solution, feedback.clientId, feedback.comment);
+            }
+
+            const summary = await store.getSummary(code);
+            const counts = summary[feedback.solution] || { helped: 0, notHelped: 0, comments: 0 };
+            sendJSON(res, 200, { code, solution: feedback.solution, counts });
+        } else {
+            res.setHeader('Allow', 'GET, POST');
+            throw new HttpError(405, 'метод не поддерживается');
+        }
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            console.error('Ошибка обработки отзыва:', error);
+        }
+        sendJSON(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'внутренняя ошибка сервера' });
+    }
+    return true;
+}
+
+// Статика сайта. Адреса без расширения (/error/..., /category/...) получают index.html —
+// маршрутизацией занимается клиент.
+function serveStatic(req, res, staticRoot) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    const isPrivate = segments.some(segment => segment.startsWith('.')) || PRIVATE_DIRECTORIES.includes(segments[0]);
+    let file = path.join(staticRoot, ...segments);
+
+    if (isPrivate || !file.startsWith(staticRoot)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    // Адрес приложения без расширения: готовая страница сборки, если она есть, иначе общий index.html
+    if (!path.extname(file)) {
+        const prerendered = path.join(file, 'index.html');
+        file = fs.existsSync(prerendered) ? prerendered : path.join(staticRoot, 'index.html');
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+function createServer({ store, errors, staticRoot = ROOT }) {
+    return http.createServer(async (req, res) => {
+        if (await handleApi(req, res, { store, errors })) return;
+        serveStatic(req, res, staticRoot);
+    });
+}
+
+function readOption(argv, name, fallback) {
+    const index = argv.indexOf(name);
+    return index !== -1 && argv[index + 1] ? argv[index + 1] : fallback;
+}
+
+function main(argv) {
+    const port = Number(readOption(argv, '--port', process.env.PORT || 8080));
+    const storeFile = path.resolve(readOption(argv, '--store', process.env.FEEDBACK_STORE || DEFAULT_STORE_FILE));
+    const errors = readErrors();
+
+    const staticRoot = path.resolve(ROOT, readOption(argv, '--root', '.'));
+    const server = createServer({ store: new JsonFileStore(storeFile), errors, staticRoot });
+    server.listen(port, () => {
+        console.log(`ErrorFOXbase: http://localhost:${port}/ (отзывы: ${storeFile})`);
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { MemoryStore, JsonFileStore, HttpError, createServer, handleApi, parseFeedback };
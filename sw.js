@@ -0,0 +1,165 @@
+// Service Worker ErrorFOXbase: работа без сети
+// Оболочка приложения отдается из кэша, данные — по схеме stale-while-revalidate:
+// сразу из кэша, а свежая копия скачивается в фоне. Если данные на сервере изменились,
+// открытые вкладки получают сообщение DATA_UPDATED и предлагают перезагрузку.
+
+// Меняйте версию при каждом выпуске: старые кэши удалятся, а пользователи увидят
+// уведомление о доступном обновлении
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `errorfox-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `errorfox-data-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `errorfox-runtime-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    '/index.html',
+    '/styles.css',
+    '/print.css',
+    '/i18n.js',
+    '/error-schema.js',
+    '/error-codes.js',
+    '/search-index.js',
+    '/error-filters.js',
+    '/export-guide.js',
+    '/page-meta.js',
+    '/error-shards.js',
+    '/error-patch.js',
+    '/script.js',
+    '/manifest.webmanifest'
+];
+
+const DATA_FILES = [
+    '/errors-index.json',
+    '/categories.json',
+    '/subcategories.json'
+];
+// Файлы категорий с записями ошибок (error-shards.js). При установке они не скачиваются: страница
+// загружает их по мере надобности, и каждый кэшируется при первом запросе, как остальные данные
+const ERROR_SHARDS_PREFIX = '/errors/';
+
+// Сторонние ресурсы, без которых страница выглядит сломанной: иконки и шрифты
+const CACHEABLE_HOSTS = [
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+        caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES))
+    ]));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('errorfox-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Новая версия ждет, пока пользователь не согласится обновиться
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CACHEABLE_HOSTS.includes(url.hostname)) {
+            event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+        }
+        return;
+    }
+
+    // API всегда идет в сеть
+    if (url.pathname.startsWith('/api/')) return;
+
+    // Любой адрес приложения (/category/..., /error/...) обслуживает index.html
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('/index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (DATA_FILES.includes(url.pathname) || url.pathname.startsWith(ERROR_SHARDS_PREFIX)) {
+        event.respondWith(staleWhileRevalidate(event, url.pathname));
+        return;
+    }
+
+    if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(cacheFirst(url.pathname, SHELL_CACHE));
+        return;
+    }
+
+    event.respondWith(networkFirst(request, RUNTIME_CACHE));
+});
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Отдает кэш сразу, а обновление из сети сохраняет для следующей загрузки.
+// Ключ кэша — путь без query, чтобы ?v=... не плодил копии.
+function staleWhileRevalidate(event, path) {
+    const cachePromise = caches.open(DATA_CACHE);
+    const cachedPromise = cachePromise.then(cache => cache.match(path));
+
+    const networkPromise = Promise.all([cachePromise, cachedPromise, fetch(path, { cache: 'no-cache' })])
+        .then(async ([cache, cached, response]) => {
+            if (!response.ok) return response;
+
+            const freshText = await response.clone().text();
+            const changed = cached ? (await cached.clone().text()) !== freshText : false;
+            await cache.put(path, response.clone());
+
+            if (changed) {
+                await notifyClients({ type: 'DATA_UPDATED', file: path });
+            }
+            return response;
+        });
+
+    event.waitUntil(networkPromise.catch(() => {}));
+
+    return cachedPromise.then(cached => cached || networkPromise);
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,61 @@
+// Коллекции: названия из файлов обмена очищаются при импорте и не становятся разметкой в уведомлениях
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers/page.js');
+
+const HOSTILE_NAME = '<img src=x onerror=alert(1)>Работа';
+
+function collectionsFile(collections, favorites = []) {
+    return { type: 'errorfoxbase-collections', version: 1, favorites, collections };
+}
+
+test('импорт убирает из названий угловые скобки и управляющие символы', () => {
+    const page = loadPage();
+    const prefs = new (page.get('UserPreferences'))();
+
+    const result = prefs.importCollections(collectionsFile([
+        { name: HOSTILE_NAME, codes: ['0x80070005'] },
+        { name: '  Сеть\n\tи  VPN ', codes: ['ERR_CONNECTION_REFUSED'] }
+    ]));
+
+    assert.deepEqual(plain(result), { favorites: 0, collections: 2 });
+    assert.deepEqual(plain(prefs.getCollections().map(collection => collection.name)), ['img src=x onerror=alert(1)Работа', 'Сеть и VPN']);
+});
+
+test('коллекция с тем же названием после очистки объединяется с существующей', () => {
+    const page = loadPage();
+    const prefs = new (page.get('UserPreferences'))();
+    prefs.createCollection('Работа', ['0x80070005']);
+
+    prefs.importCollections(collectionsFile([{ name: '<Работа>', codes: ['404'] }]));
+
+    assert.equal(prefs.getCollections().length, 1);
+    assert.deepEqual(plain(prefs.getCollections()[0].codes), ['0x80070005', '404']);
+});
+
+test('файл с названием, от которого ничего не остается, отклоняется целиком', () => {
+    const page = loadPage();
+    const prefs = new (page.get('UserPreferences'))();
+    prefs.createCollection('Работа');
+
+    assert.throws(() => prefs.importCollections(collectionsFile([
+        { name: 'Сеть', codes: [] },
+        { name: '<>', codes: [] }
+    ])));
+    assert.deepEqual(plain(prefs.getCollections().map(collection => collection.name)), ['Работа']);
+});
+
+test('уведомления о коллекциях выводят название текстом', () => {
+    // Коллекция, сохраненная до очистки названий
+    const stored = { collections: [{ id: 'c1', name: HOSTILE_NAME, codes: [], createdAt: '2026-01-01T00:00:00.000Z' }] };
+    const page = loadPage({ storage: { errorfoxbase_prefs: JSON.stringify(stored) } });
+    const t = page.get('t');
+    const toast = new (page.get('ToastManager'))();
+    const [collection] = new (page.get('UserPreferences'))().getCollections();
+
+    for (const key of ['collections.deleted', 'collections.exists', 'collections.created', 'collections.added', 'collections.removed']) {
+        const element = toast.show(t(key, { name: collection.name, code: '0x80070005' }), 'info');
+        assert.ok(!element.innerHTML.includes('<img'), `${key}: ${element.innerHTML}`);
+        assert.ok(element.textContent.includes(HOSTILE_NAME), key);
+    }
+});
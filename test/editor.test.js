@@ -0,0 +1,47 @@
+// Редактор записей: код из адреса /editor/<код> попадает в уведомление и не должен становиться разметкой
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+const HOSTILE_CODE = '<img src=x onerror=alert(1)>';
+
+function openEditor(page, url) {
+    const Router = page.get('Router');
+    const ErrorEditor = page.get('ErrorEditor');
+    const ToastManager = page.get('ToastManager');
+
+    const app = {
+        toast: new ToastManager(),
+        errorDB: { categories: new Map([['windows', {}]]), getSubcategories: () => [{ id: 'system' }] },
+        debounce: (fn) => fn
+    };
+    const editor = new ErrorEditor(app);
+    const route = new Router(app).parse(new URL(url));
+    // Записи с таким кодом нет: редактор начинает новую и сообщает об этом
+    editor.startDraft(route.code, undefined);
+    return { route, editor, toasts: page.document.getElementById('toastContainer').childNodes };
+}
+
+test('код из адреса редактора выводится в уведомлении текстом', () => {
+    const page = loadPage();
+    const { route, editor, toasts } = openEditor(page, `http://localhost/editor/${encodeURIComponent(HOSTILE_CODE)}`);
+
+    assert.equal(route.name, 'editor');
+    assert.equal(route.code, HOSTILE_CODE);
+    assert.equal(editor.draft.code, HOSTILE_CODE);
+
+    assert.equal(toasts.length, 1);
+    assert.ok(toasts[0].textContent.includes(HOSTILE_CODE));
+    assert.ok(!toasts[0].innerHTML.includes('<img'), toasts[0].innerHTML);
+    assert.ok(toasts[0].innerHTML.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('уведомление с кнопкой действия тоже выводит сообщение текстом', () => {
+    const page = loadPage();
+    const ToastManager = page.get('ToastManager');
+    const toast = new ToastManager().show('<b>file</b>', 'info', 0, { label: 'OK', onClick() {} });
+
+    assert.ok(!toast.innerHTML.includes('<b>'));
+    assert.ok(toast.textContent.includes('<b>file</b>'));
+    assert.equal(toast.childNodes.length, 3);
+});
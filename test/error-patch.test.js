@@ -0,0 +1,114 @@
+// Выгрузка из редактора: JSON Patch и текст файла категории. Сохранение без правок не должно менять
+// файл, иначе каждая выгрузка приносит в diff чужие строки
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyErrorToFile, removeErrorFromFile, buildErrorPatch, jsonPointer } = require('../error-patch.js');
+const { readErrorShards } = require('../tools/build-error-index.js');
+
+const SHARD = `{
+  "400": {
+    "code": "400",
+    "title": "Неверный запрос",
+    "category": "http",
+    "subcategories": ["client"],
+    "solutions": [
+      {
+        "title": "Очистить cookies",
+        "steps": [
+          { "text": "Откройте настройки браузера" }
+        ]
+      }
+    ]
+  },
+  "404": {
+    "code": "404",
+    "title": "Не найдено",
+    "category": "http",
+    "subcategories": ["client"]
+  }
+}
+`;
+
+function changedLines(before, after) {
+    const beforeLines = before.split('\n');
+    const afterLines = after.split('\n');
+    assert.equal(afterLines.length, beforeLines.length);
+    return afterLines.filter((line, index) => line !== beforeLines[index]);
+}
+
+test('каждая запись справочника, сохраненная без правок, дает тот же файл байт в байт', () => {
+    let checked = 0;
+    for (const { file, text, errors } of readErrorShards()) {
+        for (const [key, error] of Object.entries(errors)) {
+            assert.equal(applyErrorToFile(text, error, { originalKey: key }), text, `${file}: ${key}`);
+            checked++;
+        }
+    }
+    assert.ok(checked > 0);
+});
+
+test('правка поля меняет только его строку и дает replace в патче', () => {
+    const original = JSON.parse(SHARD)['400'];
+    const error = { ...original, title: 'Некорректный запрос' };
+
+    const result = applyErrorToFile(SHARD, error, { originalKey: '400' });
+    assert.deepEqual(changedLines(SHARD, result), ['    "title": "Некорректный запрос",']);
+    assert.deepEqual(buildErrorPatch(error, { originalKey: '400', original }), [
+        { op: 'replace', path: '/http/400/title', value: 'Некорректный запрос' }
+    ]);
+});
+
+test('смена кода заменяет запись на месте, а в патче — удаление и добавление', () => {
+    const original = JSON.parse(SHARD)['400'];
+    const error = { ...original, code: '400.1' };
+
+    const result = applyErrorToFile(SHARD, error, { originalKey: '400' });
+    assert.ok(!('400' in JSON.parse(result)));
+    assert.deepEqual(JSON.parse(result)['400.1'], error);
+    assert.deepEqual(changedLines(SHARD, result), ['  "400.1": {', '    "code": "400.1",']);
+    assert.deepEqual(buildErrorPatch(error, { originalKey: '400', original }), [
+        { op: 'remove', path: '/http/400' },
+        { op: 'add', path: '/http/400.1', value: error }
+    ]);
+});
+
+test('смена категории убирает запись из старого файла и добавляет в конец нового', () => {
+    const original = JSON.parse(SHARD)['404'];
+    const error = { ...original, category: 'browser', subcategories: ['navigation'] };
+    const browserShard = '{\n  "ERR_FAILED": {\n    "code": "ERR_FAILED",\n    "category": "browser"\n  }\n}\n';
+
+    const withoutEntry = removeErrorFromFile(SHARD, '404');
+    assert.deepEqual(Object.keys(JSON.parse(withoutEntry)), ['400']);
+    // У записи, ставшей последней, запятая после закрывающей скобки убирается, остальной текст прежний
+    assert.equal(withoutEntry, SHARD.slice(0, SHARD.indexOf('  },\n  "404"')) + '  }\n}\n');
+
+    const withEntry = applyErrorToFile(browserShard, error, { originalKey: '404' });
+    assert.ok(withEntry.startsWith('{\n  "ERR_FAILED": {\n    "code": "ERR_FAILED",\n    "category": "browser"\n  },\n  "404": {\n'));
+    assert.deepEqual(JSON.parse(withEntry)['404'], error);
+
+    assert.deepEqual(buildErrorPatch(error, { originalKey: '404', original }), [
+        { op: 'remove', path: '/http/404' },
+        { op: 'add', path: '/browser/404', value: error }
+    ]);
+    // Файла новой категории еще нет: он добавляется вместе с записью
+    assert.deepEqual(buildErrorPatch(error, { originalKey: '404', original, shardExists: false })[1], {
+        op: 'add', path: '/browser', value: { 404: error }
+    });
+});
+
+test('«/» и «~» в коде экранируются в путях патча, а запись с таким кодом сохраняется на месте', () => {
+    const error = { code: 'HTTP/2', title: 'Ошибка протокола HTTP/2', category: 'http', subcategories: ['server'] };
+
+    assert.equal(jsonPointer('http', 'HTTP/2', 'title'), '/http/HTTP~12/title');
+    assert.equal(jsonPointer('http', 'a~b'), '/http/a~0b');
+    assert.deepEqual(buildErrorPatch(error), [{ op: 'add', path: '/http/HTTP~12', value: error }]);
+    assert.deepEqual(buildErrorPatch({ ...error, title: 'HTTP/2 stream error' }, { originalKey: 'HTTP/2', original: error }), [
+        { op: 'replace', path: '/http/HTTP~12/title', value: 'HTTP/2 stream error' }
+    ]);
+
+    const added = applyErrorToFile(SHARD, error);
+    assert.ok(added.startsWith(SHARD.slice(0, SHARD.lastIndexOf('  }\n}'))));
+    assert.deepEqual(JSON.parse(added)['HTTP/2'], error);
+    assert.equal(applyErrorToFile(added, error, { originalKey: 'HTTP/2' }), added);
+    assert.equal(removeErrorFromFile(added, 'HTTP/2'), SHARD);
+});
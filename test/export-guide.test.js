@@ -0,0 +1,129 @@
+// Руководство по ошибке из меню «Экспорт»: Markdown, простой текст и HTML для печати
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildErrorGuide } = require('../export-guide.js');
+
+const PAGE_URL = 'https://errorfoxbase.ru/error/0x80070005';
+
+const ERROR = {
+    code: '0x80070005',
+    title: 'Отказано в доступе <E_ACCESSDENIED>',
+    description: 'У процесса нет прав на *файл* & папку',
+    urgency: 'high',
+    lastUpdate: '2026-01-15',
+    causes: ['Нет прав "Администратор"'],
+    solutions: [
+        {
+            title: 'Сбросить права',
+            level: 'advanced',
+            time: '5 минут',
+            risk: 'medium',
+            warning: 'Сначала сделайте <резервную копию>',
+            steps: [
+                'Откройте командную строку',
+                { text: 'Выполните', command: 'icacls "C:\\Data" /reset /t\necho `done`', shell: 'cmd', elevated: true }
+            ]
+        }
+    ]
+};
+
+// Запись только с обязательными полями: без сведений, причин, описания и предупреждения у решения
+const MINIMAL_ERROR = {
+    code: 'ERR_FAILED',
+    title: 'Сбой загрузки',
+    description: 'Страница не загрузилась',
+    solutions: [{ title: 'Обновить страницу', level: 'beginner', time: '1 минута', risk: 'low', steps: ['Нажмите F5'] }]
+};
+
+test('Markdown: разметка в тексте экранируется, команда — в блоке кода с языком оболочки', () => {
+    assert.equal(buildErrorGuide(ERROR, 'markdown', { url: PAGE_URL }), [
+        '# `0x80070005`: Отказано в доступе \\<E\\_ACCESSDENIED\\>',
+        '',
+        'У процесса нет прав на \\*файл\\* & папку',
+        '',
+        '**Срочность:** Высокая  ',
+        '**Последнее обновление:** 2026-01-15',
+        '',
+        '## Возможные причины',
+        '',
+        '- Нет прав "Администратор"',
+        '',
+        '## Способы решения',
+        '',
+        '### 1. Сбросить права',
+        '',
+        '*Уровень: Эксперт · время: 5 минут · риск: Средний*',
+        '',
+        '> **⚠ Внимание:** Сначала сделайте \\<резервную копию\\>',
+        '',
+        '1. Откройте командную строку',
+        '2. Выполните',
+        '   *От имени администратора*',
+        '',
+        '   ```cmd',
+        '   icacls "C:\\Data" /reset /t',
+        '   echo `done`',
+        '   ```',
+        '',
+        `Источник: <${PAGE_URL}>`,
+        ''
+    ].join('\n'));
+});
+
+test('Markdown: ограждение длиннее обратных кавычек в команде', () => {
+    const error = { ...MINIMAL_ERROR, solutions: [{ ...MINIMAL_ERROR.solutions[0], steps: [{ text: 'Запустите', command: 'echo ```', shell: 'bash' }] }] };
+    assert.ok(buildErrorGuide(error, 'markdown').includes('   ````bash\n   echo ```\n   ````'));
+});
+
+test('текст: подчеркнутые заголовки, предупреждение и команда с отступом', () => {
+    const guide = buildErrorGuide(ERROR, 'text', { url: PAGE_URL });
+
+    assert.ok(guide.startsWith('0x80070005: Отказано в доступе <E_ACCESSDENIED>\n' + '='.repeat(47) + '\n\n'));
+    assert.ok(guide.includes('Возможные причины\n-----------------\n\n- Нет прав "Администратор"'));
+    assert.ok(guide.includes('! Внимание: Сначала сделайте <резервную копию>'));
+    assert.ok(guide.includes('2. Выполните\n   (От имени администратора)\n       icacls "C:\\Data" /reset /t\n       echo `done`'));
+    assert.ok(guide.endsWith(`Источник: ${PAGE_URL}\n`));
+});
+
+test('HTML: все значения из записи экранируются', () => {
+    const guide = buildErrorGuide({ ...ERROR, code: '<img src=x onerror=alert(1)>' }, 'html', { url: `${PAGE_URL}?a=1&b="2"` });
+
+    assert.ok(!/<(img|E_ACCESSDENIED|резервную)/.test(guide), guide);
+    assert.ok(guide.startsWith('<h1><code>&lt;img src=x onerror=alert(1)&gt;</code>: Отказано в доступе &lt;E_ACCESSDENIED&gt;</h1>'));
+    assert.ok(guide.includes('<p>У процесса нет прав на *файл* &amp; папку</p>'));
+    assert.ok(guide.includes('<ul><li>Нет прав &quot;Администратор&quot;</li></ul>'));
+    assert.ok(guide.includes('<p class="guide-warning"><strong>⚠ Внимание:</strong> Сначала сделайте &lt;резервную копию&gt;</p>'));
+    assert.ok(guide.includes('<em>От имени администратора</em>'));
+    assert.ok(guide.includes('<pre><code>icacls &quot;C:\\Data&quot; /reset /t\necho `done`</code></pre>'));
+    assert.ok(guide.endsWith(`<p class="guide-source">Источник: ${PAGE_URL}?a=1&amp;b=&quot;2&quot;</p>`));
+});
+
+test('необязательные поля пропускаются без пустых разделов во всех форматах', () => {
+    assert.equal(buildErrorGuide(MINIMAL_ERROR, 'text'), [
+        'ERR_FAILED: Сбой загрузки',
+        '=========================',
+        '',
+        'Страница не загрузилась',
+        '',
+        'Способы решения',
+        '---------------',
+        '',
+        '1. Обновить страницу',
+        '',
+        '(Уровень: Начинающий · время: 1 минута · риск: Низкий)',
+        '',
+        '1. Нажмите F5',
+        ''
+    ].join('\n'));
+
+    for (const format of ['markdown', 'html']) {
+        const guide = buildErrorGuide(MINIMAL_ERROR, format);
+        for (const label of ['Возможные причины', 'Внимание', 'Срочность', 'Источник', 'undefined']) {
+            assert.ok(!guide.includes(label), `${format}: ${label}`);
+        }
+    }
+});
+
+test('неизвестный формат', () => {
+    assert.throws(() => buildErrorGuide(MINIMAL_ERROR, 'pdf'), /pdf/);
+});
@@ -0,0 +1,67 @@
+// Очередь отзывов: отзыв удаляется, только когда сервер его принял или отклонил как некорректный
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeResponse, loadPage, plain } = require('./helpers/page.js');
+
+// Сервис с очередью из двух отзывов; fetch отвечает на отправки по очереди из responses
+function createService(responses) {
+    const requests = [];
+    const queue = [{ code: '404', solution: 0, vote: 'helped' }, { code: '500', solution: 1, comment: 'Помогло' }];
+    const page = loadPage({
+        storage: { errorfoxbase_feedback_queue: JSON.stringify(queue) },
+        fetch: async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body) });
+            const response = responses.shift();
+            if (response instanceof Error) throw response;
+            return response;
+        }
+    });
+    const service = new (page.get('FeedbackService'))();
+    const storedQueue = () => plain(JSON.parse(page.context.localStorage.getItem('errorfoxbase_feedback_queue')));
+    return { service, requests, storedQueue };
+}
+
+for (const status of [404, 408, 429, 500, 503]) {
+    test(`ответ ${status} оставляет отзыв в очереди и прерывает отправку`, async () => {
+        const { service, requests, storedQueue } = createService([fakeResponse(status, { error: 'нет' })]);
+
+        assert.equal(await service.flush(), false);
+        assert.equal(requests.length, 1);
+        assert.equal(service.queue.length, 2);
+        assert.equal(storedQueue().length, 2);
+    });
+}
+
+test('сетевая ошибка оставляет очередь как есть', async () => {
+    const { service } = createService([new TypeError('Failed to fetch')]);
+
+    assert.equal(await service.flush(), false);
+    assert.equal(service.queue.length, 2);
+});
+
+for (const status of [400, 422]) {
+    test(`отзыв, отклоненный с ${status}, удаляется, а очередь отправляется дальше`, async () => {
+        const { service, requests, storedQueue } = createService([
+            fakeResponse(status, { error: 'vote должен быть одним из: helped, not_helped или null' }),
+            fakeResponse(200, { code: '500', solution: 1, counts: { helped: 1, notHelped: 0, comments: 1 } })
+        ]);
+
+        assert.equal(await service.flush(), true);
+        assert.deepEqual(plain(requests.map(request => request.url)), ['/api/feedback/404', '/api/feedback/500']);
+        assert.deepEqual(storedQueue(), []);
+    });
+}
+
+test('принятый отзыв с неразборчивым ответом удаляется, счетчики не меняются', async () => {
+    const { service, storedQueue } = createService([
+        fakeResponse(200, '<html>'),
+        fakeResponse(200, { code: '500', solution: 1, counts: { helped: 2, notHelped: 0, comments: 1 } })
+    ]);
+    service.summaries.set('404', { 0: { helped: 5, notHelped: 1, comments: 0 } });
+    service.summaries.set('500', {});
+
+    assert.equal(await service.flush(), true);
+    assert.deepEqual(storedQueue(), []);
+    assert.deepEqual(plain(service.summaries.get('404')), { 0: { helped: 5, notHelped: 1, comments: 0 } });
+    assert.deepEqual(plain(service.summaries.get('500')), { 1: { helped: 2, notHelped: 0, comments: 1 } });
+});
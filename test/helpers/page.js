@@ -0,0 +1,267 @@
+// Скрипты страницы ErrorFOXbase в отдельном контексте Node (vm) — как на странице, в порядке index.html.
+// Вместо браузера — минимальная замена DOM: элементы создаются, вкладываются друг в друга и хранят
+// классы, атрибуты и текст. Разметка, записанная в innerHTML, не разбирается: тесты проверяют ее
+// как строку, а текст из textContent при чтении innerHTML экранируется, как в браузере.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const PAGE_SCRIPTS = [
+    'i18n.js',
+    'error-schema.js',
+    'error-codes.js',
+    'search-index.js',
+    'error-filters.js',
+    'export-guide.js',
+    'page-meta.js',
+    'error-shards.js',
+    'error-patch.js',
+    'script.js'
+];
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+        this.items = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.items.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.items.delete(name));
+    }
+
+    contains(name) {
+        return this.items.has(name);
+    }
+
+    toggle(name, force) {
+        const enabled = force === undefined ? !this.items.has(name) : Boolean(force);
+        if (enabled) this.add(name); else this.remove(name);
+        return enabled;
+    }
+}
+
+class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.childNodes = [];
+        this.parentNode = null;
+        this.attributes = new Map();
+        this.classList = new FakeClassList(this);
+        this.dataset = {};
+        this.style = {};
+        this.listeners = new Map();
+        this.markup = '';
+        this.text = '';
+    }
+
+    get className() {
+        return Array.from(this.classList.items).join(' ');
+    }
+
+    set className(value) {
+        this.classList.items = new Set(String(value).split(/\s+/).filter(Boolean));
+    }
+
+    get innerHTML() {
+        return this.markup + escapeText(this.text) + this.childNodes.map(child => child.outerHTML).join('');
+    }
+
+    set innerHTML(value) {
+        this.markup = String(value);
+        this.text = '';
+        this.childNodes = [];
+    }
+
+    get textContent() {
+        return this.markup.replace(/<[^>]*>/g, '') + this.text + this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.markup = '';
+        this.text = String(value);
+        this.childNodes = [];
+    }
+
+    get outerHTML() {
+        const tag = this.tagName.toLowerCase();
+        const className = this.className ? ` class="${this.className}"` : '';
+        return `<${tag}${className}>${this.innerHTML}</${tag}>`;
+    }
+
+    get children() {
+        return this.childNodes;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+
+    prepend(child) {
+        child.parentNode = this;
+        this.childNodes.unshift(child);
+    }
+
+    removeChild(child) {
+        this.childNodes = this.childNodes.filter(item => item !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.set(type, (this.listeners.get(type) || []).filter(item => item !== listener));
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    closest() {
+        return null;
+    }
+
+    focus() {}
+}
+
+class FakeDocument {
+    constructor() {
+        this.elements = new Map();
+        this.documentElement = new FakeElement('html');
+        this.head = new FakeElement('head');
+        this.body = new FakeElement('body');
+        this.title = '';
+    }
+
+    // Элемент с любым id существует: его создает первое обращение
+    getElementById(id) {
+        if (!this.elements.has(id)) this.elements.set(id, new FakeElement('div', id));
+        return this.elements.get(id);
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName);
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    addEventListener() {}
+}
+
+class FakeStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Ответ fetch: status и тело (объект — JSON, строка — как есть)
+function fakeResponse(status, body = {}) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => JSON.parse(text),
+        text: async () => text
+    };
+}
+
+// Контекст со всеми скриптами страницы. fetch — замена сетевых запросов, storage — начальное
+// содержимое localStorage, url — адрес страницы. Таймеры не запускаются: уведомления не скрываются,
+// а отложенные вызовы не мешают тесту завершиться.
+function loadPage({ fetch = async () => fakeResponse(404), storage = {}, url = 'http://localhost/' } = {}) {
+    const document = new FakeDocument();
+    const location = new URL(url);
+    const context = {
+        document,
+        location,
+        navigator: { language: 'ru', languages: ['ru'] },
+        localStorage: new FakeStorage(storage),
+        history: { pushState() {}, replaceState() {} },
+        fetch,
+        console,
+        URL,
+        URLSearchParams,
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        addEventListener() {},
+        removeEventListener() {},
+        matchMedia: () => ({ matches: false, addEventListener() {}, addListener() {} }),
+        scrollTo() {}
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const file of PAGE_SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+
+    return {
+        context,
+        document,
+        // Объявления верхнего уровня (классы, константы) не становятся свойствами контекста,
+        // поэтому берутся выражением внутри него
+        get: (name) => vm.runInContext(name, context)
+    };
+}
+
+// Значение из контекста страницы как обычный объект Node: у массивов и объектов контекста
+// другие прототипы, и assert.deepStrictEqual считает их отличными от литералов теста
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { ROOT, FakeElement, fakeResponse, loadPage, plain };
@@ -0,0 +1,71 @@
+// Перенос настроек: файл проверяется целиком до замены, и ошибка в любом разделе оставляет
+// текущие настройки как были
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers/page.js');
+
+const STORAGE_KEY = 'errorfoxbase_prefs';
+
+function createPreferences() {
+    const page = loadPage();
+    const prefs = new (page.get('UserPreferences'))();
+    prefs.setTheme('dark');
+    prefs.toggleFavorite('0x80070005');
+    prefs.createCollection('Работа', ['404']);
+    prefs.setNote('0x80070005', 'error', 'Проверить права на папку');
+    prefs.setVote('404', 0, 'helped');
+    return { prefs, storage: page.context.localStorage };
+}
+
+// Файл настроек из другого браузера, в котором один раздел заменен на переданный
+function preferencesFile(section = {}) {
+    const page = loadPage();
+    const other = new (page.get('UserPreferences'))();
+    other.toggleFavorite('ERR_CONNECTION_REFUSED');
+    other.createCollection('Сеть', ['ERR_CONNECTION_REFUSED']);
+    other.addToHistory({ code: 'ERR_CONNECTION_REFUSED', title: 'Соединение отклонено', category: 'browser' });
+    other.setWizardProgress('ERR_CONNECTION_REFUSED', { solution: 0, step: 1, status: 'active', results: {} });
+    const data = plain(other.exportPreferences());
+    return { ...data, preferences: { ...data.preferences, ...section } };
+}
+
+const MALFORMED_SECTIONS = {
+    'название коллекции не строка': { collections: [{ id: 'c1', name: 42, codes: [] }] },
+    'коды коллекции не массив': { collections: [{ id: 'c1', name: 'Сеть', codes: 'ERR_CONNECTION_REFUSED' }] },
+    'название коллекции без текста': { collections: [{ id: 'c1', name: '<>', codes: [] }] },
+    'элемент истории без кода': { history: [{ title: 'Без кода' }] },
+    'голос с неизвестным значением': { votes: [['404-0', 'maybe']] },
+    'голос не парой': { votes: ['404-0'] },
+    'прогресс без номера шага': { wizardProgress: [['404', { solution: 0 }]] },
+    'заметка не строкой': { notes: [['404', { error: { text: 'заметка' } }]] },
+    'избранное с пустым кодом': { favorites: [''] },
+    'неизвестная тема': { theme: '<script>' }
+};
+
+for (const [name, section] of Object.entries(MALFORMED_SECTIONS)) {
+    test(`файл отклоняется целиком: ${name}`, () => {
+        const { prefs, storage } = createPreferences();
+        const before = prefs.toJSON();
+        const stored = storage.getItem(STORAGE_KEY);
+
+        assert.throws(() => prefs.importPreferences(preferencesFile(section)), /Некорректный файл настроек/);
+        assert.deepEqual(plain(prefs.toJSON()), plain(before));
+        assert.equal(storage.getItem(STORAGE_KEY), stored);
+    });
+}
+
+test('корректный файл заменяет настройки, названия коллекций очищаются', () => {
+    const { prefs } = createPreferences();
+
+    const file = preferencesFile();
+    file.preferences.collections[0].name = '<b>Сеть</b>';
+    prefs.importPreferences(file);
+
+    assert.equal(prefs.getTheme(), 'light');
+    assert.deepEqual(plain(prefs.getFavorites()), ['ERR_CONNECTION_REFUSED']);
+    assert.deepEqual(plain(prefs.getCollections().map(collection => collection.name)), ['bСеть/b']);
+    assert.equal(prefs.getHistory()[0].code, 'ERR_CONNECTION_REFUSED');
+    assert.equal(prefs.getWizardProgress('ERR_CONNECTION_REFUSED').step, 1);
+    assert.equal(prefs.getAllNotes().size, 0);
+    assert.equal(prefs.getVote('404', 0), null);
+});
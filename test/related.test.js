@@ -0,0 +1,67 @@
+// Граф похожих ошибок пополняется с каждым загруженным файлом категории и совпадает с графом,
+// построенным сразу по всем записям
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, fakeResponse, loadPage } = require('./helpers/page.js');
+
+async function loadDatabase() {
+    const page = loadPage({
+        fetch: async (url) => {
+            const file = path.join(ROOT, String(url).replace(/^\//, ''));
+            return fs.existsSync(file) ? fakeResponse(200, fs.readFileSync(file, 'utf8')) : fakeResponse(404);
+        }
+    });
+    const errorDB = new (page.get('ErrorDatabaseService'))();
+    assert.equal(await errorDB.initialize(), true);
+    return errorDB;
+}
+
+// Граф как обычные значения; порядок похожих с одинаковой оценкой от порядка загрузки не зависит
+function snapshot(errorDB) {
+    const result = {};
+    for (const [key, entry] of errorDB.relatedIndex) {
+        result[key] = {
+            manual: Array.from(entry.manual).sort(),
+            similar: entry.similar
+                .map(item => `${item.code}:${item.score.toFixed(6)}:${item.duplicate}`)
+                .sort()
+        };
+    }
+    return result;
+}
+
+test('граф, собранный по файлам категорий, совпадает с построенным заново', async () => {
+    const errorDB = await loadDatabase();
+    let comparisons = 0;
+    const compareErrors = errorDB.compareErrors.bind(errorDB);
+    errorDB.compareErrors = (...args) => {
+        comparisons++;
+        return compareErrors(...args);
+    };
+
+    // Категории в обратном порядке: граф не должен зависеть от порядка загрузки
+    for (const category of Array.from(errorDB.shardFiles.keys()).reverse()) {
+        await errorDB.loadCategory(category);
+    }
+
+    // Каждая пара записей сравнивается один раз за все загрузки
+    const count = errorDB.baseDetails.size;
+    assert.equal(comparisons, count * (count - 1) / 2);
+
+    const incremental = snapshot(errorDB);
+    errorDB.buildRelatedIndex();
+    assert.deepEqual(incremental, snapshot(errorDB));
+    assert.ok(Object.values(incremental).some(entry => entry.similar.length > 0));
+});
+
+test('повторная загрузка не добавляет записи в граф второй раз', async () => {
+    const errorDB = await loadDatabase();
+    const [category] = errorDB.shardFiles.keys();
+    await errorDB.loadCategory(category);
+    const before = snapshot(errorDB);
+
+    errorDB.addToRelatedIndex(Array.from(errorDB.baseDetails.keys()));
+    assert.deepEqual(snapshot(errorDB), before);
+});
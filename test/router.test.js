@@ -0,0 +1,52 @@
+// Маршруты к несуществующим разделам: страница «не найдено» с запрошенным адресом вместо пустого списка
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, fakeResponse, loadPage, plain } = require('./helpers/page.js');
+
+async function createApp() {
+    const requested = [];
+    const page = loadPage({
+        fetch: async (url) => {
+            requested.push(String(url));
+            const file = path.join(ROOT, String(url).replace(/^\//, ''));
+            return fs.existsSync(file) ? fakeResponse(200, fs.readFileSync(file, 'utf8')) : fakeResponse(404);
+        }
+    });
+    const errorDB = new (page.get('ErrorDatabaseService'))();
+    assert.equal(await errorDB.initialize(), true);
+
+    // Приложение без конструктора: нужны только данные, маршрутизатор и вызовы страницы «не найдено»
+    const notFound = [];
+    const app = Object.create(page.get('ErrorFOXbaseApp').prototype);
+    Object.assign(app, {
+        errorDB,
+        notFound,
+        showNoResults: (query, requestedPath) => notFound.push([query, requestedPath])
+    });
+    app.router = new (page.get('Router'))(app);
+    return { app, requested, notFound };
+}
+
+async function open(app, address) {
+    await app.router.show(app.router.parse(new URL(address, 'http://localhost')));
+}
+
+test('неизвестная подкатегория известной категории', async () => {
+    const { app, requested, notFound } = await createApp();
+
+    await open(app, '/category/windows/nosuch?page=2');
+
+    assert.deepEqual(plain(notFound), [['', '/category/windows/nosuch?page=2']]);
+    assert.ok(!requested.some(url => url.includes('/errors/')), 'файл категории не загружается');
+});
+
+test('неизвестная категория в адресе списка и раздела', async () => {
+    const { app, notFound } = await createApp();
+
+    await open(app, '/category/nosuch/system');
+    await open(app, '/category/nosuch');
+
+    assert.deepEqual(plain(notFound), [['', '/category/nosuch/system'], ['', '/category/nosuch']]);
+});
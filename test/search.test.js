@@ -0,0 +1,44 @@
+// Поиск по справочнику, разложенному по категориям: подсказки ищут по полному тексту записей,
+// а не только по оглавлению
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, fakeResponse, loadPage, plain } = require('./helpers/page.js');
+
+// fetch, который отдает файлы сайта с диска и запоминает запрошенные адреса
+function siteFetch(requested = []) {
+    return async (url) => {
+        const file = path.join(ROOT, decodeURIComponent(String(url)).replace(/^\//, ''));
+        requested.push(String(url));
+        return fs.existsSync(file) ? fakeResponse(200, fs.readFileSync(file, 'utf8')) : fakeResponse(404);
+    };
+}
+
+async function loadDatabase(fetch) {
+    const page = loadPage({ fetch });
+    const errorDB = new (page.get('ErrorDatabaseService'))();
+    assert.equal(await errorDB.initialize(), true);
+    return errorDB;
+}
+
+test('подсказки находят запись по тексту причин и решений', async () => {
+    const requested = [];
+    const errorDB = await loadDatabase(siteFetch(requested));
+    assert.ok(!requested.some(url => url.includes('/errors/')));
+
+    // «chmod» есть только в решениях: в оглавлении его нет
+    assert.deepEqual(plain(errorDB.searchErrors('chmod')), []);
+
+    const codes = (await errorDB.suggestErrors('chmod')).map(error => error.code);
+    assert.ok(codes.includes('ERROR_ACCESS_DENIED'), codes.join(', '));
+    assert.ok(errorDB.areAllCategoriesLoaded());
+});
+
+test('без файлов категорий подсказки не получаются, а поиск по оглавлению остается', async () => {
+    const fetch = siteFetch();
+    const errorDB = await loadDatabase(url => (String(url).includes('/errors/') ? fakeResponse(503) : fetch(url)));
+
+    await assert.rejects(errorDB.suggestErrors('0x80070005'));
+    assert.deepEqual(plain(errorDB.searchErrors('0x80070005').map(error => error.code)).slice(0, 1), ['0x80070005']);
+});
@@ -0,0 +1,44 @@
+// Проверка JSON-LD по словарю schema.org: tools/check-structured-data.js находит неизвестные типы,
+// значения не того типа и пропущенные обязательные свойства, а разметка сайта их не содержит
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { checkDocument, checkSite, extractStructuredData } = require('../tools/check-structured-data.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'structured-data');
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+test('неизвестный тип и значение не того типа', () => {
+    assert.deepEqual(checkDocument(readFixture('bad-type.json'), 'bad-type'), [
+        'bad-type.@graph[0].dateModified: значение "вчера" не подходит, ожидается Date | DateTime',
+        'bad-type.@graph[1]: неизвестный тип "Tutorial"'
+    ]);
+});
+
+test('пропущенные обязательные свойства', () => {
+    assert.deepEqual(checkDocument(readFixture('missing-required.json'), 'missing-required'), [
+        'missing-required.@graph[0] (TechArticle): нет обязательного свойства author',
+        'missing-required.@graph[1] (HowTo): нет обязательного свойства step'
+    ]);
+});
+
+test('документ без контекста schema.org', () => {
+    const data = { ...readFixture('missing-required.json'), '@context': 'http://schema.org' };
+    assert.equal(checkDocument(data, 'context')[0], 'context: @context должен быть https://schema.org');
+});
+
+test('блоки JSON-LD извлекаются из разметки страницы', () => {
+    const html = '<head><script type="application/ld+json">{"@type": "WebSite"}</script>' +
+        '<script src="script.js"></script><script type="application/ld+json" id="page">{"@type": "ItemList"}</script></head>';
+    assert.deepEqual(extractStructuredData(html), [{ '@type': 'WebSite' }, { '@type': 'ItemList' }]);
+});
+
+test('разметка всех страниц сайта проходит проверку', () => {
+    const { documents, problems } = checkSite();
+    assert.deepEqual(problems, []);
+    assert.ok(documents > 0);
+});
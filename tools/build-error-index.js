@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Сборка оглавления справочника ErrorFOXbase: errors-index.json из файлов категорий errors/<категория>.json.
+// Запускайте после каждого изменения в errors/: по оглавлению приложение находит записи по коду и считает их,
+// а линтер (tools/lint-data.js) сообщает, если оно устарело.
+//
+// Использование: node tools/build-error-index.js
+
+const fs = require('fs');
+const path = require('path');
+const { ERROR_INDEX_FILE, ERROR_SHARDS_DIRECTORY, errorShardPath, buildErrorIndex } = require('../error-shards.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Файлы категорий: [{ category, file }]. Сначала в порядке categories.json,
+// затем файлы категорий, которых там нет (о них сообщит линтер), по алфавиту
+function listErrorShards(root = ROOT) {
+    const categories = Object.keys(JSON.parse(fs.readFileSync(path.join(root, 'categories.json'), 'utf8')));
+    const directory = path.join(root, ERROR_SHARDS_DIRECTORY);
+    const present = fs.existsSync(directory)
+        ? fs.readdirSync(directory).filter(name => path.extname(name) === '.json').map(name => path.basename(name, '.json'))
+        : [];
+
+    return [
+        ...categories.filter(category => present.includes(category)),
+        ...present.filter(category => !categories.includes(category)).sort()
+    ].map(category => ({ category, file: errorShardPath(category) }));
+}
+
+// Те же файлы с содержимым: [{ category, file, text, errors }]
+function readErrorShards(root = ROOT) {
+    return listErrorShards(root).map(({ category, file }) => {
+        const text = fs.readFileSync(path.join(root, file), 'utf8');
+        return { category, file, text, errors: JSON.parse(text) };
+    });
+}
+
+// Все записи справочника одним объектом: код -> запись
+function readErrors(root = ROOT) {
+    return Object.assign({}, ...readErrorShards(root).map(shard => shard.errors));
+}
+
+// Оглавление загружается при каждом старте, поэтому записи в нем без отступов — по одной на строку,
+// чтобы изменения в git оставались читаемыми
+function formatErrorIndex(shards) {
+    const index = buildErrorIndex(Object.fromEntries(shards.map(shard => [shard.category, shard.errors])));
+    const entries = Object.entries(index.errors).map(([key, summary]) => `    ${JSON.stringify(key)}: ${JSON.stringify(summary)}`);
+    return [
+        '{',
+        `  "version": ${index.version},`,
+        `  "shards": ${JSON.stringify(index.shards)},`,
+        '  "errors": {',
+        entries.join(',\n'),
+        '  }',
+        '}',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const shards = readErrorShards();
+    fs.writeFileSync(path.join(ROOT, ERROR_INDEX_FILE), formatErrorIndex(shards));
+
+    const count = shards.reduce((total, shard) => total + Object.keys(shard.errors).length, 0);
+    console.log(`${ERROR_INDEX_FILE}: записей ${count}, категорий ${shards.length}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { listErrorShards, readErrorShards, readErrors, formatErrorIndex };
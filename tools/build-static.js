@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+// Сборка готовых страниц ErrorFOXbase для поисковиков, превью ссылок и клиентов без скриптов.
+// Из categories.json, subcategories.json и файлов категорий errors/ для главной, каждой /category/<id>,
+// /category/<id>/<подкатегория> и /error/<код> пишется <путь>/index.html на основе index.html:
+// заголовок, описание, канонический адрес, Open Graph и JSON-LD из page-meta.js, а в <main> —
+// содержимое представления (#staticPage). Рядом кладутся файлы сайта и sitemap.xml.
+//
+// Использование: node tools/build-static.js [--out dist]
+// Страницы собираются на языке по умолчанию (DEFAULT_LOCALE из i18n.js).
+// Сервер должен отдавать <путь>/index.html, если он есть, и index.html из корня для остальных адресов
+// (так делает node server/feedback-server.js --root dist).
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, setLocale, t, formatDuration, localizeError, localizeEntry } = require('../i18n.js');
+const { parseDuration } = require('../error-schema.js');
+const { buildErrorGuide } = require('../export-guide.js');
+const {
+    absoluteUrl,
+    formatISODate,
+    categoryPagePath,
+    subcategoryPagePath,
+    errorPagePath,
+    buildHomePageMeta,
+    buildCategoryPageMeta,
+    buildSubcategoryPageMeta,
+    buildErrorPageMeta,
+    serializeStructuredData
+} = require('../page-meta.js');
+const { ERROR_SHARDS_DIRECTORY } = require('../error-shards.js');
+const { readErrors } = require('./build-error-index.js');
+
+const ROOT = path.resolve(__dirname, '..');
+// Файлы сайта, которые копируются в каталог сборки как есть
+const SITE_FILE_EXTENSIONS = ['.js', '.css', '.json', '.webmanifest', '.ico', '.png', '.svg', '.txt'];
+// Каталоги с данными, которые приложение загружает по мере надобности
+const SITE_DIRECTORIES = [ERROR_SHARDS_DIRECTORY];
+
+function readOption(argv, name, fallback) {
+    const index = argv.indexOf(name);
+    return index !== -1 && argv[index + 1] ? argv[index + 1] : fallback;
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Замена в шаблоне; если index.html изменился и шаблон не найден, сборка падает, а не пишет страницу со старыми тегами
+function replaceInTemplate(html, pattern, replacement) {
+    if (!pattern.test(html)) {
+        throw new Error(`В index.html не найдено: ${pattern}`);
+    }
+    return html.replace(pattern, replacement);
+}
+
+function setTagContent(html, attrName, attrValue, content) {
+    const pattern = new RegExp(`(<meta ${attrName}="${attrValue}" content=")[^"]*(")`);
+    return replaceInTemplate(html, pattern, (match, before, after) => `${before}${escapeHTML(content)}${after}`);
+}
+
+// Страница по шаблону: мета-данные из page-meta.js и содержимое представления
+function renderPage(template, meta, content) {
+    const url = absoluteUrl(meta.path);
+    let html = template;
+
+    html = replaceInTemplate(html, /<title>[^<]*<\/title>/, () => `<title>${escapeHTML(meta.title)}</title>`);
+    html = setTagContent(html, 'name', 'description', meta.description);
+    html = setTagContent(html, 'property', 'og:title', meta.title);
+    html = setTagContent(html, 'property', 'og:description', meta.description);
+    html = setTagContent(html, 'property', 'og:type', meta.type);
+    html = setTagContent(html, 'property', 'og:url', url);
+    html = setTagContent(html, 'name', 'twitter:title', meta.title);
+    html = setTagContent(html, 'name', 'twitter:description', meta.description);
+    html = replaceInTemplate(html, /(<link rel="canonical" href=")[^"]*(")/, (match, before, after) => `${before}${escapeHTML(url)}${after}`);
+
+    if (meta.structuredData) {
+        html = replaceInTemplate(html, /<\/head>/, () => [
+            '    <script type="application/ld+json" id="page-structured-data">',
+            serializeStructuredData(meta.structuredData),
+            '    </script>',
+            '</head>'
+        ].join('\n'));
+    }
+
+    // Пустая сетка категорий не нужна: ее место занимает готовое представление
+    html = replaceInTemplate(html, /class="categories" id="categoriesSection"/, () => 'class="categories hidden" id="categoriesSection"');
+    html = replaceInTemplate(html, /(<main[^>]*>\s*<div class="container">)/, (match) => [
+        match,
+        `            <article class="static-page" id="staticPage" data-path="${escapeHTML(meta.path)}">`,
+        content,
+        '            </article>'
+    ].join('\n'));
+
+    return html;
+}
+
+function renderBreadcrumb(links) {
+    const items = [{ name: t('nav.home'), path: '/' }, ...links].map((link, index, all) => (
+        index === all.length - 1
+            ? `<span>${escapeHTML(link.name)}</span>`
+            : `<a href="${escapeHTML(link.path)}">${escapeHTML(link.name)}</a>`
+    ));
+    return `<nav class="breadcrumb" aria-label="${escapeHTML(t('nav.breadcrumbs'))}">${items.join(' › ')}</nav>`;
+}
+
+function renderLinkList(items) {
+    return `<ul>${items.map(item => `<li><a href="${escapeHTML(item.path)}">${escapeHTML(item.name)}</a>${item.note ? ` — ${escapeHTML(item.note)}` : ''}</li>`).join('')}</ul>`;
+}
+
+// Справочник на заданном языке: категории, подкатегории и ошибки по подкатегориям в порядке файлов категорий
+function loadDatabase(locale = DEFAULT_LOCALE) {
+    const read = (fileName) => JSON.parse(fs.readFileSync(path.join(ROOT, fileName), 'utf8'));
+    const categories = read('categories.json');
+    const subcategories = read('subcategories.json');
+    const errors = Object.values(readErrors()).map(error => localizeError({
+        ...error,
+        subcategories: Array.isArray(error.subcategories) ? error.subcategories : []
+    }, locale));
+
+    return Object.entries(categories).map(([id, category]) => ({
+        id,
+        info: localizeEntry(category, locale),
+        subcategories: (subcategories[id] || []).map(subcategory => ({
+            ...localizeEntry(subcategory, locale),
+            errors: errors.filter(error => error.category === id && error.subcategories.includes(subcategory.id))
+        })),
+        errors: errors.filter(error => error.category === id)
+    }));
+}
+
+function buildSitemap(entries) {
+    const urls = entries.map(({ path: pagePath, lastModified }) => [
+        '  <url>',
+        `    <loc>${escapeHTML(absoluteUrl(pagePath))}</loc>`,
+        lastModified ? `    <lastmod>${lastModified}</lastmod>` : null,
+        '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// Страницы сайта на текущем языке (setLocale): [{ meta, content, lastModified? }].
+// meta — мета-данные из page-meta.js, content — HTML представления для #staticPage.
+function buildPages(database) {
+    const pages = [];
+
+    pages.push({
+        meta: buildHomePageMeta(database.map(category => ({ id: category.id, name: category.info.name }))),
+        content: [
+            `<h1>${escapeHTML(t('app.title'))}</h1>`,
+            `<p>${escapeHTML(t('app.description'))}</p>`,
+            `<h2>${escapeHTML(t('categories.title'))}</h2>`,
+            renderLinkList(database.map(category => ({
+                name: category.info.name,
+                path: categoryPagePath(category.id),
+                note: t('count.errors', { count: category.errors.length })
+            })))
+        ].join('\n')
+    });
+
+    database.forEach(category => {
+        pages.push({
+            meta: buildCategoryPageMeta(category.id, category.info, category.subcategories),
+            content: [
+                renderBreadcrumb([{ name: category.info.name }]),
+                `<h1>${escapeHTML(t('category.title', { name: category.info.name }))}</h1>`,
+                category.info.description ? `<p>${escapeHTML(category.info.description)}</p>` : '',
+                renderLinkList(category.subcategories.map(subcategory => ({
+                    name: subcategory.name,
+                    path: subcategoryPagePath(category.id, subcategory.id),
+                    note: t('count.errors', { count: subcategory.errors.length })
+                })))
+            ].filter(Boolean).join('\n')
+        });
+
+        category.subcategories.forEach(subcategory => {
+            pages.push({
+                meta: buildSubcategoryPageMeta(category.id, category.info, subcategory, subcategory.errors),
+                content: [
+                    renderBreadcrumb([{ name: category.info.name, path: categoryPagePath(category.id) }, { name: subcategory.name }]),
+                    `<h1>${escapeHTML(subcategory.name)}</h1>`,
+                    renderLinkList(subcategory.errors.map(error => ({ name: `${error.code}: ${error.title}`, path: errorPagePath(error.code) })))
+                ].join('\n')
+            });
+        });
+
+        category.errors.forEach(error => {
+            const subcategory = category.subcategories.find(item => error.subcategories.includes(item.id)) || null;
+            const links = [{ name: category.info.name, path: categoryPagePath(category.id) }];
+            if (subcategory) links.push({ name: subcategory.name, path: subcategoryPagePath(category.id, subcategory.id) });
+            links.push({ name: error.code });
+
+            pages.push({
+                meta: buildErrorPageMeta(error, { category: { id: category.id, name: category.info.name }, subcategory }),
+                lastModified: formatISODate(error.lastUpdate),
+                content: [
+                    renderBreadcrumb(links),
+                    buildErrorGuide(error, 'html', {
+                        formatTime: (time) => {
+                            const duration = parseDuration(time);
+                            return duration ? formatDuration(duration) : time;
+                        }
+                    })
+                ].join('\n')
+            });
+        });
+    });
+
+    return pages;
+}
+
+function writePage(outDir, pagePath, html) {
+    const segments = pagePath.split('/').filter(Boolean).map(decodeURIComponent);
+    const file = path.join(outDir, ...segments, 'index.html');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+}
+
+function main(argv) {
+    const outDir = path.resolve(ROOT, readOption(argv, '--out', 'dist'));
+    if (outDir === ROOT || !outDir.startsWith(ROOT + path.sep)) {
+        console.error(`Каталог сборки должен быть внутри репозитория, но не его корнем: ${outDir}`);
+        process.exit(1);
+    }
+
+    setLocale(DEFAULT_LOCALE);
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const pages = buildPages(loadDatabase());
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+
+    fs.readdirSync(ROOT, { withFileTypes: true })
+        .filter(entry => entry.isFile() && SITE_FILE_EXTENSIONS.includes(path.extname(entry.name)))
+        .forEach(entry => fs.copyFileSync(path.join(ROOT, entry.name), path.join(outDir, entry.name)));
+    SITE_DIRECTORIES.forEach(directory => fs.cpSync(path.join(ROOT, directory), path.join(outDir, directory), { recursive: true }));
+
+    pages.forEach(page => writePage(outDir, page.meta.path, renderPage(template, page.meta, page.content)));
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), buildSitemap(pages.map(page => ({
+        path: page.meta.path,
+        lastModified: page.lastModified
+    }))));
+
+    console.log(`Страниц: ${pages.length}, каталог: ${path.relative(ROOT, outDir)}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { renderPage, buildSitemap, loadDatabase, buildPages };
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// Проверка JSON-LD ErrorFOXbase по словарю schema.org.
+// Для каждой страницы сборки (tools/build-static.js) на каждом языке из LOCALES и для блока WebSite
+// в index.html проверяет: тип есть в словаре, каждое свойство определено для типа или его предков,
+// значения имеют ожидаемый тип (вложенный узел нужного класса или значение вроде Date, Duration, URL).
+// Отдельно проверяются поля, без которых поисковики не показывают расширенный сниппет.
+//
+// Использование: node tools/check-structured-data.js
+// Код выхода 1, если найдены ошибки. Проверку на примерах и на всех страницах сайта запускают тесты:
+// test/structured-data.test.js.
+//
+// Словарь — выписка из https://schema.org для используемых типов. Новый тип или свойство
+// в page-meta.js нужно сначала найти на schema.org и добавить сюда.
+
+const fs = require('fs');
+const path = require('path');
+const { LOCALES, setLocale, getLocale } = require('../i18n.js');
+const { loadDatabase, buildPages } = require('./build-static.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Классы schema.org: parents — родительские классы, properties — свойство -> допустимые типы значения
+const SCHEMA_CLASSES = {
+    Thing: {
+        parents: [],
+        properties: {
+            name: ['Text'],
+            description: ['Text'],
+            url: ['URL'],
+            image: ['ImageObject', 'URL'],
+            mainEntityOfPage: ['CreativeWork', 'URL'],
+            potentialAction: ['Action']
+        }
+    },
+    CreativeWork: {
+        parents: ['Thing'],
+        properties: {
+            headline: ['Text'],
+            inLanguage: ['Text', 'Language'],
+            author: ['Organization', 'Person'],
+            publisher: ['Organization', 'Person'],
+            datePublished: ['Date', 'DateTime'],
+            dateModified: ['Date', 'DateTime'],
+            about: ['Thing'],
+            hasPart: ['CreativeWork'],
+            mainEntity: ['Thing'],
+            text: ['Text']
+        }
+    },
+    Article: { parents: ['CreativeWork'], properties: {} },
+    TechArticle: { parents: ['Article'], properties: { proficiencyLevel: ['Text'], dependencies: ['Text'] } },
+    HowTo: {
+        parents: ['CreativeWork'],
+        properties: {
+            step: ['HowToStep', 'HowToSection', 'CreativeWork', 'Text'],
+            totalTime: ['Duration'],
+            tool: ['HowToTool', 'Text'],
+            supply: ['HowToSupply', 'Text']
+        }
+    },
+    WebPage: { parents: ['CreativeWork'], properties: { breadcrumb: ['BreadcrumbList', 'Text'] } },
+    CollectionPage: { parents: ['WebPage'], properties: {} },
+    FAQPage: { parents: ['WebPage'], properties: {} },
+    WebSite: { parents: ['CreativeWork'], properties: {} },
+    Comment: { parents: ['CreativeWork'], properties: {} },
+    Question: { parents: ['Comment'], properties: { acceptedAnswer: ['Answer', 'ItemList'], answerCount: ['Integer'] } },
+    Answer: { parents: ['Comment'], properties: {} },
+    MediaObject: { parents: ['CreativeWork'], properties: { contentUrl: ['URL'] } },
+    ImageObject: { parents: ['MediaObject'], properties: {} },
+    Organization: { parents: ['Thing'], properties: { logo: ['ImageObject', 'URL'] } },
+    Person: { parents: ['Thing'], properties: {} },
+    Intangible: { parents: ['Thing'], properties: {} },
+    ItemList: {
+        parents: ['Intangible'],
+        properties: { itemListElement: ['ListItem', 'Thing', 'Text'], numberOfItems: ['Integer'], itemListOrder: ['Text'] }
+    },
+    BreadcrumbList: { parents: ['ItemList'], properties: {} },
+    ListItem: { parents: ['Intangible'], properties: { position: ['Integer', 'Text'], item: ['Thing', 'URL'] } },
+    HowToStep: { parents: ['ListItem', 'CreativeWork'], properties: {} },
+    Action: { parents: ['Thing'], properties: { target: ['EntryPoint', 'URL'] } },
+    SearchAction: { parents: ['Action'], properties: { query: ['Text'], 'query-input': ['Text'] } },
+    EntryPoint: { parents: ['Intangible'], properties: { urlTemplate: ['Text'] } },
+    Language: { parents: ['Intangible'], properties: {} }
+};
+
+// Простые типы данных schema.org: значение -> подходит ли
+const SCHEMA_DATA_TYPES = {
+    Text: (value) => typeof value === 'string' && value.trim() !== '',
+    URL: (value) => typeof value === 'string' && /^https:\/\/[^\s]+$/.test(value),
+    Integer: (value) => Number.isInteger(value),
+    Date: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    DateTime: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+    Duration: (value) => typeof value === 'string' && /^P(?!$)(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(value)
+};
+
+// Поля, обязательные для расширенных сниппетов
+const REQUIRED_PROPERTIES = {
+    TechArticle: ['headline', 'author', 'publisher', 'mainEntityOfPage'],
+    HowTo: ['name', 'step'],
+    HowToStep: ['text'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text'],
+    BreadcrumbList: ['itemListElement'],
+    ListItem: ['position'],
+    ItemList: ['itemListElement']
+};
+
+// Класс и все его предки
+function getAncestors(className) {
+    const result = new Set([className]);
+    (SCHEMA_CLASSES[className]?.parents || []).forEach(parent => {
+        getAncestors(parent).forEach(ancestor => result.add(ancestor));
+    });
+    return result;
+}
+
+function findPropertyTypes(className, property) {
+    for (const ancestor of getAncestors(className)) {
+        const types = SCHEMA_CLASSES[ancestor]?.properties[property];
+        if (types) return types;
+    }
+    return null;
+}
+
+function valueMatches(value, types) {
+    if (value && typeof value === 'object') {
+        // Ссылка на узел графа по @id
+        if (Object.keys(value).length === 1 && typeof value['@id'] === 'string') return true;
+        const ancestors = getAncestors(value['@type']);
+        return types.some(type => ancestors.has(type));
+    }
+    return types.some(type => SCHEMA_DATA_TYPES[type] && SCHEMA_DATA_TYPES[type](value));
+}
+
+// Проверка узла JSON-LD и вложенных узлов. Возвращает список сообщений.
+function checkNode(node, nodePath, problems) {
+    if (Array.isArray(node)) {
+        node.forEach((item, index) => checkNode(item, `${nodePath}[${index}]`, problems));
+        return problems;
+    }
+    if (!node || typeof node !== 'object') return problems;
+
+    if (node['@graph']) {
+        checkNode(node['@graph'], `${nodePath}.@graph`, problems);
+        return problems;
+    }
+    if (Object.keys(node).length === 1 && node['@id']) return problems;
+
+    const type = node['@type'];
+    if (!SCHEMA_CLASSES[type]) {
+        problems.push(`${nodePath}: неизвестный тип ${JSON.stringify(type)}`);
+        return problems;
+    }
+
+    (REQUIRED_PROPERTIES[type] || []).forEach(property => {
+        if (node[property] === undefined || (Array.isArray(node[property]) && node[property].length === 0)) {
+            problems.push(`${nodePath} (${type}): нет обязательного свойства ${property}`);
+        }
+    });
+
+    for (const [property, value] of Object.entries(node)) {
+        if (property.startsWith('@')) continue;
+        const propertyPath = `${nodePath}.${property}`;
+        const types = findPropertyTypes(type, property);
+        if (!types) {
+            problems.push(`${propertyPath}: у ${type} нет свойства ${property}`);
+            continue;
+        }
+        (Array.isArray(value) ? value : [value]).forEach((item, index) => {
+            const itemPath = Array.isArray(value) ? `${propertyPath}[${index}]` : propertyPath;
+            if (!valueMatches(item, types)) {
+                problems.push(`${itemPath}: значение ${JSON.stringify(item).slice(0, 60)} не подходит, ожидается ${types.join(' | ')}`);
+            }
+            checkNode(item, itemPath, problems);
+        });
+    }
+
+    // Позиции элементов списка идут подряд с 1
+    if (Array.isArray(node.itemListElement) || Array.isArray(node.step)) {
+        const items = node.itemListElement || node.step;
+        items.forEach((item, index) => {
+            if (item && item.position !== undefined && item.position !== index + 1) {
+                problems.push(`${nodePath}: позиция ${item.position} вместо ${index + 1}`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+function checkDocument(data, label) {
+    const problems = [];
+    if (data['@context'] !== 'https://schema.org') {
+        problems.push(`${label}: @context должен быть https://schema.org`);
+    }
+    return problems.concat(checkNode(data, label, []));
+}
+
+// Блоки JSON-LD из разметки страницы
+function extractStructuredData(html) {
+    const blocks = [];
+    const pattern = /<script type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        blocks.push(JSON.parse(match[1]));
+    }
+    return blocks;
+}
+
+// JSON-LD всех страниц сайта на всех языках: { documents, problems }. Язык после проверки прежний
+function checkSite() {
+    const problems = [];
+    let documents = 0;
+
+    extractStructuredData(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')).forEach((data, index) => {
+        documents++;
+        problems.push(...checkDocument(data, `index.html#${index + 1}`));
+    });
+
+    const previousLocale = getLocale();
+    try {
+        for (const locale of Object.keys(LOCALES)) {
+            setLocale(locale);
+            buildPages(loadDatabase(locale)).forEach(page => {
+                if (!page.meta.structuredData) return;
+                documents++;
+                problems.push(...checkDocument(page.meta.structuredData, `${locale}:${page.meta.path}`));
+            });
+        }
+    } finally {
+        setLocale(previousLocale);
+    }
+
+    return { documents, problems };
+}
+
+function main() {
+    const { documents, problems } = checkSite();
+    problems.forEach(problem => console.log(problem));
+    console.log(`Документов: ${documents}, ошибок: ${problems.length}`);
+    process.exitCode = problems.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { SCHEMA_CLASSES, checkDocument, checkSite, extractStructuredData };
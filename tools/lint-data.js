@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Линтер данных ErrorFOXbase.
+// Проверяет файлы категорий errors/<категория>.json, categories.json и subcategories.json по схеме
+// из error-schema.js, ищет повторяющиеся ключи (JSON.parse их молча схлопывает), перекрестные ссылки,
+// записи не в файле своей категории и устаревшее оглавление errors-index.json.
+//
+// Использование: node tools/lint-data.js [--strict]
+//   --strict  считать предупреждения ошибками
+// Код выхода 1, если найдены ошибки.
+
+const fs = require('fs');
+const path = require('path');
+const { validateDatabase } = require('../error-schema.js');
+const { ERROR_INDEX_FILE } = require('../error-shards.js');
+const { listErrorShards, formatErrorIndex } = require('./build-error-index.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILES = ['categories.json', 'subcategories.json'];
+
+// Минимальный разбор JSON, который запоминает строку каждого ключа верхнего уровня
+// и сообщает о повторяющихся ключах в любом объекте.
+function scanJSON(text) {
+    const duplicates = [];
+    const keyLines = new Map();
+    let pos = 0;
+    let line = 1;
+
+    const fail = (message) => {
+        throw new Error(`строка ${line}: ${message}`);
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            if (text[pos] === '\n') line++;
+            pos++;
+        }
+    };
+
+    const readString = () => {
+        const start = pos;
+        pos++;
+        while (pos < text.length && text[pos] !== '"') {
+            if (text[pos] === '\\') pos++;
+            if (text[pos] === '\n') fail('перевод строки внутри строки');
+            pos++;
+        }
+        if (pos >= text.length) fail('незакрытая строка');
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+
+    const readValue = (depth, keyPath) => {
+        skipWhitespace();
+        const char = text[pos];
+
+        if (char === '{') {
+            pos++;
+            const seen = new Map();
+            skipWhitespace();
+            if (text[pos] === '}') {
+                pos++;
+                return;
+            }
+            for (;;) {
+                skipWhitespace();
+                if (text[pos] !== '"') fail('ожидается ключ');
+                const keyLine = line;
+                const key = readString();
+
+                if (seen.has(key)) {
+                    duplicates.push({ path: keyPath, key, line: keyLine, firstLine: seen.get(key) });
+                } else {
+                    seen.set(key, keyLine);
+                }
+                if (depth === 0 && !keyLines.has(key)) keyLines.set(key, keyLine);
+
+                skipWhitespace();
+                if (text[pos] !== ':') fail('ожидается ":"');
+                pos++;
+                readValue(depth + 1, keyPath ? `${keyPath}.${key}` : key);
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                    continue;
+                }
+                if (text[pos] === '}') {
+                    pos++;
+                    return;
+                }
+                fail('ожидается "," или "}"');
+            }
+        }
+
+        if (char === '[') {
+            pos++;
+            skipWhitespace();
+            if (text[pos] === ']') {
+                pos++;
+                return;
+            }
+            for (let index = 0; ; index++) {
+                readValue(depth + 1, `${keyPath}[${index}]`);
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                    continue;
+                }
+                if (text[pos] === ']') {
+                    pos++;
+                    return;
+                }
+                fail('ожидается "," или "]"');
+            }
+        }
+
+        if (char === '"') {
+            readString();
+            return;
+        }
+
+        const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(pos, pos + 40));
+        if (!literal) fail(`неожиданный символ ${JSON.stringify(char)}`);
+        pos += literal[0].length;
+    };
+
+    readValue(0, '');
+    return { duplicates, keyLines };
+}
+
+function loadFile(name) {
+    const text = fs.readFileSync(path.join(ROOT, name), 'utf8');
+    const data = JSON.parse(text);
+    const { duplicates, keyLines } = scanJSON(text);
+    return { text, data, duplicates, keyLines };
+}
+
+function main(argv) {
+    const strict = argv.includes('--strict');
+    const shards = listErrorShards();
+    const loaded = {};
+    const issues = [];
+
+    for (const name of [...DATA_FILES, ...shards.map(shard => shard.file)]) {
+        try {
+            loaded[name] = loadFile(name);
+        } catch (error) {
+            console.error(`${name}: не удалось разобрать JSON: ${error.message}`);
+            return 1;
+        }
+
+        for (const duplicate of loaded[name].duplicates) {
+            const where = duplicate.path ? ` в "${duplicate.path}"` : '';
+            issues.push({
+                file: name,
+                line: duplicate.line,
+                severity: 'error',
+                message: `повторяющийся ключ "${duplicate.key}"${where} (первое вхождение в строке ${duplicate.firstLine}); JSON.parse оставит только последнее значение`
+            });
+        }
+    }
+
+    // Записи всех файлов категорий; errorFiles — в каком файле лежит каждая
+    const errors = {};
+    const errorFiles = {};
+    for (const { category, file } of shards) {
+        for (const [key, error] of Object.entries(loaded[file].data)) {
+            const report = message => issues.push({ file, line: loaded[file].keyLines.get(key), severity: 'error', message: `${key}: ${message}` });
+            if (key in errors) {
+                report(`запись с этим ключом уже есть в ${errorFiles[key]}`);
+                continue;
+            }
+            if (error && error.category !== category) {
+                report(`запись категории "${error.category}" лежит в файле категории "${category}"`);
+            }
+            errors[key] = error;
+            errorFiles[key] = file;
+        }
+    }
+
+    const indexPath = path.join(ROOT, ERROR_INDEX_FILE);
+    const readShards = shards.map(shard => ({ ...shard, errors: loaded[shard.file].data }));
+    if (!fs.existsSync(indexPath) || fs.readFileSync(indexPath, 'utf8') !== formatErrorIndex(readShards)) {
+        issues.push({
+            file: ERROR_INDEX_FILE,
+            severity: 'error',
+            message: 'оглавление не совпадает с файлами категорий: запустите node tools/build-error-index.js'
+        });
+    }
+
+    const schemaIssues = validateDatabase({
+        categories: loaded['categories.json'].data,
+        subcategories: loaded['subcategories.json'].data,
+        errors,
+        errorFiles
+    });
+
+    for (const issue of schemaIssues) {
+        const where = issue.path ? `${issue.key}.${issue.path}` : issue.key;
+        issues.push({
+            file: issue.file,
+            line: loaded[issue.file].keyLines.get(issue.key),
+            severity: issue.severity,
+            message: `${where}: ${issue.message}`
+        });
+    }
+
+    issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+    for (const issue of issues) {
+        const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+        console.log(`${location}  ${issue.severity === 'error' ? 'ошибка' : 'предупреждение'}  ${issue.message}`);
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    console.log(`\nОшибок: ${errorCount}, предупреждений: ${warningCount}`);
+
+    return errorCount > 0 || (strict && warningCount > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { scanJSON };
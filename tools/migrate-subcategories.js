@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Миграция файлов категорий errors/<категория>.json: поле "subcategory" с отображаемым названием подкатегории
+// заменяется на "subcategories" — массив id из subcategories.json.
+//
+// Использование: node tools/migrate-subcategories.js [--dry-run]
+// Название должно совпадать с подкатегорией своей категории точно; иначе запись
+// не меняется, а скрипт сообщает о ней и завершается с кодом 1.
+// Форматирование файла сохраняется: меняется только строка с полем. После миграции соберите
+// оглавление: node tools/build-error-index.js.
+
+const fs = require('fs');
+const path = require('path');
+const { readErrorShards } = require('./build-error-index.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SUBCATEGORIES_FILE = path.join(ROOT, 'subcategories.json');
+
+// Замена поля в одном файле: { lines, migrated }. О записях, которые не удалось перенести, пишется в problems
+function migrateShard(text, errors, subcategories, problems) {
+    let migrated = 0;
+    let currentKey = null;
+
+    const lines = text.split('\n').map(line => {
+        const keyMatch = /^ {2}"((?:[^"\\]|\\.)*)": \{$/.exec(line);
+        if (keyMatch) {
+            currentKey = JSON.parse(`"${keyMatch[1]}"`);
+            return line;
+        }
+
+        const fieldMatch = /^(\s*)"subcategory": ("(?:[^"\\]|\\.)*")(,?)$/.exec(line);
+        if (!fieldMatch || currentKey === null) return line;
+
+        const [, indent, rawName, comma] = fieldMatch;
+        const name = JSON.parse(rawName);
+        const error = errors[currentKey];
+        const subcategory = (subcategories[error.category] || []).find(item => item.name === name);
+
+        if (!subcategory) {
+            problems.push(`${currentKey}: подкатегория "${name}" не найдена в категории "${error.category}"`);
+            return line;
+        }
+
+        migrated++;
+        return `${indent}"subcategories": [${JSON.stringify(subcategory.id)}]${comma}`;
+    });
+
+    return { lines, migrated };
+}
+
+function main(argv) {
+    const dryRun = argv.includes('--dry-run');
+    const subcategories = JSON.parse(fs.readFileSync(SUBCATEGORIES_FILE, 'utf8'));
+
+    const problems = [];
+    let migrated = 0;
+
+    for (const shard of readErrorShards()) {
+        const result = migrateShard(shard.text, shard.errors, subcategories, problems);
+        migrated += result.migrated;
+        if (!dryRun && result.migrated > 0) {
+            fs.writeFileSync(path.join(ROOT, shard.file), result.lines.join('\n'));
+        }
+    }
+
+    problems.forEach(problem => console.error(problem));
+    console.log(`Перенесено записей: ${migrated}, не удалось: ${problems.length}`);
+    return problems.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));